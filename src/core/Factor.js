@@ -1,14 +1,16 @@
 // src/core/Factor.js
 // Minimal categorical vector (Factor) with NA support.
+// An ordered factor (ordered: true) treats the order of its levels as meaningful.
 
 export default class Factor {
   /**
    * @param {Array} values
-   * @param {{levels?: Array}} opts
+   * @param {{levels?: Array, ordered?: boolean}} opts
    */
   constructor(values, opts = {}) {
     const arr = Array.from(values ?? []);
     this.length = arr.length;
+    this.ordered = Boolean(opts.ordered);
 
     const providedLevels = Array.isArray(opts.levels) ? opts.levels.map(String) : null;
 
@@ -70,6 +72,6 @@ export default class Factor {
   }
 
   toString() {
-    return `Factor(${this.length}) with ${this.nlevels()} levels`;
+    return `${this.ordered ? 'Ordered ' : ''}Factor(${this.length}) with ${this.nlevels()} levels`;
   }
 }
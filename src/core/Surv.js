@@ -0,0 +1,69 @@
+// src/core/Surv.js
+// Right-censored survival times (Surv) with NA support.
+// Status is 1 for an event and 0 for censoring; TRUE/FALSE and R's 1/2 coding are accepted.
+
+export default class Surv {
+  /**
+   * @param {Array<number>} time - Follow-up times
+   * @param {Array<number|boolean>} status - Event indicators (default: all events)
+   */
+  constructor(time, status = null) {
+    const times = Array.from(time ?? [], v => (v === undefined || Number.isNaN(v) ? null : v));
+    this.length = times.length;
+
+    let events = status === null
+      ? times.map(() => 1)
+      : Array.from(status, v => (v === undefined || v === null || Number.isNaN(v) ? null : Number(v)));
+    if (events.length !== this.length) {
+      throw new Error(`time has ${this.length} values but status has ${events.length}`);
+    }
+
+    // R's 1 = censored, 2 = event coding
+    const observed = events.filter(v => v !== null);
+    if (observed.some(v => v === 2) && observed.every(v => v === 1 || v === 2)) {
+      events = events.map(v => (v === null ? null : v - 1));
+    }
+    if (!events.every(v => v === null || v === 0 || v === 1)) {
+      throw new Error('status must be 0/1, TRUE/FALSE or 1/2');
+    }
+    for (const t of times) {
+      if (t !== null && (typeof t !== 'number' || t < 0)) {
+        throw new Error('Survival times must be non-negative numbers');
+      }
+    }
+
+    this.time = times;
+    this.status = events;
+  }
+
+  isNA(i) {
+    return this.time[i] === null || this.status[i] === null;
+  }
+
+  get(i) {
+    return this.isNA(i) ? null : { time: this.time[i], status: this.status[i] };
+  }
+
+  /**
+   * Observations at the given row indices
+   */
+  subset(rows) {
+    return new Surv(rows.map(i => this.time[i]), rows.map(i => this.status[i]));
+  }
+
+  events() {
+    return this.status.reduce((sum, s) => sum + (s === 1 ? 1 : 0), 0);
+  }
+
+  toArray() {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      out[i] = this.isNA(i) ? null : `${this.time[i]}${this.status[i] === 1 ? '' : '+'}`;
+    }
+    return out;
+  }
+
+  toString() {
+    return `Surv(${this.length}) with ${this.events()} events`;
+  }
+}
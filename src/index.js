@@ -2,6 +2,7 @@
 
 import Vector from './core/Vector.js';
 import Factor from './core/Factor.js';
+import Surv from './core/Surv.js';
 import { summary } from './base/summary.js';
 import { dnorm, pnorm, qnorm, rnorm } from './distributions/normal.js';
 import { dt, pt, qt, rt } from './distributions/t.js';
@@ -9,12 +10,44 @@ import { dchisq, pchisq, qchisq, rchisq } from './distributions/chisq.js';
 import { df, pf, qf, rf } from './distributions/f.js';
 import { dbinom, pbinom, qbinom, rbinom } from './distributions/binomial.js';
 import { dpois, ppois, qpois, rpois } from './distributions/poisson.js';
-import { t_test } from './stats/t_test.js';
+import { ptukey, qtukey } from './distributions/tukey.js';
+import { t_test, pairwise_t_test } from './stats/t_test.js';
+import { p_adjust } from './stats/p_adjust.js';
+import { TukeyHSD, dunnett, gamesHowell } from './stats/posthoc.js';
 import { lm, predict } from './models/lm.js';
 import { anova, printAnova } from './models/anova.js';
-import { glm, predictGlm, gaussian, binomial, poisson, Gamma } from './models/glm.js';
+import {
+  glm,
+  glm_nb,
+  predictGlm,
+  gaussian,
+  binomial,
+  poisson,
+  Gamma,
+  quasibinomial,
+  quasipoisson,
+  inverse_gaussian,
+  negative_binomial
+} from './models/glm.js';
+import { makeLink, power } from './models/links.js';
+import { vcov, vcovCL, vcovStdErrors } from './models/sandwich.js';
+import { logLik, AIC, BIC, nobs } from './models/generics.js';
+import { step } from './models/step.js';
+import { elasticNet, coefElasticNet, predictElasticNet, cvElasticNet } from './models/elastic_net.js';
+import { lmer } from './models/lmer.js';
+import { nls, predictNls } from './models/nls.js';
+import { poly, bs, ns, predictBasis } from './models/splines.js';
+import { gam, predictGam } from './models/gam.js';
+import { multinom, polr, predictCategorical } from './models/categorical.js';
+import { survfit, survdiff, coxph, predictCoxph, residualsCoxph, coxZph } from './models/survival.js';
+import { rq, predictRq } from './models/rq.js';
+import { rlm } from './models/rlm.js';
+import { crossValidate, bootstrap } from './models/resampling.js';
+import { aov, printAov } from './models/aov.js';
+import { parseFormula, modelMatrix } from './models/formula.js';
+import { contr_treatment, contr_sum, contr_helmert, contr_poly } from './models/contrasts.js';
 import { diagnostics, confint, predictWithInterval } from './models/diagnostics.js';
-import { summaryLM, summaryGLM, summarizeModel, printSummaryLM, printSummaryGLM, printModelSummary } from './models/summary.js';
+import { summaryLM, summaryGLM, summaryLMER, summaryMultinom, summaryPolr, summaryCoxph, summaryRq, summaryRlm, summaryGam, summarizeModel, printSummaryLM, printSummaryGLM, printSummaryLMER, printSummaryMultinom, printSummaryPolr, printSummaryCoxph, printSummaryRq, printSummaryRlm, printSummaryGam, printModelSummary } from './models/summary.js';
 import DataFrame from './data/DataFrame.js';
 import { pivotLonger, pivotWider, separate, unite, dropNA, fillNA } from './data/reshape.js';
 import { innerJoin, leftJoin, rightJoin, fullJoin, antiJoin, semiJoin, bindRows, bindCols } from './data/joins.js';
@@ -28,7 +61,7 @@ import { readRDataset, writeRDataset, RDatasets, convertRType, detectRFormat } f
 // Visualization module (optional - requires Plotly.js in browser)
 import * as vis from './vis/index.js';
 
-export { Vector, Factor, summary };
+export { Vector, Factor, Surv, summary };
 
 // Distribution functions
 export { dnorm, pnorm, qnorm, rnorm };
@@ -37,17 +70,48 @@ export { dchisq, pchisq, qchisq, rchisq };
 export { df, pf, qf, rf };
 export { dbinom, pbinom, qbinom, rbinom };
 export { dpois, ppois, qpois, rpois };
+export { ptukey, qtukey };
 
 // Statistical tests
-export { t_test };
+export { t_test, pairwise_t_test, p_adjust };
+export { TukeyHSD, dunnett, gamesHowell };
 
 // Models
 export { lm, predict, anova, printAnova };
-export { glm, predictGlm, gaussian, binomial, poisson, Gamma };
+export {
+  glm,
+  glm_nb,
+  predictGlm,
+  gaussian,
+  binomial,
+  poisson,
+  Gamma,
+  quasibinomial,
+  quasipoisson,
+  inverse_gaussian,
+  negative_binomial
+};
+export { makeLink, power };
+export { vcov, vcovCL, vcovStdErrors };
+export { logLik, AIC, BIC, nobs };
+export { step };
+export { elasticNet, coefElasticNet, predictElasticNet, cvElasticNet };
+export { lmer };
+export { nls, predictNls };
+export { poly, bs, ns, predictBasis };
+export { gam, predictGam };
+export { multinom, polr, predictCategorical };
+export { survfit, survdiff, coxph, predictCoxph, residualsCoxph, coxZph };
+export { rq, predictRq };
+export { rlm };
+export { crossValidate, bootstrap };
+export { aov, printAov };
+export { parseFormula, modelMatrix };
+export { contr_treatment, contr_sum, contr_helmert, contr_poly };
 
 // Model diagnostics and summaries
 export { diagnostics, confint, predictWithInterval };
-export { summaryLM, summaryGLM, summarizeModel, printSummaryLM, printSummaryGLM, printModelSummary };
+export { summaryLM, summaryGLM, summaryLMER, summaryMultinom, summaryPolr, summaryCoxph, summaryRq, summaryRlm, summaryGam, summarizeModel, printSummaryLM, printSummaryGLM, printSummaryLMER, printSummaryMultinom, printSummaryPolr, printSummaryCoxph, printSummaryRq, printSummaryRlm, printSummaryGam, printModelSummary };
 
 // Data manipulation
 export { DataFrame };
@@ -109,6 +173,7 @@ export function na_omit(x) {
 export default {
   Vector,
   Factor,
+  Surv,
   summary,
   c,
   factor,
@@ -144,29 +209,100 @@ export default {
   ppois,
   qpois,
   rpois,
+  ptukey,
+  qtukey,
   // Tests
   t_test,
+  pairwise_t_test,
+  p_adjust,
+  TukeyHSD,
+  dunnett,
+  gamesHowell,
   // Models
   lm,
   predict,
   anova,
   printAnova,
   glm,
+  glm_nb,
   predictGlm,
+  parseFormula,
+  modelMatrix,
+  contr_treatment,
+  contr_sum,
+  contr_helmert,
+  contr_poly,
   // GLM families
   gaussian,
   binomial,
   poisson,
   Gamma,
+  quasibinomial,
+  quasipoisson,
+  inverse_gaussian,
+  negative_binomial,
+  makeLink,
+  power,
+  vcov,
+  vcovCL,
+  vcovStdErrors,
+  logLik,
+  AIC,
+  BIC,
+  nobs,
+  step,
+  elasticNet,
+  coefElasticNet,
+  predictElasticNet,
+  cvElasticNet,
+  lmer,
+  nls,
+  predictNls,
+  poly,
+  bs,
+  ns,
+  predictBasis,
+  gam,
+  predictGam,
+  multinom,
+  polr,
+  predictCategorical,
+  survfit,
+  survdiff,
+  coxph,
+  predictCoxph,
+  residualsCoxph,
+  coxZph,
+  rq,
+  predictRq,
+  rlm,
+  crossValidate,
+  bootstrap,
+  aov,
+  printAov,
   // Diagnostics and summaries
   diagnostics,
   confint,
   predictWithInterval,
   summaryLM,
   summaryGLM,
+  summaryLMER,
+  summaryMultinom,
+  summaryPolr,
+  summaryCoxph,
+  summaryRq,
+  summaryRlm,
+  summaryGam,
   summarizeModel,
   printSummaryLM,
   printSummaryGLM,
+  printSummaryLMER,
+  printSummaryMultinom,
+  printSummaryPolr,
+  printSummaryCoxph,
+  printSummaryRq,
+  printSummaryRlm,
+  printSummaryGam,
   printModelSummary,
   // Data manipulation
   DataFrame,
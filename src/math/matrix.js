@@ -76,6 +76,19 @@ export class Matrix {
     }
   }
 
+  /**
+   * New matrix containing the given rows, in order
+   */
+  subsetRows(indices) {
+    const result = new Matrix(indices.length, this.cols);
+    for (let r = 0; r < indices.length; r++) {
+      for (let j = 0; j < this.cols; j++) {
+        result.set(r, j, this.get(indices[r], j));
+      }
+    }
+    return result;
+  }
+
   /**
    * Matrix transpose
    */
@@ -243,3 +256,100 @@ export function subtract(a, b) {
   }
   return result;
 }
+
+/**
+ * Inverse of a square matrix by Gauss-Jordan elimination with partial pivoting
+ */
+export function inverse(A) {
+  const n = A.rows;
+  if (A.cols !== n) {
+    throw new Error('Matrix must be square');
+  }
+  
+  // Work on the augmented matrix [A | I]
+  const aug = new Matrix(n, 2 * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      aug.set(i, j, A.get(i, j));
+    }
+    aug.set(i, n + i, 1);
+  }
+  
+  for (let i = 0; i < n; i++) {
+    let maxRow = i;
+    for (let k = i + 1; k < n; k++) {
+      if (Math.abs(aug.get(k, i)) > Math.abs(aug.get(maxRow, i))) {
+        maxRow = k;
+      }
+    }
+    
+    if (maxRow !== i) {
+      for (let j = 0; j < 2 * n; j++) {
+        const tmp = aug.get(i, j);
+        aug.set(i, j, aug.get(maxRow, j));
+        aug.set(maxRow, j, tmp);
+      }
+    }
+    
+    const pivot = aug.get(i, i);
+    if (Math.abs(pivot) < 1e-12) {
+      throw new Error('Matrix is singular or nearly singular');
+    }
+    
+    for (let j = 0; j < 2 * n; j++) {
+      aug.set(i, j, aug.get(i, j) / pivot);
+    }
+    
+    for (let k = 0; k < n; k++) {
+      if (k !== i) {
+        const factor = aug.get(k, i);
+        if (factor === 0) continue;
+        for (let j = 0; j < 2 * n; j++) {
+          aug.set(k, j, aug.get(k, j) - factor * aug.get(i, j));
+        }
+      }
+    }
+  }
+  
+  const inv = new Matrix(n, n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      inv.set(i, j, aug.get(i, n + j));
+    }
+  }
+  
+  return inv;
+}
+
+/**
+ * Cholesky factor of a symmetric positive definite matrix: A = L L'
+ * Returns the lower-triangular L
+ */
+export function cholesky(A) {
+  const n = A.rows;
+  if (A.cols !== n) {
+    throw new Error('Matrix must be square');
+  }
+  
+  const L = new Matrix(n, n);
+  for (let j = 0; j < n; j++) {
+    let d = A.get(j, j);
+    for (let k = 0; k < j; k++) {
+      d -= L.get(j, k) * L.get(j, k);
+    }
+    if (!(d > 0)) {
+      throw new Error('Matrix is not positive definite');
+    }
+    const ljj = Math.sqrt(d);
+    L.set(j, j, ljj);
+    
+    for (let i = j + 1; i < n; i++) {
+      let s = A.get(i, j);
+      for (let k = 0; k < j; k++) {
+        s -= L.get(i, k) * L.get(j, k);
+      }
+      L.set(i, j, s / ljj);
+    }
+  }
+  return L;
+}
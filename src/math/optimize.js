@@ -0,0 +1,114 @@
+// Numerical optimization
+// Derivative-free minimization for model criteria (e.g. profiled deviances)
+
+/**
+ * Minimize a function by the Nelder-Mead simplex method
+ * @param {Function} fn - objective, (x: Array<number>) => number
+ * @param {Array<number>} x0 - starting point
+ * @param {Object} options - options
+ * @param {number} options.step - initial simplex size along each coordinate (default: 0.1, or 10% of |x0_j|)
+ * @param {number} options.tol - stop when the simplex function values differ by less than tol (default: 1e-10)
+ * @param {number} options.xtol - and the vertices differ by less than xtol in every coordinate (default: 1e-8)
+ * @param {number} options.maxit - maximum number of iterations (default: 200 * dimension)
+ * @returns {Object} { x, value, iterations, converged }
+ */
+export function nelderMead(fn, x0, { step = null, tol = 1e-10, xtol = 1e-8, maxit = null } = {}) {
+  const d = x0.length;
+  const maxIter = maxit === null ? 200 * Math.max(d, 1) : maxit;
+  const evaluate = (x) => {
+    const v = fn(x);
+    return Number.isNaN(v) ? Infinity : v;
+  };
+
+  if (d === 0) {
+    return { x: [], value: evaluate([]), iterations: 0, converged: true };
+  }
+
+  // Initial simplex
+  let simplex = [x0.slice()];
+  for (let j = 0; j < d; j++) {
+    const x = x0.slice();
+    const h = step !== null ? step : (x[j] !== 0 ? 0.1 * Math.abs(x[j]) : 0.1);
+    x[j] += h;
+    simplex.push(x);
+  }
+  let values = simplex.map(evaluate);
+
+  const combine = (a, b, t) => a.map((ai, j) => ai + t * (b[j] - ai));
+
+  let iter = 0;
+  let converged = false;
+  while (iter < maxIter) {
+    iter++;
+
+    // Order vertices by function value
+    const order = values.map((v, i) => i).sort((i, k) => values[i] - values[k]);
+    simplex = order.map(i => simplex[i]);
+    values = order.map(i => values[i]);
+
+    if (Math.abs(values[d] - values[0]) <= tol * (Math.abs(values[0]) + tol) &&
+        simplexSize(simplex) <= xtol * (1 + Math.max(...simplex[0].map(Math.abs)))) {
+      converged = true;
+      break;
+    }
+
+    // Centroid of all vertices except the worst
+    const centroid = new Array(d).fill(0);
+    for (let i = 0; i < d; i++) {
+      for (let j = 0; j < d; j++) centroid[j] += simplex[i][j] / d;
+    }
+
+    const worst = simplex[d];
+    const reflected = combine(centroid, worst, -1);
+    const fr = evaluate(reflected);
+
+    if (fr < values[0]) {
+      const expanded = combine(centroid, worst, -2);
+      const fe = evaluate(expanded);
+      if (fe < fr) {
+        simplex[d] = expanded;
+        values[d] = fe;
+      } else {
+        simplex[d] = reflected;
+        values[d] = fr;
+      }
+    } else if (fr < values[d - 1]) {
+      simplex[d] = reflected;
+      values[d] = fr;
+    } else {
+      // Contract towards the better of the worst and reflected points
+      const outside = fr < values[d];
+      const contracted = combine(centroid, outside ? reflected : worst, 0.5);
+      const fc = evaluate(contracted);
+      if (fc < Math.min(fr, values[d])) {
+        simplex[d] = contracted;
+        values[d] = fc;
+      } else {
+        // Shrink towards the best vertex
+        for (let i = 1; i <= d; i++) {
+          simplex[i] = combine(simplex[0], simplex[i], 0.5);
+          values[i] = evaluate(simplex[i]);
+        }
+      }
+    }
+  }
+
+  let best = 0;
+  for (let i = 1; i <= d; i++) {
+    if (values[i] < values[best]) best = i;
+  }
+  return { x: simplex[best], value: values[best], iterations: iter, converged };
+}
+
+/**
+ * Largest coordinate distance of a vertex from the first vertex
+ */
+function simplexSize(simplex) {
+  let size = 0;
+  for (let i = 1; i < simplex.length; i++) {
+    for (let j = 0; j < simplex[0].length; j++) {
+      size = Math.max(size, Math.abs(simplex[i][j] - simplex[0][j]));
+    }
+  }
+  return size;
+}
@@ -0,0 +1,42 @@
+// Seedable pseudo-random numbers
+// Used for resampling (cross-validation folds, bootstrap samples)
+
+/**
+ * Create a uniform random number generator
+ * A seed gives a reproducible stream (mulberry32); without one Math.random is used
+ * @param {number|null} seed - integer seed (default: null)
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRng(seed = null) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+  if (!Number.isFinite(seed)) {
+    throw new Error('seed must be a finite number');
+  }
+
+  let state = Math.floor(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} array - array to shuffle
+ * @param {Function} rng - uniform generator from createRng()
+ * @returns {Array} the same array
+ */
+export function shuffle(array, rng = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const tmp = array[i];
+    array[i] = array[j];
+    array[j] = tmp;
+  }
+  return array;
+}
@@ -208,3 +208,55 @@ function gammaIncompleteCF(a, x) {
   
   return Math.exp(-x + a * Math.log(x) - lgamma(a)) * h;
 }
+
+/**
+ * Digamma function ψ(x) = d/dx log(Γ(x))
+ * Uses the recurrence ψ(x) = ψ(x + 1) - 1/x and an asymptotic series for large x
+ * @param {number} x - input value
+ * @returns {number} ψ(x)
+ */
+export function digamma(x) {
+  if (x <= 0 && x === Math.floor(x)) return NaN;
+  
+  if (x < 0) {
+    // Reflection formula: ψ(1 - x) - ψ(x) = π cot(πx)
+    return digamma(1 - x) - Math.PI / Math.tan(Math.PI * x);
+  }
+  
+  let result = 0;
+  while (x < 10) {
+    result -= 1 / x;
+    x += 1;
+  }
+  
+  const x2 = 1 / (x * x);
+  result += Math.log(x) - 0.5 / x -
+    x2 * (1 / 12 - x2 * (1 / 120 - x2 * (1 / 252 - x2 * (1 / 240 - x2 / 132))));
+  return result;
+}
+
+/**
+ * Trigamma function ψ'(x), the derivative of the digamma function
+ * @param {number} x - input value (x > 0)
+ * @returns {number} ψ'(x)
+ */
+export function trigamma(x) {
+  if (x <= 0 && x === Math.floor(x)) return NaN;
+  
+  if (x < 0) {
+    // Reflection formula: ψ'(1 - x) + ψ'(x) = π² / sin²(πx)
+    const s = Math.sin(Math.PI * x);
+    return -trigamma(1 - x) + (Math.PI * Math.PI) / (s * s);
+  }
+  
+  let result = 0;
+  while (x < 10) {
+    result += 1 / (x * x);
+    x += 1;
+  }
+  
+  const x2 = 1 / (x * x);
+  result += 1 / x + x2 / 2 +
+    (x2 / x) * (1 / 6 - x2 * (1 / 30 - x2 * (1 / 42 - x2 / 30)));
+  return result;
+}
@@ -4,7 +4,7 @@
 import { Matrix } from './matrix.js';
 
 // Jacobi eigenvalue algorithm for symmetric matrices
-function jacobiEigen(A) {
+export function jacobiEigen(A) {
   const n = A.length;
   const V = Array.from({ length: n }, (_, i) => {
     const row = new Array(n).fill(0);
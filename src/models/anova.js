@@ -1,10 +1,18 @@
 /**
  * Analysis of Variance (ANOVA) - R-style ANOVA tables and model comparison
- * Implements ANOVA for linear models fitted with lm()
+ * Implements ANOVA for linear models fitted with lm() and analysis of
+ * deviance for generalized linear models fitted with glm()
  */
 
 import { pf } from '../distributions/f.js';
+import { pchisq } from '../distributions/chisq.js';
 import { lm } from './lm.js';
+import { glm, workingResponse } from './glm.js';
+import { naUnpad } from './na_action.js';
+import { termVariables } from './formula.js';
+
+const ANOVA_TYPES = ['I', 'II', 'III'];
+const DEVIANCE_TESTS = ['Chisq', 'LRT', 'F', 'Rao'];
 
 /**
  * Analysis of Variance for fitted linear models
@@ -13,7 +21,25 @@ import { lm } from './lm.js';
  * 1. Single model: Generate ANOVA table showing variance decomposition
  * 2. Multiple models: Compare nested models with sequential F-tests
  * 
- * @param {...Object} models - One or more fitted model objects from lm()
+ * An options object may follow the models. For a single model, `type`
+ * chooses the sums of squares (as car::Anova):
+ * - 'I': sequential; each term adjusted for the terms before it (depends on term order)
+ * - 'II': each term adjusted for all terms that do not contain it (respects marginality)
+ * - 'III': each term adjusted for all other terms, including its interactions;
+ *   meaningful with sum-to-zero contrasts, e.g. { contrasts: { a: 'sum', b: 'sum' } }
+ * 
+ * glm() fits give analysis of deviance tables instead: terms are added
+ * sequentially, or nested models compared, by their change in deviance.
+ * `test` picks the statistic (as anova.glm):
+ * - 'Chisq' (or 'LRT'): likelihood ratio test, deviance / dispersion ~ chi-square
+ * - 'F': deviance / df / dispersion ~ F on the residual df of the largest model
+ * - 'Rao': score test of each added term at the smaller fit
+ * The default is 'Chisq' when the dispersion is fixed (binomial, Poisson) and
+ * 'F' when it is estimated; `test: false` omits the test.
+ * 
+ * @param {...Object} models - One or more fitted model objects from lm() or glm(), optionally followed by options
+ * @param {string} options.type - 'I', 'II' or 'III' (default: 'I'; lm() fits only)
+ * @param {string|boolean} options.test - 'Chisq', 'LRT', 'F', 'Rao' or false (glm() fits only)
  * @returns {Object} - ANOVA table or model comparison results
  * 
  * @example
@@ -22,19 +48,51 @@ import { lm } from './lm.js';
  * const aov = anova(fit);
  * 
  * @example
+ * // Type II tests for an unbalanced two-way design
+ * const fit = lm('y ~ a * b', { data });
+ * const aov2 = anova(fit, { type: 'II' });
+ * 
+ * @example
  * // Model comparison
  * const fit1 = lm(y, [x1]);
  * const fit2 = lm(y, [x1, x2]);
  * const comparison = anova(fit1, fit2);
+ * 
+ * @example
+ * // Likelihood ratio test of nested logistic regressions
+ * const small = glm('am ~ wt', { data: mtcars, family: binomial() });
+ * const big = glm('am ~ wt + hp', { data: mtcars, family: binomial() });
+ * anova(small, big, { test: 'Chisq' });
  */
-export function anova(...models) {
+export function anova(...args) {
+  const last = args[args.length - 1];
+  const hasOptions = args.length > 0 && last !== null && typeof last === 'object' && !last.coefficients;
+  const { type = 'I', test } = hasOptions ? last : {};
+  const models = hasOptions ? args.slice(0, -1) : args;
+  
   if (models.length === 0) {
     throw new Error('At least one model is required');
   }
+  if (!ANOVA_TYPES.includes(type)) {
+    throw new Error(`Unknown sums of squares type: ${type}. Use 'I', 'II' or 'III'.`);
+  }
+  
+  if (models.some(model => model && model.smooths)) {
+    throw new Error('anova() does not support gam() fits: penalized smooth terms have no fixed degrees of freedom');
+  }
+  
+  if (models.some(model => model && model._family)) {
+    if (type !== 'I') {
+      throw new Error('Type II and III tests are only available for lm() fits');
+    }
+    return models.length === 1
+      ? devianceTable(models[0], test)
+      : devianceComparison(models, test);
+  }
   
   if (models.length === 1) {
     // Single model: generate ANOVA table
-    return anovaTable(models[0]);
+    return anovaTable(models[0], type);
   } else {
     // Multiple models: model comparison
     return modelComparison(models);
@@ -53,7 +111,7 @@ export function anova(...models) {
  * - f_value: F-statistic
  * - p_value: p-value from F-test
  */
-function anovaTable(model) {
+function anovaTable(model, type = 'I') {
   const n = model.n;
   const p = model.p;
   const intercept = model.coef_names[0] === '(Intercept)';
@@ -68,30 +126,56 @@ function anovaTable(model) {
   const rss = model.rss;
   const mse = rss / df_residual;
 
-  const { columns: predictorCols, names: predictorNames } = extractPredictorColumns(model, intercept);
+  const terms = extractTermColumns(model, intercept);
   const response = reconstructResponse(model);
+  const options = {
+    intercept,
+    weights: model.weights || null,
+    offset: model.offset || null
+  };
 
-  const sequentialFits = buildSequentialFits(response, predictorCols, intercept);
-  const rows = [];
-  let prevRss = sequentialFits[0].rss;
-
-  for (let i = 0; i < predictorCols.length; i++) {
-    const fit = sequentialFits[i + 1];
-    const sumSq = prevRss - fit.rss;
-    const fValue = (sumSq / 1) / mse;
-    const pValue = pf(fValue, 1, df_residual, { lower_tail: false });
+  // Sums of squares and degrees of freedom per term
+  const effects = [];
+  if (type === 'I') {
+    const sequentialFits = buildSequentialFits(response, terms, options);
+    for (let i = 0; i < terms.length; i++) {
+      effects.push({
+        term: terms[i].name,
+        df: terms[i].columns.length,
+        sum_sq: sequentialFits[i].rss - sequentialFits[i + 1].rss
+      });
+    }
+  } else {
+    if (type === 'III' && intercept) {
+      const allColumns = terms.flatMap(t => t.columns);
+      effects.push({
+        term: '(Intercept)',
+        df: 1,
+        sum_sq: lm(response, allColumns, { ...options, intercept: false }).rss - rss
+      });
+    }
+    for (let i = 0; i < terms.length; i++) {
+      effects.push({
+        term: terms[i].name,
+        df: terms[i].columns.length,
+        sum_sq: marginalSumOfSquares(response, terms, i, type, rss, options)
+      });
+    }
+  }
 
-    rows.push({
-      term: predictorNames[i],
-      df: 1,
-      sum_sq: sumSq,
-      mean_sq: sumSq,
+  // Every term is tested against the residual mean square of the full model
+  const rows = effects.map(({ term, df, sum_sq }) => {
+    const meanSq = sum_sq / df;
+    const fValue = meanSq / mse;
+    return {
+      term,
+      df,
+      sum_sq,
+      mean_sq: meanSq,
       f_value: fValue,
-      p_value: pValue
-    });
-
-    prevRss = fit.rss;
-  }
+      p_value: pf(fValue, df, df_residual, { lower_tail: false })
+    };
+  });
 
   rows.push({
     term: 'Residuals',
@@ -102,10 +186,15 @@ function anovaTable(model) {
     p_value: null
   });
 
-  const model_sum_sq = rows.slice(0, -1).reduce((acc, row) => acc + row.sum_sq, 0);
+  // Only sequential sums of squares add up to the model sum of squares
+  const model_sum_sq = type === 'I'
+    ? rows.slice(0, -1).reduce((acc, row) => acc + row.sum_sq, 0)
+    : tss - rss;
 
   return {
     table: rows,
+    type,
+    response: model.terms ? model.terms.response : 'y',
     total_df: n - (intercept ? 1 : 0),
     model_df: nPredictors,
     residual_df: df_residual,
@@ -196,47 +285,338 @@ function modelComparison(models) {
   };
 }
 
-function extractPredictorColumns(model, intercept) {
+/**
+ * Sequential analysis of deviance table for a single glm() fit
+ * 
+ * Returns a table with columns:
+ * - term: 'NULL' for the null model, then each term in order
+ * - df: degrees of freedom of the term
+ * - deviance: drop in deviance when the term is added
+ * - resid_df, resid_dev: residual df and deviance after adding the term
+ * - f_value / rao: test statistic for the F and Rao tests
+ * - p_value: p-value of the chosen test
+ */
+function devianceTable(model, test) {
+  const testName = devianceTest(test, model);
+  const intercept = model.coef_names[0] === '(Intercept)';
+  
+  if (model.p === (intercept ? 1 : 0)) {
+    throw new Error('Cannot compute ANOVA for intercept-only model');
+  }
+  
+  const terms = extractTermColumns(model, intercept);
+  const response = reconstructResponse(model);
+  const options = {
+    family: model._family,
+    intercept,
+    weights: model.weights,
+    offset: model.offset
+  };
+  
+  // Fits after each term is added; the last one is the model itself
+  const fits = [];
+  const predictors = [];
+  for (let i = 0; i < terms.length - 1; i++) {
+    predictors.push(...terms[i].columns);
+    fits.push(glm(response, predictors.slice(), options));
+  }
+  fits.push(model);
+  
+  // The score test of each term is evaluated at the fit before it
+  let working = null;
+  if (testName === 'Rao') {
+    working = [workingResiduals(nullFit(model, response, options), response)]
+      .concat(fits.slice(0, -1).map(fit => workingResiduals(fit, response)));
+  }
+  
+  const { dispersion, df_dispersion } = dispersionOf(model);
+  const rows = [{
+    term: 'NULL',
+    df: null,
+    deviance: null,
+    resid_df: model.df.null,
+    resid_dev: model.null_deviance,
+    f_value: null,
+    rao: null,
+    p_value: null
+  }];
+  
+  const columns = [];
+  for (let i = 0; i < terms.length; i++) {
+    columns.push(...terms[i].columns);
+    const prev = rows[rows.length - 1];
+    const df = prev.resid_df - fits[i].df.residual;
+    const deviance = prev.resid_dev - fits[i].deviance;
+    const score = working ? raoScore(working[i], columns, intercept) : null;
+    rows.push({
+      term: terms[i].name,
+      df,
+      deviance,
+      resid_df: fits[i].df.residual,
+      resid_dev: fits[i].deviance,
+      ...devianceTestStatistic(testName, df, deviance, score, dispersion, df_dispersion)
+    });
+  }
+  
+  return {
+    table: rows,
+    test: testName,
+    family: model.family,
+    link: model.link,
+    dispersion,
+    response: model.terms ? model.terms.response : 'y',
+    n: model.n
+  };
+}
+
+/**
+ * Compare nested glm() fits by their change in deviance
+ * The dispersion is taken from the largest model
+ */
+function devianceComparison(models, test) {
+  for (let i = 0; i < models.length; i++) {
+    if (!models[i] || !models[i]._family) {
+      throw new Error(`Model ${i + 1} is not a valid fitted model from glm()`);
+    }
+  }
+  
+  const n = models[0].n;
+  for (let i = 1; i < models.length; i++) {
+    if (models[i].n !== n) {
+      throw new Error('All models must be fitted to the same data (same number of observations)');
+    }
+  }
+  
+  const largest = models.reduce((a, b) => (b.df.residual < a.df.residual ? b : a));
+  const testName = devianceTest(test, largest);
+  const { dispersion, df_dispersion } = dispersionOf(largest);
+  
+  const rows = [];
+  for (let i = 0; i < models.length; i++) {
+    const model = models[i];
+    const row = {
+      model: i + 1,
+      res_df: model.df.residual,
+      res_dev: model.deviance,
+      df: null,
+      deviance: null,
+      f_value: null,
+      rao: null,
+      p_value: null
+    };
+    
+    if (i > 0) {
+      const prevModel = models[i - 1];
+      const df = prevModel.df.residual - model.df.residual;
+      
+      if (df <= 0) {
+        throw new Error('Models do not appear to be nested (df difference <= 0)');
+      }
+      
+      const deviance = prevModel.deviance - model.deviance;
+      let score = null;
+      if (testName === 'Rao') {
+        // Score test of the larger design at the smaller fit
+        const X = model._X;
+        const columns = Array.from({ length: X.cols }, (_, j) => X.getColumn(j));
+        score = raoScore(workingResiduals(prevModel, reconstructResponse(prevModel)), columns, false);
+      }
+      Object.assign(row, {
+        df,
+        deviance,
+        ...devianceTestStatistic(testName, df, deviance, score, dispersion, df_dispersion)
+      });
+    }
+    
+    rows.push(row);
+  }
+  
+  return {
+    table: rows,
+    n,
+    test: testName,
+    family: largest.family,
+    link: largest.link,
+    dispersion,
+    comparison: 'sequential',
+    note: 'Models are compared in the order provided (sequential).'
+  };
+}
+
+/**
+ * Resolve the `test` option; the default depends on whether the dispersion is estimated
+ */
+function devianceTest(test, model) {
+  if (test === undefined) {
+    return model.estimated_dispersion ? 'F' : 'Chisq';
+  }
+  if (test === false || test === null) {
+    return null;
+  }
+  if (!DEVIANCE_TESTS.includes(test)) {
+    throw new Error(`Unknown test: ${test}. Use 'Chisq', 'LRT', 'F', 'Rao' or false.`);
+  }
+  return test === 'LRT' ? 'Chisq' : test;
+}
+
+/**
+ * Dispersion of a glm() fit and its degrees of freedom (infinite when fixed)
+ */
+function dispersionOf(model) {
+  return {
+    dispersion: model.dispersion,
+    df_dispersion: model.estimated_dispersion ? model.df.residual : Infinity
+  };
+}
+
+function devianceTestStatistic(test, df, deviance, score, dispersion, df_dispersion) {
+  const result = { f_value: null, rao: null, p_value: null };
+  if (test === 'Chisq') {
+    result.p_value = pchisq(deviance / dispersion, df, { lower_tail: false });
+  } else if (test === 'F') {
+    result.f_value = deviance / df / dispersion;
+    result.p_value = Number.isFinite(df_dispersion)
+      ? pf(result.f_value, df, df_dispersion, { lower_tail: false })
+      : pchisq(result.f_value * df, df, { lower_tail: false });
+  } else if (test === 'Rao') {
+    result.rao = score;
+    result.p_value = pchisq(score / dispersion, df, { lower_tail: false });
+  }
+  return result;
+}
+
+/**
+ * The null model of a glm() fit: intercept only, or just the offset
+ */
+function nullFit(model, response, options) {
+  if (options.intercept) {
+    return glm(response, [], options);
+  }
+  const eta = options.offset ? options.offset.slice() : response.map(() => 0);
+  return {
+    fitted_values: eta.map(e => model._family.linkinv(e)),
+    linear_predictors: eta,
+    weights: options.weights,
+    offset: options.offset,
+    _family: model._family
+  };
+}
+
+/**
+ * IRLS working residuals (y - mu) * deta/dmu and working weights of a glm() fit
+ */
+function workingResiduals(fit, response) {
+  const mu = naUnpad(fit.fitted_values);
+  const eta = naUnpad(fit.linear_predictors);
+  const off = fit.offset || mu.map(() => 0);
+  const { w, z } = workingResponse(fit._family, response, eta, mu, fit.weights, off);
+  return {
+    r: Array.from(z, (zi, i) => zi - eta[i] + off[i]),
+    w: Array.from(w)
+  };
+}
+
+/**
+ * Rao score statistic: the weighted sum of squares of the working residuals
+ * explained by the larger design
+ */
+function raoScore({ r, w }, columns, intercept) {
+  const total = r.reduce((acc, ri, i) => acc + w[i] * ri * ri, 0);
+  return total - lm(r, columns, { intercept, weights: w }).rss;
+}
+
+/**
+ * Group the design matrix columns of a model by term
+ * Formula fits carry an `assign` vector mapping columns to terms; otherwise
+ * every predictor column is its own term
+ */
+function extractTermColumns(model, intercept) {
   const X = model._X;
   if (!X) {
     throw new Error('Design matrix is required to compute ANOVA table');
   }
 
-  const cols = [];
-  const names = [];
+  const terms = [];
   const startIdx = intercept ? 1 : 0;
 
+  if (model.assign && model.term_labels) {
+    for (let k = 0; k < model.term_labels.length; k++) {
+      terms.push({ name: model.term_labels[k], columns: [] });
+    }
+    for (let j = startIdx; j < model.p; j++) {
+      terms[model.assign[j] - 1].columns.push(X.getColumn(j));
+    }
+    return terms.filter(t => t.columns.length > 0);
+  }
+
   for (let j = startIdx; j < model.p; j++) {
-    cols.push(X.getColumn(j));
-    names.push(model.coef_names[j]);
+    terms.push({ name: model.coef_names[j], columns: [X.getColumn(j)] });
   }
 
-  return { columns: cols, names };
+  return terms;
 }
 
 function reconstructResponse(model) {
   const n = model.n;
+  const fitted = naUnpad(model.fitted_values);
+  const residuals = naUnpad(model.residuals);
   const response = new Float64Array(n);
   for (let i = 0; i < n; i++) {
-    response[i] = model.fitted_values[i] + model.residuals[i];
+    response[i] = fitted[i] + residuals[i];
   }
   return Array.from(response);
 }
 
-function buildSequentialFits(response, predictorCols, intercept) {
+function buildSequentialFits(response, terms, options) {
   const fits = [];
   const predictors = [];
 
-  fits.push(lm(response, [], { intercept }));
+  fits.push(lm(response, [], options));
 
-  for (let i = 0; i < predictorCols.length; i++) {
-    predictors.push(predictorCols[i]);
-    fits.push(lm(response, predictors.slice(), { intercept }));
+  for (let i = 0; i < terms.length; i++) {
+    predictors.push(...terms[i].columns);
+    fits.push(lm(response, predictors.slice(), options));
   }
 
   return fits;
 }
 
+/**
+ * Type II or III sum of squares for term i: the drop in RSS when the term is
+ * added to the model holding all other terms (Type III) or all terms that do
+ * not contain it (Type II)
+ */
+function marginalSumOfSquares(response, terms, i, type, fullRss, options) {
+  const others = terms.filter((t, j) => j !== i && (type === 'III' || !containsTerm(t.name, terms[i].name)));
+  const reduced = others.flatMap(t => t.columns);
+  const reducedRss = residualSumOfSquares(response, reduced, options);
+  if (type === 'III') {
+    return reducedRss - fullRss;
+  }
+  return reducedRss - lm(response, [...reduced, ...terms[i].columns], options).rss;
+}
+
+/**
+ * RSS of the fit on the given columns (the empty model predicts the offset, or zero)
+ */
+function residualSumOfSquares(response, columns, options) {
+  if (columns.length > 0 || options.intercept) {
+    return lm(response, columns, options).rss;
+  }
+  return response.reduce((acc, y, i) => {
+    const e = y - (options.offset ? options.offset[i] : 0);
+    return acc + (options.weights ? options.weights[i] : 1) * e * e;
+  }, 0);
+}
+
+/**
+ * Whether term `outer` contains term `inner`, e.g. 'a:b' contains 'a'
+ */
+function containsTerm(outer, inner) {
+  const outerVars = termVariables(outer);
+  return termVariables(inner).every(v => outerVars.includes(v));
+}
+
 /**
  * Print ANOVA table in a readable format (for console/debugging)
  * Mimics R's print.anova() output
@@ -245,7 +625,12 @@ function buildSequentialFits(response, predictorCols, intercept) {
  * @returns {string} - Formatted table string
  */
 export function printAnova(anovaResult) {
-  if (anovaResult.comparison) {
+  if (anovaResult.family) {
+    // Analysis of deviance for glm() fits
+    return anovaResult.comparison
+      ? formatDevianceComparison(anovaResult)
+      : formatDevianceTable(anovaResult);
+  } else if (anovaResult.comparison) {
     // Model comparison format
     return formatComparisonTable(anovaResult);
   } else {
@@ -256,8 +641,10 @@ export function printAnova(anovaResult) {
 
 function formatAnovaTable(result) {
   const lines = [];
-  lines.push('Analysis of Variance Table\n');
-  lines.push('Response: y\n');
+  lines.push(result.type && result.type !== 'I'
+    ? `Anova Table (Type ${result.type} tests)\n`
+    : 'Analysis of Variance Table\n');
+  lines.push(`Response: ${result.response || 'y'}\n`);
   lines.push(
     'Term'.padEnd(15) +
     'Df'.padStart(8) +
@@ -318,6 +705,97 @@ function formatComparisonTable(result) {
   return lines.join('\n');
 }
 
+function formatDevianceTable(result) {
+  const lines = [];
+  lines.push('Analysis of Deviance Table\n');
+  lines.push(`Model: ${result.family}, link: ${result.link}\n`);
+  lines.push(`Response: ${result.response}\n`);
+  lines.push('Terms added sequentially (first to last)\n');
+  const testHeader = devianceTestHeader(result.test);
+  const width = 15 + 8 + 12 + 10 + 12 + testHeader.length;
+  lines.push(
+    'Term'.padEnd(15) +
+    'Df'.padStart(8) +
+    'Deviance'.padStart(12) +
+    'Resid. Df'.padStart(10) +
+    'Resid. Dev'.padStart(12) +
+    testHeader
+  );
+  lines.push('-'.repeat(width));
+  
+  for (const row of result.table) {
+    const term = row.term.padEnd(15);
+    const df = row.df !== null ? row.df.toString().padStart(8) : ''.padStart(8);
+    const deviance = row.deviance !== null ? row.deviance.toFixed(4).padStart(12) : ''.padStart(12);
+    const resid_df = row.resid_df.toString().padStart(10);
+    const resid_dev = row.resid_dev.toFixed(4).padStart(12);
+    
+    lines.push(term + df + deviance + resid_df + resid_dev + formatDevianceTest(row, result.test));
+  }
+  
+  lines.push('-'.repeat(width));
+  if (result.test && result.dispersion !== 1) {
+    lines.push(`Dispersion parameter: ${result.dispersion.toFixed(4)}`);
+  }
+  
+  return lines.join('\n');
+}
+
+function formatDevianceComparison(result) {
+  const lines = [];
+  lines.push('Analysis of Deviance Table\n');
+  lines.push('Model Comparison\n');
+  const testHeader = devianceTestHeader(result.test);
+  const width = 8 + 10 + 12 + 8 + 12 + testHeader.length;
+  lines.push(
+    'Model'.padEnd(8) +
+    'Resid. Df'.padStart(10) +
+    'Resid. Dev'.padStart(12) +
+    'Df'.padStart(8) +
+    'Deviance'.padStart(12) +
+    testHeader
+  );
+  lines.push('-'.repeat(width));
+  
+  for (const row of result.table) {
+    const model = row.model.toString().padEnd(8);
+    const res_df = row.res_df.toString().padStart(10);
+    const res_dev = row.res_dev.toFixed(4).padStart(12);
+    const df = row.df !== null ? row.df.toString().padStart(8) : ''.padStart(8);
+    const deviance = row.deviance !== null ? row.deviance.toFixed(4).padStart(12) : ''.padStart(12);
+    
+    lines.push(model + res_df + res_dev + df + deviance + formatDevianceTest(row, result.test));
+  }
+  
+  lines.push('-'.repeat(width));
+  lines.push(`n = ${result.n}`);
+  
+  return lines.join('\n');
+}
+
+function devianceTestHeader(test) {
+  if (test === 'F') {
+    return 'F'.padStart(12) + 'Pr(>F)'.padStart(12);
+  } else if (test === 'Rao') {
+    return 'Rao'.padStart(12) + 'Pr(>Chi)'.padStart(12);
+  } else if (test === 'Chisq') {
+    return 'Pr(>Chi)'.padStart(12);
+  }
+  return '';
+}
+
+function formatDevianceTest(row, test) {
+  if (!test) {
+    return '';
+  }
+  const p = row.p_value !== null ? formatPValue(row.p_value).padStart(12) : ''.padStart(12);
+  if (test === 'Chisq') {
+    return p;
+  }
+  const statistic = test === 'F' ? row.f_value : row.rao;
+  return (statistic !== null ? statistic.toFixed(4).padStart(12) : ''.padStart(12)) + p;
+}
+
 function formatPValue(p) {
   if (p < 0.0001) {
     return '< 0.0001';
@@ -0,0 +1,438 @@
+/**
+ * Analysis of variance for designed experiments (aov) - as R's aov()
+ *
+ * Terms are tested with sequential (Type I) sums of squares, obtained by
+ * orthogonalizing the design columns term by term. With an Error() term the
+ * observations are split into error strata (e.g. between and within
+ * subjects) and each treatment term is tested in the stratum it falls in,
+ * which gives the classic repeated measures and split-plot tables.
+ */
+
+import Factor from '../core/Factor.js';
+import { pf } from '../distributions/f.js';
+import { modelMatrix, parseFormula, evaluateFactor } from './formula.js';
+
+// Squared norm, relative to the column, below which a projected column is aliased
+const ALIAS_TOL = 1e-9;
+
+/**
+ * Fit an analysis of variance model
+ *
+ * Can be called with a formula and data, optionally with an Error() term for
+ * repeated measures: aov('yield ~ N * P * K + Error(block)', { data: npk })
+ *
+ * Or with a response and the factors of the experiment, which are fully
+ * crossed (a * b * ...) and coded as factors even when stored as numbers:
+ * aov('score', ['drug', 'dose'], { data, error: 'subject' })
+ * aov(scores, groups)
+ *
+ * Effect sizes are reported for every term:
+ * - eta_sq: SS / total SS
+ * - partial_eta_sq: SS / (SS + residual SS of the term's stratum)
+ * - omega_sq: (SS - df * residual MS) / (total SS + residual MS)
+ *
+ * @param {string|Array|Vector} response - Model formula, response column name, or response values
+ * @param {string|Array|Factor|Object} factors - Factor column name(s) with data; without data a Factor
+ *   (or array of labels) or an object of named factor columns. Options when response is a formula
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data containing the response and factors
+ * @param {string} options.error - Error strata for the factor interface, e.g. 'subject' or 'subject/time'
+ *   (as Error(subject/time) in a formula)
+ * @param {Object} options.contrasts - Contrast specification per factor, e.g. { dose: 'sum' }
+ * @param {string} options.na_action - 'na.omit' (default), 'na.exclude' or 'na.fail'
+ * @returns {Object} - { table, strata, total_ss, total_df, n, ... }; `table` holds the rows of a single
+ *   stratum design and `strata` the tables per error stratum when an Error() term is given
+ *
+ * @example
+ * // One-way ANOVA
+ * const fit = aov('weight ~ group', { data: PlantGrowth });
+ * fit.table[0].f_value;
+ *
+ * @example
+ * // Repeated measures: time is tested within subjects
+ * const fit = aov('score ~ time + Error(subject/time)', { data });
+ * fit.strata.map(s => s.name); // ['subject', 'subject:time']
+ */
+export function aov(response, factors, options = {}) {
+  if (typeof response === 'string' && response.includes('~')) {
+    return fitAov(response, factors || {});
+  }
+
+  const { data, error = null, ...rest } = options;
+  let columns;
+  let names;
+  let responseName;
+
+  if (data) {
+    if (typeof response !== 'string') {
+      throw new Error('With data, the response must be a column name');
+    }
+    names = typeof factors === 'string' ? [factors] : factors;
+    if (!Array.isArray(names) || names.length === 0 || !names.every(name => typeof name === 'string')) {
+      throw new Error('factors must be a column name or an array of column names');
+    }
+    columns = dataColumns(data);
+    for (const name of names) {
+      columns[name] = evaluateFactor(name, data);
+    }
+    responseName = response;
+  } else {
+    const groups = factors instanceof Factor || Array.isArray(factors) ? { group: factors } : factors;
+    if (!groups || typeof groups !== 'object' || Object.keys(groups).length === 0) {
+      throw new Error('factors must be a Factor, an array of group labels or an object of factor columns');
+    }
+    names = Object.keys(groups);
+    columns = {};
+    for (const name of names) {
+      columns[name] = groups[name] instanceof Factor ? groups[name] : evaluateFactor(name, groups);
+    }
+    responseName = names.includes('y') ? 'response' : 'y';
+    columns[responseName] = response;
+  }
+
+  const errorTerm = error ? ` + Error(${error})` : '';
+  return fitAov(`${responseName} ~ ${names.join(' * ')}${errorTerm}`, { ...rest, data: columns });
+}
+
+/**
+ * Fit the formula interface of aov()
+ */
+function fitAov(formula, { data, contrasts = {}, na_action = 'na.omit' } = {}) {
+  if (!data) {
+    throw new Error('A data argument is required to evaluate a formula');
+  }
+
+  const { treatment, error } = splitErrorTerm(formula);
+
+  // Error strata are spanned by the indicator columns of the error terms
+  let errorDesign = null;
+  let extra = {};
+  if (error) {
+    const errorTerms = parseFormula(`~ ${error}`);
+    const errorData = dataColumns(data);
+    for (const name of errorTerms.variables) {
+      errorData[name] = evaluateFactor(name, data);
+    }
+    errorDesign = modelMatrix(errorTerms, errorData, { response: false, na_action: 'na.pass' });
+    // Rows missing an error variable are dropped with the other incomplete rows
+    extra = { error_row: errorDesign.rows.map(i => (errorDesign.X.getRow(i).every(Number.isFinite) ? i : null)) };
+  }
+
+  const mm = modelMatrix(treatment, data, { contrasts, na_action, extra });
+  if (mm.y === null) {
+    throw new Error(`Formula has no response: ${formula}`);
+  }
+  if (mm.y instanceof Factor) {
+    throw new Error(`Response '${mm.terms.response}' is a factor; a numeric response is required`);
+  }
+
+  const y = Array.from(mm.y);
+  const n = y.length;
+  const X = mm.X;
+  const columns = Array.from({ length: X.cols }, (_, j) => X.getColumn(j));
+  const labels = mm.terms.term_labels;
+
+  const mean = y.reduce((acc, v) => acc + v, 0) / n;
+  const total_ss = y.reduce((acc, v) => acc + (mm.intercept ? (v - mean) ** 2 : v * v), 0);
+  const total_df = mm.intercept ? n - 1 : n;
+
+  const result = {
+    formula: formula.trim(),
+    response: mm.terms.response,
+    n,
+    total_ss,
+    total_df,
+    table: null,
+    strata: null,
+    xlevels: mm.xlevels
+  };
+
+  if (!errorDesign) {
+    const stratum = decomposeStratum(y, columns, mm.assign, v => v, n);
+    result.table = stratumTable(stratum, labels, total_ss);
+    result.fitted_values = stratum.fitted;
+    result.residuals = y.map((v, i) => v - stratum.fitted[i]);
+    result.df_residual = stratum.df_residual;
+
+    // Term projections and factor levels of each observation, for TukeyHSD()
+    result._projections = Object.fromEntries([...stratum.effects.entries()]
+      .map(([term, { projection }]) => [term === 0 ? '(Intercept)' : labels[term - 1], projection]));
+    result._levels = Object.fromEntries(Object.keys(mm.xlevels).map(name => {
+      const factor = evaluateFactor(name, data);
+      return [name, mm.rows.map(i => factor.get(i))];
+    }));
+    return result;
+  }
+
+  // Orthonormal bases of the error strata, in the order of the error terms
+  const rows = mm.extra.error_row;
+  const E = errorDesign.X.subsetRows(rows);
+  const bases = orthonormalBasis(
+    Array.from({ length: E.cols }, (_, j) => E.getColumn(j)),
+    errorDesign.assign
+  );
+  const errorLabels = errorDesign.terms.term_labels;
+  const allBasis = bases.flatMap(b => b.vectors);
+
+  const strata = bases
+    .filter(b => b.term > 0 && b.vectors.length > 0)
+    .map(b => ({ name: errorLabels[b.term - 1], project: v => projectOnto(b.vectors, v), rank: b.vectors.length }));
+  if (allBasis.length < n) {
+    strata.push({
+      name: 'Within',
+      project: v => subtract(v, projectOnto(allBasis, v)),
+      rank: n - allBasis.length
+    });
+  }
+
+  result.strata = strata.map(({ name, project, rank }) => {
+    const stratum = decomposeStratum(project(y), columns, mm.assign, project, rank);
+    return { name, df: rank, table: stratumTable(stratum, labels, total_ss) };
+  });
+  result.error = error;
+
+  return result;
+}
+
+/**
+ * Separate an Error() term from the treatment formula and expand nesting:
+ * Error(subject/time) is Error(subject + subject:time)
+ */
+function splitErrorTerm(formula) {
+  const match = /\+?\s*Error\(/.exec(formula);
+  if (!match) {
+    return { treatment: formula, error: null };
+  }
+
+  const start = match.index + match[0].length;
+  let depth = 1;
+  let end = start;
+  for (; end < formula.length && depth > 0; end++) {
+    if (formula[end] === '(') depth++;
+    if (formula[end] === ')') depth--;
+  }
+  if (depth !== 0) {
+    throw new Error(`Unbalanced parentheses in Error() term: ${formula}`);
+  }
+
+  const inner = formula.slice(start, end - 1).trim();
+  let treatment = (formula.slice(0, match.index) + formula.slice(end)).replace(/~\s*\+/, '~').trim();
+  if (/~\s*$/.test(treatment)) treatment += ' 1';
+
+  const slash = inner.indexOf('/');
+  if (slash === -1) {
+    return { treatment, error: inner };
+  }
+  const outer = inner.slice(0, slash).trim();
+  const nested = parseFormula(`~ ${inner.slice(slash + 1).replace(/^\s*\((.*)\)\s*$/, '$1')}`).term_labels;
+  return { treatment, error: [outer, ...nested.map(label => `${outer}:${label}`)].join(' + ') };
+}
+
+/**
+ * Sequential sums of squares of the projected design columns within a stratum
+ * Columns are orthogonalized in order; a column that is (numerically) in the span
+ * of the previous ones is aliased and contributes no degree of freedom
+ */
+function decomposeStratum(y, columns, assign, project, rank) {
+  const basis = [];
+  const effects = new Map();
+  const fitted = new Array(y.length).fill(0);
+
+  for (let j = 0; j < columns.length; j++) {
+    const original = columns[j].reduce((acc, v) => acc + v * v, 0);
+    let v = project(Array.from(columns[j]));
+    // Orthogonalize twice for numerical stability
+    for (let pass = 0; pass < 2; pass++) {
+      for (const q of basis) {
+        const c = dot(q, v);
+        v = v.map((vi, i) => vi - c * q[i]);
+      }
+    }
+    const norm2 = dot(v, v);
+    if (original === 0 || norm2 <= ALIAS_TOL * original) continue;
+
+    const q = v.map(vi => vi / Math.sqrt(norm2));
+    basis.push(q);
+    const effect = dot(q, y);
+    for (let i = 0; i < y.length; i++) fitted[i] += effect * q[i];
+
+    // Projection of y onto the term's columns (as R's proj())
+    const term = assign[j];
+    const entry = effects.get(term) || { df: 0, sum_sq: 0, projection: new Array(y.length).fill(0) };
+    entry.df += 1;
+    entry.sum_sq += effect * effect;
+    for (let i = 0; i < y.length; i++) entry.projection[i] += effect * q[i];
+    effects.set(term, entry);
+  }
+
+  const explained = Array.from(effects.values()).reduce((acc, e) => acc + e.sum_sq, 0);
+  return {
+    effects,
+    df_residual: rank - basis.length,
+    rss: Math.max(dot(y, y) - explained, 0),
+    fitted
+  };
+}
+
+/**
+ * ANOVA rows with F tests and effect sizes for the terms of a stratum
+ * (the intercept, term 0, is not tested)
+ */
+function stratumTable({ effects, df_residual, rss }, labels, total_ss) {
+  const msResidual = df_residual > 0 ? rss / df_residual : null;
+  const rows = [];
+
+  for (const [term, { df, sum_sq }] of [...effects.entries()].sort((a, b) => a[0] - b[0])) {
+    if (term === 0) continue;
+    const mean_sq = sum_sq / df;
+    const f_value = msResidual !== null ? mean_sq / msResidual : null;
+    rows.push({
+      term: labels[term - 1],
+      df,
+      sum_sq,
+      mean_sq,
+      f_value,
+      p_value: f_value !== null ? pf(f_value, df, df_residual, { lower_tail: false }) : null,
+      eta_sq: sum_sq / total_ss,
+      partial_eta_sq: msResidual !== null ? sum_sq / (sum_sq + rss) : null,
+      omega_sq: msResidual !== null ? (sum_sq - df * msResidual) / (total_ss + msResidual) : null
+    });
+  }
+
+  if (df_residual > 0) {
+    rows.push({
+      term: 'Residuals',
+      df: df_residual,
+      sum_sq: rss,
+      mean_sq: msResidual,
+      f_value: null,
+      p_value: null,
+      eta_sq: null,
+      partial_eta_sq: null,
+      omega_sq: null
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Orthonormal basis of the column space, grouped by the term each vector enters with
+ */
+function orthonormalBasis(columns, assign) {
+  const groups = [];
+  const all = [];
+  for (let j = 0; j < columns.length; j++) {
+    const original = columns[j].reduce((acc, v) => acc + v * v, 0);
+    let v = Array.from(columns[j]);
+    for (let pass = 0; pass < 2; pass++) {
+      for (const q of all) {
+        const c = dot(q, v);
+        v = v.map((vi, i) => vi - c * q[i]);
+      }
+    }
+    const norm2 = dot(v, v);
+    let group = groups.find(g => g.term === assign[j]);
+    if (!group) {
+      group = { term: assign[j], vectors: [] };
+      groups.push(group);
+    }
+    if (original === 0 || norm2 <= ALIAS_TOL * original) continue;
+    const q = v.map(vi => vi / Math.sqrt(norm2));
+    all.push(q);
+    group.vectors.push(q);
+  }
+  return groups;
+}
+
+function projectOnto(basis, v) {
+  const out = new Array(v.length).fill(0);
+  for (const q of basis) {
+    const c = dot(q, v);
+    for (let i = 0; i < v.length; i++) out[i] += c * q[i];
+  }
+  return out;
+}
+
+function subtract(a, b) {
+  return a.map((v, i) => v - b[i]);
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+/**
+ * Plain object of the columns of a DataFrame or column object, so that
+ * factor versions of some columns can be swapped in
+ */
+function dataColumns(data) {
+  if (Array.isArray(data.names) && typeof data.col === 'function') {
+    return Object.fromEntries(data.names.map(name => [name, data.col(name)]));
+  }
+  return { ...data };
+}
+
+/**
+ * Print an aov() result in the layout of R's summary.aov()
+ *
+ * @param {Object} fit - Result from aov()
+ * @param {Object} options - Options
+ * @param {boolean} options.effect_sizes - Add eta², partial eta² and omega² columns (default: true)
+ * @returns {string} - Formatted table(s)
+ */
+export function printAov(fit, { effect_sizes = true } = {}) {
+  if (fit.strata) {
+    return fit.strata
+      .map(stratum => `Error: ${stratum.name}\n${formatAovTable(stratum.table, effect_sizes)}`)
+      .join('\n\n');
+  }
+
+  const lines = [formatAovTable(fit.table, effect_sizes)];
+  lines.push(
+    'Total'.padEnd(15) +
+    fit.total_df.toString().padStart(6) +
+    fit.total_ss.toFixed(4).padStart(12)
+  );
+  return lines.join('\n');
+}
+
+function formatAovTable(rows, effectSizes) {
+  const lines = [];
+  let header = ''.padEnd(15) +
+    'Df'.padStart(6) +
+    'Sum Sq'.padStart(12) +
+    'Mean Sq'.padStart(12) +
+    'F value'.padStart(10) +
+    'Pr(>F)'.padStart(12);
+  if (effectSizes) {
+    header += 'eta²'.padStart(9) + 'p.eta²'.padStart(9) + 'omega²'.padStart(9);
+  }
+  lines.push(header);
+
+  for (const row of rows) {
+    let line = row.term.padEnd(15) +
+      row.df.toString().padStart(6) +
+      row.sum_sq.toFixed(4).padStart(12) +
+      row.mean_sq.toFixed(4).padStart(12) +
+      (row.f_value !== null ? row.f_value.toFixed(3) : '').padStart(10) +
+      (row.p_value !== null ? formatPValue(row.p_value) : '').padStart(12);
+    if (effectSizes) {
+      line += [row.eta_sq, row.partial_eta_sq, row.omega_sq]
+        .map(v => (v !== null ? v.toFixed(3) : '').padStart(9))
+        .join('');
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n');
+}
+
+function formatPValue(p) {
+  if (p < 0.0001) {
+    return '< 0.0001';
+  }
+  return p.toFixed(4);
+}
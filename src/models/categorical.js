@@ -0,0 +1,632 @@
+/**
+ * Regression models for categorical responses
+ * - multinom(): multinomial (baseline-category) logistic regression for unordered Factors (as nnet::multinom)
+ * - polr(): proportional odds logistic or probit regression for ordered Factors (as MASS::polr)
+ *
+ * Both are fitted by maximum likelihood with Newton-Raphson steps and step halving,
+ * and accept either a response and predictors or a formula with data.
+ */
+
+import Vector from '../core/Vector.js';
+import Factor from '../core/Factor.js';
+import { Matrix, inverse, cholesky } from '../math/matrix.js';
+import { pnorm, dnorm, qnorm } from '../distributions/normal.js';
+import { modelMatrix, newModelMatrix, predictorColumns } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction } from './na_action.js';
+
+const POLR_METHODS = ['logistic', 'probit'];
+
+/**
+ * Fit a multinomial logistic regression model
+ *
+ * The first level of the response is the baseline; each other level gets a
+ * vector of coefficients for its log-odds against the baseline.
+ *
+ * @param {Factor|Array|string} y - Factor response (arrays are converted, levels sorted), or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @param {boolean} options.intercept - Include intercept (default: true)
+ * @param {Array<number>} options.weights - Case weights, e.g. frequencies (default: all 1s)
+ * @param {Object} options.contrasts - Contrasts per factor predictor
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {number} options.maxit - Maximum Newton iterations (default: 100)
+ * @param {number} options.tol - Relative convergence tolerance on the log-likelihood (default: 1e-10)
+ * @returns {Object} - Fitted model; coefficients, std_errors, z_values and p_values are
+ *   (levels - 1) x p arrays with rows named by `levels.slice(1)`
+ *
+ * @example
+ * const fit = multinom('choice ~ age + income', { data: df });
+ * fit.coefficients;      // one row per non-baseline level
+ * fit.fitted_values[0];  // class probabilities of the first observation
+ */
+export function multinom(y, X, options = {}) {
+  const opts = typeof y === 'string' ? (X || {}) : options;
+  const { maxit = 100, tol = 1e-10 } = opts;
+  const design = categoricalDesign(y, X, opts, { intercept: opts.intercept ?? true });
+  const { response, levels, weights } = design;
+  const K = levels.length;
+  if (K < 2) {
+    throw new Error('Response must have at least 2 levels');
+  }
+
+  const Xd = design.X;
+  const n = Xd.rows;
+  const p = Xd.cols;
+  const m = (K - 1) * p;
+
+  const logLik = (beta) => {
+    let ll = 0;
+    for (let i = 0; i < n; i++) {
+      const probs = softmaxRow(Xd, i, beta, K, p);
+      ll += weights[i] * Math.log(Math.max(probs[response[i]], 1e-300));
+    }
+    return ll;
+  };
+
+  let beta = new Float64Array(m);
+  let ll = logLik(beta);
+  let converged = false;
+  let iterations = 0;
+  let information = null;
+
+  for (let iter = 0; iter < maxit; iter++) {
+    iterations++;
+    const { gradient, info } = multinomDerivatives(Xd, response, weights, beta, K, p);
+    information = info;
+
+    const step = solveNewton(info, gradient);
+    let factor = 1;
+    let candidate = null;
+    let llNew = -Infinity;
+    for (let halving = 0; halving < 30; halving++) {
+      candidate = beta.map((b, j) => b + factor * step[j]);
+      llNew = logLik(candidate);
+      if (llNew >= ll - 1e-12 * Math.abs(ll)) break;
+      factor /= 2;
+    }
+
+    const change = Math.abs(llNew - ll);
+    beta = candidate;
+    const llOld = ll;
+    ll = llNew;
+    if (change <= tol * (Math.abs(llOld) + tol)) {
+      converged = true;
+      information = multinomDerivatives(Xd, response, weights, beta, K, p).info;
+      break;
+    }
+  }
+
+  const cov = inverseInformation(information);
+  const coefficients = [];
+  const stdErrors = [];
+  for (let k = 0; k < K - 1; k++) {
+    coefficients.push(Array.from(beta.slice(k * p, (k + 1) * p)));
+    stdErrors.push(Array.from({ length: p }, (_, j) => Math.sqrt(Math.abs(cov.get(k * p + j, k * p + j)))));
+  }
+  const zValues = coefficients.map((row, k) => row.map((b, j) => b / stdErrors[k][j]));
+  const pValues = zValues.map(row => row.map(z => 2 * pnorm(-Math.abs(z))));
+
+  const fitted = Array.from({ length: n }, (_, i) => Array.from(softmaxRow(Xd, i, beta, K, p)));
+  const deviance = -2 * ll;
+
+  const model = {
+    coefficients,
+    std_errors: stdErrors,
+    z_values: zValues,
+    p_values: pValues,
+    vcov: cov,
+    coef_names: design.coef_names,
+    levels,
+    fitted_values: fitted,
+    deviance,
+    log_lik: ll,
+    edf: m,
+    aic: deviance + 2 * m,
+    converged,
+    iterations,
+    n,
+    p,
+    weights: Array.from(weights),
+    ...design.meta
+  };
+
+  return applyNaAction(model, design.rows, design.n_total, design.na_action);
+}
+
+/**
+ * Fit a proportional odds (cumulative link) model for an ordinal response
+ *
+ * P(Y <= j) = F(zeta_j - x'beta) for the ordered levels j = 1, ..., K - 1, where F
+ * is the logistic or standard normal distribution function. The linear
+ * predictor has no intercept; the thresholds zeta take its place.
+ *
+ * @param {Factor|Array|string} y - Ordered response (the order of the Factor levels is used;
+ *   arrays are converted with sorted levels), or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @param {string} options.method - 'logistic' or 'probit' (default: 'logistic')
+ * @param {Array<number>} options.weights - Case weights, e.g. frequencies (default: all 1s)
+ * @param {Object} options.contrasts - Contrasts per factor predictor
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {number} options.maxit - Maximum Newton iterations (default: 100)
+ * @param {number} options.tol - Relative convergence tolerance on the log-likelihood (default: 1e-10)
+ * @returns {Object} - Fitted model with coefficients, zeta (thresholds named 'low|high'), standard errors
+ *   and t values for both, fitted class probabilities, deviance and AIC
+ *
+ * @example
+ * // Likert responses
+ * const rating = new Factor(answers, { levels: ['disagree', 'neutral', 'agree'], ordered: true });
+ * const fit = polr(rating, [age, group]);
+ * fit.zeta; // thresholds 'disagree|neutral', 'neutral|agree'
+ */
+export function polr(y, X, options = {}) {
+  const opts = typeof y === 'string' ? (X || {}) : options;
+  const { method = 'logistic', maxit = 100, tol = 1e-10 } = opts;
+  if (!POLR_METHODS.includes(method)) {
+    throw new Error(`Unknown method: ${method}. Use 'logistic' or 'probit'.`);
+  }
+  const link = cumulativeLink(method);
+
+  const design = categoricalDesign(y, X, opts, { thresholds: true });
+  const { response, levels, weights } = design;
+  const K = levels.length;
+  if (K < 3) {
+    throw new Error('Response must have 3 or more levels');
+  }
+
+  const Xd = design.X;
+  const n = Xd.rows;
+  const p = Xd.cols;
+  const q = K - 1;
+
+  // Start from the thresholds of the marginal distribution
+  const totals = new Array(K).fill(0);
+  for (let i = 0; i < n; i++) totals[response[i]] += weights[i];
+  const sumW = totals.reduce((a, b) => a + b, 0);
+  let theta = new Float64Array(p + q);
+  let cumulative = 0;
+  for (let j = 0; j < q; j++) {
+    cumulative += totals[j];
+    theta[p + j] = link.quantile(Math.min(Math.max(cumulative / sumW, 1e-6), 1 - 1e-6));
+  }
+
+  let ll = polrLogLik(Xd, response, weights, theta, p, q, link);
+  if (!Number.isFinite(ll)) {
+    throw new Error('Some response levels are empty; drop them before fitting');
+  }
+  let converged = false;
+  let iterations = 0;
+
+  for (let iter = 0; iter < maxit; iter++) {
+    iterations++;
+    const { gradient, info } = polrDerivatives(Xd, response, weights, theta, p, q, link);
+    const step = solveNewton(info, gradient);
+
+    // Halve the step until the thresholds stay increasing and the likelihood does not decrease
+    let factor = 1;
+    let candidate = theta;
+    let llNew = -Infinity;
+    for (let halving = 0; halving < 30; halving++) {
+      candidate = theta.map((t, j) => t + factor * step[j]);
+      const ordered = candidate.slice(p).every((z, j, zeta) => j === 0 || z > zeta[j - 1]);
+      llNew = ordered ? polrLogLik(Xd, response, weights, candidate, p, q, link) : -Infinity;
+      if (llNew >= ll - 1e-12 * Math.abs(ll)) break;
+      factor /= 2;
+    }
+    if (!(llNew > -Infinity)) break;
+
+    const change = Math.abs(llNew - ll);
+    const llOld = ll;
+    theta = candidate;
+    ll = llNew;
+    if (change <= tol * (Math.abs(llOld) + tol)) {
+      converged = true;
+      break;
+    }
+  }
+
+  const cov = inverseInformation(polrDerivatives(Xd, response, weights, theta, p, q, link).info);
+  const se = Array.from({ length: p + q }, (_, j) => Math.sqrt(Math.abs(cov.get(j, j))));
+  const coefficients = Array.from(theta.slice(0, p));
+  const zeta = Array.from(theta.slice(p));
+
+  const fitted = Array.from({ length: n }, (_, i) =>
+    polrProbabilities(rowEta(Xd, i, theta, p), zeta, link)
+  );
+  const deviance = -2 * ll;
+
+  const model = {
+    coefficients,
+    std_errors: se.slice(0, p),
+    t_values: coefficients.map((b, j) => b / se[j]),
+    zeta,
+    zeta_names: levels.slice(0, q).map((lv, j) => `${lv}|${levels[j + 1]}`),
+    zeta_std_errors: se.slice(p),
+    zeta_t_values: zeta.map((z, j) => z / se[p + j]),
+    vcov: cov,
+    coef_names: design.coef_names,
+    levels,
+    method,
+    fitted_values: fitted,
+    linear_predictors: Array.from({ length: n }, (_, i) => rowEta(Xd, i, theta, p)),
+    deviance,
+    log_lik: ll,
+    edf: p + q,
+    aic: deviance + 2 * (p + q),
+    converged,
+    iterations,
+    n,
+    p,
+    weights: Array.from(weights),
+    ...design.meta
+  };
+
+  return applyNaAction(model, design.rows, design.n_total, design.na_action);
+}
+
+/**
+ * Predict from a multinom() or polr() fit
+ *
+ * @param {Object} model - Fitted model from multinom() or polr()
+ * @param {Array<Vector|Array>|DataFrame} newX - New predictor values (a DataFrame for formula fits)
+ * @param {Object} options - Options
+ * @param {string} options.type - 'probs' for class probabilities or 'class' for the most likely level (default: 'probs')
+ * @returns {Array<Array<number>>|Array<string>} - Probability rows (in the order of model.levels) or class labels
+ */
+export function predictCategorical(model, newX, { type = 'probs' } = {}) {
+  if (type !== 'probs' && type !== 'class') {
+    throw new Error(`Unknown prediction type: ${type}. Use 'probs' or 'class'.`);
+  }
+
+  let X;
+  if (newX instanceof Matrix) {
+    X = newX;
+  } else if (model.terms && !Array.isArray(newX)) {
+    X = newModelMatrix(model, newX);
+    if (model.zeta && model.terms.intercept) {
+      X = Matrix.fromColumns(Array.from({ length: X.cols - 1 }, (_, j) => X.getColumn(j + 1)));
+    }
+  } else {
+    const intercept = model.coef_names[0] === '(Intercept)' || Boolean(model.zeta);
+    const { columns } = predictorColumns(newX, null, { intercept, specs: model._specs || {} });
+    X = Matrix.fromColumns(model.zeta ? columns.slice(1) : columns);
+  }
+
+  const K = model.levels.length;
+  const probs = [];
+  for (let i = 0; i < X.rows; i++) {
+    if (model.zeta) {
+      let eta = 0;
+      for (let j = 0; j < X.cols; j++) eta += X.get(i, j) * model.coefficients[j];
+      probs.push(polrProbabilities(eta, model.zeta, cumulativeLink(model.method)));
+    } else {
+      probs.push(Array.from(softmaxRow(X, i, model.coefficients.flat(), K, X.cols)));
+    }
+  }
+
+  if (type === 'probs') return probs;
+  return probs.map(row => model.levels[row.indexOf(Math.max(...row))]);
+}
+
+/**
+ * Response codes, design matrix and weights for the complete observations,
+ * from either a formula and data or a response and predictors. With
+ * thresholds (polr) predictors are coded as for a model with an intercept
+ * and the intercept column is then dropped.
+ */
+function categoricalDesign(y, X, {
+  data,
+  weights = null,
+  contrasts = {},
+  na_action = 'na.omit'
+}, { intercept = true, thresholds = false }) {
+  if (typeof y === 'string') {
+    const mm = modelMatrix(y, data, { contrasts, na_action, extra: weights ? { weights } : {} });
+    if (mm.y === null) {
+      throw new Error(`Formula has no response: ${y}`);
+    }
+    let design = mm.X;
+    let coefNames = mm.coef_names;
+    let assign = mm.assign;
+    if (thresholds && mm.intercept) {
+      design = Matrix.fromColumns(Array.from({ length: design.cols - 1 }, (_, j) => design.getColumn(j + 1)));
+      coefNames = coefNames.slice(1);
+      assign = assign.slice(1);
+    }
+    const factor = responseFactor(mm.y);
+    return {
+      ...codeResponse(factor, null),
+      X: design,
+      coef_names: coefNames,
+      weights: weights ? Float64Array.from(mm.extra.weights) : new Float64Array(design.rows).fill(1),
+      rows: mm.rows,
+      n_total: mm.n_total,
+      na_action,
+      meta: {
+        formula: mm.terms.formula,
+        terms: mm.terms,
+        term_labels: mm.terms.term_labels,
+        assign,
+        xlevels: mm.xlevels,
+        contrasts: contrastNames(mm.terms.specs)
+      }
+    };
+  }
+
+  const factor = responseFactor(y);
+  const n = factor.length;
+  if (X instanceof Matrix && X.rows !== n) {
+    throw new Error(`Design matrix has ${X.rows} rows but response has ${n} observations`);
+  }
+  const rows = completeRows(n, [factor, weights, ...(Array.isArray(X) ? X : [X])], na_action);
+  if (rows.length === 0) {
+    throw new Error('No complete observations in response and predictors');
+  }
+
+  let design;
+  let coefNames;
+  let meta = { _specs: null };
+  if (X instanceof Matrix) {
+    design = rows.length < n ? X.subsetRows(rows) : X;
+    coefNames = Array.from({ length: design.cols }, (_, j) => `x${j + 1}`);
+  } else if (Array.isArray(X)) {
+    const cols = predictorColumns(X, rows, { intercept: intercept || thresholds, contrasts });
+    const first = thresholds ? 1 : 0;
+    design = Matrix.fromColumns(cols.columns.slice(first));
+    coefNames = cols.coef_names.slice(first);
+    meta = {
+      term_labels: cols.term_labels,
+      assign: cols.assign.slice(first),
+      xlevels: cols.xlevels,
+      contrasts: contrastNames(cols.specs),
+      _specs: cols.specs
+    };
+  } else {
+    throw new Error('X must be a Matrix or array of predictors');
+  }
+
+  return {
+    ...codeResponse(factor, rows),
+    X: design,
+    coef_names: coefNames,
+    weights: Float64Array.from(rows, i => (weights === null ? 1 : weights[i])),
+    rows,
+    n_total: n,
+    na_action,
+    meta
+  };
+}
+
+/**
+ * Convert a response to a Factor; numbers and strings get sorted levels
+ */
+function responseFactor(y) {
+  if (y instanceof Factor) return y;
+  const values = y instanceof Vector ? y.toArray() : Array.from(y);
+  const observed = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+  const numeric = observed.every(v => typeof v === 'number');
+  const unique = Array.from(new Set(observed));
+  unique.sort(numeric ? (a, b) => a - b : undefined);
+  return new Factor(values.map(v => (v === undefined || Number.isNaN(v) ? null : v)), { levels: unique.map(String) });
+}
+
+/**
+ * Level codes of the used rows, dropping levels that do not occur
+ */
+function codeResponse(factor, rows) {
+  const index = rows || Array.from({ length: factor.length }, (_, i) => i);
+  const used = new Set(index.map(i => factor.codes[i]));
+  const kept = factor.levels.map((_, code) => code).filter(code => used.has(code));
+  const recode = new Map(kept.map((code, k) => [code, k]));
+  return {
+    response: Int32Array.from(index, i => recode.get(factor.codes[i])),
+    levels: kept.map(code => factor.levels[code])
+  };
+}
+
+/**
+ * Class probabilities of row i with the first level as baseline
+ */
+function softmaxRow(X, i, beta, K, p) {
+  const eta = new Float64Array(K);
+  for (let k = 1; k < K; k++) {
+    let s = 0;
+    for (let j = 0; j < p; j++) s += X.get(i, j) * beta[(k - 1) * p + j];
+    eta[k] = s;
+  }
+  const max = Math.max(...eta);
+  let total = 0;
+  for (let k = 0; k < K; k++) {
+    eta[k] = Math.exp(eta[k] - max);
+    total += eta[k];
+  }
+  return eta.map(e => e / total);
+}
+
+/**
+ * Gradient and Fisher information of the multinomial log-likelihood
+ */
+function multinomDerivatives(X, response, weights, beta, K, p) {
+  const m = (K - 1) * p;
+  const gradient = new Float64Array(m);
+  const info = new Matrix(m, m);
+
+  for (let i = 0; i < X.rows; i++) {
+    const probs = softmaxRow(X, i, beta, K, p);
+    const w = weights[i];
+    for (let k = 1; k < K; k++) {
+      const resid = (response[i] === k ? 1 : 0) - probs[k];
+      for (let j = 0; j < p; j++) {
+        gradient[(k - 1) * p + j] += w * resid * X.get(i, j);
+      }
+      for (let l = 1; l < K; l++) {
+        const c = w * probs[k] * ((k === l ? 1 : 0) - probs[l]);
+        for (let j = 0; j < p; j++) {
+          const row = (k - 1) * p + j;
+          for (let h = 0; h < p; h++) {
+            const col = (l - 1) * p + h;
+            info.set(row, col, info.get(row, col) + c * X.get(i, j) * X.get(i, h));
+          }
+        }
+      }
+    }
+  }
+  return { gradient, info };
+}
+
+/**
+ * Distribution function F, density f and density derivative f' of a cumulative link
+ */
+function cumulativeLink(method) {
+  if (method === 'probit') {
+    return {
+      cdf: x => pnorm(x),
+      upper: x => pnorm(x, { lower_tail: false }),
+      pdf: x => dnorm(x),
+      dpdf: x => -x * dnorm(x),
+      quantile: p => qnorm(p)
+    };
+  }
+  const cdf = x => 1 / (1 + Math.exp(-x));
+  return {
+    cdf,
+    upper: x => cdf(-x),
+    pdf: x => {
+      const F = cdf(x);
+      return F * (1 - F);
+    },
+    dpdf: x => {
+      const F = cdf(x);
+      return F * (1 - F) * (1 - 2 * F);
+    },
+    quantile: p => Math.log(p / (1 - p))
+  };
+}
+
+function rowEta(X, i, theta, p) {
+  let eta = 0;
+  for (let j = 0; j < p; j++) eta += X.get(i, j) * theta[j];
+  return eta;
+}
+
+/**
+ * P(lower < latent <= upper) for the interval of a response level, using the
+ * upper tail when both ends are positive to avoid cancellation
+ */
+function intervalProbability(lower, upper, link) {
+  if (lower > 0) return link.upper(lower) - link.upper(upper);
+  return link.cdf(upper) - link.cdf(lower);
+}
+
+function polrProbabilities(eta, zeta, link) {
+  const cuts = [-Infinity, ...zeta.map(z => z - eta), Infinity];
+  return cuts.slice(1).map((upper, k) => intervalProbability(cuts[k], upper, link));
+}
+
+function polrLogLik(X, response, weights, theta, p, q, link) {
+  let ll = 0;
+  for (let i = 0; i < X.rows; i++) {
+    const eta = rowEta(X, i, theta, p);
+    const c = response[i];
+    const upper = c < q ? theta[p + c] - eta : Infinity;
+    const lower = c > 0 ? theta[p + c - 1] - eta : -Infinity;
+    ll += weights[i] * Math.log(Math.max(intervalProbability(lower, upper, link), 1e-300));
+  }
+  return ll;
+}
+
+/**
+ * Gradient and observed information of the cumulative link log-likelihood
+ * in theta = (beta, zeta)
+ */
+function polrDerivatives(X, response, weights, theta, p, q, link) {
+  const m = p + q;
+  const gradient = new Float64Array(m);
+  const info = new Matrix(m, m);
+
+  for (let i = 0; i < X.rows; i++) {
+    const eta = rowEta(X, i, theta, p);
+    const c = response[i];
+    const hasUpper = c < q;
+    const hasLower = c > 0;
+    const a = hasUpper ? theta[p + c] - eta : Infinity;
+    const b = hasLower ? theta[p + c - 1] - eta : -Infinity;
+    const P = Math.max(intervalProbability(b, a, link), 1e-300);
+    const fa = hasUpper ? link.pdf(a) : 0;
+    const fb = hasLower ? link.pdf(b) : 0;
+    const dfa = hasUpper ? link.dpdf(a) : 0;
+    const dfb = hasLower ? link.dpdf(b) : 0;
+
+    // Derivatives of log P in the interval ends a and b
+    const ga = fa / P;
+    const gb = -fb / P;
+    const haa = dfa / P - ga * ga;
+    const hbb = -dfb / P - gb * gb;
+    const hab = -ga * gb;
+
+    // da/dtheta and db/dtheta: -x for beta, 1 for the own threshold
+    const da = new Float64Array(m);
+    const db = new Float64Array(m);
+    for (let j = 0; j < p; j++) {
+      da[j] = -X.get(i, j);
+      db[j] = -X.get(i, j);
+    }
+    if (hasUpper) da[p + c] = 1;
+    if (hasLower) db[p + c - 1] = 1;
+    if (!hasUpper) da.fill(0);
+    if (!hasLower) db.fill(0);
+
+    const w = weights[i];
+    for (let j = 0; j < m; j++) {
+      gradient[j] += w * (ga * da[j] + gb * db[j]);
+      for (let k = 0; k < m; k++) {
+        const h = haa * da[j] * da[k] + hbb * db[j] * db[k] + hab * (da[j] * db[k] + db[j] * da[k]);
+        info.set(j, k, info.get(j, k) - w * h);
+      }
+    }
+  }
+  return { gradient, info };
+}
+
+/**
+ * Newton step solving info * step = gradient by Cholesky, with a small ridge
+ * if the information is not positive definite
+ */
+function solveNewton(info, gradient) {
+  const m = gradient.length;
+  let ridge = 0;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const A = info.clone();
+    for (let j = 0; j < m; j++) A.set(j, j, A.get(j, j) + ridge);
+    try {
+      const L = cholesky(A);
+      const v = new Float64Array(m);
+      for (let i = 0; i < m; i++) {
+        let s = gradient[i];
+        for (let k = 0; k < i; k++) s -= L.get(i, k) * v[k];
+        v[i] = s / L.get(i, i);
+      }
+      const step = new Float64Array(m);
+      for (let i = m - 1; i >= 0; i--) {
+        let s = v[i];
+        for (let k = i + 1; k < m; k++) s -= L.get(k, i) * step[k];
+        step[i] = s / L.get(i, i);
+      }
+      return step;
+    } catch (e) {
+      ridge = ridge === 0 ? 1e-8 * (1 + Math.max(...Array.from({ length: m }, (_, j) => Math.abs(info.get(j, j))))) : ridge * 10;
+    }
+  }
+  throw new Error('Information matrix is singular; check for collinear predictors');
+}
+
+function inverseInformation(info) {
+  try {
+    return inverse(info);
+  } catch (e) {
+    throw new Error('Information matrix is singular at the estimates; standard errors are not available');
+  }
+}
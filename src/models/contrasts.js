@@ -0,0 +1,292 @@
+/**
+ * Contrasts - coding of Factor levels as design matrix columns
+ * Implements R's contr.treatment, contr.sum, contr.helmert and contr.poly
+ */
+
+import Factor from '../core/Factor.js';
+import { Matrix } from '../math/matrix.js';
+
+/**
+ * Treatment (dummy) contrasts: each non-reference level is compared to the reference
+ *
+ * @param {Array<string>|number} levels - Factor levels or number of levels
+ * @param {Object} options - Options
+ * @param {string|number} options.base - Reference level, by name or 1-based index (default: first level)
+ * @returns {{ matrix: Matrix, colnames: Array<string> }} - Levels x (levels - 1) coding matrix
+ *
+ * @example
+ * contr_treatment(['4', '6', '8']).colnames;               // ['6', '8']
+ * contr_treatment(['4', '6', '8'], { base: '6' }).colnames; // ['4', '8']
+ */
+export function contr_treatment(levels, { base = 1 } = {}) {
+  const lv = normalizeLevels(levels);
+  const k = lv.length;
+  const baseIdx = resolveBase(lv, base);
+
+  const colnames = lv.filter((_, i) => i !== baseIdx);
+  const matrix = new Matrix(k, k - 1);
+  let col = 0;
+  for (let i = 0; i < k; i++) {
+    if (i === baseIdx) continue;
+    matrix.set(i, col, 1);
+    col++;
+  }
+
+  return { matrix, colnames };
+}
+
+/**
+ * Sum (deviation) contrasts: coefficients are deviations from the grand mean,
+ * the last level is coded -1 in every column
+ *
+ * @param {Array<string>|number} levels - Factor levels or number of levels
+ * @returns {{ matrix: Matrix, colnames: Array<string> }}
+ */
+export function contr_sum(levels) {
+  const k = normalizeLevels(levels).length;
+  const matrix = new Matrix(k, k - 1);
+
+  for (let j = 0; j < k - 1; j++) {
+    matrix.set(j, j, 1);
+    matrix.set(k - 1, j, -1);
+  }
+
+  return { matrix, colnames: numberedNames(k - 1) };
+}
+
+/**
+ * Helmert contrasts: each level is compared to the mean of the preceding levels
+ *
+ * @param {Array<string>|number} levels - Factor levels or number of levels
+ * @returns {{ matrix: Matrix, colnames: Array<string> }}
+ */
+export function contr_helmert(levels) {
+  const k = normalizeLevels(levels).length;
+  const matrix = new Matrix(k, k - 1);
+
+  for (let j = 0; j < k - 1; j++) {
+    for (let i = 0; i <= j; i++) {
+      matrix.set(i, j, -1);
+    }
+    matrix.set(j + 1, j, j + 1);
+  }
+
+  return { matrix, colnames: numberedNames(k - 1) };
+}
+
+/**
+ * Orthogonal polynomial contrasts for ordered levels
+ * Columns are the normalized linear, quadratic, cubic, ... trends
+ *
+ * @param {Array<string>|number} levels - Factor levels or number of levels
+ * @param {Object} options - Options
+ * @param {Array<number>} options.scores - Spacing of the levels (default: 1, 2, ..., k)
+ * @returns {{ matrix: Matrix, colnames: Array<string> }}
+ */
+export function contr_poly(levels, { scores = null } = {}) {
+  const k = normalizeLevels(levels).length;
+  if (k < 2) {
+    throw new Error('contr_poly requires at least 2 levels');
+  }
+
+  const x = scores ? Array.from(scores) : Array.from({ length: k }, (_, i) => i + 1);
+  if (x.length !== k) {
+    throw new Error(`scores has length ${x.length} but there are ${k} levels`);
+  }
+
+  const mean = x.reduce((a, b) => a + b, 0) / k;
+  const centered = x.map(v => v - mean);
+
+  // Gram-Schmidt on the powers of the centered scores
+  const basis = [new Array(k).fill(1 / Math.sqrt(k))];
+  for (let d = 1; d < k; d++) {
+    const v = centered.map(c => Math.pow(c, d));
+    for (const b of basis) {
+      let proj = 0;
+      for (let i = 0; i < k; i++) proj += v[i] * b[i];
+      for (let i = 0; i < k; i++) v[i] -= proj * b[i];
+    }
+    const len = Math.sqrt(v.reduce((acc, vi) => acc + vi * vi, 0));
+    if (len < 1e-12) {
+      throw new Error('scores must be distinct');
+    }
+    basis.push(v.map(vi => vi / len));
+  }
+
+  const matrix = new Matrix(k, k - 1);
+  for (let j = 1; j < k; j++) {
+    for (let i = 0; i < k; i++) {
+      // Clean up round-off so symmetric entries are exactly zero
+      const val = basis[j][i];
+      matrix.set(i, j - 1, Math.abs(val) < 1e-14 ? 0 : val);
+    }
+  }
+
+  const colnames = [];
+  for (let d = 1; d < k; d++) {
+    colnames.push(d === 1 ? '.L' : d === 2 ? '.Q' : d === 3 ? '.C' : `^${d}`);
+  }
+
+  return { matrix, colnames };
+}
+
+const CONTRASTS = {
+  treatment: contr_treatment,
+  sum: contr_sum,
+  helmert: contr_helmert,
+  poly: contr_poly
+};
+
+/**
+ * Resolve a contrast specification to a coding matrix for the given levels
+ *
+ * A specification may be:
+ * - a name: 'treatment', 'sum', 'helmert' or 'poly'
+ * - an object: { type: 'treatment', base: '6' } (extra keys are passed to the generator)
+ * - a function (levels) => { matrix, colnames }
+ * - a Matrix or 2-D array with one row per level (custom contrasts)
+ *
+ * @param {string|Object|Function|Matrix|Array} spec - Contrast specification (default: 'treatment')
+ * @param {Array<string>} levels - Factor levels
+ * @returns {{ matrix: Matrix, colnames: Array<string> }}
+ */
+export function contrastMatrix(spec, levels) {
+  if (spec === null || spec === undefined) {
+    spec = 'treatment';
+  }
+
+  if (typeof spec === 'string') {
+    const fn = CONTRASTS[spec];
+    if (!fn) {
+      throw new Error(`Unknown contrast type: ${spec}. Use 'treatment', 'sum', 'helmert' or 'poly'.`);
+    }
+    return fn(levels);
+  }
+
+  if (typeof spec === 'function') {
+    return spec(levels);
+  }
+
+  if (spec instanceof Matrix || Array.isArray(spec)) {
+    const matrix = spec instanceof Matrix
+      ? spec
+      : new Matrix(spec.length, spec[0].length, spec.flat());
+    if (matrix.rows !== levels.length) {
+      throw new Error(`Contrast matrix has ${matrix.rows} rows but the factor has ${levels.length} levels`);
+    }
+    return { matrix, colnames: numberedNames(matrix.cols) };
+  }
+
+  if (typeof spec === 'object') {
+    const { type = 'treatment', ...opts } = spec;
+    const fn = CONTRASTS[type];
+    if (!fn) {
+      throw new Error(`Unknown contrast type: ${type}. Use 'treatment', 'sum', 'helmert' or 'poly'.`);
+    }
+    return fn(levels, opts);
+  }
+
+  throw new Error('Invalid contrast specification');
+}
+
+/**
+ * Expand a Factor into coded design matrix columns
+ *
+ * @param {Factor} factor - Factor to expand
+ * @param {string} label - Variable name used as the column name prefix
+ * @param {Object} options - Options
+ * @param {*} options.contrasts - Contrast specification (see contrastMatrix)
+ * @param {boolean} options.full - Use one indicator column per level instead of contrasts
+ * @returns {Array<{ name: string, values: Array<number> }>} - Columns; NA rows are NaN
+ *
+ * @example
+ * const cyl = new Factor([4, 6, 8, 6]);
+ * contrastColumns(cyl, 'cylinder').map(c => c.name); // ['cylinder6', 'cylinder8']
+ */
+export function contrastColumns(factor, label, { contrasts = null, full = false } = {}) {
+  if (!(factor instanceof Factor)) {
+    throw new Error('contrastColumns requires a Factor');
+  }
+
+  const levels = factor.levels;
+  let matrix;
+  let colnames;
+
+  if (full) {
+    matrix = Matrix.identity(levels.length);
+    colnames = levels.slice();
+  } else {
+    ({ matrix, colnames } = contrastMatrix(contrasts, levels));
+  }
+
+  const cols = [];
+  for (let j = 0; j < matrix.cols; j++) {
+    const values = new Array(factor.length);
+    for (let i = 0; i < factor.length; i++) {
+      values[i] = factor.isNA(i) ? NaN : matrix.get(factor.codes[i], j);
+    }
+    cols.push({ name: `${label}${colnames[j]}`, values });
+  }
+
+  return cols;
+}
+
+/**
+ * Name of a contrast specification, as recorded on fitted models
+ */
+export function contrastName(spec) {
+  if (spec === null || spec === undefined) return 'treatment';
+  if (typeof spec === 'string') return spec;
+  if (typeof spec === 'object' && !Array.isArray(spec) && !(spec instanceof Matrix)) {
+    return spec.type || 'treatment';
+  }
+  return 'custom';
+}
+
+/**
+ * Contrast names for every factor in a set of variable specs
+ *
+ * @param {Object} specs - Variable specs keyed by variable name
+ * @returns {Object} - e.g. { 'factor(cyl)': 'treatment' }
+ */
+export function contrastNames(specs) {
+  const out = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    if (spec.type === 'factor') {
+      out[name] = contrastName(spec.contrasts);
+    }
+  }
+  return out;
+}
+
+function normalizeLevels(levels) {
+  if (typeof levels === 'number') {
+    if (!Number.isInteger(levels) || levels < 2) {
+      throw new Error('Contrasts require at least 2 levels');
+    }
+    return Array.from({ length: levels }, (_, i) => String(i + 1));
+  }
+  const lv = Array.from(levels).map(String);
+  if (lv.length < 2) {
+    throw new Error('Contrasts require at least 2 levels');
+  }
+  return lv;
+}
+
+function resolveBase(levels, base) {
+  if (typeof base === 'number') {
+    if (!Number.isInteger(base) || base < 1 || base > levels.length) {
+      throw new Error(`base must be between 1 and ${levels.length}`);
+    }
+    return base - 1;
+  }
+  const idx = levels.indexOf(String(base));
+  if (idx === -1) {
+    throw new Error(`Reference level '${base}' is not one of the factor levels`);
+  }
+  return idx;
+}
+
+function numberedNames(n) {
+  return Array.from({ length: n }, (_, i) => String(i + 1));
+}
@@ -5,6 +5,8 @@
 
 import { qt } from '../distributions/t.js';
 import { Matrix } from '../math/matrix.js';
+import { predictorColumns, newModelMatrix } from './formula.js';
+import { naUnpad } from './na_action.js';
 
 /**
  * Compute diagnostic statistics for a fitted model
@@ -22,12 +24,14 @@ import { Matrix } from '../math/matrix.js';
 export function diagnostics(model) {
   const n = model.n;
   const p = model.p;
-  const X = model._X;
-  
-  if (!X) {
+  if (!model._X) {
     throw new Error('Model must contain design matrix (_X) for diagnostics');
   }
   
+  // Weighted fits are diagnosed on the sqrt(w)-scaled design and residuals
+  const X = weightedDesign(model);
+  const residuals = weightedResiduals(model);
+  
   // Compute hat matrix diagonal (leverage)
   const leverage = computeLeverage(X);
   
@@ -36,14 +40,14 @@ export function diagnostics(model) {
   const sigma = model.sigma || Math.sqrt(model.deviance / model.df.residual);
   
   for (let i = 0; i < n; i++) {
-    std_residuals[i] = model.residuals[i] / sigma;
+    std_residuals[i] = residuals[i] / sigma;
   }
   
   // Studentized residuals (leave-one-out)
   const student_residuals = new Float64Array(n);
   for (let i = 0; i < n; i++) {
     const h_ii = leverage[i];
-    student_residuals[i] = model.residuals[i] / (sigma * Math.sqrt(1 - h_ii));
+    student_residuals[i] = residuals[i] / (sigma * Math.sqrt(1 - h_ii));
   }
   
   // Cook's distance
@@ -55,7 +59,7 @@ export function diagnostics(model) {
   }
   
   // DFBETAS - influence on each coefficient
-  const dfbetas = computeDFBETAS(model, leverage, student_residuals);
+  const dfbetas = computeDFBETAS(model, X, leverage, student_residuals);
   
   // DFFITS - influence on fitted values
   const dffits = new Float64Array(n);
@@ -83,6 +87,43 @@ export function diagnostics(model) {
   };
 }
 
+/**
+ * Design matrix of the fit, with rows scaled by sqrt(w) for weighted linear models
+ * (glm prior weights enter through the IRLS working weights instead; rlm() uses its final IRLS weights)
+ */
+function weightedDesign(model) {
+  const X = model._X;
+  const weights = fitWeights(model);
+  if (!weights) return X;
+
+  const Xw = X.clone();
+  for (let i = 0; i < X.rows; i++) {
+    const s = Math.sqrt(weights[i]);
+    for (let j = 0; j < X.cols; j++) {
+      Xw.set(i, j, X.get(i, j) * s);
+    }
+  }
+  return Xw;
+}
+
+/**
+ * Residuals of the fit, scaled by sqrt(w) for weighted linear models
+ */
+function weightedResiduals(model) {
+  const residuals = naUnpad(model.residuals);
+  const weights = fitWeights(model);
+  if (!weights) return residuals;
+  return residuals.map((r, i) => r * Math.sqrt(weights[i]));
+}
+
+/**
+ * Weights of the final least squares fit of a linear model, or null
+ */
+function fitWeights(model) {
+  if (model.family) return null;
+  return model.w || model.weights || null;
+}
+
 /**
  * Compute leverage (hat values) from design matrix
  * h_ii = [X(X'X)^-1X']_ii
@@ -116,10 +157,9 @@ function computeLeverage(X) {
 /**
  * Compute DFBETAS - change in each coefficient when observation i is deleted
  */
-function computeDFBETAS(model, leverage, student_residuals) {
+function computeDFBETAS(model, X, leverage, student_residuals) {
   const n = model.n;
   const p = model.p;
-  const X = model._X;
   const sigma = model.sigma || Math.sqrt(model.deviance / model.df.residual);
   
   // Compute (X'X)^-1
@@ -306,7 +346,7 @@ export function confint(model, level = 0.95) {
  * Compute prediction intervals for new observations
  * 
  * @param {Object} model - Fitted model from lm()
- * @param {Array} newX - New predictor values
+ * @param {Array|DataFrame} newX - New predictor values (a DataFrame for formula fits)
  * @param {number} level - Confidence level (default: 0.95)
  * @param {string} interval - 'confidence' or 'prediction' (default: 'confidence')
  * @returns {Object} - Predictions with intervals
@@ -316,7 +356,6 @@ export function predictWithInterval(model, newX, level = 0.95, interval = 'confi
     throw new Error('Prediction intervals only supported for linear models (lm)');
   }
   
-  const n_new = newX[0].length;
   const p = model.p;
   const intercept = model.coef_names[0] === '(Intercept)';
   const df = model.df.residual;
@@ -324,24 +363,15 @@ export function predictWithInterval(model, newX, level = 0.95, interval = 'confi
   const alpha = 1 - level;
   const t_crit = qt(1 - alpha / 2, df);
   
-  // Build design matrix for new data
-  const cols = [];
-  
-  if (intercept) {
-    const interceptCol = new Float64Array(n_new);
-    interceptCol.fill(1);
-    cols.push(interceptCol);
-  }
-  
-  for (let j = 0; j < newX.length; j++) {
-    const col = new Float64Array(n_new);
-    for (let i = 0; i < n_new; i++) {
-      col[i] = newX[j][i];
-    }
-    cols.push(col);
+  // Build design matrix for new data, coding factors as in the fit
+  let X_new;
+  if (model.terms && !Array.isArray(newX)) {
+    X_new = newModelMatrix(model, newX);
+  } else {
+    const { columns } = predictorColumns(newX, null, { intercept, specs: model._specs || {} });
+    X_new = Matrix.fromColumns(columns);
   }
-  
-  const X_new = Matrix.fromColumns(cols);
+  const n_new = X_new.rows;
   
   // Compute predictions
   const coefs = new Float64Array(model.coefficients);
@@ -350,8 +380,9 @@ export function predictWithInterval(model, newX, level = 0.95, interval = 'confi
   // Compute standard errors
   // SE(pred) = sigma * sqrt(x' (X'X)^-1 x)
   // SE(forecast) = sigma * sqrt(1 + x' (X'X)^-1 x)
+  // (X'WX for weighted fits; new observations are taken to have weight 1)
   
-  const X_train = model._X;
+  const X_train = weightedDesign(model);
   const XtX = X_train.transpose().multiply(X_train);
   const XtX_inv = invertMatrix(XtX);
   
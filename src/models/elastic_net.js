@@ -0,0 +1,595 @@
+/**
+ * Penalized regression - ridge, lasso and elastic net (glmnet-style)
+ * Fits a regularization path by cyclical coordinate descent with warm starts
+ *
+ * Minimizes, for each lambda on the path,
+ *   gaussian: 1/(2n) * RSS + lambda * [(1 - alpha)/2 * ||b||^2 + alpha * ||b||_1]
+ *   binomial: -1/n * logLik + lambda * [(1 - alpha)/2 * ||b||^2 + alpha * ||b||_1]
+ * The intercept is not penalized. Binomial fits use a proximal Newton (IRLS) outer loop.
+ */
+
+import Vector from '../core/Vector.js';
+import { Matrix } from '../math/matrix.js';
+import { createRng, shuffle } from '../math/random.js';
+
+const FAMILIES = ['gaussian', 'binomial'];
+const PROB_EPS = 1e-5;
+
+/**
+ * Fit an elastic net regularization path
+ *
+ * @param {Vector|Array} y - Response (numeric for gaussian, 0/1 for binomial)
+ * @param {Matrix|Array<Vector|Array>} X - Predictor matrix (n x p, no intercept column) or array of predictors
+ * @param {Object} options - Options
+ * @param {string} options.family - 'gaussian' or 'binomial' (default: 'gaussian')
+ * @param {number} options.alpha - Mixing parameter: 1 is the lasso, 0 is ridge (default: 1)
+ * @param {Array<number>} options.lambda - Decreasing penalty sequence (default: computed from the data)
+ * @param {number} options.nlambda - Number of lambda values on the computed path (default: 100)
+ * @param {number} options.lambda_min_ratio - Smallest lambda as a fraction of the largest
+ *   (default: 1e-4 when n > p, otherwise 0.01)
+ * @param {boolean} options.standardize - Scale predictors to unit variance before fitting;
+ *   coefficients are always returned on the original scale (default: true)
+ * @param {boolean} options.intercept - Fit an (unpenalized) intercept (default: true)
+ * @param {number} options.thresh - Coordinate descent convergence threshold (default: 1e-7)
+ * @param {number} options.maxit - Maximum coordinate descent passes per lambda (default: 100000)
+ * @returns {Object} - Path object { lambda, a0, beta, df, dev_ratio, null_deviance, ... }
+ *
+ * @example
+ * const fit = elasticNet(y, X, { alpha: 0.5 });
+ * coefElasticNet(fit, { s: 0.1 }); // [intercept, b1, ..., bp]
+ *
+ * @example
+ * // Lasso logistic regression
+ * const fit = elasticNet(labels, X, { family: 'binomial' });
+ */
+export function elasticNet(y, X, {
+  family = 'gaussian',
+  alpha = 1,
+  lambda = null,
+  nlambda = 100,
+  lambda_min_ratio = null,
+  standardize = true,
+  intercept = true,
+  thresh = 1e-7,
+  maxit = 100000
+} = {}) {
+  if (!FAMILIES.includes(family)) {
+    throw new Error(`Unknown family: ${family}. Use 'gaussian' or 'binomial'.`);
+  }
+  if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+    throw new Error('alpha must be between 0 and 1');
+  }
+
+  const yData = Array.from(y instanceof Vector ? y.toArray() : y);
+  const columns = predictorArrays(X, yData.length);
+  const n = yData.length;
+  const p = columns.length;
+
+  if (n < 2) {
+    throw new Error('At least 2 observations are required');
+  }
+  if (yData.some(v => !Number.isFinite(v)) || columns.some(col => col.some(v => !Number.isFinite(v)))) {
+    throw new Error('elasticNet() does not handle missing or non-finite values');
+  }
+  if (family === 'binomial' && yData.some(v => v !== 0 && v !== 1)) {
+    throw new Error('binomial response must be 0/1');
+  }
+
+  // Center (with an intercept) and scale the predictors
+  const { cols, center, scale } = standardizeColumns(columns, { intercept, standardize });
+
+  const yMean = intercept ? mean(yData) : 0;
+  if (family === 'binomial' && intercept && (yMean === 0 || yMean === 1)) {
+    throw new Error('binomial response has only one class');
+  }
+
+  const nullDeviance = family === 'gaussian'
+    ? yData.reduce((sum, v) => sum + (v - yMean) * (v - yMean), 0)
+    : binomialDeviance(yData, yData.map(() => intercept ? yMean : 0.5));
+
+  // Lambda path
+  let lambdas;
+  let userLambda = false;
+  if (lambda !== null) {
+    lambdas = Array.from(lambda);
+    if (lambdas.some(l => !(l >= 0))) {
+      throw new Error('lambda values must be non-negative');
+    }
+    lambdas.sort((a, b) => b - a);
+    userLambda = true;
+  } else {
+    const ratio = lambda_min_ratio === null ? (n > p ? 1e-4 : 0.01) : lambda_min_ratio;
+    // Gradient at the null model: the mean response, or 1/2 for a binomial fit without intercept
+    const nullMean = family === 'binomial' && !intercept ? 0.5 : yMean;
+    const lambdaMax = maxLambda(cols, yData, nullMean, n, alpha);
+    lambdas = [];
+    for (let k = 0; k < nlambda; k++) {
+      lambdas.push(lambdaMax * Math.pow(ratio, k / Math.max(1, nlambda - 1)));
+    }
+  }
+
+  // Warm-started path
+  const beta = new Float64Array(p);
+  let b0 = family === 'gaussian' ? yMean : (intercept ? Math.log(yMean / (1 - yMean)) : 0);
+  const path = { a0: [], beta: [], df: [], dev_ratio: [], iterations: [] };
+  const solver = family === 'gaussian' ? gaussianPath : binomialPath;
+
+  for (const lam of lambdas) {
+    const result = solver(cols, yData, beta, b0, { lambda: lam, alpha, intercept, thresh, maxit, nullDeviance });
+    b0 = result.b0;
+
+    // Back to the original predictor scale
+    const coef = new Array(p);
+    let a0 = b0;
+    for (let j = 0; j < p; j++) {
+      coef[j] = scale[j] > 0 ? beta[j] / scale[j] : 0;
+      a0 -= center[j] * coef[j];
+    }
+
+    path.a0.push(a0);
+    path.beta.push(coef);
+    path.df.push(coef.filter(b => b !== 0).length);
+    path.dev_ratio.push(nullDeviance > 0 ? 1 - result.deviance / nullDeviance : 0);
+    path.iterations.push(result.passes);
+  }
+
+  return {
+    family,
+    alpha,
+    lambda: lambdas,
+    a0: path.a0,
+    beta: path.beta,
+    df: path.df,
+    dev_ratio: path.dev_ratio,
+    null_deviance: nullDeviance,
+    iterations: path.iterations,
+    user_lambda: userLambda,
+    intercept,
+    standardize,
+    n,
+    p,
+    coef_names: ['(Intercept)', ...columns.map((_, j) => `x${j + 1}`)]
+  };
+}
+
+/**
+ * Coefficients of an elastic net path at a penalty value
+ * Values of s between path lambdas are linearly interpolated, as glmnet's coef(exact = FALSE)
+ *
+ * @param {Object} fit - Path from elasticNet() (or the fit of cvElasticNet())
+ * @param {Object} options - Options
+ * @param {number} options.s - Penalty value (default: the smallest lambda on the path)
+ * @returns {Array<number>} - [intercept, b1, ..., bp]
+ */
+export function coefElasticNet(fit, { s = null } = {}) {
+  const lambdas = fit.lambda;
+  const target = s === null ? lambdas[lambdas.length - 1] : s;
+  const { left, right, frac } = lambdaInterp(lambdas, target);
+
+  const coef = [fit.a0[left] * frac + fit.a0[right] * (1 - frac)];
+  for (let j = 0; j < fit.p; j++) {
+    coef.push(fit.beta[left][j] * frac + fit.beta[right][j] * (1 - frac));
+  }
+  return coef;
+}
+
+/**
+ * Predictions from an elastic net path
+ *
+ * @param {Object} fit - Path from elasticNet()
+ * @param {Matrix|Array<Vector|Array>} newX - New predictors (same columns as in the fit)
+ * @param {Object} options - Options
+ * @param {number} options.s - Penalty value (default: the smallest lambda on the path)
+ * @param {string} options.type - 'link', 'response' or 'class' (binomial only) (default: 'link')
+ * @returns {Array<number>} - Predictions
+ */
+export function predictElasticNet(fit, newX, { s = null, type = 'link' } = {}) {
+  if (!['link', 'response', 'class'].includes(type)) {
+    throw new Error(`Unknown prediction type: ${type}. Use 'link', 'response' or 'class'.`);
+  }
+  if (type === 'class' && fit.family !== 'binomial') {
+    throw new Error("type 'class' is only available for the binomial family");
+  }
+
+  const coef = coefElasticNet(fit, { s });
+  const columns = predictorArrays(newX, null);
+  if (columns.length !== fit.p) {
+    throw new Error(`newX has ${columns.length} predictors but the model has ${fit.p}`);
+  }
+
+  const m = columns.length > 0 ? columns[0].length : 0;
+  const eta = new Array(m).fill(coef[0]);
+  for (let j = 0; j < fit.p; j++) {
+    if (coef[j + 1] === 0) continue;
+    for (let i = 0; i < m; i++) {
+      eta[i] += columns[j][i] * coef[j + 1];
+    }
+  }
+
+  if (fit.family === 'gaussian' || type === 'link') return eta;
+  const prob = eta.map(logistic);
+  return type === 'class' ? prob.map(pr => (pr > 0.5 ? 1 : 0)) : prob;
+}
+
+/**
+ * Cross-validation for the elastic net penalty
+ *
+ * Fits the path on the full data, then refits it with each fold left out
+ * (at the same lambda values) and averages the held-out error.
+ *
+ * @param {Vector|Array} y - Response
+ * @param {Matrix|Array<Vector|Array>} X - Predictors
+ * @param {Object} options - elasticNet() options, plus:
+ * @param {number} options.nfolds - Number of folds (default: 10)
+ * @param {Array<number>} options.foldid - Fold (1..nfolds) of each observation (default: random)
+ * @param {string} options.type_measure - 'mse', 'mae', 'deviance' or 'class'
+ *   (default: 'mse' for gaussian, 'deviance' for binomial)
+ * @param {number} options.seed - Seed for the random fold assignment
+ * @returns {Object} - { lambda, cvm, cvsd, cvup, cvlo, lambda_min, lambda_1se, index_min, index_1se, fit }
+ *
+ * @example
+ * const cv = cvElasticNet(y, X, { alpha: 1, seed: 42 });
+ * coefElasticNet(cv.fit, { s: cv.lambda_1se });
+ */
+export function cvElasticNet(y, X, {
+  nfolds = 10,
+  foldid = null,
+  type_measure = null,
+  seed = null,
+  ...options
+} = {}) {
+  const fit = elasticNet(y, X, options);
+  const yData = Array.from(y instanceof Vector ? y.toArray() : y);
+  const columns = predictorArrays(X, yData.length);
+  const n = yData.length;
+
+  const measure = type_measure || (fit.family === 'gaussian' ? 'mse' : 'deviance');
+  const allowed = fit.family === 'gaussian' ? ['mse', 'mae'] : ['deviance', 'class', 'mse', 'mae'];
+  if (!allowed.includes(measure)) {
+    throw new Error(`type_measure '${measure}' is not available for the ${fit.family} family`);
+  }
+
+  let folds;
+  if (foldid !== null) {
+    folds = Array.from(foldid);
+    if (folds.length !== n) {
+      throw new Error(`foldid has length ${folds.length} but there are ${n} observations`);
+    }
+    nfolds = Math.max(...folds);
+  } else {
+    if (nfolds < 3 || nfolds > n) {
+      throw new Error(`nfolds must be between 3 and ${n}`);
+    }
+    folds = shuffle(Array.from({ length: n }, (_, i) => (i % nfolds) + 1), createRng(seed));
+  }
+
+  // Held-out loss of every observation at every lambda
+  const nlam = fit.lambda.length;
+  const losses = Array.from({ length: nlam }, () => new Array(n).fill(0));
+
+  for (let k = 1; k <= nfolds; k++) {
+    const train = [];
+    const test = [];
+    for (let i = 0; i < n; i++) {
+      (folds[i] === k ? test : train).push(i);
+    }
+    if (test.length === 0) continue;
+
+    const foldFit = elasticNet(
+      train.map(i => yData[i]),
+      columns.map(col => train.map(i => col[i])),
+      { ...options, lambda: fit.lambda }
+    );
+    const testX = columns.map(col => test.map(i => col[i]));
+
+    for (let l = 0; l < nlam; l++) {
+      const type = fit.family === 'binomial' ? 'response' : 'link';
+      const pred = predictElasticNet(foldFit, testX, { s: fit.lambda[l], type });
+      test.forEach((i, t) => {
+        losses[l][i] = pointLoss(measure, yData[i], pred[t]);
+      });
+    }
+  }
+
+  // Mean and standard error of the fold averages (weighted by fold size, as glmnet)
+  const foldSizes = new Array(nfolds + 1).fill(0);
+  for (const f of folds) foldSizes[f]++;
+
+  const cvm = [];
+  const cvsd = [];
+  for (let l = 0; l < nlam; l++) {
+    const foldMeans = new Array(nfolds + 1).fill(0);
+    for (let i = 0; i < n; i++) foldMeans[folds[i]] += losses[l][i];
+
+    const m = losses[l].reduce((sum, v) => sum + v, 0) / n;
+    let ss = 0;
+    for (let k = 1; k <= nfolds; k++) {
+      if (foldSizes[k] === 0) continue;
+      const fm = foldMeans[k] / foldSizes[k];
+      ss += foldSizes[k] * (fm - m) * (fm - m);
+    }
+    const usedFolds = foldSizes.filter(s => s > 0).length;
+    cvm.push(m);
+    cvsd.push(Math.sqrt(ss / n / (usedFolds - 1)));
+  }
+
+  let indexMin = 0;
+  for (let l = 1; l < nlam; l++) {
+    if (cvm[l] < cvm[indexMin]) indexMin = l;
+  }
+  // Largest lambda within one standard error of the minimum
+  const bound = cvm[indexMin] + cvsd[indexMin];
+  let index1se = indexMin;
+  for (let l = 0; l < indexMin; l++) {
+    if (cvm[l] <= bound) {
+      index1se = l;
+      break;
+    }
+  }
+
+  return {
+    lambda: fit.lambda,
+    cvm,
+    cvsd,
+    cvup: cvm.map((m, l) => m + cvsd[l]),
+    cvlo: cvm.map((m, l) => m - cvsd[l]),
+    nzero: fit.df,
+    type_measure: measure,
+    lambda_min: fit.lambda[indexMin],
+    lambda_1se: fit.lambda[index1se],
+    index_min: indexMin,
+    index_1se: index1se,
+    foldid: folds,
+    fit
+  };
+}
+
+/**
+ * Gaussian path step: coordinate descent on the residuals at one lambda
+ */
+function gaussianPath(cols, y, beta, b0, { lambda, alpha, intercept, thresh, maxit, nullDeviance }) {
+  const n = y.length;
+  const w = new Float64Array(n).fill(1 / n);
+  const r = new Float64Array(n);
+  for (let i = 0; i < n; i++) r[i] = y[i] - b0;
+  for (let j = 0; j < cols.length; j++) {
+    if (beta[j] === 0) continue;
+    for (let i = 0; i < n; i++) r[i] -= cols[j][i] * beta[j];
+  }
+
+  const result = penalizedLeastSquares(cols, w, r, beta, b0, {
+    lambda, alpha, intercept, thresh: thresh * nullDeviance / n, maxit
+  });
+
+  let rss = 0;
+  for (let i = 0; i < n; i++) rss += r[i] * r[i];
+  return { b0: result.b0, deviance: rss, passes: result.passes };
+}
+
+/**
+ * Binomial path step: IRLS outer loop around weighted coordinate descent
+ */
+function binomialPath(cols, y, beta, b0, { lambda, alpha, intercept, thresh, maxit, nullDeviance }) {
+  const n = y.length;
+  const eta = new Float64Array(n);
+  const w = new Float64Array(n);
+  const r = new Float64Array(n);
+  let deviance = Infinity;
+  let passes = 0;
+
+  for (let iter = 0; iter < 100; iter++) {
+    linearPredictor(cols, beta, b0, eta);
+
+    const prob = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      prob[i] = Math.min(1 - PROB_EPS, Math.max(PROB_EPS, logistic(eta[i])));
+      const v = prob[i] * (1 - prob[i]);
+      w[i] = v / n;
+      r[i] = (y[i] - prob[i]) / v;
+    }
+
+    const result = penalizedLeastSquares(cols, w, r, beta, b0, {
+      lambda, alpha, intercept, thresh: thresh * nullDeviance / n, maxit
+    });
+    b0 = result.b0;
+    passes += result.passes;
+
+    linearPredictor(cols, beta, b0, eta);
+    const devNew = binomialDeviance(y, Array.from(eta, logistic));
+    const converged = Math.abs(devNew - deviance) / (Math.abs(devNew) + 0.1) < 1e-8;
+    deviance = devNew;
+    if (converged) break;
+  }
+
+  return { b0, deviance, passes };
+}
+
+/**
+ * Weighted penalized least squares by cyclical coordinate descent
+ *
+ * Minimizes 1/2 * sum(w_i * r_i^2) + lambda * penalty(beta), updating beta, the
+ * intercept and the residuals r in place. Full passes over all coordinates
+ * alternate with passes over the active (non-zero) set until a full pass makes
+ * no change larger than thresh.
+ */
+function penalizedLeastSquares(cols, w, r, beta, b0, { lambda, alpha, intercept, thresh, maxit }) {
+  const p = cols.length;
+  const n = r.length;
+  const l1 = lambda * alpha;
+  const l2 = lambda * (1 - alpha);
+
+  const v = new Float64Array(p);
+  for (let j = 0; j < p; j++) {
+    let s = 0;
+    for (let i = 0; i < n; i++) s += w[i] * cols[j][i] * cols[j][i];
+    v[j] = s;
+  }
+  const wSum = w.reduce((sum, wi) => sum + wi, 0);
+
+  const pass = (indices) => {
+    let maxChange = 0;
+    for (const j of indices) {
+      if (v[j] === 0) continue;
+      const col = cols[j];
+      let g = 0;
+      for (let i = 0; i < n; i++) g += w[i] * col[i] * r[i];
+
+      const old = beta[j];
+      const u = g + v[j] * old;
+      const updated = softThreshold(u, l1) / (v[j] + l2);
+      if (updated !== old) {
+        const d = updated - old;
+        beta[j] = updated;
+        for (let i = 0; i < n; i++) r[i] -= d * col[i];
+        maxChange = Math.max(maxChange, v[j] * d * d);
+      }
+    }
+    if (intercept) {
+      let g = 0;
+      for (let i = 0; i < n; i++) g += w[i] * r[i];
+      const d = g / wSum;
+      if (d !== 0) {
+        b0 += d;
+        for (let i = 0; i < n; i++) r[i] -= d;
+        maxChange = Math.max(maxChange, wSum * d * d);
+      }
+    }
+    return maxChange;
+  };
+
+  const all = Array.from({ length: p }, (_, j) => j);
+  let passes = 0;
+
+  while (passes < maxit) {
+    passes++;
+    if (pass(all) < thresh) break;
+
+    // Iterate on the active set until it converges, then check all coordinates again
+    const active = all.filter(j => beta[j] !== 0);
+    while (passes < maxit) {
+      passes++;
+      if (pass(active) < thresh) break;
+    }
+  }
+
+  return { b0, passes };
+}
+
+/**
+ * Smallest lambda at which all coefficients are zero
+ */
+function maxLambda(cols, y, nullMean, n, alpha) {
+  let max = 0;
+  for (const col of cols) {
+    let g = 0;
+    for (let i = 0; i < n; i++) g += col[i] * (y[i] - nullMean);
+    max = Math.max(max, Math.abs(g) / n);
+  }
+  // As glmnet, ridge paths start from the lambda_max of alpha = 0.001
+  return max / Math.max(alpha, 1e-3);
+}
+
+function standardizeColumns(columns, { intercept, standardize }) {
+  const n = columns.length > 0 ? columns[0].length : 0;
+  const cols = [];
+  const center = [];
+  const scale = [];
+
+  for (const col of columns) {
+    const m = intercept ? mean(col) : 0;
+    let ss = 0;
+    for (let i = 0; i < n; i++) ss += (col[i] - m) * (col[i] - m);
+    const sd = Math.sqrt(ss / n);
+
+    const s = sd === 0 ? 0 : (standardize ? sd : 1);
+    center.push(m);
+    scale.push(s);
+    cols.push(Float64Array.from(col, x => (s > 0 ? (x - m) / s : 0)));
+  }
+
+  return { cols, center, scale };
+}
+
+function predictorArrays(X, n) {
+  let columns;
+  if (X instanceof Matrix) {
+    columns = [];
+    for (let j = 0; j < X.cols; j++) columns.push(Array.from(X.getColumn(j)));
+  } else if (Array.isArray(X)) {
+    columns = X.map(col => Array.from(col instanceof Vector ? col.toArray() : col));
+  } else {
+    throw new Error('X must be a Matrix or an array of predictors');
+  }
+
+  if (n !== null) {
+    for (const col of columns) {
+      if (col.length !== n) {
+        throw new Error(`Predictor has length ${col.length} but response has ${n} observations`);
+      }
+    }
+  }
+  return columns;
+}
+
+function lambdaInterp(lambdas, s) {
+  const last = lambdas.length - 1;
+  if (s >= lambdas[0]) return { left: 0, right: 0, frac: 1 };
+  if (s <= lambdas[last]) return { left: last, right: last, frac: 1 };
+
+  let k = 0;
+  while (lambdas[k + 1] > s) k++;
+  const frac = (s - lambdas[k + 1]) / (lambdas[k] - lambdas[k + 1]);
+  return { left: k, right: k + 1, frac };
+}
+
+function linearPredictor(cols, beta, b0, eta) {
+  eta.fill(b0);
+  for (let j = 0; j < cols.length; j++) {
+    if (beta[j] === 0) continue;
+    const col = cols[j];
+    for (let i = 0; i < eta.length; i++) eta[i] += col[i] * beta[j];
+  }
+}
+
+function pointLoss(measure, y, pred) {
+  switch (measure) {
+    case 'mse':
+      return (y - pred) * (y - pred);
+    case 'mae':
+      return Math.abs(y - pred);
+    case 'class':
+      return (pred > 0.5 ? 1 : 0) === y ? 0 : 1;
+    case 'deviance': {
+      const pr = Math.min(1 - PROB_EPS, Math.max(PROB_EPS, pred));
+      return -2 * (y * Math.log(pr) + (1 - y) * Math.log(1 - pr));
+    }
+  }
+  throw new Error(`Unknown type_measure: ${measure}`);
+}
+
+function binomialDeviance(y, prob) {
+  let dev = 0;
+  for (let i = 0; i < y.length; i++) {
+    const pr = Math.min(1 - 1e-15, Math.max(1e-15, prob[i]));
+    dev -= 2 * (y[i] * Math.log(pr) + (1 - y[i]) * Math.log(1 - pr));
+  }
+  return dev;
+}
+
+function softThreshold(z, gamma) {
+  if (z > gamma) return z - gamma;
+  if (z < -gamma) return z + gamma;
+  return 0;
+}
+
+function logistic(eta) {
+  if (eta >= 0) return 1 / (1 + Math.exp(-eta));
+  const e = Math.exp(eta);
+  return e / (1 + e);
+}
+
+function mean(values) {
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
@@ -0,0 +1,1040 @@
+/**
+ * Model formulas - R-style formula parsing and design matrix construction
+ * Turns 'y ~ x1 + factor(g) + x1:x2' and a DataFrame into a response vector,
+ * a design matrix and coefficient names for lm() and glm()
+ */
+
+import Vector from '../core/Vector.js';
+import Factor from '../core/Factor.js';
+import Surv from '../core/Surv.js';
+import { Matrix } from '../math/matrix.js';
+import { contrastColumns, contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction } from './na_action.js';
+import { poly, bs, ns, smoothBasis, predictBasis } from './splines.js';
+
+/**
+ * Parse an R-style model formula
+ *
+ * Supported operators:
+ * - `+` adds a term, `-` removes a term
+ * - `:` interaction, `*` crossing (a*b = a + b + a:b), `^` crossing to degree
+ * - `1` / `0` / `-1` control the intercept
+ * - `.` expands to every column of the data except the response
+ * - function calls such as factor(x), log(x), sqrt(x) and exp(x)
+ * - basis expansions poly(x, 2), bs(x, df = 5) and ns(x, df = 3), re-evaluated
+ *   with the fitted coefficients and knots when predicting on new data
+ * - smooth terms s(x, k = 10), penalized when fitted with gam()
+ * - a survival response Surv(time, status) for coxph(), survfit() and survdiff()
+ *
+ * @param {string} formula - Formula string, e.g. 'mpg ~ hp + wt + factor(cyl)'
+ * @param {Object} options - Options
+ * @param {Array<string>} options.names - Column names used to expand `.`
+ * @returns {Object} - Parsed terms object
+ *
+ * @example
+ * const terms = parseFormula('mpg ~ hp * wt');
+ * // terms.term_labels => ['hp', 'wt', 'hp:wt']
+ */
+export function parseFormula(formula, { names = null } = {}) {
+  if (typeof formula !== 'string') {
+    throw new Error('Formula must be a string');
+  }
+
+  const tokens = tokenize(formula);
+  const tildeIdx = tokens.findIndex(t => t.type === 'op' && t.value === '~');
+  if (tildeIdx === -1) {
+    throw new Error(`Formula must contain '~': ${formula}`);
+  }
+
+  const lhs = tokens.slice(0, tildeIdx);
+  const rhs = tokens.slice(tildeIdx + 1);
+
+  let response = null;
+  if (lhs.length === 1 && (lhs[0].type === 'name' || lhs[0].type === 'call')) {
+    response = lhs[0].value;
+  } else if (lhs.length > 1) {
+    throw new Error(`Response must be a single variable or function call: ${formula}`);
+  }
+
+  if (rhs.length === 0) {
+    throw new Error(`Formula has no right-hand side: ${formula}`);
+  }
+
+  const parser = new FormulaParser(rhs, { names, response });
+  const { terms, intercept } = parser.parse();
+
+  const variables = [];
+  for (const term of terms) {
+    for (const v of term.variables) {
+      if (!variables.includes(v)) variables.push(v);
+    }
+  }
+
+  return {
+    formula: formula.trim(),
+    response,
+    intercept,
+    terms,
+    term_labels: terms.map(t => t.label),
+    variables
+  };
+}
+
+/**
+ * Build the response and design matrix for a formula evaluated on a data set
+ *
+ * Rows with missing values in any variable used by the formula are dropped.
+ * Factor columns (and string columns) are expanded into contrast-coded
+ * columns named after the variable and level, e.g. `factor(cyl)6` for the
+ * default treatment contrasts.
+ *
+ * @param {string|Object} formula - Formula string or terms object from parseFormula()/a fitted model
+ * @param {DataFrame|Object} data - DataFrame or plain object of columns
+ * @param {Object} options - Options
+ * @param {boolean} options.response - Evaluate the response (default: true)
+ * @param {string} options.na_action - 'na.omit'/'na.exclude' drop incomplete rows, 'na.fail' throws on them,
+ *   'na.pass' keeps them as NaN (default: 'na.omit')
+ * @param {Object} options.contrasts - Contrast specification per factor variable, e.g. { 'factor(cyl)': 'sum' }
+ * @param {Object} options.extra - Other per-row arrays (e.g. weights) that take part in the complete-case check
+ * @returns {Object} - { X, y, coef_names, assign, intercept, terms, rows, n_total, xlevels, extra }
+ *
+ * @example
+ * const mm = modelMatrix('mpg ~ wt + factor(cyl)', mtcars);
+ * // mm.coef_names => ['(Intercept)', 'wt', 'factor(cyl)6', 'factor(cyl)8']
+ */
+export function modelMatrix(formula, data, {
+  response = true,
+  na_action = 'na.omit',
+  contrasts = {},
+  extra = {}
+} = {}) {
+  if (!data) {
+    throw new Error('A data argument is required to evaluate a formula');
+  }
+
+  const terms = typeof formula === 'string'
+    ? parseFormula(formula, { names: columnNames(data) })
+    : formula;
+  const specs = terms.specs || {};
+  const nTotal = dataRows(data);
+
+  // Evaluate every variable on the full data
+  const evaluated = {};
+  for (const label of terms.variables) {
+    evaluated[label] = evaluateVariable(label, data, specs[label]);
+  }
+
+  let responseVar = null;
+  if (response && terms.response !== null) {
+    responseVar = evaluateVariable(terms.response, data, null);
+  }
+
+  // Determine which rows are used
+  let rows;
+  if (na_action === 'na.pass') {
+    rows = Array.from({ length: nTotal }, (_, i) => i);
+  } else {
+    const variables = terms.variables.map(label => missingnessSource(evaluated[label]));
+    if (responseVar !== null) variables.push(missingnessSource(responseVar));
+    rows = completeRows(nTotal, [...variables, ...Object.values(extra)], na_action);
+  }
+
+  if (rows.length === 0) {
+    throw new Error('No complete observations for the variables in the formula');
+  }
+
+  // Subset variables to the rows used; unused factor levels are dropped at fit time
+  const newSpecs = {};
+  const xlevels = {};
+  for (const label of terms.variables) {
+    const sub = subsetVariable(evaluated[label], rows, specs[label]);
+    if (sub.type === 'factor') {
+      const stored = specs[label] ? specs[label].contrasts : undefined;
+      sub.spec.contrasts = stored !== undefined ? stored : (contrasts[label] ?? null);
+      xlevels[label] = sub.factor.levels.slice();
+    }
+    evaluated[label] = sub;
+    newSpecs[label] = sub.spec;
+  }
+
+  for (const label of Object.keys(contrasts)) {
+    if (!evaluated[label] || evaluated[label].type !== 'factor') {
+      throw new Error(`Contrasts given for '${label}', which is not a factor in the formula`);
+    }
+  }
+
+  const { columns, coef_names, assign } = buildColumns(terms, evaluated, rows.length);
+  if (columns.length === 0) {
+    throw new Error('Formula produces an empty design matrix');
+  }
+
+  let y = null;
+  if (responseVar !== null) {
+    const sub = subsetVariable(responseVar, rows, null);
+    y = sub.type === 'factor' ? sub.factor : (sub.type === 'surv' ? sub.surv : sub.values);
+  }
+
+  return {
+    X: Matrix.fromColumns(columns),
+    y,
+    coef_names,
+    assign,
+    intercept: terms.intercept,
+    terms: { ...terms, specs: newSpecs },
+    rows,
+    n_total: nTotal,
+    xlevels,
+    extra: Object.fromEntries(
+      Object.entries(extra).map(([name, values]) => [name, rows.map(i => values[i])])
+    )
+  };
+}
+
+/**
+ * Fit a model from a formula by building its design matrix and delegating
+ * to the matrix interface of the fitting function
+ *
+ * @param {Function} fitFn - Model function accepting (y, X, options), e.g. lm or glm
+ * @param {string} formula - Model formula
+ * @param {Object} options - Fitting options; must contain `data`
+ * @returns {Object} - Fitted model decorated with formula metadata
+ */
+export function fitFormula(fitFn, formula, { data, contrasts = {}, na_action = 'na.omit', ...options } = {}) {
+  // Per-observation options are given on the rows of the data
+  const extra = {};
+  if (options.weights) extra.weights = options.weights;
+  if (options.offset) extra.offset = options.offset;
+
+  const mm = modelMatrix(formula, data, { contrasts, na_action, extra });
+
+  if (mm.y instanceof Factor) {
+    throw new Error(`Response '${mm.terms.response}' is a factor; a numeric response is required`);
+  }
+  if (mm.y instanceof Surv) {
+    throw new Error(`Response '${mm.terms.response}' is a survival object; use coxph() or survfit()`);
+  }
+  if (mm.y === null) {
+    throw new Error(`Formula has no response: ${formula}`);
+  }
+
+  const fit = fitFn(mm.y, mm.X, { ...options, ...mm.extra, intercept: mm.intercept });
+
+  fit.coef_names = mm.coef_names;
+  fit.formula = mm.terms.formula;
+  fit.terms = mm.terms;
+  fit.term_labels = mm.terms.term_labels;
+  fit.assign = mm.assign;
+  fit.xlevels = mm.xlevels;
+  fit.contrasts = contrastNames(mm.terms.specs);
+
+  return applyNaAction(fit, mm.rows, mm.n_total, na_action);
+}
+
+/**
+ * Build the design matrix of a formula-fitted model for new data
+ *
+ * Missing values give rows of NaN; factor levels that were not seen when
+ * fitting are an error, as in R.
+ *
+ * @param {Object} model - Model fitted with a formula
+ * @param {DataFrame|Object} newdata - New data containing the predictor columns
+ * @returns {Matrix} - Design matrix with the same columns as model._X
+ */
+export function newModelMatrix(model, newdata) {
+  if (!model.terms) {
+    throw new Error('Model was not fitted with a formula');
+  }
+  if (!newdata) {
+    throw new Error('A data argument is required to evaluate a formula');
+  }
+  for (const [label, spec] of Object.entries(model.terms.specs || {})) {
+    if (!spec || spec.type !== 'factor') continue;
+    const known = new Set(spec.levels.map(String));
+    const unseen = new Set();
+    for (const v of evaluateFactor(label, newdata).toArray()) {
+      if (v !== null && v !== undefined && !known.has(String(v))) unseen.add(String(v));
+    }
+    if (unseen.size > 0) {
+      throw new Error(`factor ${label} has new level(s) ${[...unseen].join(', ')}`);
+    }
+  }
+  return modelMatrix(model.terms, newdata, { response: false, na_action: 'na.pass' }).X;
+}
+
+/**
+ * Build design matrix columns from an array of predictors (the non-formula interface)
+ *
+ * Predictors are named x1, x2, ... Factor predictors (and arrays of strings)
+ * are expanded with contrasts into columns such as `x2b`. When `specs` from a
+ * previous fit are given, the predictors are coded exactly as in that fit
+ * and missing values become NaN instead of raising an error.
+ *
+ * @param {Array<Vector|Factor|Array>} X - Predictors
+ * @param {Array<number>|null} rows - Row indices to use (null for all rows)
+ * @param {Object} options - Options
+ * @param {boolean} options.intercept - Prepend an intercept column (default: true)
+ * @param {Object} options.contrasts - Contrast specification per predictor name, e.g. { x2: 'sum' }
+ * @param {Object} options.specs - Predictor specs stored on a fitted model (for prediction)
+ * @returns {Object} - { columns, coef_names, assign, term_labels, specs, xlevels }
+ */
+export function predictorColumns(X, rows, { intercept = true, contrasts = {}, specs = null } = {}) {
+  const predicting = specs !== null;
+  const n = rows ? rows.length : (X.length > 0 ? lengthOf(X[0]) : 0);
+  const index = rows || Array.from({ length: n }, (_, i) => i);
+
+  const columns = [];
+  const coef_names = [];
+  const assign = [];
+  const term_labels = [];
+  const newSpecs = {};
+  const xlevels = {};
+
+  if (intercept) {
+    columns.push(new Array(n).fill(1));
+    coef_names.push('(Intercept)');
+    assign.push(0);
+  }
+
+  let hasIntercept = intercept;
+
+  for (let j = 0; j < X.length; j++) {
+    const name = `x${j + 1}`;
+    const raw = X[j];
+    const spec = predicting ? specs[name] : null;
+    term_labels.push(name);
+
+    const isFactor = predicting
+      ? spec && spec.type === 'factor'
+      : raw instanceof Factor || isStringArray(raw);
+
+    if (isFactor) {
+      const values = raw instanceof Factor ? raw.toArray() : Array.from(raw);
+      let levels;
+      if (predicting) {
+        levels = spec.levels;
+      } else {
+        const source = raw instanceof Factor
+          ? raw.levels
+          : Array.from(new Set(values.filter(v => v !== null && v !== undefined))).map(String).sort();
+        const used = new Set(index.filter(i => values[i] !== null && values[i] !== undefined).map(i => String(values[i])));
+        levels = source.filter(l => used.has(l));
+      }
+
+      const factor = new Factor(index.map(i => values[i]), { levels });
+      if (!predicting) {
+        for (let i = 0; i < factor.length; i++) {
+          if (factor.isNA(i)) {
+            throw new Error(`Missing values in predictor ${j + 1}`);
+          }
+        }
+      }
+
+      const contrastSpec = predicting ? spec.contrasts : (contrasts[name] ?? null);
+      const cols = contrastColumns(factor, name, { contrasts: contrastSpec, full: !hasIntercept });
+      hasIntercept = true;
+
+      for (const c of cols) {
+        columns.push(c.values);
+        coef_names.push(c.name);
+        assign.push(j + 1);
+      }
+      newSpecs[name] = { type: 'factor', levels, contrasts: contrastSpec };
+      xlevels[name] = levels.slice();
+      continue;
+    }
+
+    const pred = raw instanceof Vector ? raw : new Vector(raw);
+    const col = new Array(n);
+    for (let i = 0; i < n; i++) {
+      const origIdx = index[i];
+      if (pred.isNA(origIdx)) {
+        if (!predicting) {
+          throw new Error(`Missing values in predictor ${j + 1}`);
+        }
+        col[i] = NaN;
+      } else {
+        col[i] = pred.get(origIdx);
+      }
+    }
+    columns.push(col);
+    coef_names.push(name);
+    assign.push(j + 1);
+    newSpecs[name] = { type: 'numeric' };
+  }
+
+  return { columns, coef_names, assign, term_labels, specs: newSpecs, xlevels };
+}
+
+function lengthOf(x) {
+  return typeof x.length === 'number' ? x.length : 0;
+}
+
+function isStringArray(x) {
+  if (!Array.isArray(x)) return false;
+  const valid = x.filter(v => v !== null && v !== undefined);
+  return valid.length > 0 && valid.every(v => typeof v === 'string');
+}
+
+// ===== Parsing =====
+
+function tokenize(str) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < str.length) {
+    const ch = str[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if ('~+-*:^()'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    if (/[A-Za-z0-9_.]/.test(ch)) {
+      let j = i;
+      while (j < str.length && /[A-Za-z0-9_.]/.test(str[j])) j++;
+      const name = str.slice(i, j);
+
+      // Function call: capture the balanced argument list as part of the label
+      let k = j;
+      while (k < str.length && /\s/.test(str[k])) k++;
+      if (str[k] === '(' && !/^[0-9]/.test(name)) {
+        let depth = 0;
+        let m = k;
+        for (; m < str.length; m++) {
+          if (str[m] === '(') depth++;
+          if (str[m] === ')') {
+            depth--;
+            if (depth === 0) break;
+          }
+        }
+        if (depth !== 0) {
+          throw new Error(`Unbalanced parentheses in formula: ${str}`);
+        }
+        const args = splitArgs(str.slice(k + 1, m));
+        tokens.push({ type: 'call', value: `${name}(${args.join(', ')})` });
+        i = m + 1;
+        continue;
+      }
+
+      tokens.push({ type: /^[0-9]+(\.[0-9]+)?$/.test(name) ? 'number' : 'name', value: name });
+      i = j;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${ch}' in formula: ${str}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a function argument list on top-level commas
+ */
+function splitArgs(str) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '(') depth++;
+    else if (str[i] === ')') depth--;
+    else if (str[i] === ',' && depth === 0) {
+      args.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  args.push(str.slice(start));
+
+  return args.map(a => a.replace(/\s+/g, ' ').trim()).filter(a => a.length > 0);
+}
+
+/**
+ * Recursive descent parser for the right-hand side of a formula
+ *
+ * Precedence (highest first): ^, :, *, + and -
+ */
+class FormulaParser {
+  constructor(tokens, { names, response }) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.names = names;
+    this.response = response;
+  }
+
+  parse() {
+    const result = this.parseSum();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`Unexpected '${this.tokens[this.pos].value}' in formula`);
+    }
+
+    // Order terms by interaction order, keeping first-appearance order within an order
+    const terms = result.terms
+      .map((variables, idx) => ({ variables, idx }))
+      .sort((a, b) => (a.variables.length - b.variables.length) || (a.idx - b.idx))
+      .map(({ variables }) => ({ label: variables.join(':'), variables, order: variables.length }));
+
+    return { terms, intercept: result.intercept === null ? true : result.intercept };
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  isOp(value) {
+    const t = this.peek();
+    return t !== undefined && t.type === 'op' && t.value === value;
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      const t = this.peek();
+      throw new Error(`Expected '${value}' in formula but found ${t ? `'${t.value}'` : 'end of input'}`);
+    }
+    this.pos++;
+  }
+
+  parseSum() {
+    const added = [];
+    const removed = [];
+    let intercept = null;
+    let sign = 1;
+
+    if (this.isOp('-')) {
+      sign = -1;
+      this.pos++;
+    } else if (this.isOp('+')) {
+      this.pos++;
+    }
+
+    for (;;) {
+      const part = this.parseProduct();
+
+      if (part.number !== undefined) {
+        if (part.number === 1) intercept = sign > 0;
+        else if (part.number === 0) intercept = sign < 0;
+        else throw new Error(`Invalid numeric term '${part.number}' in formula`);
+      } else if (sign > 0) {
+        added.push(...part.terms);
+      } else {
+        removed.push(...part.terms);
+      }
+
+      if (this.isOp('+')) {
+        sign = 1;
+        this.pos++;
+      } else if (this.isOp('-')) {
+        sign = -1;
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+
+    const removedKeys = new Set(removed.map(termKey));
+    const terms = uniqueTerms(added).filter(t => !removedKeys.has(termKey(t)));
+
+    return { terms, intercept };
+  }
+
+  parseProduct() {
+    let left = this.parseInteraction();
+    while (this.isOp('*')) {
+      this.pos++;
+      const right = this.parseInteraction();
+      left = crossTerms(left, right);
+    }
+    return left;
+  }
+
+  parseInteraction() {
+    let left = this.parsePower();
+    while (this.isOp(':')) {
+      this.pos++;
+      const right = this.parsePower();
+      left = { terms: interactTerms(requireTerms(left), requireTerms(right)) };
+    }
+    return left;
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (!this.isOp('^')) return base;
+
+    this.pos++;
+    const t = this.peek();
+    if (!t || t.type !== 'number') {
+      throw new Error('Expected a number after \'^\' in formula');
+    }
+    this.pos++;
+
+    const degree = parseInt(t.value, 10);
+    let result = { terms: requireTerms(base) };
+    for (let k = 1; k < degree; k++) {
+      result = crossTerms(result, base);
+    }
+    return result;
+  }
+
+  parsePrimary() {
+    const t = this.peek();
+    if (!t) {
+      throw new Error('Unexpected end of formula');
+    }
+
+    if (t.type === 'op' && t.value === '(') {
+      this.pos++;
+      const inner = this.parseSum();
+      this.expectOp(')');
+      return { terms: inner.terms };
+    }
+
+    if (t.type === 'number') {
+      this.pos++;
+      return { number: Number(t.value) };
+    }
+
+    if (t.type === 'name' && t.value === '.') {
+      this.pos++;
+      if (!this.names) {
+        throw new Error('\'.\' in formula requires data to expand');
+      }
+      return { terms: this.names.filter(n => n !== this.response).map(n => [n]) };
+    }
+
+    if (t.type === 'name' || t.type === 'call') {
+      this.pos++;
+      return { terms: [[t.value]] };
+    }
+
+    throw new Error(`Unexpected '${t.value}' in formula`);
+  }
+}
+
+function requireTerms(part) {
+  if (part.number !== undefined) {
+    throw new Error(`Numeric term '${part.number}' cannot be used in an interaction`);
+  }
+  return part.terms;
+}
+
+function termKey(variables) {
+  return variables.slice().sort().join(':');
+}
+
+function uniqueTerms(terms) {
+  const seen = new Set();
+  const out = [];
+  for (const t of terms) {
+    const key = termKey(t);
+    if (!seen.has(key)) {
+      seen.add(key);
+      out.push(t);
+    }
+  }
+  return out;
+}
+
+function interactTerms(a, b) {
+  const out = [];
+  for (const ta of a) {
+    for (const tb of b) {
+      const merged = ta.slice();
+      for (const v of tb) {
+        if (!merged.includes(v)) merged.push(v);
+      }
+      out.push(merged);
+    }
+  }
+  return uniqueTerms(out);
+}
+
+function crossTerms(left, right) {
+  const a = requireTerms(left);
+  const b = requireTerms(right);
+  return { terms: uniqueTerms([...a, ...b, ...interactTerms(a, b)]) };
+}
+
+/**
+ * Evaluate a variable of a formula (e.g. 'subject' or 'factor(id)') on the data as a factor
+ * Used for grouping variables that are not part of the design matrix
+ *
+ * @param {string} label - Variable label
+ * @param {DataFrame|Object} data - Data containing the variable
+ * @returns {Factor} - Factor with a level per distinct value
+ */
+export function evaluateFactor(label, data) {
+  const variable = evaluateVariable(label, data, null);
+  return variable.type === 'factor' ? variable.factor : numericToFactor(variable.values, null).factor;
+}
+
+/**
+ * Variables of an interaction label, split at ':' outside parentheses
+ * e.g. 'a:log(b)' -> ['a', 'log(b)']
+ *
+ * @param {string} label - Term label
+ * @returns {Array<string>} - Variable labels
+ */
+export function termVariables(label) {
+  const vars = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of label) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ':' && depth === 0) {
+      vars.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  vars.push(current.trim());
+  return vars;
+}
+
+// ===== Evaluation =====
+
+function columnNames(data) {
+  if (Array.isArray(data.names)) return data.names;
+  return Object.keys(data);
+}
+
+function dataRows(data) {
+  if (typeof data.nrow === 'number') return data.nrow;
+  const first = Object.values(data)[0];
+  if (!first) {
+    throw new Error('Data has no columns');
+  }
+  return first.length;
+}
+
+function getColumn(data, name) {
+  if (typeof data.col === 'function') {
+    return data.col(name);
+  }
+  if (!(name in data)) {
+    throw new Error(`Column '${name}' not found`);
+  }
+  const col = data[name];
+  if (col instanceof Vector || col instanceof Factor) return col;
+  const valid = Array.from(col).filter(v => v !== null && v !== undefined);
+  if (valid.length > 0 && valid.every(v => typeof v === 'string')) {
+    return new Vector(col, 'string');
+  }
+  return new Vector(col);
+}
+
+/**
+ * Functions that may appear in formulas
+ * Each receives the argument expressions, the data and any stored spec and
+ * returns an evaluated variable
+ */
+const FORMULA_FUNCTIONS = {
+  factor(args, data, spec) {
+    const inner = evaluateVariable(args[0], data, null);
+    if (inner.type === 'factor') {
+      return inner;
+    }
+    return numericToFactor(inner.values, spec);
+  },
+
+  log(args, data) {
+    return mapNumeric(args[0], data, Math.log);
+  },
+
+  sqrt(args, data) {
+    return mapNumeric(args[0], data, Math.sqrt);
+  },
+
+  exp(args, data) {
+    return mapNumeric(args[0], data, Math.exp);
+  },
+
+  poly(args, data, spec) {
+    const { x, degree = 1, raw = false } = callArguments('poly', args, ['x', 'degree', 'raw']);
+    return basisVariable(x, data, spec, values => poly(values, degree, { raw }));
+  },
+
+  bs(args, data, spec) {
+    const { x, ...options } = callArguments('bs', args, ['x', 'df', 'knots', 'degree', 'intercept', 'boundary_knots']);
+    return basisVariable(x, data, spec, values => bs(values, options));
+  },
+
+  ns(args, data, spec) {
+    const { x, ...options } = callArguments('ns', args, ['x', 'df', 'knots', 'intercept', 'boundary_knots']);
+    return basisVariable(x, data, spec, values => ns(values, options));
+  },
+
+  s(args, data, spec) {
+    const { x, k = 10 } = callArguments('s', args, ['x', 'k']);
+    return basisVariable(x, data, spec, values => smoothBasis(values, { k }));
+  },
+
+  Surv(args, data) {
+    if (args.length !== 2) {
+      throw new Error('Surv() takes a time and a status variable');
+    }
+    const [time, status] = args.map(arg => evaluateVariable(arg, data, null));
+    if (time.type !== 'numeric' || status.type !== 'numeric') {
+      throw new Error('Surv() requires a numeric time and status');
+    }
+    return { type: 'surv', surv: new Surv(time.values, status.values) };
+  }
+};
+
+/**
+ * Evaluate a basis expansion of a numeric variable; a stored spec re-uses the
+ * coefficients and knots from the fit so new data gets the same basis
+ */
+function basisVariable(arg, data, spec, fit) {
+  const inner = evaluateVariable(arg, data, null);
+  if (inner.type !== 'numeric') {
+    throw new Error(`Cannot compute a basis expansion of factor '${arg}'`);
+  }
+  const basis = spec ? predictBasis(spec, inner.values) : fit(inner.values);
+  return { type: 'basis', values: inner.values, columns: basis.columns, names: basis.names, spec: basis.spec };
+}
+
+/**
+ * Match the arguments of a formula function call to parameter names, R style:
+ * positional first, then `name = value`. Values may be numbers, TRUE/FALSE,
+ * NULL or c(...) vectors of numbers. Boundary.knots is accepted for boundary_knots.
+ */
+function callArguments(fn, args, params) {
+  const out = {};
+  let position = 0;
+  args.forEach(arg => {
+    const named = /^([A-Za-z_.][A-Za-z0-9_.]*)\s*=\s*(.+)$/.exec(arg);
+    let name;
+    let value;
+    if (named) {
+      name = named[1] === 'Boundary.knots' ? 'boundary_knots' : named[1];
+      if (!params.includes(name)) {
+        throw new Error(`Unknown argument '${named[1]}' to ${fn}()`);
+      }
+      value = named[2];
+    } else {
+      while (position < params.length && params[position] in out) position++;
+      if (position >= params.length) {
+        throw new Error(`Too many arguments to ${fn}()`);
+      }
+      name = params[position];
+      value = arg;
+    }
+    out[name] = name === 'x' ? value : argumentValue(fn, value);
+  });
+  if (!('x' in out)) {
+    throw new Error(`${fn}() requires a variable`);
+  }
+  return out;
+}
+
+function argumentValue(fn, value) {
+  if (value === 'TRUE' || value === 'T') return true;
+  if (value === 'FALSE' || value === 'F') return false;
+  if (value === 'NULL') return null;
+  const vector = /^c\((.*)\)$/.exec(value);
+  if (vector) {
+    return splitArgs(vector[1]).map(v => argumentValue(fn, v));
+  }
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw new Error(`Invalid argument '${value}' to ${fn}()`);
+  }
+  return number;
+}
+
+/**
+ * Evaluate a variable label ('hp', 'factor(cyl)', 'log(disp)') on the data
+ *
+ * @returns {Object} - { type: 'numeric', values }, { type: 'factor', factor },
+ *   { type: 'basis', values, columns, names, spec } for poly(), bs() and ns() or
+ *   { type: 'surv', surv } for Surv()
+ */
+function evaluateVariable(label, data, spec) {
+  const call = /^([A-Za-z_.][A-Za-z0-9_.]*)\((.*)\)$/.exec(label);
+  if (call) {
+    const fn = FORMULA_FUNCTIONS[call[1]];
+    if (!fn) {
+      throw new Error(`Unknown function '${call[1]}' in formula`);
+    }
+    return fn(splitArgs(call[2]), data, spec);
+  }
+
+  const col = getColumn(data, label);
+
+  if (col instanceof Factor) {
+    return { type: 'factor', factor: col };
+  }
+
+  if (col.isNumeric) {
+    return { type: 'numeric', values: col.toArray() };
+  }
+
+  // Character columns are treated as factors with sorted levels
+  const values = col.toArray();
+  const levels = spec && spec.levels
+    ? spec.levels
+    : Array.from(new Set(values.filter(v => v !== null))).map(String).sort();
+  return { type: 'factor', factor: new Factor(values, { levels }) };
+}
+
+function mapNumeric(arg, data, fn) {
+  const inner = evaluateVariable(arg, data, null);
+  if (inner.type !== 'numeric') {
+    throw new Error(`Cannot apply a numeric transformation to factor '${arg}'`);
+  }
+  return {
+    type: 'numeric',
+    values: inner.values.map(v => (v === null ? null : fn(v)))
+  };
+}
+
+function numericToFactor(values, spec) {
+  let levels;
+  if (spec && spec.levels) {
+    levels = spec.levels;
+  } else {
+    const unique = Array.from(new Set(values.filter(v => v !== null)));
+    unique.sort((a, b) => a - b);
+    levels = unique.map(String);
+  }
+  return { type: 'factor', factor: new Factor(values, { levels }) };
+}
+
+/**
+ * Object that isMissingAt() can test for an evaluated variable
+ */
+function missingnessSource(variable) {
+  if (variable.type === 'surv') return variable.surv;
+  return variable.type === 'factor' ? variable.factor : variable.values;
+}
+
+/**
+ * Restrict an evaluated variable to the given rows and record the spec
+ * needed to evaluate it identically on new data
+ */
+function subsetVariable(variable, rows, spec) {
+  if (variable.type === 'surv') {
+    return { type: 'surv', surv: variable.surv.subset(rows), spec: { type: 'surv' } };
+  }
+
+  if (variable.type === 'basis') {
+    return {
+      type: 'basis',
+      values: rows.map(i => variable.values[i]),
+      columns: variable.columns.map(col => rows.map(i => col[i])),
+      names: variable.names,
+      spec: variable.spec
+    };
+  }
+
+  if (variable.type === 'factor') {
+    const f = variable.factor;
+    let levels;
+    if (spec && spec.levels) {
+      levels = spec.levels;
+    } else {
+      // Drop levels that do not occur in the rows used for fitting
+      const used = new Set();
+      for (const i of rows) {
+        if (!f.isNA(i)) used.add(f.codes[i]);
+      }
+      levels = f.levels.filter((_, code) => used.has(code));
+    }
+    const factor = new Factor(rows.map(i => f.get(i)), { levels, ordered: f.ordered });
+    return { type: 'factor', factor, spec: { type: 'factor', levels } };
+  }
+
+  return {
+    type: 'numeric',
+    values: rows.map(i => variable.values[i]),
+    spec: { type: 'numeric' }
+  };
+}
+
+/**
+ * Columns contributed by a single variable within a term
+ */
+function variableColumns(variable, label, fullCoding) {
+  if (variable.type === 'surv') {
+    throw new Error(`${label} can only be used as the response`);
+  }
+
+  if (variable.type === 'basis') {
+    return variable.columns.map((values, j) => ({ name: `${label}${variable.names[j]}`, values }));
+  }
+
+  if (variable.type === 'numeric') {
+    const values = variable.values.map(v => (v === null || v === undefined ? NaN : v));
+    return [{ name: label, values }];
+  }
+
+  return contrastColumns(variable.factor, label, {
+    contrasts: variable.spec.contrasts,
+    full: fullCoding
+  });
+}
+
+function buildColumns(terms, evaluated, n) {
+  const columns = [];
+  const coef_names = [];
+  const assign = [];
+
+  if (terms.intercept) {
+    columns.push(new Array(n).fill(1));
+    coef_names.push('(Intercept)');
+    assign.push(0);
+  }
+
+  // A factor is contrast-coded when the term without it (its margin) is already
+  // in the model; otherwise it gets one indicator column per level, as in R.
+  // Without an intercept only the first factor main effect is coded in full.
+  const seen = new Set();
+  let hasIntercept = terms.intercept;
+
+  terms.terms.forEach((term, termIdx) => {
+    let cols = [{ name: '', values: new Array(n).fill(1) }];
+
+    for (const label of term.variables) {
+      const variable = evaluated[label];
+      let fullCoding = false;
+      if (variable.type === 'factor') {
+        const margin = term.variables.filter(v => v !== label);
+        fullCoding = margin.length === 0 ? !hasIntercept : !seen.has(termKey(margin));
+      }
+
+      const block = variableColumns(variable, label, fullCoding);
+      const next = [];
+      // Earlier variables vary fastest, matching R's column order
+      for (const b of block) {
+        for (const c of cols) {
+          next.push({
+            name: c.name ? `${c.name}:${b.name}` : b.name,
+            values: c.values.map((v, i) => v * b.values[i])
+          });
+        }
+      }
+      cols = next;
+    }
+
+    seen.add(termKey(term.variables));
+    if (term.variables.length === 1 && evaluated[term.variables[0]].type === 'factor') {
+      hasIntercept = true;
+    }
+
+    for (const c of cols) {
+      columns.push(c.values);
+      coef_names.push(c.name);
+      assign.push(termIdx + 1);
+    }
+  });
+
+  return { columns, coef_names, assign };
+}
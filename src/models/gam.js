@@ -0,0 +1,410 @@
+/**
+ * Generalized additive models (gam) - penalized regression splines
+ *
+ * Smooth terms s(x, k) in the formula are natural cubic regression splines
+ * with a penalty on their integrated squared second derivative. The model is
+ * fitted by glm's IRLS iterations with a penalized working least squares step,
+ * and the smoothing parameters are re-estimated by GCV or REML for each
+ * working model (performance iteration, Gu 1992; Wood 2006).
+ */
+
+import Factor from '../core/Factor.js';
+import { Matrix, inverse, cholesky } from '../math/matrix.js';
+import { jacobiEigen } from '../math/svd.js';
+import { nelderMead } from '../math/optimize.js';
+import { modelMatrix, newModelMatrix } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { gaussian, workingResponse, updateMeans, FIXED_DISPERSION } from './glm.js';
+import { applyNaAction, validateNaAction } from './na_action.js';
+
+const METHODS = ['GCV', 'REML'];
+
+// Log smoothing parameters are searched within this distance of their initial values
+const LOG_SP_RANGE = 15;
+
+/**
+ * Fit a generalized additive model
+ *
+ * Smooth terms are written `s(x)` or `s(x, k = 5)` in the formula, where k is
+ * the basis dimension (default 10); other terms enter parametrically as in glm().
+ * Each smooth is centered (sums to zero over the data) and has k - 1 coefficients.
+ *
+ * @param {string} formula - Model formula, e.g. 'y ~ s(x1) + s(x2, k = 5) + factor(g)'
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for the formula variables
+ * @param {Object} options.family - Family object from glm.js (default: gaussian())
+ * @param {string} options.method - Smoothing parameter criterion: 'GCV' or 'REML' (default: 'GCV')
+ * @param {Array<number>} options.sp - Fixed smoothing parameters, one per smooth term (default: estimated)
+ * @param {number} options.gamma - GCV inflation of the effective degrees of freedom (default: 1)
+ * @param {Array<number>} options.weights - Prior weights (default: all 1s)
+ * @param {Object} options.contrasts - Contrasts for factors among the parametric terms
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {number} options.maxit - Maximum IRLS iterations (default: 25)
+ * @param {number} options.epsilon - Convergence tolerance on the deviance (default: 1e-8)
+ * @returns {Object} - Fitted model with coefficients, smooths [{ label, k, edf, sp }], edf_total,
+ *   Bayesian covariance Vp, deviance, dev_explained and the criterion score
+ *
+ * @example
+ * const fit = gam('mpg ~ s(hp) + s(wt)', { data: mtcars, method: 'REML' });
+ * fit.smooths; // [{ label: 's(hp)', k: 10, edf: 2.4, sp: 310.2 }, ...]
+ */
+export function gam(formula, {
+  data,
+  family = gaussian(),
+  method = 'GCV',
+  sp = null,
+  gamma = 1,
+  weights = null,
+  contrasts = {},
+  na_action = 'na.omit',
+  maxit = 25,
+  epsilon = 1e-8
+} = {}) {
+  if (typeof formula !== 'string') {
+    throw new Error('gam() requires a formula');
+  }
+  if (!data) {
+    throw new Error('A data argument is required to evaluate a formula');
+  }
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown method: ${method}. Use 'GCV' or 'REML'.`);
+  }
+  validateNaAction(na_action);
+
+  const mm = modelMatrix(formula, data, { contrasts, na_action, extra: weights ? { weights } : {} });
+  if (mm.y === null) {
+    throw new Error(`Formula has no response: ${formula}`);
+  }
+  if (mm.y instanceof Factor) {
+    throw new Error(`Response '${mm.terms.response}' is a factor; a numeric response is required`);
+  }
+
+  const X = mm.X;
+  const n = X.rows;
+  const p = X.cols;
+  const y = Float64Array.from(mm.y);
+  const wts = weights ? Float64Array.from(mm.extra.weights) : new Float64Array(n).fill(1);
+  const off = new Float64Array(n);
+
+  const smooths = smoothTerms(mm);
+  if (sp !== null && sp.length !== smooths.length) {
+    throw new Error(`sp has length ${sp.length} but the model has ${smooths.length} smooth terms`);
+  }
+  if (sp !== null && sp.some(v => !(v >= 0))) {
+    throw new Error('Smoothing parameters must be non-negative');
+  }
+
+  const scaleKnown = FIXED_DISPERSION.includes(family.family);
+  const nullDims = p - smooths.reduce((sum, sm) => sum + sm.rank, 0);
+  const settings = { method, n, gamma, scaleKnown, nullDims };
+
+  // IRLS starting values as glm()
+  const mu = new Float64Array(n);
+  const eta = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    mu[i] = family.mustart ? family.mustart(y[i], wts[i]) : y[i] + (y[i] === 0 ? 0.1 : 0);
+    eta[i] = family.linkfun(mu[i]);
+  }
+
+  let rho = sp !== null ? sp.map(Math.log) : null;
+  let rhoStart = null;
+  let fit = null;
+  let deviance = Infinity;
+  let converged = false;
+  let iterations = 0;
+
+  for (let iter = 0; iter < maxit; iter++) {
+    const devOld = deviance;
+    iterations++;
+
+    const { w, z } = workingResponse(family, y, eta, mu, wts, off);
+    const work = workingSystem(X, w, z);
+
+    if (sp === null) {
+      if (rhoStart === null) {
+        rhoStart = smooths.map(sm => Math.log(blockTrace(work.XtWX, sm.columns) / matrixTrace(sm.penalty)));
+        rho = rhoStart;
+      }
+      rho = selectSmoothing(work, smooths, rho, rhoStart, settings);
+    }
+
+    fit = penalizedFit(work, smooths, rho);
+    if (fit === null) {
+      throw new Error('Penalized least squares system is singular; check for collinear terms');
+    }
+
+    updateMeans(family, X.multiplyVector(fit.beta), off, eta, mu);
+    deviance = 0;
+    for (let i = 0; i < n; i++) {
+      deviance += family.dev_resids(y[i], mu[i], wts[i]);
+    }
+
+    if (Math.abs(deviance - devOld) < epsilon * (0.1 + Math.abs(deviance))) {
+      converged = true;
+      break;
+    }
+  }
+
+  const tau = fit.edf.reduce((sum, e) => sum + e, 0);
+  const dfResidual = n - tau;
+
+  // Scale: fixed at 1 for binomial and Poisson, otherwise the Pearson estimate
+  let pearson = 0;
+  for (let i = 0; i < n; i++) {
+    const r = y[i] - mu[i];
+    pearson += wts[i] * r * r / Math.max(family.variance(mu[i]), 1e-10);
+  }
+  const scale = scaleKnown ? 1 : pearson / dfResidual;
+
+  const Vp = new Matrix(p, p);
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < p; k++) Vp.set(j, k, fit.Ainv.get(j, k) * scale);
+  }
+
+  const sumW = wts.reduce((sum, v) => sum + v, 0);
+  const muNull = y.reduce((sum, v, i) => sum + wts[i] * v, 0) / sumW;
+  let nullDeviance = 0;
+  for (let i = 0; i < n; i++) {
+    nullDeviance += family.dev_resids(y[i], muNull, wts[i]);
+  }
+
+  const model = {
+    coefficients: Array.from(fit.beta),
+    coef_names: mm.coef_names,
+    std_errors: Array.from({ length: p }, (_, j) => Math.sqrt(Math.abs(Vp.get(j, j)))),
+    Vp,
+    edf: fit.edf,
+    edf_total: tau,
+    smooths: smooths.map((sm, j) => ({
+      label: sm.label,
+      k: sm.k,
+      edf: sm.columns.reduce((sum, c) => sum + fit.edf[c], 0),
+      sp: Math.exp(rho[j])
+    })),
+    sp: rho === null ? [] : rho.map(Math.exp),
+    method,
+    score: criterion(fit, smooths, rho, settings),
+
+    fitted_values: Array.from(mu),
+    linear_predictors: Array.from(eta),
+    residuals: Array.from(y, (v, i) => v - mu[i]),
+    deviance,
+    null_deviance: nullDeviance,
+    dev_explained: 1 - deviance / nullDeviance,
+    aic: family.aic(y, n, mu, wts, deviance) + 2 * tau,
+    df: { residual: dfResidual, null: n - 1 },
+    scale,
+    estimated_scale: !scaleKnown,
+
+    family: family.family,
+    link: family.link,
+    converged,
+    iterations,
+    n,
+    p,
+    weights: Array.from(wts),
+
+    formula: mm.terms.formula,
+    terms: mm.terms,
+    term_labels: mm.terms.term_labels,
+    assign: mm.assign,
+    xlevels: mm.xlevels,
+    contrasts: contrastNames(mm.terms.specs),
+
+    _family: family,
+    _X: X
+  };
+
+  return applyNaAction(model, mm.rows, mm.n_total, na_action);
+}
+
+/**
+ * Predictions from a fitted gam
+ *
+ * @param {Object} model - Fitted model from gam()
+ * @param {DataFrame|Object} newdata - New data with the formula variables (default: the fitting data)
+ * @param {Object} options - Options
+ * @param {string} options.type - 'link' or 'response' (default: 'response')
+ * @param {boolean} options.se_fit - Also return standard errors from the Bayesian covariance (default: false)
+ * @returns {Array<number>|Object} - Predictions, or { fit, se_fit } when se_fit is true
+ */
+export function predictGam(model, newdata = null, { type = 'response', se_fit = false } = {}) {
+  if (type !== 'link' && type !== 'response') {
+    throw new Error(`Unknown prediction type: ${type}. Use 'link' or 'response'.`);
+  }
+
+  const X = newdata === null ? model._X : newModelMatrix(model, newdata);
+  const eta = X.multiplyVector(Float64Array.from(model.coefficients));
+  const fit = type === 'link' ? Array.from(eta) : Array.from(eta, v => model._family.linkinv(v));
+  if (!se_fit) return fit;
+
+  // Delta method on the response scale
+  const se = Array.from({ length: X.rows }, (_, i) => {
+    let v = 0;
+    for (let j = 0; j < X.cols; j++) {
+      for (let k = 0; k < X.cols; k++) v += X.get(i, j) * model.Vp.get(j, k) * X.get(i, k);
+    }
+    const seLink = Math.sqrt(Math.max(v, 0));
+    return type === 'link' ? seLink : Math.abs(model._family.mu_eta(eta[i])) * seLink;
+  });
+  return { fit, se_fit: se };
+}
+
+/**
+ * Smooth terms of the model matrix with their columns and penalties
+ */
+function smoothTerms(mm) {
+  const specs = mm.terms.specs;
+  const smooths = [];
+  mm.terms.terms.forEach((term, idx) => {
+    const labels = term.variables.filter(v => specs[v] && specs[v].type === 'smooth');
+    if (labels.length === 0) return;
+    if (term.variables.length > 1) {
+      throw new Error(`Smooth term '${labels[0]}' cannot be used in an interaction`);
+    }
+
+    const spec = specs[term.label];
+    const rank = spec.k - 2;
+    const eigenvalues = jacobiEigen(spec.penalty).eigenvalues.sort((a, b) => b - a);
+    smooths.push({
+      label: term.label,
+      k: spec.k,
+      columns: mm.assign.flatMap((a, j) => (a === idx + 1 ? [j] : [])),
+      penalty: spec.penalty,
+      rank,
+      logDet: eigenvalues.slice(0, rank).reduce((sum, e) => sum + Math.log(e), 0)
+    });
+  });
+  return smooths;
+}
+
+/**
+ * Cross products of the working linear model
+ */
+function workingSystem(X, w, z) {
+  const n = X.rows;
+  const p = X.cols;
+  const XtWX = new Matrix(p, p);
+  const XtWz = new Float64Array(p);
+  for (let j = 0; j < p; j++) {
+    for (let k = j; k < p; k++) {
+      let sum = 0;
+      for (let i = 0; i < n; i++) sum += X.get(i, j) * w[i] * X.get(i, k);
+      XtWX.set(j, k, sum);
+      XtWX.set(k, j, sum);
+    }
+    let sz = 0;
+    for (let i = 0; i < n; i++) sz += X.get(i, j) * w[i] * z[i];
+    XtWz[j] = sz;
+  }
+  return { X, w, z, XtWX, XtWz };
+}
+
+/**
+ * Solve (X'WX + sum_j exp(rho_j) S_j) beta = X'Wz and collect what the
+ * criteria need; null when the system is not positive definite
+ */
+function penalizedFit({ X, w, z, XtWX, XtWz }, smooths, rho) {
+  const p = X.cols;
+  const A = XtWX.clone();
+  smooths.forEach((sm, s) => {
+    const lambda = Math.exp(rho[s]);
+    sm.columns.forEach((a, r) => {
+      sm.columns.forEach((b, c) => A.set(a, b, A.get(a, b) + lambda * sm.penalty[r][c]));
+    });
+  });
+
+  let L;
+  try {
+    L = cholesky(A);
+  } catch (e) {
+    return null;
+  }
+
+  // beta from the Cholesky factor: L L' beta = X'Wz
+  const v = new Float64Array(p);
+  for (let i = 0; i < p; i++) {
+    let s = XtWz[i];
+    for (let k = 0; k < i; k++) s -= L.get(i, k) * v[k];
+    v[i] = s / L.get(i, i);
+  }
+  const beta = new Float64Array(p);
+  for (let i = p - 1; i >= 0; i--) {
+    let s = v[i];
+    for (let k = i + 1; k < p; k++) s -= L.get(k, i) * beta[k];
+    beta[i] = s / L.get(i, i);
+  }
+
+  // Effective degrees of freedom: diagonal of A^-1 X'WX
+  const Ainv = inverse(A);
+  const edf = Array.from({ length: p }, (_, j) => {
+    let s = 0;
+    for (let k = 0; k < p; k++) s += Ainv.get(j, k) * XtWX.get(k, j);
+    return s;
+  });
+
+  const fitted = X.multiplyVector(beta);
+  let rss = 0;
+  for (let i = 0; i < fitted.length; i++) rss += w[i] * (z[i] - fitted[i]) * (z[i] - fitted[i]);
+
+  let penalty = 0;
+  smooths.forEach((sm, s) => {
+    const lambda = Math.exp(rho[s]);
+    sm.columns.forEach((a, r) => {
+      sm.columns.forEach((b, c) => {
+        penalty += lambda * beta[a] * sm.penalty[r][c] * beta[b];
+      });
+    });
+  });
+
+  let logDetA = 0;
+  for (let j = 0; j < p; j++) logDetA += 2 * Math.log(L.get(j, j));
+
+  return { beta, Ainv, edf, rss, penalty, logDetA };
+}
+
+/**
+ * GCV score n * RSS / (n - gamma * edf)^2, or the negative log restricted
+ * likelihood (Wood 2011) with the scale profiled out unless it is known
+ */
+function criterion(fit, smooths, rho, { method, n, gamma, scaleKnown, nullDims }) {
+  if (method === 'GCV') {
+    const tau = fit.edf.reduce((sum, e) => sum + e, 0);
+    return n * fit.rss / ((n - gamma * tau) * (n - gamma * tau));
+  }
+
+  const logDetS = smooths.reduce((sum, sm, s) => sum + sm.rank * rho[s] + sm.logDet, 0);
+  const Dp = fit.rss + fit.penalty;
+  const m = n - nullDims;
+  if (scaleKnown) {
+    return (Dp + m * Math.log(2 * Math.PI) + fit.logDetA - logDetS) / 2;
+  }
+  return (m * (Math.log(2 * Math.PI * Dp / m) + 1) + fit.logDetA - logDetS) / 2;
+}
+
+/**
+ * Minimize the criterion over the log smoothing parameters by Nelder-Mead
+ */
+function selectSmoothing(work, smooths, start, center, settings) {
+  if (smooths.length === 0) return [];
+
+  const lower = center.map(r => r - LOG_SP_RANGE);
+  const upper = center.map(r => r + LOG_SP_RANGE);
+  const clamp = rho => rho.map((r, s) => Math.min(upper[s], Math.max(lower[s], r)));
+  const objective = (rho) => {
+    const r = clamp(rho);
+    const fit = penalizedFit(work, smooths, r);
+    return fit === null ? Infinity : criterion(fit, smooths, r, settings);
+  };
+
+  const result = nelderMead(objective, start, { step: 1, tol: 1e-10, xtol: 1e-6 });
+  return clamp(result.x);
+}
+
+function blockTrace(M, columns) {
+  return columns.reduce((sum, c) => sum + M.get(c, c), 0);
+}
+
+function matrixTrace(rows) {
+  return rows.reduce((sum, row, i) => sum + row[i], 0);
+}
@@ -0,0 +1,124 @@
+/**
+ * Model generics - log-likelihood, information criteria and observation counts
+ * that work the same way for lm(), glm(), lmer(), multinom(), polr(), coxph() and rq() fits (R's logLik, AIC, BIC, nobs)
+ *
+ * vcov() lives in sandwich.js and dispatches on lm, glm and lmer fits as well
+ */
+
+import { naUnpad } from './na_action.js';
+
+export { vcov } from './sandwich.js';
+
+// Families whose log-likelihood includes an estimated scale parameter
+const SCALE_FAMILIES = ['gaussian', 'Gamma', 'inverse_gaussian'];
+
+/**
+ * Log-likelihood of a fitted model
+ *
+ * @param {Object} model - Fitted model from lm(), glm(), glm_nb(), gam(), lmer() or rq()
+ * @returns {Object} - { value, df, nobs }; df counts the coefficients (the effective degrees
+ *   of freedom for gam()) plus any estimated scale (sigma, dispersion) or theta.
+ *   value is NaN for quasi families
+ *
+ * @example
+ * const ll = logLik(fit);
+ * console.log(ll.value, ll.df);
+ */
+export function logLik(model) {
+  assertModel(model);
+  const n = nobs(model);
+
+  if (model.varcor) {
+    // lmer() stores the (REML) log-likelihood at convergence
+    return { value: model.log_lik, df: model.npar, nobs: n };
+  }
+
+  if (model.hazard_ratios) {
+    // coxph() stores the log partial likelihood at zero and at the estimates
+    return { value: model.loglik[1], df: model.p, nobs: n };
+  }
+
+  if (model.rho !== undefined && model.tau !== undefined) {
+    // rq(): asymmetric Laplace likelihood at the ML scale rho / n (as quantreg's logLik.rq)
+    const size = model.n;
+    const value = size * (Math.log(model.tau * (1 - model.tau)) - 1 - Math.log(model.rho / size));
+    return { value, df: model.p, nobs: size };
+  }
+
+  if (Array.isArray(model.levels)) {
+    // multinom() and polr() count the coefficients and thresholds in edf
+    return { value: model.log_lik, df: model.edf, nobs: n };
+  }
+
+  if (!model.family) {
+    // Gaussian likelihood at the ML variance estimate; zero-weight observations are excluded
+    const residuals = naUnpad(model.residuals);
+    const weights = model.weights || residuals.map(() => 1);
+    let logWeights = 0;
+    let rss = 0;
+    for (let i = 0; i < residuals.length; i++) {
+      if (weights[i] === 0) continue;
+      logWeights += Math.log(weights[i]);
+      rss += weights[i] * residuals[i] * residuals[i];
+    }
+    const value = 0.5 * (logWeights - n * (Math.log(2 * Math.PI) + 1 - Math.log(n) + Math.log(rss)));
+    return { value, df: model.p + 1, nobs: n };
+  }
+
+  if (model.smooths) {
+    // gam() penalizes the AIC by the effective degrees of freedom, plus one for an estimated scale (as mgcv)
+    const df = model.edf_total + (model.estimated_scale ? 1 : 0);
+    return { value: df - model.aic / 2, df, nobs: n };
+  }
+
+  // glm stores AIC = -2 * logLik + 2 * df, so the log-likelihood follows from the df
+  let df = model.p;
+  if (SCALE_FAMILIES.includes(model.family) || model.two_log_lik !== undefined) {
+    df += 1;
+  }
+  return { value: df - model.aic / 2, df, nobs: n };
+}
+
+/**
+ * Akaike information criterion, -2 * logLik + k * df
+ *
+ * @param {Object} model - Fitted model from lm(), glm(), glm_nb() or lmer()
+ * @param {Object} options - Options
+ * @param {number} options.k - Penalty per parameter (default: 2)
+ * @returns {number} - AIC
+ */
+export function AIC(model, { k = 2 } = {}) {
+  const ll = logLik(model);
+  return -2 * ll.value + k * ll.df;
+}
+
+/**
+ * Bayesian information criterion, -2 * logLik + log(nobs) * df
+ *
+ * @param {Object} model - Fitted model from lm(), glm(), glm_nb() or lmer()
+ * @returns {number} - BIC
+ */
+export function BIC(model) {
+  const ll = logLik(model);
+  return -2 * ll.value + Math.log(ll.nobs) * ll.df;
+}
+
+/**
+ * Number of observations used in the fit (observations with zero prior weight are not counted;
+ * the number of events for coxph() fits)
+ *
+ * @param {Object} model - Fitted model from lm(), glm(), glm_nb() or lmer()
+ * @returns {number} - Number of observations
+ */
+export function nobs(model) {
+  assertModel(model);
+  if (model.hazard_ratios) return model.events;
+  if (!model.weights) return model.n;
+  return model.weights.reduce((count, w) => count + (w !== 0 ? 1 : 0), 0);
+}
+
+function assertModel(model) {
+  if (!model || !Array.isArray(model.coefficients) || typeof model.n !== 'number') {
+    throw new Error('Expected a fitted model from lm(), glm(), glm_nb() or lmer()');
+  }
+}
@@ -4,45 +4,32 @@
  */
 
 import Vector from '../core/Vector.js';
-import { Matrix } from '../math/matrix.js';
+import { Matrix, inverse } from '../math/matrix.js';
 import { leastSquares } from '../math/qr.js';
-import { dnorm, pnorm } from '../distributions/normal.js';
+import { pseudoInverseSolve } from '../math/svd.js';
+import { lgamma, digamma, trigamma } from '../math/special.js';
 import { dpois, ppois } from '../distributions/poisson.js';
 import { dbinom, pbinom } from '../distributions/binomial.js';
 import { pchisq } from '../distributions/chisq.js';
+import { fitFormula, newModelMatrix, predictorColumns } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction, naUnpad } from './na_action.js';
+import { familyLink } from './links.js';
 
 /**
  * Family objects define the distribution and link function for GLM
+ * The link is a name or a link object such as power(0.5); see links.js
  */
 
 // Gaussian family (normal distribution)
 export const gaussian = (link = 'identity') => ({
   family: 'gaussian',
-  link: link,
-  
-  linkfun: (mu) => {
-    if (link === 'identity') return mu;
-    if (link === 'log') return Math.log(mu);
-    if (link === 'inverse') return 1 / mu;
-    throw new Error(`Unknown link: ${link}`);
-  },
-  
-  linkinv: (eta) => {
-    if (link === 'identity') return eta;
-    if (link === 'log') return Math.exp(eta);
-    if (link === 'inverse') return 1 / eta;
-    throw new Error(`Unknown link: ${link}`);
-  },
-  
-  mu_eta: (eta) => {
-    if (link === 'identity') return 1;
-    if (link === 'log') return Math.exp(eta);
-    if (link === 'inverse') return -1 / (eta * eta);
-    throw new Error(`Unknown link: ${link}`);
-  },
+  ...familyLink('gaussian', link, ['identity', 'log', 'inverse']),
   
   variance: (mu) => 1,
   
+  mustart: (y, wt) => y + (y === 0 ? 0.1 : 0),
+  
   dev_resids: (y, mu, wt) => {
     const r = y - mu;
     return wt * r * r;
@@ -53,56 +40,18 @@ export const gaussian = (link = 'identity') => ({
     return nobs * (Math.log(dev / nobs * 2 * Math.PI) + 1) + 2;
   },
   
-  validmu: (mu) => true,
-  valideta: (eta) => true
+  validmu: (mu) => true
 });
 
 // Binomial family (logistic regression)
 export const binomial = (link = 'logit') => ({
   family: 'binomial',
-  link: link,
-  
-  linkfun: (mu) => {
-    if (link === 'logit') return Math.log(mu / (1 - mu));
-    if (link === 'probit') return pnorm(mu); // Inverse probit
-    if (link === 'log') return Math.log(mu);
-    throw new Error(`Unknown link: ${link}`);
-  },
-  
-  linkinv: (eta) => {
-    if (link === 'logit') {
-      // Stable computation of 1/(1 + exp(-eta))
-      if (eta > 0) {
-        const expNeg = Math.exp(-eta);
-        return 1 / (1 + expNeg);
-      } else {
-        const expPos = Math.exp(eta);
-        return expPos / (1 + expPos);
-      }
-    }
-    if (link === 'probit') {
-      // For probit: eta = Phi^-1(mu), so mu = Phi(eta)
-      return pnorm(eta);
-    }
-    if (link === 'log') return Math.exp(eta);
-    throw new Error(`Unknown link: ${link}`);
-  },
-  
-  mu_eta: (eta) => {
-    if (link === 'logit') {
-      const expEta = Math.exp(eta);
-      const denom = (1 + expEta) * (1 + expEta);
-      return expEta / denom;
-    }
-    if (link === 'probit') {
-      return dnorm(eta); // Density at eta
-    }
-    if (link === 'log') return Math.exp(eta);
-    throw new Error(`Unknown link: ${link}`);
-  },
+  ...familyLink('binomial', link, ['logit', 'probit', 'cauchit', 'log', 'cloglog'], { allowPower: false }),
   
   variance: (mu) => mu * (1 - mu),
   
+  mustart: (y, wt) => (y * wt + 0.5) / (wt + 1),
+  
   dev_resids: (y, mu, wt) => {
     const epsilon = 1e-10;
     const muSafe = Math.max(epsilon, Math.min(1 - epsilon, mu));
@@ -123,38 +72,18 @@ export const binomial = (link = 'logit') => ({
     return aic;
   },
   
-  validmu: (mu) => mu > 0 && mu < 1,
-  valideta: (eta) => true
+  validmu: (mu) => mu > 0 && mu < 1
 });
 
 // Poisson family (count data)
 export const poisson = (link = 'log') => ({
   family: 'poisson',
-  link: link,
-  
-  linkfun: (mu) => {
-    if (link === 'log') return Math.log(mu);
-    if (link === 'identity') return mu;
-    if (link === 'sqrt') return Math.sqrt(mu);
-    throw new Error(`Unknown link: ${link}`);
-  },
-  
-  linkinv: (eta) => {
-    if (link === 'log') return Math.exp(eta);
-    if (link === 'identity') return eta;
-    if (link === 'sqrt') return eta * eta;
-    throw new Error(`Unknown link: ${link}`);
-  },
-  
-  mu_eta: (eta) => {
-    if (link === 'log') return Math.exp(eta);
-    if (link === 'identity') return 1;
-    if (link === 'sqrt') return 2 * eta;
-    throw new Error(`Unknown link: ${link}`);
-  },
+  ...familyLink('poisson', link, ['log', 'identity', 'sqrt']),
   
   variance: (mu) => mu,
   
+  mustart: (y, wt) => y + 0.1,
+  
   dev_resids: (y, mu, wt) => {
     const epsilon = 1e-10;
     const muSafe = Math.max(epsilon, mu);
@@ -169,62 +98,145 @@ export const poisson = (link = 'log') => ({
     }, 0);
   },
   
-  validmu: (mu) => mu > 0,
-  valideta: (eta) => true
+  validmu: (mu) => mu > 0
 });
 
 // Gamma family
 export const Gamma = (link = 'inverse') => ({
   family: 'Gamma',
-  link: link,
+  ...familyLink('Gamma', link, ['inverse', 'identity', 'log']),
   
-  linkfun: (mu) => {
-    if (link === 'inverse') return 1 / mu;
-    if (link === 'identity') return mu;
-    if (link === 'log') return Math.log(mu);
-    throw new Error(`Unknown link: ${link}`);
-  },
+  variance: (mu) => mu * mu,
+  
+  mustart: (y, wt) => y + (y === 0 ? 0.1 : 0),
   
-  linkinv: (eta) => {
-    if (link === 'inverse') return 1 / eta;
-    if (link === 'identity') return eta;
-    if (link === 'log') return Math.exp(eta);
-    throw new Error(`Unknown link: ${link}`);
+  dev_resids: (y, mu, wt) => {
+    return 2 * wt * ((y - mu) / mu - Math.log(y / mu));
   },
   
-  mu_eta: (eta) => {
-    if (link === 'inverse') return -1 / (eta * eta);
-    if (link === 'identity') return 1;
-    if (link === 'log') return Math.exp(eta);
-    throw new Error(`Unknown link: ${link}`);
+  aic: (y, n, mu, wt, dev) => {
+    // -2 * log-likelihood at the ML-style dispersion dev / sum(wt), plus 2 for the shape
+    const wtSum = wt.reduce((sum, w) => sum + w, 0);
+    const disp = dev / wtSum;
+    const shape = 1 / disp;
+    let logLik = 0;
+    for (let i = 0; i < y.length; i++) {
+      const scale = mu[i] * disp;
+      logLik += wt[i] * ((shape - 1) * Math.log(y[i]) - y[i] / scale - lgamma(shape) - shape * Math.log(scale));
+    }
+    return -2 * logLik + 2;
   },
   
-  variance: (mu) => mu * mu,
+  validmu: (mu) => mu > 0
+});
+
+// Quasi-binomial family: binomial variance with an estimated dispersion
+export const quasibinomial = (link = 'logit') => ({
+  ...binomial(link),
+  family: 'quasibinomial',
+  
+  // No likelihood, so no AIC
+  aic: () => NaN
+});
+
+// Quasi-Poisson family: Poisson variance with an estimated dispersion
+export const quasipoisson = (link = 'log') => ({
+  ...poisson(link),
+  family: 'quasipoisson',
+  
+  aic: () => NaN
+});
+
+// Inverse Gaussian family
+export const inverse_gaussian = (link = '1/mu^2') => ({
+  family: 'inverse_gaussian',
+  ...familyLink('inverse_gaussian', link, ['1/mu^2', 'inverse', 'identity', 'log']),
+  
+  variance: (mu) => mu * mu * mu,
+  
+  mustart: (y, wt) => y,
   
   dev_resids: (y, mu, wt) => {
-    return 2 * wt * ((y - mu) / mu - Math.log(y / mu));
+    const r = y - mu;
+    return wt * r * r / (y * mu * mu);
   },
   
   aic: (y, n, mu, wt, dev) => {
-    // Simplified AIC for Gamma
-    return dev + 2;
+    let wtSum = 0;
+    let logY = 0;
+    for (let i = 0; i < y.length; i++) {
+      wtSum += wt[i];
+      logY += wt[i] * Math.log(y[i]);
+    }
+    return wtSum * (Math.log(dev / wtSum * 2 * Math.PI) + 1) + 3 * logY + 2;
   },
   
-  validmu: (mu) => mu > 0,
-  valideta: (eta) => link === 'inverse' ? eta !== 0 : true
+  validmu: (mu) => mu > 0
 });
 
+// Negative binomial family with known shape theta (variance mu + mu^2 / theta)
+export const negative_binomial = (theta, link = 'log') => {
+  if (!(theta > 0)) {
+    throw new Error('theta must be a positive number');
+  }
+  
+  return {
+    ...poisson(link),
+    family: 'negative_binomial',
+    theta,
+    
+    variance: (mu) => mu + mu * mu / theta,
+    
+    mustart: (y, wt) => y + (y === 0 ? 1 / 6 : 0),
+    
+    dev_resids: (y, mu, wt) => {
+      const d1 = y > 0 ? y * Math.log(y / mu) : 0;
+      return 2 * wt * (d1 - (y + theta) * Math.log((y + theta) / (mu + theta)));
+    },
+    
+    aic: (y, n, mu, wt, dev) => -2 * negbinLogLik(y, mu, wt, theta)
+  };
+};
+
+/**
+ * Families whose dispersion is fixed at 1 rather than estimated
+ */
+export const FIXED_DISPERSION = ['binomial', 'poisson', 'negative_binomial'];
+
+/**
+ * Negative binomial log-likelihood
+ */
+function negbinLogLik(y, mu, wt, theta) {
+  let ll = 0;
+  for (let i = 0; i < y.length; i++) {
+    ll += wt[i] * (
+      lgamma(theta + y[i]) - lgamma(theta) - lgamma(y[i] + 1) +
+      theta * Math.log(theta) + (y[i] > 0 ? y[i] * Math.log(mu[i]) : 0) -
+      (theta + y[i]) * Math.log(theta + mu[i])
+    );
+  }
+  return ll;
+}
+
 /**
  * Fit a generalized linear model
  * 
- * @param {Vector|Array} y - Response variable
- * @param {Matrix|Array<Vector|Array>} X - Design matrix or array of predictors
+ * Can be called with a response and predictors, or with a formula and a
+ * DataFrame: glm('am ~ hp + wt', { data: df, family: binomial() })
+ * 
+ * @param {Vector|Array|string} y - Response variable, or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
  * @param {Object} options - Options
- * @param {Object} options.family - Family object (gaussian(), binomial(), poisson(), Gamma())
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @param {Object} options.family - Family object (gaussian(), binomial(), poisson(), Gamma(), quasibinomial(),
+ *   quasipoisson(), inverse_gaussian(), negative_binomial(theta))
  * @param {boolean} options.intercept - Include intercept (default: true)
  * @param {number} options.maxit - Maximum iterations (default: 25)
  * @param {number} options.epsilon - Convergence tolerance (default: 1e-8)
  * @param {Array} options.weights - Prior weights (default: all 1s)
+ * @param {Array} options.offset - Known component of the linear predictor, e.g. log(exposure) (default: none)
+ * @param {Object} options.contrasts - Contrasts per factor predictor, e.g. { x2: 'sum' }
+ * @param {string} options.na_action - Missing value policy: 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
  * @returns {Object} - Fitted GLM object
  * 
  * @example
@@ -238,28 +250,49 @@ export const Gamma = (link = 'inverse') => ({
  * const x = [1, 2, 3, 4, 5];
  * const y = [2, 3, 5, 8, 13];
  * const fit = glm(y, [x], { family: poisson() });
+ * 
+ * @example
+ * // Formula interface
+ * const fit = glm('am ~ hp + wt', { data: mtcars, family: binomial() });
+ * 
+ * @example
+ * // Poisson rate model: counts per unit of exposure
+ * const fit = glm('claims ~ age', { data: df, family: poisson(), offset: exposure.map(Math.log) });
  */
 export function glm(y, X, { 
   family = gaussian(), 
   intercept = true, 
   maxit = 25, 
   epsilon = 1e-8,
-  weights = null 
+  weights = null,
+  offset = null,
+  contrasts = {},
+  na_action = 'na.omit'
 } = {}) {
+  if (typeof y === 'string') {
+    return fitFormula(glm, y, X);
+  }
+  
   // Convert y to Vector
   const yVec = y instanceof Vector ? y : new Vector(y);
   const n = yVec.length;
   
-  // Check for NAs and remove
-  const validIndices = [];
-  for (let i = 0; i < n; i++) {
-    if (!yVec.isNA(i)) {
-      validIndices.push(i);
-    }
+  if (X instanceof Matrix && X.rows !== n) {
+    throw new Error(`Design matrix has ${X.rows} rows but response has ${n} observations`);
+  }
+  
+  if (weights !== null && weights.length !== n) {
+    throw new Error(`weights has length ${weights.length} but there are ${n} observations`);
+  }
+  if (offset !== null && offset.length !== n) {
+    throw new Error(`offset has length ${offset.length} but there are ${n} observations`);
   }
   
+  // Observations with a missing response, predictor, weight or offset are handled by na_action
+  const validIndices = completeRows(n, [yVec, weights, offset, ...(Array.isArray(X) ? X : [X])], na_action);
+  
   if (validIndices.length === 0) {
-    throw new Error('No valid observations in response variable');
+    throw new Error('No complete observations in response and predictors');
   }
   
   const nValid = validIndices.length;
@@ -273,38 +306,16 @@ export function glm(y, X, {
   // Build design matrix
   let p;
   let designMatrix;
+  let design = null;
   
   if (X instanceof Matrix) {
-    designMatrix = X;
+    designMatrix = nValid < n ? X.subsetRows(validIndices) : X;
     p = X.cols;
   } else if (Array.isArray(X)) {
-    const nPredictors = X.length;
-    p = intercept ? nPredictors + 1 : nPredictors;
-    
-    const cols = [];
-    
-    if (intercept) {
-      const interceptCol = new Float64Array(nValid);
-      interceptCol.fill(1);
-      cols.push(interceptCol);
-    }
-    
-    for (let j = 0; j < nPredictors; j++) {
-      const pred = X[j] instanceof Vector ? X[j] : new Vector(X[j]);
-      const col = new Float64Array(nValid);
-      
-      for (let i = 0; i < nValid; i++) {
-        const origIdx = validIndices[i];
-        if (pred.isNA(origIdx)) {
-          throw new Error(`NA values in predictor ${j + 1} not yet supported`);
-        }
-        col[i] = pred.get(origIdx);
-      }
-      
-      cols.push(col);
-    }
-    
-    designMatrix = Matrix.fromColumns(cols);
+    // Factor predictors are expanded with contrasts
+    design = predictorColumns(X, validIndices, { intercept, contrasts });
+    designMatrix = Matrix.fromColumns(design.columns);
+    p = designMatrix.cols;
   } else {
     throw new Error('X must be a Matrix or array of predictors');
   }
@@ -319,18 +330,23 @@ export function glm(y, X, {
     }
   }
   
+  // Offset (zero when not given)
+  const off = new Float64Array(nValid);
+  if (offset !== null) {
+    for (let i = 0; i < nValid; i++) {
+      off[i] = offset[validIndices[i]];
+    }
+  }
+  
   // Initialize
   const muStart = new Float64Array(nValid);
   const etaStart = new Float64Array(nValid);
   
   // Initial values for mu
   for (let i = 0; i < nValid; i++) {
-    muStart[i] = yData[i] + (yData[i] === 0 ? 0.1 : 0);
-    if (family.family === 'binomial') {
-      muStart[i] = (yData[i] * wts[i] + 0.5) / (wts[i] + 1);
-    } else if (family.family === 'poisson') {
-      muStart[i] = yData[i] + 0.1;
-    }
+    muStart[i] = family.mustart
+      ? family.mustart(yData[i], wts[i])
+      : yData[i] + (yData[i] === 0 ? 0.1 : 0);
     etaStart[i] = family.linkfun(muStart[i]);
   }
   
@@ -345,23 +361,7 @@ export function glm(y, X, {
     const devOld = deviance;
     
     // Compute working weights and working response
-    const w = new Float64Array(nValid);
-    const z = new Float64Array(nValid);
-    
-    for (let i = 0; i < nValid; i++) {
-      const muEta = family.mu_eta(eta[i]);
-      const variance = family.variance(mu[i]);
-      
-      // Working weight: w = (dmu/deta)^2 / V(mu)
-      w[i] = wts[i] * (muEta * muEta) / Math.max(variance, 1e-10);
-      
-      // Working response: z = eta + (y - mu) * deta/dmu
-      z[i] = eta[i] + (yData[i] - mu[i]) / Math.max(muEta, 1e-10);
-      
-      // Bound working weights and response
-      if (!isFinite(w[i]) || w[i] < 1e-10) w[i] = 1e-10;
-      if (!isFinite(z[i])) z[i] = eta[i];
-    }
+    const { w, z } = workingResponse(family, yData, eta, mu, wts, off);
     
     // Weighted least squares: solve (X'WX)b = X'Wz
     // Create weighted design matrix: X_w = W^(1/2) * X
@@ -385,22 +385,7 @@ export function glm(y, X, {
     coefficients = leastSquares(Xw, zw);
     
     // Update eta and mu
-    const etaNew = designMatrix.multiplyVector(coefficients);
-    
-    for (let i = 0; i < nValid; i++) {
-      eta[i] = etaNew[i];
-      mu[i] = family.linkinv(eta[i]);
-      
-      // Bound mu to valid range
-      if (!family.validmu(mu[i])) {
-        if (family.family === 'binomial') {
-          mu[i] = Math.max(1e-6, Math.min(1 - 1e-6, mu[i]));
-        } else if (family.family === 'poisson' || family.family === 'Gamma') {
-          mu[i] = Math.max(1e-6, mu[i]);
-        }
-        eta[i] = family.linkfun(mu[i]);
-      }
-    }
+    updateMeans(family, designMatrix.multiplyVector(coefficients), off, eta, mu);
     
     // Compute deviance
     deviance = 0;
@@ -433,11 +418,29 @@ export function glm(y, X, {
     devianceResiduals[i] = sign * Math.sqrt(Math.abs(family.dev_resids(yData[i], mu[i], 1)));
   }
   
-  // Null deviance (intercept-only model)
+  // Null deviance (intercept-only model, or eta = 0 without an intercept). With an
+  // offset the null model keeps the offset, so its intercept has to be fitted like any other GLM
   let nullDeviance = 0;
-  const muNull = yData.reduce((sum, val) => sum + val, 0) / nValid;
-  for (let i = 0; i < nValid; i++) {
-    nullDeviance += family.dev_resids(yData[i], muNull, wts[i]);
+  if (offset === null) {
+    let muNull;
+    if (intercept) {
+      const sumW = wts.reduce((sum, w) => sum + w, 0);
+      muNull = yData.reduce((sum, val, i) => sum + wts[i] * val, 0) / sumW;
+    } else {
+      muNull = family.linkinv(0);
+    }
+    for (let i = 0; i < nValid; i++) {
+      nullDeviance += family.dev_resids(yData[i], muNull, wts[i]);
+    }
+  } else if (intercept && p === 1) {
+    nullDeviance = deviance;
+  } else if (intercept) {
+    const ones = new Matrix(nValid, 1, new Float64Array(nValid).fill(1));
+    nullDeviance = glm(yData, ones, { family, maxit, epsilon, weights: wts, offset: off }).deviance;
+  } else {
+    for (let i = 0; i < nValid; i++) {
+      nullDeviance += family.dev_resids(yData[i], family.linkinv(off[i]), wts[i]);
+    }
   }
   
   // Degrees of freedom
@@ -447,16 +450,37 @@ export function glm(y, X, {
   // AIC
   const aic = family.aic(yData, nValid, mu, wts, deviance) + 2 * p;
   
-  // Coefficient names
-  const coefNames = [];
-  if (intercept) {
-    coefNames.push('(Intercept)');
+  // Dispersion: fixed at 1 for binomial, Poisson and negative binomial families,
+  // otherwise estimated by the Pearson statistic over the residual df
+  const estimatedDispersion = !FIXED_DISPERSION.includes(family.family);
+  let pearsonChi2 = 0;
+  for (let i = 0; i < nValid; i++) {
+    pearsonChi2 += wts[i] * pearsonResiduals[i] * pearsonResiduals[i];
   }
-  for (let i = (intercept ? 1 : 0); i < p; i++) {
-    coefNames.push(`x${i - (intercept ? 1 : 0) + 1}`);
+  const dispersion = estimatedDispersion ? pearsonChi2 / df_residual : 1;
+  
+  // Standard errors from the unscaled covariance (X'WX)^-1 at convergence
+  const covUnscaled = unscaledCovariance(designMatrix, workingWeights(family, eta, mu, wts));
+  const stdErrors = new Float64Array(p);
+  for (let j = 0; j < p; j++) {
+    stdErrors[j] = Math.sqrt(dispersion * Math.abs(covUnscaled.get(j, j)));
   }
   
-  return {
+  // Coefficient names
+  let coefNames;
+  if (design) {
+    coefNames = design.coef_names;
+  } else {
+    coefNames = [];
+    if (intercept) {
+      coefNames.push('(Intercept)');
+    }
+    for (let i = (intercept ? 1 : 0); i < p; i++) {
+      coefNames.push(`x${i - (intercept ? 1 : 0) + 1}`);
+    }
+  }
+  
+  return applyNaAction({
     coefficients: Array.from(coefficients),
     residuals: Array.from(residuals),
     fitted_values: Array.from(mu),
@@ -475,7 +499,12 @@ export function glm(y, X, {
     // Diagnostics
     aic,
     df: { residual: df_residual, null: df_null },
-    dispersion: deviance / df_residual,
+    dispersion,
+    estimated_dispersion: estimatedDispersion,
+    
+    // Coefficient information
+    std_errors: Array.from(stdErrors),
+    cov_unscaled: covUnscaled,
     
     // Convergence
     converged,
@@ -486,51 +515,293 @@ export function glm(y, X, {
     p,
     coef_names: coefNames,
     weights: Array.from(wts),
+    offset: offset === null ? null : Array.from(off),
+    
+    // Term structure (array interface; formula fits set these in fitFormula)
+    ...(design && {
+      term_labels: design.term_labels,
+      assign: design.assign,
+      xlevels: design.xlevels,
+      contrasts: contrastNames(design.specs)
+    }),
     
     // For predictions
     _family: family,
     _X: designMatrix,
+    _specs: design ? design.specs : null,
+  }, validIndices, n, na_action);
+}
+
+/**
+ * IRLS working weights w and working response z for the current fit
+ * 
+ * @param {Object} family - Family object
+ * @param {Float64Array} y - Response
+ * @param {Float64Array} eta - Linear predictors (including the offset)
+ * @param {Float64Array} mu - Fitted means
+ * @param {Float64Array} wts - Prior weights
+ * @param {Float64Array} off - Offset
+ * @returns {{ w: Float64Array, z: Float64Array }} - Weights and response of the working linear model
+ */
+export function workingResponse(family, y, eta, mu, wts, off) {
+  const n = y.length;
+  const w = new Float64Array(n);
+  const z = new Float64Array(n);
+  
+  for (let i = 0; i < n; i++) {
+    const muEta = family.mu_eta(eta[i]);
+    const variance = family.variance(mu[i]);
+    
+    // Working weight: w = (dmu/deta)^2 / V(mu)
+    w[i] = wts[i] * (muEta * muEta) / Math.max(variance, 1e-10);
+    
+    // Working response: z = eta - offset + (y - mu) * deta/dmu
+    // (dmu/deta is negative for decreasing links such as inverse)
+    const muEtaSafe = Math.abs(muEta) < 1e-10 ? (muEta < 0 ? -1e-10 : 1e-10) : muEta;
+    z[i] = eta[i] - off[i] + (y[i] - mu[i]) / muEtaSafe;
+    
+    // Bound working weights and response
+    if (!isFinite(w[i]) || w[i] < 1e-10) w[i] = 1e-10;
+    if (!isFinite(z[i])) z[i] = eta[i] - off[i];
+  }
+  
+  return { w, z };
+}
+
+/**
+ * Update linear predictors and means in place from X * beta, keeping the
+ * means inside the valid range of the family
+ * 
+ * @param {Object} family - Family object
+ * @param {Float64Array} linear - X * beta
+ * @param {Float64Array} off - Offset
+ * @param {Float64Array} eta - Linear predictors (updated)
+ * @param {Float64Array} mu - Fitted means (updated)
+ */
+export function updateMeans(family, linear, off, eta, mu) {
+  for (let i = 0; i < mu.length; i++) {
+    eta[i] = linear[i] + off[i];
+    mu[i] = family.linkinv(eta[i]);
+    
+    // Bound mu to valid range
+    if (!family.validmu(mu[i])) {
+      if (family.family === 'binomial' || family.family === 'quasibinomial') {
+        mu[i] = Math.max(1e-6, Math.min(1 - 1e-6, mu[i]));
+      } else {
+        mu[i] = Math.max(1e-6, mu[i]);
+      }
+      eta[i] = family.linkfun(mu[i]);
+    }
+  }
+}
+
+/**
+ * IRLS working weights w = prior weight * (dmu/deta)^2 / V(mu)
+ */
+function workingWeights(family, eta, mu, wts) {
+  const w = new Float64Array(mu.length);
+  for (let i = 0; i < mu.length; i++) {
+    const muEta = family.mu_eta(eta[i]);
+    w[i] = wts[i] * muEta * muEta / Math.max(family.variance(mu[i]), 1e-10);
+  }
+  return w;
+}
+
+/**
+ * Unscaled covariance matrix (X'WX)^-1 of the coefficients
+ * Falls back to the pseudo-inverse when X'WX is singular
+ */
+function unscaledCovariance(X, w) {
+  const p = X.cols;
+  const XtWX = new Matrix(p, p);
+  for (let j = 0; j < p; j++) {
+    for (let k = j; k < p; k++) {
+      let sum = 0;
+      for (let i = 0; i < X.rows; i++) {
+        sum += X.get(i, j) * w[i] * X.get(i, k);
+      }
+      XtWX.set(j, k, sum);
+      XtWX.set(k, j, sum);
+    }
+  }
+  
+  try {
+    return inverse(XtWX);
+  } catch (e) {
+    const cov = new Matrix(p, p);
+    for (let j = 0; j < p; j++) {
+      const ej = new Float64Array(p);
+      ej[j] = 1;
+      cov.setColumn(j, pseudoInverseSolve(XtWX, ej));
+    }
+    return cov;
+  }
+}
+
+/**
+ * Fit a negative binomial GLM, estimating theta by maximum likelihood
+ * 
+ * Alternates between fitting the GLM for fixed theta and re-estimating theta
+ * for fixed means until the log-likelihood and theta stabilize (as MASS::glm.nb)
+ * 
+ * @param {Vector|Array|string} y - Count response, or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
+ * @param {Object} options - Options (as glm(), without family)
+ * @param {string} options.link - Link function: 'log', 'sqrt' or 'identity' (default: 'log')
+ * @param {number} options.maxit - Maximum outer iterations (default: 25)
+ * @param {number} options.epsilon - Convergence tolerance (default: 1e-8)
+ * @returns {Object} - Fitted GLM object with theta, se_theta and two_log_lik
+ * 
+ * @example
+ * const fit = glm_nb('count ~ treatment', { data: df });
+ * fit.theta; // estimated shape parameter
+ */
+export function glm_nb(y, X, { link = 'log', maxit = 25, epsilon = 1e-8, ...options } = {}) {
+  if (typeof y === 'string') {
+    return fitFormula(glm_nb, y, { link, maxit, epsilon, ...X });
+  }
+  
+  // Poisson fit for starting values
+  let fit = glm(y, X, { ...options, maxit, epsilon, family: poisson(link) });
+  const yUsed = observedResponse(fit);
+  const wts = fit.weights;
+  
+  let { theta } = thetaML(yUsed, naUnpad(fit.fitted_values), wts);
+  let logLik = negbinLogLik(yUsed, naUnpad(fit.fitted_values), wts, theta);
+  let delta = 1;
+  let converged = false;
+  
+  for (let iter = 0; iter < maxit; iter++) {
+    fit = glm(y, X, { ...options, maxit, epsilon, family: negative_binomial(theta, link) });
+    const mu = naUnpad(fit.fitted_values);
+    
+    const thetaOld = theta;
+    const logLikOld = logLik;
+    ({ theta } = thetaML(yUsed, mu, wts));
+    logLik = negbinLogLik(yUsed, mu, wts, theta);
+    delta = thetaOld - theta;
+    
+    const d1 = Math.sqrt(2 * Math.max(1, fit.df.residual));
+    if (Math.abs(logLikOld - logLik) / d1 + Math.abs(delta) <= epsilon) {
+      converged = true;
+      break;
+    }
+  }
+  
+  // Final fit at the estimated theta
+  fit = glm(y, X, { ...options, maxit, epsilon, family: negative_binomial(theta, link) });
+  const mu = naUnpad(fit.fitted_values);
+  const { se } = thetaML(yUsed, mu, wts, theta);
+  const twoLogLik = 2 * negbinLogLik(yUsed, mu, wts, theta);
+  
+  return {
+    ...fit,
+    converged: fit.converged && converged,
+    theta,
+    se_theta: se,
+    two_log_lik: twoLogLik,
+    // theta counts as an estimated parameter
+    aic: -twoLogLik + 2 * fit.p + 2
   };
 }
 
+/**
+ * Response values of the observations used in a fit (fitted + response residuals)
+ */
+function observedResponse(fit) {
+  const fitted = naUnpad(fit.fitted_values);
+  const residuals = naUnpad(fit.residuals);
+  return fitted.map((m, i) => m + residuals[i]);
+}
+
+/**
+ * Maximum likelihood estimate of the negative binomial theta for fixed means
+ * Newton-Raphson on the score, started from the moment estimate (as MASS::theta.ml)
+ */
+function thetaML(y, mu, wts, start = null, limit = 25) {
+  const n = wts.reduce((a, b) => a + b, 0);
+  
+  let t0 = start;
+  if (t0 === null) {
+    let s = 0;
+    for (let i = 0; i < y.length; i++) {
+      const r = y[i] / mu[i] - 1;
+      s += wts[i] * r * r;
+    }
+    t0 = n / s;
+  }
+  
+  const score = (th) => {
+    let sc = 0;
+    for (let i = 0; i < y.length; i++) {
+      sc += wts[i] * (digamma(th + y[i]) - digamma(th) + Math.log(th) + 1 -
+        Math.log(th + mu[i]) - (y[i] + th) / (mu[i] + th));
+    }
+    return sc;
+  };
+  const info = (th) => {
+    let inf = 0;
+    for (let i = 0; i < y.length; i++) {
+      inf += wts[i] * (-trigamma(th + y[i]) + trigamma(th) - 1 / th +
+        2 / (mu[i] + th) - (y[i] + th) / ((mu[i] + th) * (mu[i] + th)));
+    }
+    return inf;
+  };
+  
+  const eps = Math.pow(Number.EPSILON, 0.25);
+  let del = 1;
+  let it = 0;
+  let i = info(t0);
+  if (start === null) {
+    while (it < limit && Math.abs(del) > eps) {
+      it++;
+      t0 = Math.abs(t0);
+      i = info(t0);
+      del = score(t0) / i;
+      t0 += del;
+    }
+    if (t0 < 0) t0 = 0;
+    i = info(t0);
+  }
+  
+  return { theta: t0, se: Math.sqrt(1 / i) };
+}
+
 /**
  * Predict using a fitted GLM
  * 
  * @param {Object} model - Fitted GLM from glm()
- * @param {Array<Vector|Array>} newX - New predictor values
+ * @param {Array<Vector|Array>|DataFrame} newX - New predictor values (a DataFrame for formula fits)
  * @param {string} type - Type of prediction: 'link' or 'response' (default: 'response')
+ * @param {Array<number>} newOffset - Offset for the new observations, e.g. log(exposure) (default: none)
  * @returns {Array} - Predicted values
  */
-export function predictGlm(model, newX, type = 'response') {
-  const n = newX[0].length;
-  const p = model.p;
-  const intercept = model.coef_names[0] === '(Intercept)';
-  
-  // Build design matrix
-  const cols = [];
+export function predictGlm(model, newX, type = 'response', newOffset = null) {
+  let X_new;
   
-  if (intercept) {
-    const interceptCol = new Float64Array(n);
-    interceptCol.fill(1);
-    cols.push(interceptCol);
+  if (model.terms && !Array.isArray(newX)) {
+    X_new = newModelMatrix(model, newX);
+  } else {
+    // Build design matrix, coding factors as in the fit
+    const intercept = model.coef_names[0] === '(Intercept)';
+    const { columns } = predictorColumns(newX, null, { intercept, specs: model._specs || {} });
+    X_new = Matrix.fromColumns(columns);
   }
   
-  for (let j = 0; j < newX.length; j++) {
-    const pred = newX[j] instanceof Vector ? newX[j] : new Vector(newX[j]);
-    const col = new Float64Array(n);
-    
-    for (let i = 0; i < n; i++) {
-      col[i] = pred.get(i);
-    }
-    
-    cols.push(col);
-  }
+  const n = X_new.rows;
   
-  const X_new = Matrix.fromColumns(cols);
+  if (newOffset !== null && newOffset.length !== n) {
+    throw new Error(`newOffset has length ${newOffset.length} but there are ${n} new observations`);
+  }
   
-  // Linear predictors (eta = X * beta)
+  // Linear predictors (eta = X * beta + offset)
   const coefs = new Float64Array(model.coefficients);
   const eta = X_new.multiplyVector(coefs);
+  if (newOffset !== null) {
+    for (let i = 0; i < n; i++) {
+      eta[i] += newOffset[i];
+    }
+  }
   
   if (type === 'link') {
     return Array.from(eta);
@@ -0,0 +1,178 @@
+/**
+ * Link functions for generalized linear models - R-style make.link
+ *
+ * A link object maps the mean mu to the linear predictor eta:
+ * - linkfun(mu): eta = g(mu)
+ * - linkinv(eta): mu = g^-1(eta)
+ * - mu_eta(eta): dmu/deta
+ * - valideta(eta): whether eta is in the domain of the inverse link
+ */
+
+import { dnorm, pnorm, qnorm } from '../distributions/normal.js';
+
+const EPS = Number.EPSILON;
+
+// Bound probabilities away from 0 and 1 so that the binomial variance stays positive
+const clampProb = (mu) => Math.max(EPS, Math.min(1 - EPS, mu));
+
+// Link objects created by power(), the only links accepted outside a family's named links
+const POWER_LINKS = new WeakSet();
+
+const LINKS = {
+  identity: {
+    linkfun: (mu) => mu,
+    linkinv: (eta) => eta,
+    mu_eta: (eta) => 1,
+    valideta: (eta) => true
+  },
+
+  log: {
+    linkfun: (mu) => Math.log(mu),
+    linkinv: (eta) => Math.max(Math.exp(eta), EPS),
+    mu_eta: (eta) => Math.max(Math.exp(eta), EPS),
+    valideta: (eta) => true
+  },
+
+  inverse: {
+    linkfun: (mu) => 1 / mu,
+    linkinv: (eta) => 1 / eta,
+    mu_eta: (eta) => -1 / (eta * eta),
+    valideta: (eta) => Number.isFinite(eta) && eta !== 0
+  },
+
+  sqrt: {
+    linkfun: (mu) => Math.sqrt(mu),
+    linkinv: (eta) => eta * eta,
+    mu_eta: (eta) => 2 * eta,
+    valideta: (eta) => eta > 0
+  },
+
+  '1/mu^2': {
+    linkfun: (mu) => 1 / (mu * mu),
+    linkinv: (eta) => 1 / Math.sqrt(eta),
+    mu_eta: (eta) => -1 / (2 * Math.pow(eta, 1.5)),
+    valideta: (eta) => eta > 0
+  },
+
+  logit: {
+    linkfun: (mu) => Math.log(mu / (1 - mu)),
+    linkinv: (eta) => {
+      // Stable computation of 1/(1 + exp(-eta))
+      if (eta > 0) {
+        return 1 / (1 + Math.exp(-eta));
+      }
+      const expPos = Math.exp(eta);
+      return expPos / (1 + expPos);
+    },
+    mu_eta: (eta) => {
+      const e = Math.exp(-Math.abs(eta));
+      return Math.max(e / ((1 + e) * (1 + e)), EPS);
+    },
+    valideta: (eta) => true
+  },
+
+  probit: {
+    linkfun: (mu) => qnorm(mu),
+    linkinv: (eta) => clampProb(pnorm(eta)),
+    mu_eta: (eta) => Math.max(dnorm(eta), EPS),
+    valideta: (eta) => true
+  },
+
+  cauchit: {
+    linkfun: (mu) => Math.tan(Math.PI * (mu - 0.5)),
+    linkinv: (eta) => clampProb(0.5 + Math.atan(eta) / Math.PI),
+    mu_eta: (eta) => Math.max(1 / (Math.PI * (1 + eta * eta)), EPS),
+    valideta: (eta) => true
+  },
+
+  cloglog: {
+    linkfun: (mu) => Math.log(-Math.log(1 - mu)),
+    linkinv: (eta) => clampProb(-Math.expm1(-Math.exp(eta))),
+    mu_eta: (eta) => {
+      const e = Math.min(eta, 700);
+      return Math.max(Math.exp(e) * Math.exp(-Math.exp(e)), EPS);
+    },
+    valideta: (eta) => true
+  }
+};
+
+/**
+ * Power link eta = mu^lambda (log link when lambda = 0)
+ *
+ * @param {number} lambda - Power
+ * @returns {Object} - Link object usable as the link of any non-binomial family
+ *
+ * @example
+ * gaussian(power(1 / 3));
+ * Gamma(power(-1)); // same as the inverse link
+ */
+export function power(lambda) {
+  if (typeof lambda !== 'number' || !Number.isFinite(lambda)) {
+    throw new Error('power() requires a finite numeric lambda');
+  }
+  if (lambda === 0) return makeLink('log');
+  if (lambda === 1) return makeLink('identity');
+
+  const link = {
+    name: `mu^${Number(lambda.toPrecision(6))}`,
+    linkfun: (mu) => Math.pow(mu, lambda),
+    linkinv: (eta) => Math.pow(Math.max(eta, EPS), 1 / lambda),
+    mu_eta: (eta) => Math.pow(Math.max(eta, EPS), 1 / lambda - 1) / lambda,
+    valideta: (eta) => eta > 0
+  };
+  POWER_LINKS.add(link);
+  return link;
+}
+
+/**
+ * Create a link object by name
+ *
+ * @param {string} name - 'identity', 'log', 'inverse', 'sqrt', '1/mu^2', 'logit', 'probit', 'cauchit' or 'cloglog'
+ * @returns {Object} - { name, linkfun, linkinv, mu_eta, valideta }
+ */
+export function makeLink(name) {
+  const link = LINKS[name];
+  if (!link) {
+    throw new Error(`Unknown link: ${name}. Use one of ${Object.keys(LINKS).map(l => `'${l}'`).join(', ')}, or power(lambda).`);
+  }
+  return { name, ...link };
+}
+
+/**
+ * Resolve the link of a family, checking that the combination is supported
+ *
+ * @param {string} family - Family name, used in error messages
+ * @param {string|Object} link - Link name or link object (e.g. from power())
+ * @param {Array<string>} allowed - Link names supported by the family; link objects must
+ *   carry one of these names unless they were built by power()
+ * @param {boolean} allowPower - Whether power() links are accepted (default: true)
+ * @returns {Object} - Link fields to spread into the family object
+ */
+export function familyLink(family, link, allowed, { allowPower = true } = {}) {
+  let resolved;
+
+  if (typeof link === 'string') {
+    if (!allowed.includes(link)) {
+      throw new Error(
+        `Link '${link}' is not available for the ${family} family; use ${allowed.map(l => `'${l}'`).join(', ')}` +
+        (allowPower ? ' or power(lambda)' : '')
+      );
+    }
+    resolved = makeLink(link);
+  } else if (link && typeof link.linkfun === 'function') {
+    if (!allowed.includes(link.name) && !(allowPower && POWER_LINKS.has(link))) {
+      throw new Error(`Link '${link.name}' is not available for the ${family} family; use ${allowed.map(l => `'${l}'`).join(', ')}`);
+    }
+    resolved = link;
+  } else {
+    throw new Error('link must be a link name or a link object');
+  }
+
+  return {
+    link: resolved.name,
+    linkfun: resolved.linkfun,
+    linkinv: resolved.linkinv,
+    mu_eta: resolved.mu_eta,
+    valideta: resolved.valideta
+  };
+}
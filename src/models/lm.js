@@ -1,6 +1,6 @@
 /**
  * Linear regression (lm) - R-style linear models
- * Implements ordinary least squares using QR decomposition
+ * Implements ordinary and weighted least squares using QR decomposition
  */
 
 import Vector from '../core/Vector.js';
@@ -9,14 +9,25 @@ import { leastSquares } from '../math/qr.js';
 import { pt, qt } from '../distributions/t.js';
 import { pf } from '../distributions/f.js';
 import { pseudoInverseSolve } from '../math/svd.js';
+import { fitFormula, newModelMatrix, predictorColumns } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction } from './na_action.js';
 
 /**
- * Fit a linear model using ordinary least squares
+ * Fit a linear model using ordinary (or weighted) least squares
  * 
- * @param {Vector|Array} y - Response variable
- * @param {Matrix|Array<Vector|Array>} X - Design matrix or array of predictors
+ * Can be called with a response and predictors, or with a formula and a
+ * DataFrame: lm('mpg ~ hp + wt', { data: df })
+ * 
+ * @param {Vector|Array|string} y - Response variable, or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
  * @param {Object} options - Options
  * @param {boolean} options.intercept - Include intercept (default: true)
+ * @param {Object} options.contrasts - Contrasts per factor predictor, e.g. { x2: 'sum' } or { 'factor(cyl)': { type: 'treatment', base: '6' } }
+ * @param {string} options.na_action - Missing value policy: 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {Array<number>} options.weights - Non-negative observation weights; the fit minimizes sum(w * e^2) (default: none)
+ * @param {Array<number>} options.offset - Known component added to the linear predictor (default: none)
+ * @param {DataFrame|Object} options.data - Data for formula variables
  * @returns {Object} - Model fit object
  * 
  * @example
@@ -31,22 +42,45 @@ import { pseudoInverseSolve } from '../math/svd.js';
  * const x1 = [1, 2, 3, 4, 5];
  * const x2 = [2, 3, 4, 5, 6];
  * const fit = lm(y, [x1, x2]);
+ * 
+ * @example
+ * // Formula interface
+ * const fit = lm('mpg ~ hp + wt + factor(cyl)', { data: mtcars });
+ * 
+ * @example
+ * // Weighted least squares
+ * const fit = lm('mpg ~ wt', { data: mtcars, weights: mtcars.colArray('hp').map(h => 1 / h) });
  */
-export function lm(y, X, { intercept = true } = {}) {
+export function lm(y, X, {
+  intercept = true,
+  contrasts = {},
+  na_action = 'na.omit',
+  weights = null,
+  offset = null
+} = {}) {
+  if (typeof y === 'string') {
+    return fitFormula(lm, y, X);
+  }
+  
   // Convert y to Vector
   const yVec = y instanceof Vector ? y : new Vector(y);
   const n = yVec.length;
   
-  // Check for NAs in y and remove if present
-  const validIndices = [];
-  for (let i = 0; i < n; i++) {
-    if (!yVec.isNA(i)) {
-      validIndices.push(i);
-    }
+  if (X instanceof Matrix && X.rows !== n) {
+    throw new Error(`Design matrix has ${X.rows} rows but response has ${n} observations`);
+  }
+  
+  validateObservationVector(weights, n, 'weights');
+  validateObservationVector(offset, n, 'offset');
+  if (weights !== null && Array.from(weights).some(w => w < 0)) {
+    throw new Error('Negative weights not allowed');
   }
   
+  // Observations with a missing response, predictor, weight or offset are handled by na_action
+  const validIndices = completeRows(n, [yVec, weights, offset, ...(Array.isArray(X) ? X : [X])], na_action);
+  
   if (validIndices.length === 0) {
-    throw new Error('No valid observations in response variable');
+    throw new Error('No complete observations in response and predictors');
   }
   
   const nValid = validIndices.length;
@@ -54,49 +88,28 @@ export function lm(y, X, { intercept = true } = {}) {
   // Build design matrix
   let p; // number of predictors (including intercept)
   let designMatrix;
+  let design = null;
   
   if (X instanceof Matrix) {
-    designMatrix = X;
+    designMatrix = nValid < n ? X.subsetRows(validIndices) : X;
     p = X.cols;
   } else if (Array.isArray(X)) {
-    // X is array of predictor vectors
-    const nPredictors = X.length;
-    p = intercept ? nPredictors + 1 : nPredictors;
-    
-    const cols = [];
-    
-    // Add intercept column if requested
-    if (intercept) {
-      const interceptCol = new Float64Array(nValid);
-      interceptCol.fill(1);
-      cols.push(interceptCol);
-    }
-    
-    // Add predictor columns
-    for (let j = 0; j < nPredictors; j++) {
-      const pred = X[j] instanceof Vector ? X[j] : new Vector(X[j]);
-      const col = new Float64Array(nValid);
-      
-      for (let i = 0; i < nValid; i++) {
-        const origIdx = validIndices[i];
-        if (pred.isNA(origIdx)) {
-          throw new Error(`NA values in predictor ${j + 1} not yet supported`);
-        }
-        col[i] = pred.get(origIdx);
-      }
-      
-      cols.push(col);
-    }
-    
-    designMatrix = Matrix.fromColumns(cols);
+    // X is array of predictor vectors; Factor predictors are expanded with contrasts
+    design = predictorColumns(X, validIndices, { intercept, contrasts });
+    designMatrix = Matrix.fromColumns(design.columns);
+    p = designMatrix.cols;
   } else {
     throw new Error('X must be a Matrix or array of predictors');
   }
   
-  // Extract valid y values
+  // Extract valid y values, weights and offset
   const yData = new Float64Array(nValid);
+  const wData = new Float64Array(nValid).fill(1);
+  const offData = new Float64Array(nValid);
   for (let i = 0; i < nValid; i++) {
     yData[i] = yVec.get(validIndices[i]);
+    if (weights !== null) wData[i] = weights[validIndices[i]];
+    if (offset !== null) offData[i] = offset[validIndices[i]];
   }
   
   // Check dimensions
@@ -104,15 +117,29 @@ export function lm(y, X, { intercept = true } = {}) {
     throw new Error(`Design matrix has ${designMatrix.rows} rows but response has ${nValid} valid observations`);
   }
   
-  if (nValid <= p) {
-    throw new Error(`Not enough observations (${nValid}) for ${p} parameters`);
+  // Zero-weight observations do not count towards the degrees of freedom
+  const nObs = weights === null ? nValid : wData.reduce((acc, w) => acc + (w > 0 ? 1 : 0), 0);
+  
+  if (nObs <= p) {
+    throw new Error(`Not enough observations (${nObs}) for ${p} parameters`);
+  }
+  
+  // Weighted least squares is OLS on the rows scaled by sqrt(w);
+  // the offset is subtracted from the response before fitting
+  const fitMatrix = weights === null ? designMatrix : scaleRows(designMatrix, wData);
+  const z = new Float64Array(nValid);
+  for (let i = 0; i < nValid; i++) {
+    z[i] = (yData[i] - offData[i]) * Math.sqrt(wData[i]);
   }
   
   // Fit model using QR decomposition
-  const coefficients = leastSquares(designMatrix, yData);
+  const coefficients = leastSquares(fitMatrix, z);
   
-  // Calculate fitted values
+  // Calculate fitted values (on the response scale, including the offset)
   const fitted = designMatrix.multiplyVector(coefficients);
+  for (let i = 0; i < nValid; i++) {
+    fitted[i] += offData[i];
+  }
   
   // Calculate residuals
   const residuals = new Float64Array(nValid);
@@ -120,30 +147,32 @@ export function lm(y, X, { intercept = true } = {}) {
     residuals[i] = yData[i] - fitted[i];
   }
   
-  // Calculate residual sum of squares
+  // Calculate (weighted) residual sum of squares
   let rss = 0;
   for (let i = 0; i < nValid; i++) {
-    rss += residuals[i] * residuals[i];
+    rss += wData[i] * residuals[i] * residuals[i];
   }
   
   // Degrees of freedom
-  const df_residual = nValid - p;
-  const df_total = nValid - 1;
+  const df_residual = nObs - p;
+  const df_total = nObs - 1;
   
   // Residual standard error
   const sigma = Math.sqrt(rss / df_residual);
   
-  // Calculate R-squared
+  // Calculate R-squared from the (weighted) spread of y - offset about its weighted mean
+  let wSum = 0;
   let yMean = 0;
   for (let i = 0; i < nValid; i++) {
-    yMean += yData[i];
+    wSum += wData[i];
+    yMean += wData[i] * (yData[i] - offData[i]);
   }
-  yMean /= nValid;
+  yMean /= wSum;
   
   let tss = 0; // Total sum of squares
   for (let i = 0; i < nValid; i++) {
-    const diff = yData[i] - yMean;
-    tss += diff * diff;
+    const diff = yData[i] - offData[i] - yMean;
+    tss += wData[i] * diff * diff;
   }
   
   const r_squared = 1 - (rss / tss);
@@ -151,7 +180,7 @@ export function lm(y, X, { intercept = true } = {}) {
   
   // Standard errors (using diagonal of (X'X)^-1)
   // For QR: (X'X)^-1 = (R'R)^-1 = R^-1 * (R')^-1
-  const se = calculateStandardErrors(designMatrix, sigma);
+  const se = calculateStandardErrors(fitMatrix, sigma);
   
   // t-statistics and p-values
   const tStats = new Float64Array(p);
@@ -170,16 +199,21 @@ export function lm(y, X, { intercept = true } = {}) {
   const f_pvalue = f_statistic !== null ? pf(f_statistic, df_model, df_residual, { lower_tail: false }) : null;
   
   // Build coefficient names
-  const coefNames = [];
-  if (intercept) {
-    coefNames.push('(Intercept)');
-  }
-  for (let i = (intercept ? 1 : 0); i < p; i++) {
-    coefNames.push(`x${i - (intercept ? 1 : 0) + 1}`);
+  let coefNames;
+  if (design) {
+    coefNames = design.coef_names;
+  } else {
+    coefNames = [];
+    if (intercept) {
+      coefNames.push('(Intercept)');
+    }
+    for (let i = (intercept ? 1 : 0); i < p; i++) {
+      coefNames.push(`x${i - (intercept ? 1 : 0) + 1}`);
+    }
   }
   
   // Return lm object
-  return {
+  return applyNaAction({
     coefficients: Array.from(coefficients),
     residuals: Array.from(residuals),
     fitted_values: Array.from(fitted),
@@ -208,9 +242,45 @@ export function lm(y, X, { intercept = true } = {}) {
     rss,
     tss,
     
+    // Prior weights and offset (null when not given)
+    weights: weights === null ? null : Array.from(wData),
+    offset: offset === null ? null : Array.from(offData),
+    
+    // Term structure (array interface; formula fits set these in fitFormula)
+    ...(design && {
+      term_labels: design.term_labels,
+      assign: design.assign,
+      xlevels: design.xlevels,
+      contrasts: contrastNames(design.specs)
+    }),
+    
     // Design matrix (for predictions)
     _X: designMatrix,
-  };
+    _specs: design ? design.specs : null,
+  }, validIndices, n, na_action);
+}
+
+/**
+ * Check that a per-observation option has one value per observation
+ */
+function validateObservationVector(values, n, name) {
+  if (values !== null && values.length !== n) {
+    throw new Error(`${name} has length ${values.length} but there are ${n} observations`);
+  }
+}
+
+/**
+ * Multiply each row of X by sqrt(w_i)
+ */
+function scaleRows(X, w) {
+  const scaled = X.clone();
+  for (let i = 0; i < X.rows; i++) {
+    const s = Math.sqrt(w[i]);
+    for (let j = 0; j < X.cols; j++) {
+      scaled.set(i, j, X.get(i, j) * s);
+    }
+  }
+  return scaled;
 }
 
 /**
@@ -322,39 +392,34 @@ function invertSmallMatrix(A) {
  * Predict using a fitted linear model
  * 
  * @param {Object} model - Fitted model from lm()
- * @param {Array<Vector|Array>} newX - New predictor values
+ * @param {Array<Vector|Array>|DataFrame} newX - New predictor values (a DataFrame for formula fits)
+ * @param {Array<number>} newOffset - Offset for the new observations (default: none)
  * @returns {Array} - Predicted values
  */
-export function predict(model, newX) {
-  const n = newX[0].length;
-  const p = model.p;
-  const intercept = model.coef_names[0] === '(Intercept)';
-  
-  // Build design matrix for new data
-  const cols = [];
-  
-  if (intercept) {
-    const interceptCol = new Float64Array(n);
-    interceptCol.fill(1);
-    cols.push(interceptCol);
-  }
+export function predict(model, newX, newOffset = null) {
+  const coefs = new Float64Array(model.coefficients);
   
-  for (let j = 0; j < newX.length; j++) {
-    const pred = newX[j] instanceof Vector ? newX[j] : new Vector(newX[j]);
-    const col = new Float64Array(n);
-    
-    for (let i = 0; i < n; i++) {
-      col[i] = pred.get(i);
-    }
-    
-    cols.push(col);
+  let X_new;
+  if (model.terms && !Array.isArray(newX)) {
+    X_new = newModelMatrix(model, newX);
+  } else {
+    // Build design matrix for new data, coding factors as in the fit
+    const intercept = model.coef_names[0] === '(Intercept)';
+    const { columns } = predictorColumns(newX, null, { intercept, specs: model._specs || {} });
+    X_new = Matrix.fromColumns(columns);
   }
   
-  const X_new = Matrix.fromColumns(cols);
+  if (newOffset !== null && newOffset.length !== X_new.rows) {
+    throw new Error(`newOffset has length ${newOffset.length} but there are ${X_new.rows} new observations`);
+  }
   
   // Compute predictions
-  const coefs = new Float64Array(model.coefficients);
   const predictions = X_new.multiplyVector(coefs);
+  if (newOffset !== null) {
+    for (let i = 0; i < predictions.length; i++) {
+      predictions[i] += newOffset[i];
+    }
+  }
   
   return Array.from(predictions);
 }
@@ -0,0 +1,538 @@
+/**
+ * Linear mixed-effects models (lmer) - random intercepts and slopes by REML or ML
+ *
+ * Follows the lme4 formulation: y = X beta + Z b + e with b = Lambda(theta) u,
+ * u ~ N(0, sigma^2 I), e ~ N(0, sigma^2 I). For a given relative covariance
+ * factor theta the penalized least squares problem is solved in closed form,
+ * which gives the profiled deviance; theta is then found by Nelder-Mead.
+ *
+ * Matrices are dense, which is adequate for up to a few hundred random effects.
+ */
+
+import Factor from '../core/Factor.js';
+import { Matrix, inverse, cholesky } from '../math/matrix.js';
+import { nelderMead } from '../math/optimize.js';
+import { modelMatrix, evaluateFactor } from './formula.js';
+import { applyNaAction, validateNaAction } from './na_action.js';
+
+/**
+ * Fit a linear mixed-effects model
+ *
+ * Random effects are written as `(terms | group)` in the formula, e.g.
+ * - `(1 | subject)` random intercept per subject
+ * - `(days | subject)` correlated random intercept and slope (same as `(1 + days | subject)`)
+ * - `(0 + days | subject)` random slope only
+ * - `(1 | subject) + (0 + days | subject)` uncorrelated intercept and slope
+ *
+ * @param {string} formula - Model formula, e.g. 'reaction ~ days + (days | subject)'
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for the formula variables
+ * @param {boolean} options.REML - Estimate by restricted maximum likelihood (default: true), otherwise ML
+ * @param {Object} options.contrasts - Contrasts for factors among the fixed effects
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {number} options.maxit - Maximum optimizer iterations (default: 1000 per covariance parameter)
+ * @returns {Object} - Fitted model: fixed effects, variance components, BLUPs (ranef) and fit criteria
+ *
+ * @example
+ * const fit = lmer('reaction ~ days + (days | subject)', { data: sleep });
+ * fit.coefficients;         // fixed effects
+ * fit.varcor;               // random-effect variances and correlations
+ * fit.ranef.subject.values; // BLUPs per subject
+ */
+export function lmer(formula, {
+  data,
+  REML = true,
+  contrasts = {},
+  na_action = 'na.omit',
+  maxit = null
+} = {}) {
+  if (typeof formula !== 'string') {
+    throw new Error('lmer() requires a formula');
+  }
+  if (!data) {
+    throw new Error('A data argument is required to evaluate a formula');
+  }
+  validateNaAction(na_action);
+
+  const { fixed, bars } = splitRandomTerms(formula);
+  if (bars.length === 0) {
+    throw new Error('No random effects terms in the formula; use lm() for fixed-effects models');
+  }
+
+  // Random-effect model matrices and grouping factors on all rows; incomplete
+  // rows are then dropped together with those of the fixed effects
+  const extra = {};
+  const randomParts = bars.map((bar, t) => {
+    const mm = modelMatrix(`~ ${bar.terms}`, data, { response: false, na_action: 'na.pass' });
+    const factor = evaluateFactor(bar.group, data);
+    for (let c = 0; c < mm.X.cols; c++) {
+      extra[`z${t}_${c}`] = Array.from(mm.X.getColumn(c));
+    }
+    extra[`g${t}`] = Array.from({ length: factor.length }, (_, i) => (factor.isNA(i) ? null : factor.codes[i]));
+    return { group: bar.group, names: mm.coef_names, levels: factor.levels, k: mm.X.cols };
+  });
+
+  const mm = modelMatrix(fixed, data, { contrasts, na_action, extra });
+  if (mm.y === null) {
+    throw new Error(`Formula has no response: ${formula}`);
+  }
+  if (mm.y instanceof Factor) {
+    throw new Error(`Response '${mm.terms.response}' is a factor; a numeric response is required`);
+  }
+  const y = Array.from(mm.y);
+  const X = mm.X;
+  const n = y.length;
+  const p = X.cols;
+
+  // Random-effect terms on the rows used, with unused group levels dropped
+  let offset = 0;
+  const terms = randomParts.map((part, t) => {
+    const codes = mm.extra[`g${t}`];
+    const used = Array.from(new Set(codes)).sort((a, b) => a - b);
+    const recode = new Map(used.map((code, g) => [code, g]));
+    const term = {
+      group: part.group,
+      names: part.names,
+      k: part.k,
+      levels: used.map(code => part.levels[code]),
+      groups: codes.map(code => recode.get(code)),
+      columns: Array.from({ length: part.k }, (_, c) => mm.extra[`z${t}_${c}`]),
+      offset
+    };
+    offset += term.levels.length * term.k;
+    return term;
+  });
+  const q = offset;
+
+  for (const term of terms) {
+    if (term.levels.length >= n) {
+      throw new Error(`Number of levels of '${term.group}' must be less than the number of observations`);
+    }
+  }
+
+  const system = crossProducts(y, X, terms, q);
+
+  // Relative covariance factors: lower triangle of each term's k x k factor, column-major
+  const thetaStart = [];
+  for (const term of terms) {
+    for (let c = 0; c < term.k; c++) {
+      for (let r = c; r < term.k; r++) thetaStart.push(r === c ? 1 : 0);
+    }
+  }
+
+  // Minimize the profiled deviance, restarting from the optimum with a smaller
+  // simplex to polish the flat region near the minimum
+  const deviance = (theta) => solvePLS(theta, system, y, X, terms, q, REML).deviance;
+  const iterLimit = maxit === null ? 1000 * thetaStart.length : maxit;
+  let opt = nelderMead(deviance, thetaStart, { step: 0.25, tol: 1e-12, maxit: iterLimit });
+  const polish = nelderMead(deviance, opt.x, { step: 0.01, tol: 1e-14, maxit: iterLimit });
+  if (polish.value <= opt.value) {
+    opt = { ...polish, iterations: opt.iterations + polish.iterations };
+  }
+
+  const theta = canonicalTheta(opt.x, terms);
+  const fit = solvePLS(theta, system, y, X, terms, q, REML);
+
+  const dfResid = REML ? n - p : n;
+  const sigma2 = fit.pwrss / dfResid;
+  const sigma = Math.sqrt(sigma2);
+
+  // Fixed effects and their covariance sigma^2 (X'V*X)^-1
+  const covFixed = inverse(fit.XtXadj);
+  const stdErrors = [];
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < p; k++) covFixed.set(j, k, covFixed.get(j, k) * sigma2);
+    stdErrors.push(Math.sqrt(covFixed.get(j, j)));
+  }
+  const coefficients = Array.from(fit.beta);
+
+  // Variance components and BLUPs per term
+  const varcor = [];
+  const ranef = {};
+  let thetaIdx = 0;
+  for (const term of terms) {
+    const T = lowerFactor(theta, thetaIdx, term.k);
+    thetaIdx += term.k * (term.k + 1) / 2;
+
+    const cov = new Matrix(term.k, term.k);
+    for (let r = 0; r < term.k; r++) {
+      for (let c = 0; c < term.k; c++) {
+        let s = 0;
+        for (let m = 0; m < term.k; m++) s += T[r][m] * T[c][m];
+        cov.set(r, c, sigma2 * s);
+      }
+    }
+    const sd = term.names.map((_, r) => Math.sqrt(cov.get(r, r)));
+    const corr = term.names.map((_, r) => term.names.map((_, c) => {
+      const denom = sd[r] * sd[c];
+      return denom > 0 ? cov.get(r, c) / denom : (r === c ? 1 : 0);
+    }));
+    varcor.push({ group: term.group, names: term.names, variance: sd.map(s => s * s), sd, corr, cov });
+
+    const values = term.levels.map((_, g) =>
+      term.names.map((_, c) => fit.b[term.offset + g * term.k + c])
+    );
+    // Terms with the same grouping factor share one table, as in lme4
+    const existing = ranef[term.group];
+    if (existing) {
+      existing.names = [...existing.names, ...term.names];
+      existing.values = existing.values.map((row, g) => [...row, ...values[g]]);
+    } else {
+      ranef[term.group] = { levels: term.levels, names: term.names, values };
+    }
+  }
+
+  const ngroups = {};
+  for (const term of terms) ngroups[term.group] = term.levels.length;
+
+  const npar = p + theta.length + 1;
+  const logLik = -fit.deviance / 2;
+
+  return applyNaAction({
+    coefficients,
+    coef_names: mm.coef_names,
+    std_errors: stdErrors,
+    t_values: coefficients.map((b, j) => b / stdErrors[j]),
+    cov_fixed: covFixed,
+
+    sigma,
+    varcor,
+    ranef,
+    theta,
+
+    fitted_values: Array.from(fit.fitted),
+    residuals: y.map((v, i) => v - fit.fitted[i]),
+    fixed_fitted: Array.from(X.multiplyVector(fit.beta)),
+
+    REML,
+    deviance: fit.deviance,
+    log_lik: logLik,
+    npar,
+    aic: -2 * logLik + 2 * npar,
+    converged: opt.converged,
+    iterations: opt.iterations,
+
+    n,
+    p,
+    ngroups,
+    formula: formula.trim(),
+    terms: mm.terms,
+    term_labels: mm.terms.term_labels,
+    assign: mm.assign,
+    xlevels: mm.xlevels,
+    _X: X
+  }, mm.rows, mm.n_total, na_action);
+}
+
+/**
+ * Separate `(terms | group)` random-effect terms from the fixed-effects formula
+ */
+function splitRandomTerms(formula) {
+  const bars = [];
+  let fixed = '';
+  let i = 0;
+
+  while (i < formula.length) {
+    if (formula[i] === '(') {
+      // Find the matching parenthesis
+      let depth = 0;
+      let j = i;
+      for (; j < formula.length; j++) {
+        if (formula[j] === '(') depth++;
+        if (formula[j] === ')') depth--;
+        if (depth === 0) break;
+      }
+      const inner = formula.slice(i + 1, j);
+      if (inner.includes('|')) {
+        const bar = inner.indexOf('|');
+        if (inner[bar + 1] === '|') {
+          throw new Error('Double-bar terms (x || g) are not supported; write separate terms (1 | g) + (0 + x | g)');
+        }
+        const terms = inner.slice(0, bar).trim();
+        const group = inner.slice(bar + 1).trim();
+        if (!terms || !group) {
+          throw new Error(`Invalid random effects term: (${inner})`);
+        }
+        if (!/^[A-Za-z_.][A-Za-z0-9_.]*$/.test(group)) {
+          throw new Error(`Grouping factor must be a single variable: ${group}`);
+        }
+        bars.push({ terms, group });
+        fixed += 'RANDOM_TERM';
+      } else {
+        fixed += formula.slice(i, j + 1);
+      }
+      i = j + 1;
+    } else {
+      fixed += formula[i];
+      i++;
+    }
+  }
+
+  // Remove the placeholders together with their '+' signs
+  fixed = fixed
+    .replace(/\+\s*RANDOM_TERM/g, '')
+    .replace(/RANDOM_TERM\s*\+?/g, '')
+    .trim();
+  if (/~\s*$/.test(fixed)) fixed += ' 1';
+
+  return { fixed, bars };
+}
+
+/**
+ * Fixed cross products Z'Z, Z'X, Z'y, X'X, X'y (Z is only used through its rows)
+ */
+function crossProducts(y, X, terms, q) {
+  const n = y.length;
+  const p = X.cols;
+  const ZtZ = new Float64Array(q * q);
+  const ZtX = new Float64Array(q * p);
+  const Zty = new Float64Array(q);
+  const XtX = new Float64Array(p * p);
+  const Xty = new Float64Array(p);
+
+  for (let i = 0; i < n; i++) {
+    const { index, value } = zRow(terms, i);
+    const xi = X.getRow(i);
+    for (let a = 0; a < index.length; a++) {
+      Zty[index[a]] += value[a] * y[i];
+      for (let b = 0; b < index.length; b++) {
+        ZtZ[index[a] * q + index[b]] += value[a] * value[b];
+      }
+      for (let j = 0; j < p; j++) {
+        ZtX[index[a] * p + j] += value[a] * xi[j];
+      }
+    }
+    for (let j = 0; j < p; j++) {
+      Xty[j] += xi[j] * y[i];
+      for (let k = 0; k < p; k++) XtX[j * p + k] += xi[j] * xi[k];
+    }
+  }
+
+  return { ZtZ, ZtX, Zty, XtX, Xty };
+}
+
+/**
+ * Non-zero entries of row i of Z
+ */
+function zRow(terms, i) {
+  const index = [];
+  const value = [];
+  for (const term of terms) {
+    const base = term.offset + term.groups[i] * term.k;
+    for (let c = 0; c < term.k; c++) {
+      index.push(base + c);
+      value.push(term.columns[c][i]);
+    }
+  }
+  return { index, value };
+}
+
+/**
+ * Solve the penalized least squares problem for a given theta
+ * and evaluate the profiled (REML) deviance
+ */
+function solvePLS(theta, system, y, X, terms, q, REML) {
+  const n = y.length;
+  const p = X.cols;
+  const lambda = lambdaBlocks(theta, terms);
+
+  // A = Lambda' Z'Z Lambda + I
+  const ZtZL = rightMultiplyLambda(system.ZtZ, q, q, lambda, terms);
+  const A = leftMultiplyLambdaT(ZtZL, q, q, lambda, terms);
+  for (let r = 0; r < q; r++) A[r * q + r] += 1;
+  const L = cholesky(new Matrix(q, q, A)).data;
+
+  // RZX = L^-1 Lambda' Z'X, cu = L^-1 Lambda' Z'y
+  const RZX = forwardSolve(L, q, leftMultiplyLambdaT(system.ZtX, q, p, lambda, terms), p);
+  const cu = forwardSolve(L, q, leftMultiplyLambdaT(system.Zty, q, 1, lambda, terms), 1);
+
+  // Fixed effects from the Schur complement X'X - RZX'RZX
+  const XtXadj = new Matrix(p, p);
+  const Xtyadj = new Float64Array(p);
+  for (let j = 0; j < p; j++) {
+    let sy = system.Xty[j];
+    for (let r = 0; r < q; r++) sy -= RZX[r * p + j] * cu[r];
+    Xtyadj[j] = sy;
+    for (let k = 0; k < p; k++) {
+      let s = system.XtX[j * p + k];
+      for (let r = 0; r < q; r++) s -= RZX[r * p + j] * RZX[r * p + k];
+      XtXadj.set(j, k, s);
+    }
+  }
+  let RX;
+  try {
+    RX = cholesky(XtXadj).data;
+  } catch (e) {
+    throw new Error('Matrix is not positive definite (fixed effects may be collinear)');
+  }
+  const beta = backSolve(RX, p, forwardSolve(RX, p, Xtyadj, 1), 1);
+
+  // Spherical random effects u = L'^-1 (cu - RZX beta), b = Lambda u
+  const rhs = new Float64Array(q);
+  for (let r = 0; r < q; r++) {
+    let s = cu[r];
+    for (let j = 0; j < p; j++) s -= RZX[r * p + j] * beta[j];
+    rhs[r] = s;
+  }
+  const u = backSolve(L, q, rhs, 1);
+  const b = leftMultiplyLambda(u, lambda, terms);
+
+  // Penalized residual sum of squares
+  const fitted = new Float64Array(n);
+  let pwrss = 0;
+  for (let i = 0; i < n; i++) {
+    const xi = X.getRow(i);
+    let f = 0;
+    for (let j = 0; j < p; j++) f += xi[j] * beta[j];
+    const { index, value } = zRow(terms, i);
+    for (let a = 0; a < index.length; a++) f += value[a] * b[index[a]];
+    fitted[i] = f;
+    pwrss += (y[i] - f) * (y[i] - f);
+  }
+  for (let r = 0; r < q; r++) pwrss += u[r] * u[r];
+
+  let logDetL = 0;
+  for (let r = 0; r < q; r++) logDetL += 2 * Math.log(L[r * q + r]);
+
+  let deviance;
+  if (REML) {
+    let logDetRX = 0;
+    for (let j = 0; j < p; j++) logDetRX += 2 * Math.log(RX[j * p + j]);
+    const nmp = n - p;
+    deviance = logDetL + logDetRX + nmp * (1 + Math.log(2 * Math.PI * pwrss / nmp));
+  } else {
+    deviance = logDetL + n * (1 + Math.log(2 * Math.PI * pwrss / n));
+  }
+
+  return { deviance, beta, b, fitted, pwrss, XtXadj };
+}
+
+/**
+ * k x k lower-triangular factor from theta (column-major lower triangle)
+ */
+function lowerFactor(theta, start, k) {
+  const T = Array.from({ length: k }, () => new Array(k).fill(0));
+  let idx = start;
+  for (let c = 0; c < k; c++) {
+    for (let r = c; r < k; r++) T[r][c] = theta[idx++];
+  }
+  return T;
+}
+
+function lambdaBlocks(theta, terms) {
+  let idx = 0;
+  return terms.map(term => {
+    const T = lowerFactor(theta, idx, term.k);
+    idx += term.k * (term.k + 1) / 2;
+    return T;
+  });
+}
+
+/**
+ * Flip the sign of factor columns with a negative diagonal; T T' is unchanged
+ */
+function canonicalTheta(theta, terms) {
+  const out = theta.slice();
+  let idx = 0;
+  for (const term of terms) {
+    for (let c = 0; c < term.k; c++) {
+      const len = term.k - c;
+      if (out[idx] < 0) {
+        for (let m = 0; m < len; m++) out[idx + m] = -out[idx + m];
+      }
+      idx += len;
+    }
+  }
+  return out;
+}
+
+/**
+ * M Lambda for a rows x q matrix M (row-major)
+ */
+function rightMultiplyLambda(M, rows, q, lambda, terms) {
+  const out = new Float64Array(rows * q);
+  terms.forEach((term, t) => {
+    const T = lambda[t];
+    for (let g = 0; g < term.levels.length; g++) {
+      const base = term.offset + g * term.k;
+      for (let i = 0; i < rows; i++) {
+        for (let c = 0; c < term.k; c++) {
+          let s = 0;
+          for (let m = c; m < term.k; m++) s += M[i * q + base + m] * T[m][c];
+          out[i * q + base + c] = s;
+        }
+      }
+    }
+  });
+  return out;
+}
+
+/**
+ * Lambda' M for a q x cols matrix M (row-major)
+ */
+function leftMultiplyLambdaT(M, q, cols, lambda, terms) {
+  const out = new Float64Array(q * cols);
+  terms.forEach((term, t) => {
+    const T = lambda[t];
+    for (let g = 0; g < term.levels.length; g++) {
+      const base = term.offset + g * term.k;
+      for (let c = 0; c < term.k; c++) {
+        for (let j = 0; j < cols; j++) {
+          let s = 0;
+          for (let m = c; m < term.k; m++) s += T[m][c] * M[(base + m) * cols + j];
+          out[(base + c) * cols + j] = s;
+        }
+      }
+    }
+  });
+  return out;
+}
+
+/**
+ * Lambda u for a vector u
+ */
+function leftMultiplyLambda(u, lambda, terms) {
+  const out = new Float64Array(u.length);
+  terms.forEach((term, t) => {
+    const T = lambda[t];
+    for (let g = 0; g < term.levels.length; g++) {
+      const base = term.offset + g * term.k;
+      for (let r = 0; r < term.k; r++) {
+        let s = 0;
+        for (let m = 0; m <= r; m++) s += T[r][m] * u[base + m];
+        out[base + r] = s;
+      }
+    }
+  });
+  return out;
+}
+
+/**
+ * Solve L X = B for lower-triangular L (n x n) and B (n x cols), row-major
+ */
+function forwardSolve(L, n, B, cols) {
+  const out = Float64Array.from(B);
+  for (let j = 0; j < cols; j++) {
+    for (let i = 0; i < n; i++) {
+      let s = out[i * cols + j];
+      for (let k = 0; k < i; k++) s -= L[i * n + k] * out[k * cols + j];
+      out[i * cols + j] = s / L[i * n + i];
+    }
+  }
+  return out;
+}
+
+/**
+ * Solve L' X = B for lower-triangular L (n x n) and B (n x cols), row-major
+ */
+function backSolve(L, n, B, cols) {
+  const out = Float64Array.from(B);
+  for (let j = 0; j < cols; j++) {
+    for (let i = n - 1; i >= 0; i--) {
+      let s = out[i * cols + j];
+      for (let k = i + 1; k < n; k++) s -= L[k * n + i] * out[k * cols + j];
+      out[i * cols + j] = s / L[i * n + i];
+    }
+  }
+  return out;
+}
@@ -0,0 +1,127 @@
+/**
+ * Missing value policies for model fitting - R-style na.action
+ *
+ * - 'na.omit': drop incomplete observations
+ * - 'na.exclude': drop incomplete observations, but pad residuals and fitted
+ *   values back to the original length with NA (null)
+ * - 'na.fail': throw if any observation is incomplete
+ */
+
+import Vector from '../core/Vector.js';
+import Factor from '../core/Factor.js';
+import Surv from '../core/Surv.js';
+import { Matrix } from '../math/matrix.js';
+
+export const NA_ACTIONS = ['na.omit', 'na.exclude', 'na.fail'];
+
+/**
+ * Per-observation fields of a fitted model that na.exclude pads
+ */
+const PADDED_FIELDS = [
+  'residuals',
+  'fitted_values',
+  'linear_predictors',
+  'pearson_residuals',
+  'deviance_residuals'
+];
+
+/**
+ * Check that an na_action value is supported
+ *
+ * @param {string} na_action - Policy name
+ */
+export function validateNaAction(na_action) {
+  if (!NA_ACTIONS.includes(na_action)) {
+    throw new Error(`Unknown na_action: ${na_action}. Use 'na.omit', 'na.exclude' or 'na.fail'.`);
+  }
+}
+
+/**
+ * Is observation i of a model variable missing?
+ * Works for Vector, Factor, Surv, Matrix (any NaN in the row) and plain arrays
+ */
+export function isMissingAt(x, i) {
+  if (x === null || x === undefined) return false;
+  if (x instanceof Vector || x instanceof Factor || x instanceof Surv) return x.isNA(i);
+  if (x instanceof Matrix) {
+    for (let j = 0; j < x.cols; j++) {
+      if (Number.isNaN(x.get(i, j))) return true;
+    }
+    return false;
+  }
+  const v = x[i];
+  return v === null || v === undefined || Number.isNaN(v);
+}
+
+/**
+ * Indices of the complete observations across a set of model variables
+ *
+ * @param {number} n - Number of observations
+ * @param {Array} variables - Response, predictors, weights, ... (null entries are ignored)
+ * @param {string} na_action - Missing value policy (default: 'na.omit')
+ * @returns {Array<number>} - Row indices to use in the fit
+ */
+export function completeRows(n, variables, na_action = 'na.omit') {
+  validateNaAction(na_action);
+
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    if (!variables.some(v => isMissingAt(v, i))) {
+      rows.push(i);
+    }
+  }
+
+  if (na_action === 'na.fail' && rows.length < n) {
+    throw new Error(`Missing values in ${n - rows.length} observation(s) with na_action = 'na.fail'`);
+  }
+
+  return rows;
+}
+
+/**
+ * Record the missing value policy on a fitted model and, for na.exclude,
+ * pad the per-observation fields back to the original length
+ *
+ * @param {Object} model - Fitted model
+ * @param {Array<number>} rows - Row indices used in the fit
+ * @param {number} n - Original number of observations
+ * @param {string} na_action - Missing value policy
+ * @returns {Object} - The model
+ */
+export function applyNaAction(model, rows, n, na_action) {
+  const used = new Set(rows);
+  const omitted = [];
+  for (let i = 0; i < n; i++) {
+    if (!used.has(i)) omitted.push(i);
+  }
+
+  model.na_action = { method: na_action, omitted };
+
+  if (na_action === 'na.exclude' && omitted.length > 0) {
+    for (const field of PADDED_FIELDS) {
+      if (Array.isArray(model[field])) {
+        model[field] = naPad(model[field], rows, n);
+      }
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Spread values for the used rows back onto n observations, with null elsewhere
+ */
+export function naPad(values, rows, n) {
+  const out = new Array(n).fill(null);
+  for (let i = 0; i < rows.length; i++) {
+    out[rows[i]] = values[i];
+  }
+  return out;
+}
+
+/**
+ * Per-observation values for the rows used in the fit (undoes na.exclude padding)
+ */
+export function naUnpad(values) {
+  return values.filter(v => v !== null);
+}
@@ -0,0 +1,309 @@
+/**
+ * Nonlinear least squares (nls) - R-style nonlinear regression
+ * Fits a user-supplied model function by Gauss-Newton or Levenberg-Marquardt
+ * steps, each solved as a linear least squares problem with QR
+ */
+
+import { Matrix, inverse } from '../math/matrix.js';
+import { leastSquares } from '../math/qr.js';
+import { pt } from '../distributions/t.js';
+import { completeRows, applyNaAction, validateNaAction } from './na_action.js';
+
+const ALGORITHMS = ['levenberg-marquardt', 'gauss-newton'];
+
+/**
+ * Fit a nonlinear regression model by least squares
+ *
+ * The model function receives the parameters (an object keyed like `start`)
+ * and one data row (an object of column values) and returns the predicted
+ * response for that row.
+ *
+ * @param {Function} formulaFn - Model function (params, row) => predicted value
+ * @param {DataFrame|Object} data - Data with the response and the model's variables
+ * @param {Object} start - Starting values, e.g. { Vm: 200, K: 0.1 }
+ * @param {Object} options - Options
+ * @param {string} options.response - Name of the response column (default: 'y')
+ * @param {string} options.algorithm - 'levenberg-marquardt' or 'gauss-newton' (step halving, as R) (default: 'levenberg-marquardt')
+ * @param {Function} options.gradient - Optional analytic gradient (params, row) => { name: d/dparam };
+ *   numerical forward differences are used otherwise
+ * @param {number} options.maxit - Maximum number of iterations (default: 50)
+ * @param {number} options.tol - Tolerance for the relative-offset convergence criterion (default: 1e-5)
+ * @param {number} options.min_factor - Smallest Gauss-Newton step factor before giving up (default: 1/1024)
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' for rows with a missing response (default: 'na.omit')
+ * @returns {Object} - Fitted model { coefficients, std_errors, sigma, converged, conv_info, ... }
+ *
+ * @example
+ * // Michaelis-Menten kinetics
+ * const fit = nls(
+ *   (p, row) => p.Vm * row.conc / (p.K + row.conc),
+ *   { conc, rate },
+ *   { Vm: 200, K: 0.1 },
+ *   { response: 'rate' }
+ * );
+ */
+export function nls(formulaFn, data, start, {
+  response = 'y',
+  algorithm = 'levenberg-marquardt',
+  gradient = null,
+  maxit = 50,
+  tol = 1e-5,
+  min_factor = 1 / 1024,
+  na_action = 'na.omit'
+} = {}) {
+  if (typeof formulaFn !== 'function') {
+    throw new Error('nls() requires a model function (params, row) => value');
+  }
+  if (!start || typeof start !== 'object' || Array.isArray(start) || Object.keys(start).length === 0) {
+    throw new Error('start must be an object of named starting values');
+  }
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown algorithm: ${algorithm}. Use 'levenberg-marquardt' or 'gauss-newton'.`);
+  }
+  validateNaAction(na_action);
+
+  const names = Object.keys(start);
+  const p = names.length;
+  const { rows, y, used, n_total } = modelRows(data, response, na_action);
+  const n = rows.length;
+
+  if (n <= p) {
+    throw new Error(`Not enough observations (${n}) for ${p} parameters`);
+  }
+
+  const toParams = (theta) => Object.fromEntries(names.map((name, j) => [name, theta[j]]));
+  const predict = (theta) => {
+    const params = toParams(theta);
+    return rows.map(row => formulaFn(params, row));
+  };
+  const sumSquares = (fitted) => fitted.reduce((sum, f, i) => sum + (y[i] - f) * (y[i] - f), 0);
+  const jacobian = (theta, fitted) => modelJacobian(formulaFn, gradient, rows, names, theta, fitted, toParams);
+
+  let theta = names.map(name => start[name]);
+  let fitted = predict(theta);
+  checkFinite(fitted, 'the starting values');
+  let rss = sumSquares(fitted);
+
+  let lambda = algorithm === 'levenberg-marquardt' ? 1e-3 : 0;
+  let converged = false;
+  let iterations = 0;
+  let convergence = Infinity;
+  let message = 'number of iterations exceeded maximum of ' + maxit;
+
+  for (let iter = 0; iter < maxit; iter++) {
+    const J = jacobian(theta, fitted);
+    const resid = y.map((v, i) => v - fitted[i]);
+
+    // Gauss-Newton increment and the relative-offset convergence criterion (Bates & Watts)
+    const delta = leastSquares(J, Float64Array.from(resid));
+    const projected = J.multiplyVector(delta);
+    const projSS = projected.reduce((sum, v) => sum + v * v, 0);
+    convergence = Math.sqrt((projSS / p) / Math.max((rss - projSS) / (n - p), 1e-300));
+    if (convergence < tol) {
+      converged = true;
+      message = 'converged';
+      break;
+    }
+    iterations++;
+
+    let accepted = false;
+    if (algorithm === 'gauss-newton') {
+      // Halve the step until the residual sum of squares decreases
+      for (let factor = 1; factor >= min_factor; factor /= 2) {
+        const candidate = theta.map((t, j) => t + factor * delta[j]);
+        const candFitted = predict(candidate);
+        const candRss = sumSquares(candFitted);
+        if (candFitted.every(Number.isFinite) && candRss < rss) {
+          theta = candidate;
+          fitted = candFitted;
+          rss = candRss;
+          accepted = true;
+          break;
+        }
+      }
+      if (!accepted) {
+        message = `step factor reduced below ${min_factor}`;
+        break;
+      }
+    } else {
+      // Damped step solving [J; sqrt(lambda) D] d = [r; 0], D = diag of the column norms of J
+      for (let attempt = 0; attempt < 30; attempt++) {
+        const step = dampedStep(J, resid, lambda);
+        const candidate = theta.map((t, j) => t + step[j]);
+        const candFitted = predict(candidate);
+        const candRss = sumSquares(candFitted);
+        if (candFitted.every(Number.isFinite) && candRss <= rss) {
+          theta = candidate;
+          fitted = candFitted;
+          rss = candRss;
+          lambda = Math.max(lambda / 10, 1e-12);
+          accepted = true;
+          break;
+        }
+        lambda *= 10;
+      }
+      if (!accepted) {
+        message = 'no step reduced the residual sum of squares';
+        break;
+      }
+    }
+  }
+
+  // Inference from the Jacobian at the estimates
+  const J = jacobian(theta, fitted);
+  const df_residual = n - p;
+  const sigma = Math.sqrt(rss / df_residual);
+  const JtJ = new Matrix(p, p);
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < p; k++) {
+      let s = 0;
+      for (let i = 0; i < n; i++) s += J.get(i, j) * J.get(i, k);
+      JtJ.set(j, k, s);
+    }
+  }
+  let covUnscaled;
+  try {
+    covUnscaled = inverse(JtJ);
+  } catch (e) {
+    throw new Error('Singular gradient matrix at the parameter estimates');
+  }
+
+  const stdErrors = names.map((_, j) => sigma * Math.sqrt(Math.abs(covUnscaled.get(j, j))));
+  const tValues = theta.map((t, j) => t / stdErrors[j]);
+  const pValues = tValues.map(t => 2 * pt(-Math.abs(t), df_residual));
+
+  const model = {
+    coefficients: theta.slice(),
+    coef_names: names,
+    std_errors: stdErrors,
+    t_values: tValues,
+    p_values: pValues,
+    sigma,
+    df: { residual: df_residual },
+    rss,
+    residuals: y.map((v, i) => v - fitted[i]),
+    fitted_values: fitted,
+    cov_unscaled: covUnscaled,
+    converged,
+    iterations,
+    conv_info: { is_conv: converged, fin_tol: convergence, message },
+    algorithm,
+    n,
+    p,
+    response,
+    _fn: formulaFn
+  };
+
+  return applyNaAction(model, used, n_total, na_action);
+}
+
+/**
+ * Predictions from a fitted nls model
+ *
+ * @param {Object} model - Fitted model from nls()
+ * @param {DataFrame|Object} newdata - Data with the model's variables (default: the fitted values)
+ * @returns {Array<number>} - Predicted values
+ */
+export function predictNls(model, newdata = null) {
+  if (newdata === null) return model.fitted_values.slice();
+  const params = Object.fromEntries(model.coef_names.map((name, j) => [name, model.coefficients[j]]));
+  return dataRows(newdata).map(row => model._fn(params, row));
+}
+
+/**
+ * Jacobian of the model predictions with respect to the parameters
+ */
+function modelJacobian(formulaFn, gradient, rows, names, theta, fitted, toParams) {
+  const n = rows.length;
+  const p = names.length;
+  const J = new Matrix(n, p);
+
+  if (gradient) {
+    const params = toParams(theta);
+    for (let i = 0; i < n; i++) {
+      const g = gradient(params, rows[i]);
+      for (let j = 0; j < p; j++) {
+        J.set(i, j, Array.isArray(g) ? g[j] : g[names[j]]);
+      }
+    }
+    return J;
+  }
+
+  // Forward differences with a step relative to each parameter (as R's numericDeriv)
+  const delta = Math.sqrt(Number.EPSILON);
+  for (let j = 0; j < p; j++) {
+    const h = theta[j] === 0 ? delta : delta * Math.abs(theta[j]);
+    const shifted = theta.slice();
+    shifted[j] += h;
+    const params = toParams(shifted);
+    for (let i = 0; i < n; i++) {
+      J.set(i, j, (formulaFn(params, rows[i]) - fitted[i]) / h);
+    }
+  }
+  checkFinite(J.data, 'the gradient');
+  return J;
+}
+
+/**
+ * Levenberg-Marquardt step for damping lambda
+ */
+function dampedStep(J, resid, lambda) {
+  const n = J.rows;
+  const p = J.cols;
+  const A = new Matrix(n + p, p);
+  const b = new Float64Array(n + p);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < p; j++) A.set(i, j, J.get(i, j));
+    b[i] = resid[i];
+  }
+  for (let j = 0; j < p; j++) {
+    let colSS = 0;
+    for (let i = 0; i < n; i++) colSS += J.get(i, j) * J.get(i, j);
+    A.set(n + j, j, Math.sqrt(lambda * Math.max(colSS, 1e-12)));
+  }
+  return leastSquares(A, b);
+}
+
+/**
+ * Rows of the data with a non-missing response, and their indices
+ */
+function modelRows(data, response, na_action) {
+  const rows = dataRows(data);
+  if (rows.length === 0) {
+    throw new Error('Data has no rows');
+  }
+  if (!(response in rows[0])) {
+    throw new Error(`Response column '${response}' not found`);
+  }
+
+  const used = completeRows(rows.length, [rows.map(row => row[response])], na_action);
+  return {
+    rows: used.map(i => rows[i]),
+    y: used.map(i => rows[i][response]),
+    used,
+    n_total: rows.length
+  };
+}
+
+function dataRows(data) {
+  if (!data) {
+    throw new Error('A data argument is required');
+  }
+  const names = Array.isArray(data.names) ? data.names : Object.keys(data);
+  const columns = names.map(name => {
+    if (typeof data.colArray === 'function') return data.colArray(name);
+    const col = data[name];
+    return Array.isArray(col) || ArrayBuffer.isView(col) ? col : Array.from(col.toArray ? col.toArray() : col);
+  });
+  const n = columns.length > 0 ? columns[0].length : 0;
+  return Array.from({ length: n }, (_, i) =>
+    Object.fromEntries(names.map((name, j) => [name, columns[j][i]]))
+  );
+}
+
+function checkFinite(values, what) {
+  for (const v of values) {
+    if (!Number.isFinite(v)) {
+      throw new Error(`Missing value or an infinity produced when evaluating the model at ${what}`);
+    }
+  }
+}
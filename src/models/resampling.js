@@ -0,0 +1,448 @@
+/**
+ * Resampling for model evaluation
+ * - crossValidate(): (repeated, optionally stratified) k-fold cross-validation of any fitting function
+ * - bootstrap(): nonparametric bootstrap of a statistic with percentile and BCa intervals (as boot::boot.ci)
+ *
+ * Both resample the rows of a DataFrame, an object of columns or an array,
+ * so they work with lm(), glm() and any model with a predict function.
+ */
+
+import Vector from '../core/Vector.js';
+import Factor from '../core/Factor.js';
+import Surv from '../core/Surv.js';
+import DataFrame from '../data/DataFrame.js';
+import { createRng, shuffle } from '../math/random.js';
+import { pnorm, qnorm } from '../distributions/normal.js';
+import { modelMatrix } from './formula.js';
+import { predict } from './lm.js';
+import { predictGlm } from './glm.js';
+
+const METRICS = {
+  rmse: (y, p) => Math.sqrt(mean(y.map((v, i) => (v - p[i]) ** 2))),
+  mae: (y, p) => mean(y.map((v, i) => Math.abs(v - p[i]))),
+  logloss: (y, p) => {
+    checkBinary(y, 'logloss');
+    return -mean(y.map((v, i) => {
+      const prob = Math.min(Math.max(p[i], 1e-15), 1 - 1e-15);
+      return v * Math.log(prob) + (1 - v) * Math.log(1 - prob);
+    }));
+  },
+  auc: (y, p) => {
+    checkBinary(y, 'auc');
+    return auc(y, p);
+  }
+};
+
+const BOOT_TYPES = ['percentile', 'bca'];
+
+/**
+ * Cross-validate a model fitting function
+ *
+ * The rows are split into `folds` groups; each group is held out in turn,
+ * the model is fitted to the remaining rows and its predictions for the
+ * held-out rows are scored. With `repeats` the split is redrawn that many times.
+ *
+ * @param {Function} fitFn - (trainData) => fitted model
+ * @param {DataFrame|Object} data - Data (DataFrame or object of columns)
+ * @param {Object} options - Options
+ * @param {number} options.folds - Number of folds (default: 10)
+ * @param {number} options.repeats - Number of repeated splits (default: 1)
+ * @param {boolean|string} options.stratify - Balance the folds over the levels of the response (true)
+ *   or of the named column (default: false)
+ * @param {string|Function|Array<string|Function>} options.metric - 'rmse', 'mae', 'logloss', 'auc' or
+ *   functions (observed, predicted) => number (default: logloss and auc for binomial glms, otherwise rmse and mae)
+ * @param {Function} options.predict - (model, testData) => predictions (default: predict() for lm, response-scale
+ *   predictGlm() for glm)
+ * @param {string|Function} options.response - Response column, or (testData) => observed values
+ *   (default: the model formula's response)
+ * @param {number} options.seed - Seed for the random fold assignment
+ * @returns {Object} - { folds: per-fold metrics, metrics: { name: { mean, sd, se } }, predictions, foldid, ... }
+ *
+ * @example
+ * const cv = crossValidate(train => lm('mpg ~ wt + hp', { data: train }), mtcars, { folds: 5, seed: 1 });
+ * cv.metrics.rmse.mean;
+ *
+ * @example
+ * const cv = crossValidate(
+ *   train => glm('am ~ wt', { data: train, family: binomial() }),
+ *   mtcars, { folds: 5, repeats: 10, stratify: true, metric: ['auc', 'logloss'], seed: 1 }
+ * );
+ */
+export function crossValidate(fitFn, data, {
+  folds = 10,
+  repeats = 1,
+  stratify = false,
+  metric = null,
+  predict: predictFn = null,
+  response = null,
+  seed = null
+} = {}) {
+  if (typeof fitFn !== 'function') {
+    throw new Error('fitFn must be a function (trainData) => model');
+  }
+  const n = rowCount(data);
+  if (!Number.isInteger(folds) || folds < 2 || folds > n) {
+    throw new Error(`folds must be an integer between 2 and ${n}`);
+  }
+  if (!Number.isInteger(repeats) || repeats < 1) {
+    throw new Error('repeats must be a positive integer');
+  }
+
+  // Strata: the response (from a fit to all rows) or a named column
+  let strata = null;
+  if (stratify === true) {
+    strata = observedValues(fitFn(data), data, response).map(String);
+  } else if (typeof stratify === 'string') {
+    strata = columnValues(data, stratify).map(String);
+  }
+
+  const rng = createRng(seed);
+  const results = [];
+  const predictions = [];
+  const foldid = [];
+  let metricNames = null;
+
+  for (let r = 1; r <= repeats; r++) {
+    const assignment = assignFolds(n, folds, strata, rng);
+    const oof = new Array(n).fill(null);
+
+    for (let k = 1; k <= folds; k++) {
+      const train = [];
+      const test = [];
+      for (let i = 0; i < n; i++) {
+        (assignment[i] === k ? test : train).push(i);
+      }
+      const testData = subsetRows(data, test);
+      const model = fitFn(subsetRows(data, train));
+      const predicted = Array.from(predictFn ? predictFn(model, testData) : defaultPredict(model, testData));
+      const observed = observedValues(model, testData, response);
+      if (predicted.length !== test.length) {
+        throw new Error(`predict returned ${predicted.length} values for ${test.length} held-out rows`);
+      }
+      test.forEach((row, i) => { oof[row] = predicted[i]; });
+
+      const scorers = resolveMetrics(metric, model);
+      metricNames = metricNames || scorers.map(s => s.name);
+
+      // Rows with a missing response or prediction are not scored
+      const keep = test.map((_, i) => i).filter(i => isFiniteNumber(observed[i]) && isFiniteNumber(predicted[i]));
+      const y = keep.map(i => observed[i]);
+      const p = keep.map(i => predicted[i]);
+      const scores = {};
+      for (const { name, fn } of scorers) {
+        scores[name] = y.length > 0 ? fn(y, p) : NaN;
+      }
+      results.push({ repeat: r, fold: k, n_train: train.length, n_test: test.length, metrics: scores });
+    }
+
+    predictions.push(oof);
+    foldid.push(assignment);
+  }
+
+  // Mean, standard deviation and standard error of the fold scores
+  const metrics = {};
+  for (const name of metricNames) {
+    const values = results.map(res => res.metrics[name]).filter(v => Number.isFinite(v));
+    const m = mean(values);
+    const sd = values.length > 1
+      ? Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1))
+      : NaN;
+    metrics[name] = { mean: m, sd, se: sd / Math.sqrt(values.length) };
+  }
+
+  return {
+    folds: results,
+    metrics,
+    predictions: repeats === 1 ? predictions[0] : predictions,
+    foldid: repeats === 1 ? foldid[0] : foldid,
+    k: folds,
+    repeats,
+    n
+  };
+}
+
+/**
+ * Nonparametric bootstrap of a statistic
+ *
+ * Rows are resampled with replacement R times and the statistic is
+ * recomputed on each resample. Percentile intervals use the bootstrap
+ * quantiles; BCa intervals correct them for bias and skewness, with the
+ * acceleration estimated by the jackknife (as boot::boot.ci).
+ *
+ * @param {DataFrame|Object|Array} data - Data (DataFrame, object of columns, or an array of observations)
+ * @param {Function} statFn - (sample, indices) => number or array of numbers
+ * @param {Object} options - Options
+ * @param {number} options.R - Number of bootstrap resamples (default: 1000)
+ * @param {number} options.conf_level - Confidence level of the intervals (default: 0.95)
+ * @param {string|Array<string>} options.type - 'percentile' and/or 'bca' (default: both)
+ * @param {number} options.seed - Seed for the resamples
+ * @returns {Object} - { t0, t, R, bias, std_error, conf_int: { level, percentile, bca } }
+ *
+ * @example
+ * const b = bootstrap(mtcars, d => lm('mpg ~ wt', { data: d }).coefficients[1], { R: 2000, seed: 1 });
+ * b.conf_int.bca;             // { lower, upper }
+ */
+export function bootstrap(data, statFn, {
+  R = 1000,
+  conf_level = 0.95,
+  type = BOOT_TYPES,
+  seed = null
+} = {}) {
+  if (typeof statFn !== 'function') {
+    throw new Error('statFn must be a function (sample, indices) => statistic');
+  }
+  if (!Number.isInteger(R) || R < 2) {
+    throw new Error('R must be an integer of at least 2');
+  }
+  const types = Array.isArray(type) ? type : [type];
+  for (const t of types) {
+    if (!BOOT_TYPES.includes(t)) {
+      throw new Error(`Unknown interval type: ${t}. Use 'percentile' or 'bca'.`);
+    }
+  }
+
+  const n = rowCount(data);
+  const all = Array.from({ length: n }, (_, i) => i);
+  const t0Raw = statFn(data, all);
+  const scalar = !Array.isArray(t0Raw) && !ArrayBuffer.isView(t0Raw);
+  const t0 = scalar ? [t0Raw] : Array.from(t0Raw);
+  const k = t0.length;
+
+  const rng = createRng(seed);
+  const t = [];
+  for (let b = 0; b < R; b++) {
+    const indices = Array.from({ length: n }, () => Math.floor(rng() * n));
+    const value = statFn(subsetRows(data, indices), indices);
+    t.push(scalar ? [value] : Array.from(value));
+  }
+
+  const alpha = (1 - conf_level) / 2;
+  const bias = [];
+  const stdError = [];
+  const percentile = { lower: [], upper: [] };
+  const bca = { lower: [], upper: [] };
+
+  // Jackknife influence values for the BCa acceleration
+  const jack = types.includes('bca')
+    ? all.map(i => {
+      const rows = all.filter(j => j !== i);
+      const value = statFn(subsetRows(data, rows), rows);
+      return scalar ? [value] : Array.from(value);
+    })
+    : null;
+
+  for (let j = 0; j < k; j++) {
+    const tj = t.map(row => row[j]).filter(v => Number.isFinite(v));
+    const m = mean(tj);
+    bias.push(m - t0[j]);
+    stdError.push(Math.sqrt(tj.reduce((s, v) => s + (v - m) ** 2, 0) / (tj.length - 1)));
+    const sorted = [...tj].sort((a, b) => a - b);
+
+    if (types.includes('percentile')) {
+      percentile.lower.push(normInter(sorted, alpha));
+      percentile.upper.push(normInter(sorted, 1 - alpha));
+    }
+    if (types.includes('bca')) {
+      const z0 = qnorm(tj.filter(v => v < t0[j]).length / tj.length);
+      const jackMean = mean(jack.map(row => row[j]));
+      const L = jack.map(row => (n - 1) * (jackMean - row[j]));
+      const a = L.reduce((s, v) => s + v ** 3, 0) / (6 * Math.pow(L.reduce((s, v) => s + v * v, 0), 1.5));
+      const adjusted = (q) => {
+        const z = z0 + qnorm(q);
+        return pnorm(z0 + z / (1 - a * z));
+      };
+      if (!Number.isFinite(z0)) {
+        // All resamples on one side of t0: the BCa correction is undefined
+        bca.lower.push(NaN);
+        bca.upper.push(NaN);
+      } else {
+        bca.lower.push(normInter(sorted, adjusted(alpha)));
+        bca.upper.push(normInter(sorted, adjusted(1 - alpha)));
+      }
+    }
+  }
+
+  const unwrap = values => (scalar ? values[0] : values);
+  const conf_int = { level: conf_level };
+  if (types.includes('percentile')) {
+    conf_int.percentile = { lower: unwrap(percentile.lower), upper: unwrap(percentile.upper) };
+  }
+  if (types.includes('bca')) {
+    conf_int.bca = { lower: unwrap(bca.lower), upper: unwrap(bca.upper) };
+  }
+
+  return {
+    t0: unwrap(t0),
+    t: scalar ? t.map(row => row[0]) : t,
+    R,
+    bias: unwrap(bias),
+    std_error: unwrap(stdError),
+    conf_int
+  };
+}
+
+/**
+ * Rows of a DataFrame, an object of columns or an array
+ */
+function subsetRows(data, rows) {
+  if (Array.isArray(data)) {
+    return rows.map(i => data[i]);
+  }
+  if (data instanceof DataFrame) {
+    return data.slice(rows);
+  }
+  const out = {};
+  for (const [name, col] of Object.entries(data)) {
+    if (col instanceof Factor) {
+      out[name] = new Factor(rows.map(i => col.get(i)), { levels: col.levels, ordered: col.ordered });
+    } else if (col instanceof Surv) {
+      out[name] = col.subset(rows);
+    } else if (col instanceof Vector) {
+      out[name] = new Vector(rows.map(i => col.get(i)), col.type);
+    } else {
+      out[name] = rows.map(i => col[i]);
+    }
+  }
+  return out;
+}
+
+function rowCount(data) {
+  if (Array.isArray(data)) return data.length;
+  if (data instanceof DataFrame) return data.nrow;
+  if (data === null || typeof data !== 'object') {
+    throw new Error('data must be a DataFrame, an object of columns or an array');
+  }
+  const columns = Object.values(data);
+  if (columns.length === 0) {
+    throw new Error('Data has no columns');
+  }
+  return columns[0].length;
+}
+
+function columnValues(data, name) {
+  if (data instanceof DataFrame) return data.colArray(name);
+  if (!(name in data)) {
+    throw new Error(`Column '${name}' not found`);
+  }
+  const col = data[name];
+  return typeof col.toArray === 'function' ? col.toArray() : Array.from(col);
+}
+
+/**
+ * Fold (1..k) of each row; within each stratum the rows are shuffled and dealt out in turn
+ */
+function assignFolds(n, k, strata, rng) {
+  const groups = new Map();
+  for (let i = 0; i < n; i++) {
+    const key = strata === null ? '' : strata[i];
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  }
+
+  const assignment = new Array(n);
+  let next = Math.floor(rng() * k);
+  for (const rows of groups.values()) {
+    for (const i of shuffle(rows, rng)) {
+      assignment[i] = (next % k) + 1;
+      next++;
+    }
+  }
+  return assignment;
+}
+
+/**
+ * Predictions on the scale of the response: predictGlm(type = 'response') for glm fits, predict() otherwise
+ */
+function defaultPredict(model, newdata) {
+  if (!model || !Array.isArray(model.coefficients)) {
+    throw new Error('Cannot predict from this model; pass a predict function');
+  }
+  return model.link ? predictGlm(model, newdata, 'response') : predict(model, newdata);
+}
+
+/**
+ * Observed response for the rows of data, as numbers (two-level factors become 0/1)
+ */
+function observedValues(model, data, response) {
+  let values;
+  if (typeof response === 'function') {
+    values = Array.from(response(data));
+  } else if (typeof response === 'string') {
+    values = columnValues(data, response);
+  } else if (model && model.terms && model.terms.response) {
+    const y = modelMatrix(model.terms, data, { na_action: 'na.pass' }).y;
+    if (y instanceof Factor) {
+      if (y.nlevels() !== 2) {
+        throw new Error(`Response '${model.terms.response}' must be numeric or a two-level factor`);
+      }
+      return Array.from({ length: y.length }, (_, i) => (y.isNA(i) ? null : y.codes[i]));
+    }
+    values = typeof y.toArray === 'function' ? y.toArray() : Array.from(y);
+  } else {
+    throw new Error('Cannot determine the response; pass the response option');
+  }
+  return values.map(v => (typeof v === 'boolean' ? Number(v) : v));
+}
+
+function resolveMetrics(metric, model) {
+  const binomial = model && (model.family === 'binomial' || model.family === 'quasibinomial');
+  const requested = metric === null ? (binomial ? ['logloss', 'auc'] : ['rmse', 'mae']) : metric;
+  return (Array.isArray(requested) ? requested : [requested]).map(m => {
+    if (typeof m === 'function') {
+      return { name: m.name || 'metric', fn: m };
+    }
+    if (!METRICS[m]) {
+      throw new Error(`Unknown metric: ${m}. Use 'rmse', 'mae', 'logloss', 'auc' or a function.`);
+    }
+    return { name: m, fn: METRICS[m] };
+  });
+}
+
+/**
+ * Area under the ROC curve: the Mann-Whitney probability that a positive
+ * outranks a negative (ties count one half)
+ */
+function auc(y, p) {
+  const order = p.map((_, i) => i).sort((a, b) => p[a] - p[b]);
+  const ranks = new Array(p.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && p[order[j + 1]] === p[order[i]]) j++;
+    for (let m = i; m <= j; m++) ranks[order[m]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  const positives = y.filter(v => v === 1).length;
+  const negatives = y.length - positives;
+  if (positives === 0 || negatives === 0) return NaN;
+  const rankSum = ranks.reduce((s, r, i) => s + (y[i] === 1 ? r : 0), 0);
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+function checkBinary(y, name) {
+  if (!y.every(v => v === 0 || v === 1)) {
+    throw new Error(`${name} needs a 0/1 response`);
+  }
+}
+
+/**
+ * Bootstrap quantile with interpolation on the normal scale (as boot's norm.inter)
+ */
+function normInter(sorted, q) {
+  const R = sorted.length;
+  const rk = (R + 1) * q;
+  if (rk <= 1) return sorted[0];
+  if (rk >= R) return sorted[R - 1];
+  const k = Math.floor(rk);
+  if (k === rk) return sorted[k - 1];
+  const lo = qnorm(k / (R + 1));
+  const hi = qnorm((k + 1) / (R + 1));
+  return sorted[k - 1] + (qnorm(q) - lo) / (hi - lo) * (sorted[k] - sorted[k - 1]);
+}
+
+function isFiniteNumber(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
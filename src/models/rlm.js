@@ -0,0 +1,313 @@
+/**
+ * Robust linear regression (rlm) - M-estimation as in R's MASS::rlm
+ *
+ * Coefficients solve sum(psi((y - X b) / s) x) = 0 for a bounded psi function,
+ * found by iteratively reweighted least squares from the least squares fit
+ * with weights psi(u) / u. Observations with large scaled residuals get small
+ * weights instead of having to be removed by hand.
+ */
+
+import Vector from '../core/Vector.js';
+import { Matrix, inverse } from '../math/matrix.js';
+import { leastSquares } from '../math/qr.js';
+import { pt } from '../distributions/t.js';
+import { pnorm, dnorm } from '../distributions/normal.js';
+import { fitFormula, predictorColumns } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction } from './na_action.js';
+
+/**
+ * Weight functions psi(u) / u and derivatives psi'(u) (as MASS's psi.huber, psi.bisquare, psi.hampel)
+ */
+const PSI = {
+  huber: {
+    k: 1.345,
+    weight: (u, k) => Math.min(1, k / Math.abs(u)),
+    deriv: (u, k) => (Math.abs(u) <= k ? 1 : 0)
+  },
+  bisquare: {
+    k: 4.685,
+    weight: (u, c) => (Math.abs(u) < c ? (1 - (u / c) ** 2) ** 2 : 0),
+    deriv: (u, c) => (Math.abs(u) < c ? (1 - (u / c) ** 2) * (1 - 5 * (u / c) ** 2) : 0)
+  },
+  hampel: {
+    k: [2, 4, 8],
+    weight: (u, [a, b, c]) => {
+      const U = Math.min(Math.abs(u) + 1e-50, c);
+      return (U <= a ? U : (U <= b ? a : a * (c - U) / (c - b))) / U;
+    },
+    deriv: (u, [a, b, c]) => {
+      const U = Math.abs(u);
+      if (U > c) return 0;
+      return U <= a ? 1 : (U <= b ? 0 : -a / (c - b));
+    }
+  }
+};
+
+const SCALE_ESTIMATES = ['MAD', 'Huber'];
+
+/**
+ * Fit a linear model by robust M-estimation
+ *
+ * Can be called with a response and predictors, or with a formula and data:
+ * rlm('stack_loss ~ air + water + acid', { data: stackloss, psi: 'bisquare' })
+ *
+ * @param {Vector|Array|string} y - Response variable, or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
+ * @param {Object} options - Options
+ * @param {string} options.psi - 'huber', 'bisquare' or 'hampel' (default: 'huber')
+ * @param {number|Array<number>} options.k - Tuning constant: k for huber (1.345), c for bisquare (4.685),
+ *   [a, b, c] for hampel ([2, 4, 8])
+ * @param {string} options.scale_est - 'MAD' (re-estimated each iteration) or 'Huber' (Huber's proposal 2) (default: 'MAD')
+ * @param {number} options.maxit - Maximum IRLS iterations (default: 20)
+ * @param {number} options.acc - Convergence tolerance on the relative change in residuals (default: 1e-4)
+ * @param {Array<number>} options.weights - Prior (inverse-variance) weights (default: none)
+ * @param {boolean} options.intercept - Include intercept (default: true)
+ * @param {Object} options.contrasts - Contrasts per factor predictor
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @returns {Object} - Model fit { coefficients, std_errors, t_values, scale, w (final IRLS weights),
+ *   weights (prior weights, or null), converged, ... }
+ *
+ * @example
+ * const fit = rlm(y, [x], { psi: 'bisquare' });
+ * fit.w;                      // down-weighted outliers have weights near 0
+ * diagnostics(fit);           // leverage and influence on the weighted fit
+ */
+export function rlm(y, X, {
+  psi = 'huber',
+  k = null,
+  scale_est = 'MAD',
+  maxit = 20,
+  acc = 1e-4,
+  weights = null,
+  intercept = true,
+  contrasts = {},
+  na_action = 'na.omit'
+} = {}) {
+  if (typeof y === 'string') {
+    return fitFormula(rlm, y, X);
+  }
+
+  const psiFn = PSI[psi];
+  if (!psiFn) {
+    throw new Error(`Unknown psi function: ${psi}. Use 'huber', 'bisquare' or 'hampel'.`);
+  }
+  if (!SCALE_ESTIMATES.includes(scale_est)) {
+    throw new Error(`Unknown scale estimate: ${scale_est}. Use 'MAD' or 'Huber'.`);
+  }
+  const tuning = k ?? psiFn.k;
+  if (psi === 'hampel' ? !(Array.isArray(tuning) && tuning.length === 3) : !(tuning > 0)) {
+    throw new Error(psi === 'hampel' ? 'k must be [a, b, c] for the hampel psi function' : 'k must be positive');
+  }
+
+  const yVec = y instanceof Vector ? y : new Vector(y);
+  const n = yVec.length;
+  if (X instanceof Matrix && X.rows !== n) {
+    throw new Error(`Design matrix has ${X.rows} rows but response has ${n} observations`);
+  }
+  if (weights !== null && weights.length !== n) {
+    throw new Error(`weights has length ${weights.length} but there are ${n} observations`);
+  }
+  if (weights !== null && Array.from(weights).some(w => !(w > 0))) {
+    throw new Error('weights must be positive');
+  }
+
+  const rows = completeRows(n, [yVec, weights, ...(Array.isArray(X) ? X : [X])], na_action);
+  if (rows.length === 0) {
+    throw new Error('No complete observations in response and predictors');
+  }
+  const nValid = rows.length;
+
+  let designMatrix;
+  let design = null;
+  if (X instanceof Matrix) {
+    designMatrix = nValid < n ? X.subsetRows(rows) : X;
+  } else if (Array.isArray(X)) {
+    design = predictorColumns(X, rows, { intercept, contrasts });
+    designMatrix = Matrix.fromColumns(design.columns);
+  } else {
+    throw new Error('X must be a Matrix or array of predictors');
+  }
+  const p = designMatrix.cols;
+  if (nValid <= p) {
+    throw new Error(`Not enough observations (${nValid}) for ${p} parameters`);
+  }
+
+  const yData = Float64Array.from(rows, i => yVec.get(i));
+  const prior = weights === null ? null : Float64Array.from(rows, i => weights[i]);
+
+  // Start from the (weighted) least squares fit
+  let w = prior === null ? new Float64Array(nValid).fill(1) : Float64Array.from(prior);
+  let coefficients = weightedLeastSquares(designMatrix, yData, w);
+  let resid = residualsOf(designMatrix, yData, coefficients);
+  let scale = prior === null ? 1.4826 * median(resid.map(Math.abs)) : weightedMad(resid, prior);
+
+  // Huber's proposal 2 scale: E[min(u^2, k^2)] under the normal, with n - p degrees of freedom
+  const k2 = 1.345;
+  const gamma = 4 * k2 * k2 * (1 - pnorm(k2)) + (2 * pnorm(k2) - 1 - 2 * k2 * dnorm(k2));
+  const priorSum = prior === null ? nValid : prior.reduce((s, v) => s + v, 0);
+
+  let converged = false;
+  let iterations = 0;
+  for (let iter = 0; iter < maxit; iter++) {
+    iterations++;
+    const previous = resid;
+    if (scale_est === 'MAD') {
+      scale = prior === null ? median(resid.map(Math.abs)) / 0.6745 : weightedMad(resid, prior);
+    } else {
+      let s = 0;
+      for (let i = 0; i < nValid; i++) {
+        s += (prior === null ? 1 : prior[i]) * Math.min(resid[i] * resid[i], (k2 * scale) ** 2);
+      }
+      scale = Math.sqrt(s / ((priorSum - p) * gamma));
+    }
+    if (scale === 0) {
+      converged = true;
+      break;
+    }
+
+    w = resid.map((r, i) => psiFn.weight(r / scale, tuning) * (prior === null ? 1 : prior[i]));
+    coefficients = weightedLeastSquares(designMatrix, yData, w);
+    resid = residualsOf(designMatrix, yData, coefficients);
+
+    let change = 0;
+    let size = 0;
+    for (let i = 0; i < nValid; i++) {
+      change += (previous[i] - resid[i]) ** 2;
+      size += previous[i] * previous[i];
+    }
+    if (Math.sqrt(change / Math.max(1e-20, size)) <= acc) {
+      converged = true;
+      break;
+    }
+  }
+
+  // Standard errors (as MASS's summary.rlm, method 'XtX'): the sandwich-type
+  // scale sqrt(S) * kappa / mean(psi') times sqrt(diag((X'X)^-1))
+  const dfResidual = nValid - p;
+  const u = resid.map(r => r / scale);
+  let S = 0;
+  for (let i = 0; i < nValid; i++) {
+    S += (resid[i] * psiFn.weight(u[i], tuning)) ** 2;
+  }
+  S /= dfResidual;
+  const psiPrime = u.map(v => psiFn.deriv(v, tuning));
+  const mn = psiPrime.reduce((s, v) => s + v, 0) / nValid;
+  const varPrime = psiPrime.reduce((s, v) => s + (v - mn) ** 2, 0) / (nValid - 1);
+  const kappa = 1 + p * varPrime / (nValid * mn * mn);
+  const stddev = Math.sqrt(S) * kappa / mn;
+
+  const xtx = new Matrix(p, p);
+  for (let i = 0; i < nValid; i++) {
+    const pw = prior === null ? 1 : prior[i];
+    for (let j = 0; j < p; j++) {
+      for (let l = 0; l < p; l++) {
+        xtx.set(j, l, xtx.get(j, l) + pw * designMatrix.get(i, j) * designMatrix.get(i, l));
+      }
+    }
+  }
+  const unscaled = inverse(xtx);
+  const stdErrors = coefficients.map((_, j) => Math.sqrt(unscaled.get(j, j)) * stddev);
+  const tValues = coefficients.map((b, j) => b / stdErrors[j]);
+  const pValues = tValues.map(t => 2 * pt(-Math.abs(t), dfResidual));
+
+  let coefNames;
+  if (design) {
+    coefNames = design.coef_names;
+  } else {
+    coefNames = Array.from({ length: p }, (_, j) =>
+      (intercept && j === 0 ? '(Intercept)' : `x${j + (intercept ? 0 : 1)}`));
+  }
+
+  return applyNaAction({
+    coefficients: Array.from(coefficients),
+    residuals: Array.from(resid),
+    fitted_values: Array.from(yData, (v, i) => v - resid[i]),
+
+    // Robust scale (used as sigma by diagnostics() and confint())
+    scale,
+    sigma: scale,
+    stddev,
+    psi,
+    k: tuning,
+    scale_est,
+
+    std_errors: stdErrors,
+    t_values: tValues,
+    p_values: pValues,
+    vcov: scaleMatrix(unscaled, stddev * stddev),
+    df: { residual: dfResidual },
+
+    // Final IRLS weights (prior weights times psi(u) / u), and the prior weights (as MASS)
+    w: Array.from(w),
+    weights: prior === null ? null : Array.from(prior),
+    converged,
+    iterations,
+
+    n: nValid,
+    p,
+    coef_names: coefNames,
+
+    ...(design && {
+      term_labels: design.term_labels,
+      assign: design.assign,
+      xlevels: design.xlevels,
+      contrasts: contrastNames(design.specs)
+    }),
+
+    _X: designMatrix,
+    _specs: design ? design.specs : null
+  }, rows, n, na_action);
+}
+
+/**
+ * Weighted least squares by QR on the sqrt(w)-scaled rows
+ */
+function weightedLeastSquares(X, y, w) {
+  const Xw = X.clone();
+  const z = new Float64Array(y.length);
+  for (let i = 0; i < X.rows; i++) {
+    const s = Math.sqrt(w[i]);
+    for (let j = 0; j < X.cols; j++) {
+      Xw.set(i, j, X.get(i, j) * s);
+    }
+    z[i] = y[i] * s;
+  }
+  return Array.from(leastSquares(Xw, z));
+}
+
+function residualsOf(X, y, coefficients) {
+  const fitted = X.multiplyVector(Float64Array.from(coefficients));
+  return Array.from(y, (v, i) => v - fitted[i]);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Weighted median absolute residual / 0.6745 (as MASS's wmad)
+ */
+function weightedMad(resid, weights) {
+  const order = resid.map((_, i) => i).sort((a, b) => Math.abs(resid[a]) - Math.abs(resid[b]));
+  const total = weights.reduce((s, v) => s + v, 0);
+  let cumulative = 0;
+  for (let m = 0; m < order.length; m++) {
+    cumulative += weights[order[m]];
+    const share = cumulative / total;
+    if (share > 0.5) return Math.abs(resid[order[m]]) / 0.6745;
+    if (share === 0.5) return (Math.abs(resid[order[m]]) + Math.abs(resid[order[m + 1]])) / (2 * 0.6745);
+  }
+  return Math.abs(resid[order[order.length - 1]]) / 0.6745;
+}
+
+function scaleMatrix(A, factor) {
+  const out = A.clone();
+  for (let j = 0; j < A.rows; j++) {
+    for (let l = 0; l < A.cols; l++) out.set(j, l, A.get(j, l) * factor);
+  }
+  return out;
+}
@@ -0,0 +1,730 @@
+/**
+ * Quantile regression (rq) - conditional quantiles as in R's quantreg::rq
+ *
+ * Coefficients minimize sum(rho_tau(y - X b)) with the check loss
+ * rho_tau(u) = u * (tau - I(u < 0)). Two algorithms are available:
+ * - 'br': simplex descent along the edges of the constraint polytope
+ *   (Barrodale-Roberts style); the solution interpolates p observations
+ * - 'fn': Frisch-Newton interior point (Mehrotra predictor-corrector) on the dual
+ *
+ * Inference follows summary.rq: inverted rank-score tests ('rank'), the
+ * sparsity-based 'iid' and 'nid' sandwiches, or the xy-pair bootstrap ('boot').
+ */
+
+import Vector from '../core/Vector.js';
+import { Matrix, inverse } from '../math/matrix.js';
+import { leastSquares } from '../math/qr.js';
+import { pt, qt } from '../distributions/t.js';
+import { qnorm, dnorm } from '../distributions/normal.js';
+import { createRng } from '../math/random.js';
+import { fitFormula, newModelMatrix, predictorColumns } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction } from './na_action.js';
+
+const METHODS = ['br', 'fn'];
+const SE_TYPES = ['rank', 'iid', 'nid', 'boot'];
+
+/**
+ * Fit a linear quantile regression model
+ *
+ * Can be called with a response and predictors, or with a formula:
+ * rq('mpg ~ wt', { data: mtcars, tau: 0.9 })
+ *
+ * @param {Vector|Array|string} y - Response variable, or a model formula
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
+ * @param {Object} options - Options
+ * @param {number|Array<number>} options.tau - Quantile(s) in (0, 1); an array fits one model per quantile (default: 0.5)
+ * @param {string} options.method - 'br' (simplex) or 'fn' (Frisch-Newton interior point) (default: 'br')
+ * @param {string} options.se - Standard errors: 'rank', 'iid', 'nid' or 'boot'
+ *   (default: 'rank' for fewer than 1001 observations, otherwise 'nid', as R)
+ * @param {number} options.conf_level - Confidence level for conf_int (default: 0.95; summary.rq's
+ *   rank intervals are at 0.9)
+ * @param {number} options.R - Bootstrap replications for se = 'boot' (default: 200)
+ * @param {number} options.seed - Seed for the bootstrap resamples (default: none)
+ * @param {boolean} options.intercept - Include intercept (default: true)
+ * @param {Object} options.contrasts - Contrasts per factor predictor
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {Array<number>} options.weights - Non-negative weights; rows of y and X are multiplied by them (as R)
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @returns {Object} - Model fit { coefficients, tau, residuals, fitted_values, rho, std_errors, conf_int, ... };
+ *   with several taus { tau, coefficients (one array per tau), fits, coef_names }
+ *
+ * @example
+ * // Median regression
+ * const fit = rq(y, [x]);
+ *
+ * @example
+ * // Quartiles with bootstrap standard errors
+ * const fits = rq('foodexp ~ income', { data: engel, tau: [0.25, 0.5, 0.75], se: 'boot', seed: 1 });
+ * fits.coefficients[2];       // coefficients for tau = 0.75
+ */
+export function rq(y, X, options = {}) {
+  const opts = typeof y === 'string' ? (X || {}) : options;
+  if (Array.isArray(opts.tau)) {
+    if (opts.tau.length === 0) {
+      throw new Error('tau must contain at least one quantile');
+    }
+    const fits = opts.tau.map(tau => (typeof y === 'string'
+      ? rq(y, { ...opts, tau })
+      : rq(y, X, { ...opts, tau })));
+    return {
+      tau: [...opts.tau],
+      coefficients: fits.map(fit => fit.coefficients),
+      coef_names: fits[0].coef_names,
+      method: fits[0].method,
+      n: fits[0].n,
+      formula: fits[0].formula || null,
+      na_action: fits[0].na_action,
+      fits
+    };
+  }
+  if (typeof y === 'string') {
+    return fitFormula(rq, y, X);
+  }
+
+  const {
+    tau = 0.5,
+    method = 'br',
+    se = null,
+    conf_level = 0.95,
+    R = 200,
+    seed = null,
+    intercept = true,
+    contrasts = {},
+    na_action = 'na.omit',
+    weights = null
+  } = options;
+
+  if (!(typeof tau === 'number' && tau > 0 && tau < 1)) {
+    throw new Error('tau must be between 0 and 1');
+  }
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown method: ${method}. Use 'br' or 'fn'.`);
+  }
+  if (se !== null && !SE_TYPES.includes(se)) {
+    throw new Error(`Unknown se type: ${se}. Use 'rank', 'iid', 'nid' or 'boot'.`);
+  }
+
+  const yVec = y instanceof Vector ? y : new Vector(y);
+  const n = yVec.length;
+  if (X instanceof Matrix && X.rows !== n) {
+    throw new Error(`Design matrix has ${X.rows} rows but response has ${n} observations`);
+  }
+  if (weights !== null && weights.length !== n) {
+    throw new Error(`weights has length ${weights.length} but there are ${n} observations`);
+  }
+  if (weights !== null && Array.from(weights).some(w => w < 0)) {
+    throw new Error('Negative weights not allowed');
+  }
+
+  const rows = completeRows(n, [yVec, weights, ...(Array.isArray(X) ? X : [X])], na_action);
+  if (rows.length === 0) {
+    throw new Error('No complete observations in response and predictors');
+  }
+  const nValid = rows.length;
+
+  let designMatrix;
+  let design = null;
+  if (X instanceof Matrix) {
+    designMatrix = nValid < n ? X.subsetRows(rows) : X;
+  } else if (Array.isArray(X)) {
+    design = predictorColumns(X, rows, { intercept, contrasts });
+    designMatrix = Matrix.fromColumns(design.columns);
+  } else {
+    throw new Error('X must be a Matrix or array of predictors');
+  }
+  const p = designMatrix.cols;
+  if (nValid <= p) {
+    throw new Error(`Not enough observations (${nValid}) for ${p} parameters`);
+  }
+
+  // Weighted quantile regression scales the rows of y and X (as R's rq.wfit)
+  const w = Float64Array.from(rows, i => (weights === null ? 1 : weights[i]));
+  const Xr = Array.from({ length: nValid }, (_, i) =>
+    Float64Array.from({ length: p }, (_, j) => designMatrix.get(i, j) * w[i]));
+  const yr = Float64Array.from(rows, (row, i) => yVec.get(row) * w[i]);
+
+  const coefficients = Array.from(fitQuantile(Xr, yr, tau, method).coefficients);
+
+  const fitted = new Array(nValid);
+  const residuals = new Array(nValid);
+  let rho = 0;
+  for (let i = 0; i < nValid; i++) {
+    let eta = 0;
+    for (let j = 0; j < p; j++) eta += designMatrix.get(i, j) * coefficients[j];
+    fitted[i] = eta;
+    residuals[i] = yVec.get(rows[i]) - eta;
+    rho += w[i] * checkLoss(residuals[i], tau);
+  }
+
+  const seType = se ?? (nValid < 1001 ? 'rank' : 'nid');
+  const inference = rqInference(Xr, yr, coefficients, tau, {
+    se: seType, method, conf_level, R, seed
+  });
+
+  let coefNames;
+  if (design) {
+    coefNames = design.coef_names;
+  } else {
+    coefNames = Array.from({ length: p }, (_, j) =>
+      (intercept && j === 0 ? '(Intercept)' : `x${j + (intercept ? 0 : 1)}`));
+  }
+
+  return applyNaAction({
+    coefficients,
+    coef_names: coefNames,
+    tau,
+    method,
+    residuals,
+    fitted_values: fitted,
+    rho,
+
+    // Inference (std_errors, t_values and p_values are null for se = 'rank')
+    se: seType,
+    std_errors: inference.std_errors,
+    t_values: inference.t_values,
+    p_values: inference.p_values,
+    conf_int: inference.conf_int,
+    vcov: inference.vcov,
+
+    n: nValid,
+    p,
+    df: { residual: nValid - p },
+    weights: weights === null ? null : Array.from(w),
+
+    ...(design && {
+      term_labels: design.term_labels,
+      assign: design.assign,
+      xlevels: design.xlevels,
+      contrasts: contrastNames(design.specs)
+    }),
+
+    _X: designMatrix,
+    _specs: design ? design.specs : null
+  }, rows, n, na_action);
+}
+
+/**
+ * Predict conditional quantiles from a fitted rq model
+ *
+ * @param {Object} model - Fitted model from rq()
+ * @param {Matrix|Array<Vector|Array>|DataFrame} newX - New predictor values (a DataFrame for formula fits)
+ * @returns {Array<number>|Array<Array<number>>} - Predictions; one array per tau for fits with several taus
+ */
+export function predictRq(model, newX) {
+  if (model.fits) {
+    return model.fits.map(fit => predictRq(fit, newX));
+  }
+
+  let X;
+  if (newX instanceof Matrix) {
+    X = newX;
+  } else if (model.terms && !Array.isArray(newX)) {
+    X = newModelMatrix(model, newX);
+  } else {
+    const intercept = model.coef_names[0] === '(Intercept)';
+    const { columns } = predictorColumns(newX, null, { intercept, specs: model._specs || {} });
+    X = Matrix.fromColumns(columns);
+  }
+  if (X.cols !== model.coefficients.length) {
+    throw new Error(`New data has ${X.cols} columns but the model has ${model.coefficients.length} coefficients`);
+  }
+  return Array.from(X.multiplyVector(new Float64Array(model.coefficients)));
+}
+
+/**
+ * Check loss rho_tau(u)
+ */
+function checkLoss(u, tau) {
+  return u * (u < 0 ? tau - 1 : tau);
+}
+
+/**
+ * Quantile regression coefficients for rows Xr (arrays of length p) and response yr
+ */
+function fitQuantile(Xr, yr, tau, method) {
+  return method === 'fn' ? frischNewton(Xr, yr, tau) : simplex(Xr, yr, tau);
+}
+
+/**
+ * Simplex descent from a basic solution through p observations
+ *
+ * Each step moves along an edge that frees one basic observation, choosing the
+ * edge with the most negative directional derivative, and goes to the minimum
+ * of the (convex, piecewise linear) objective on it; the observation at that
+ * breakpoint enters the basis.
+ */
+function simplex(Xr, yr, tau, maxit = 100 * (yr.length + 10)) {
+  const n = yr.length;
+  const p = Xr[0].length;
+  const scale = 1 + yr.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+  const tol = 1e-10 * scale;
+
+  const basis = initialBasis(Xr, yr);
+  const inBasis = new Uint8Array(n);
+  for (const i of basis) inBasis[i] = 1;
+
+  let Binv = basisInverse(Xr, basis);
+  let beta = basisCoefficients(Binv, basis, yr);
+  const r = new Float64Array(n);
+  const z = new Float64Array(n);
+
+  for (let iter = 0; iter < maxit; iter++) {
+    for (let i = 0; i < n; i++) {
+      r[i] = inBasis[i] ? 0 : yr[i] - dotRow(Xr[i], beta);
+    }
+
+    // Directional derivatives along +/- each column of the basis inverse
+    let best = null;
+    for (let k = 0; k < p; k++) {
+      for (const sign of [1, -1]) {
+        let slope = sign > 0 ? 1 - tau : tau;
+        let total = 1;
+        for (let i = 0; i < n; i++) {
+          if (inBasis[i]) continue;
+          let zi = 0;
+          for (let j = 0; j < p; j++) zi += Xr[i][j] * Binv[j][k];
+          zi *= sign;
+          total += Math.abs(zi);
+          if (r[i] > tol) slope -= tau * zi;
+          else if (r[i] < -tol) slope += (1 - tau) * zi;
+          else slope += zi > 0 ? (1 - tau) * zi : -tau * zi;
+        }
+        if (slope < -1e-12 * total && (best === null || slope < best.slope)) {
+          best = { k, sign, slope };
+        }
+      }
+    }
+    if (best === null) break;
+
+    // Line search: the slope rises by |z_i| at each breakpoint t_i = r_i / z_i
+    const breaks = [];
+    for (let i = 0; i < n; i++) {
+      if (inBasis[i] || Math.abs(r[i]) <= tol) continue;
+      let zi = 0;
+      for (let j = 0; j < p; j++) zi += Xr[i][j] * Binv[j][best.k];
+      z[i] = best.sign * zi;
+      const t = r[i] / z[i];
+      if (z[i] !== 0 && t > 0) breaks.push({ i, t });
+    }
+    breaks.sort((a, b) => a.t - b.t);
+    let slope = best.slope;
+    let entering = -1;
+    for (const { i } of breaks) {
+      slope += Math.abs(z[i]);
+      if (slope >= 0) {
+        entering = i;
+        break;
+      }
+    }
+    if (entering < 0) {
+      throw new Error('Quantile regression objective is unbounded');
+    }
+
+    inBasis[basis[best.k]] = 0;
+    basis[best.k] = entering;
+    inBasis[entering] = 1;
+    Binv = basisInverse(Xr, basis);
+    beta = basisCoefficients(Binv, basis, yr);
+  }
+
+  return { coefficients: beta, basis, Binv };
+}
+
+/**
+ * p linearly independent observations, preferring those closest to the least squares fit
+ */
+function initialBasis(Xr, yr) {
+  const n = yr.length;
+  const p = Xr[0].length;
+  const X = new Matrix(n, p, Float64Array.from(Xr.flatMap(row => Array.from(row))));
+  let order = Array.from({ length: n }, (_, i) => i);
+  try {
+    const ls = leastSquares(X, yr);
+    const resid = order.map(i => Math.abs(yr[i] - dotRow(Xr[i], ls)));
+    order.sort((a, b) => resid[a] - resid[b]);
+  } catch (e) {
+    // A singular design is reported below
+  }
+
+  // Gram-Schmidt on the candidate rows
+  const basis = [];
+  const directions = [];
+  for (const i of order) {
+    const v = Float64Array.from(Xr[i]);
+    const size = Math.sqrt(dotRow(v, v));
+    if (size === 0) continue;
+    for (const u of directions) {
+      const c = dotRow(v, u);
+      for (let j = 0; j < p; j++) v[j] -= c * u[j];
+    }
+    const rest = Math.sqrt(dotRow(v, v));
+    if (rest > 1e-8 * size) {
+      basis.push(i);
+      directions.push(v.map(value => value / rest));
+      if (basis.length === p) return basis;
+    }
+  }
+  throw new Error('Design matrix is singular; check for collinear predictors');
+}
+
+function basisInverse(Xr, basis) {
+  const p = basis.length;
+  const Xh = new Matrix(p, p);
+  basis.forEach((row, k) => {
+    for (let j = 0; j < p; j++) Xh.set(k, j, Xr[row][j]);
+  });
+  const inv = inverse(Xh);
+  return Array.from({ length: p }, (_, j) => Float64Array.from({ length: p }, (_, k) => inv.get(j, k)));
+}
+
+function basisCoefficients(Binv, basis, yr) {
+  return Binv.map(row => row.reduce((s, v, k) => s + v * yr[basis[k]], 0));
+}
+
+function dotRow(a, b) {
+  let s = 0;
+  for (let j = 0; j < a.length; j++) s += a[j] * b[j];
+  return s;
+}
+
+/**
+ * Frisch-Newton interior point method (as quantreg's rq.fit.fnb)
+ *
+ * Solves the dual max y'a subject to X'a = (1 - tau) X'1, 0 <= a <= 1 with
+ * Mehrotra predictor-corrector steps; the coefficients are minus the
+ * multipliers of the equality constraints, and the solution a is the
+ * vector of regression rank scores.
+ */
+function frischNewton(Xr, yr, tau, { beta = 0.99995, eps = 1e-6, maxit = 50 } = {}) {
+  const n = yr.length;
+  const p = Xr[0].length;
+  const c = yr.map(v => -v);
+  const b = new Float64Array(p);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < p; j++) b[j] += (1 - tau) * Xr[i][j];
+  }
+
+  // Start from the least squares fit with the dual at 1 - tau
+  const x = new Float64Array(n).fill(1 - tau);
+  const s = x.map(v => 1 - v);
+  let dual = weightedSolve(Xr, new Float64Array(n).fill(1), c);
+  const r0 = c.map((ci, i) => ci - dotRow(Xr[i], dual));
+  const z = r0.map(v => Math.max(v, 0));
+  const w = z.map((v, i) => v - r0[i]);
+  let gap = dualityGap(c, x, b, dual, w);
+
+  for (let iter = 0; iter < maxit && gap > eps; iter++) {
+    // Affine scaling (predictor) step
+    const q = x.map((xi, i) => 1 / (z[i] / xi + w[i] / s[i]));
+    const res = z.map((zi, i) => zi - w[i]);
+    let dy = weightedSolve(Xr, q, res);
+    const dx = x.map((_, i) => q[i] * (dotRow(Xr[i], dy) - res[i]));
+    const ds = dx.map(v => -v);
+    const dz = z.map((zi, i) => -zi * (dx[i] / x[i] + 1));
+    const dw = w.map((wi, i) => -wi * (ds[i] / s[i] + 1));
+    let fp = Math.min(beta * Math.min(stepBound(x, dx), stepBound(s, ds)), 1);
+    let fd = Math.min(beta * Math.min(stepBound(w, dw), stepBound(z, dz)), 1);
+
+    if (Math.min(fp, fd) < 1) {
+      // Centering (corrector) step
+      let mu = dotRow(z, x) + dotRow(w, s);
+      let g = 0;
+      for (let i = 0; i < n; i++) {
+        g += (z[i] + fd * dz[i]) * (x[i] + fp * dx[i]) + (w[i] + fd * dw[i]) * (s[i] + fp * ds[i]);
+      }
+      mu = mu * Math.pow(g / mu, 3) / (2 * n);
+      const dxdz = dx.map((v, i) => v * dz[i]);
+      const dsdw = ds.map((v, i) => v * dw[i]);
+      const xi = x.map((xv, i) => mu * (1 / xv - 1 / s[i]));
+      const correction = weightedSolve(Xr, q, q.map((qi, i) => (dxdz[i] - dsdw[i] - xi[i])));
+      dy = dy.map((v, j) => v + correction[j]);
+      for (let i = 0; i < n; i++) {
+        dx[i] = q[i] * (dotRow(Xr[i], dy) + xi[i] - res[i] - dxdz[i] + dsdw[i]);
+        ds[i] = -dx[i];
+        dz[i] = mu / x[i] - z[i] - z[i] * dx[i] / x[i] - dxdz[i];
+        dw[i] = mu / s[i] - w[i] - w[i] * ds[i] / s[i] - dsdw[i];
+      }
+      fp = Math.min(beta * Math.min(stepBound(x, dx), stepBound(s, ds)), 1);
+      fd = Math.min(beta * Math.min(stepBound(w, dw), stepBound(z, dz)), 1);
+    }
+
+    for (let i = 0; i < n; i++) {
+      x[i] += fp * dx[i];
+      s[i] += fp * ds[i];
+      z[i] += fd * dz[i];
+      w[i] += fd * dw[i];
+    }
+    dual = dual.map((v, j) => v + fd * dy[j]);
+    gap = dualityGap(c, x, b, dual, w);
+  }
+
+  return { coefficients: Array.from(dual, v => -v), scores: x };
+}
+
+/**
+ * Solve (X' diag(q) X) d = X' (q * v)
+ */
+function weightedSolve(Xr, q, v) {
+  const p = Xr[0].length;
+  const A = new Matrix(p, p);
+  const rhs = new Float64Array(p);
+  for (let i = 0; i < Xr.length; i++) {
+    const row = Xr[i];
+    for (let j = 0; j < p; j++) {
+      rhs[j] += row[j] * q[i] * v[i];
+      for (let k = 0; k <= j; k++) A.set(j, k, A.get(j, k) + q[i] * row[j] * row[k]);
+    }
+  }
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < j; k++) A.set(k, j, A.get(j, k));
+  }
+  return Array.from(inverse(A).multiplyVector(rhs));
+}
+
+/**
+ * Largest step in [0, 1e20] keeping v + step * dv non-negative
+ */
+function stepBound(v, dv) {
+  let bound = 1e20;
+  for (let i = 0; i < v.length; i++) {
+    if (dv[i] < 0) bound = Math.min(bound, -v[i] / dv[i]);
+  }
+  return bound;
+}
+
+function dualityGap(c, x, b, dual, w) {
+  return dotRow(c, x) - dotRow(b, dual) + w.reduce((sum, v) => sum + v, 0);
+}
+
+/**
+ * Standard errors and confidence intervals (as R's summary.rq)
+ */
+function rqInference(Xr, yr, coefficients, tau, { se, method, conf_level, R, seed }) {
+  const n = yr.length;
+  const p = coefficients.length;
+  const alpha = 1 - conf_level;
+  const rdf = n - p;
+
+  if (se === 'rank') {
+    const lower = new Array(p);
+    const upper = new Array(p);
+    for (let j = 0; j < p; j++) {
+      [lower[j], upper[j]] = rankInterval(Xr, yr, coefficients, tau, j, alpha);
+    }
+    return {
+      std_errors: null,
+      t_values: null,
+      p_values: null,
+      conf_int: { level: conf_level, lower, upper },
+      vcov: null
+    };
+  }
+
+  let cov;
+  if (se === 'boot') {
+    cov = bootstrapCovariance(Xr, yr, tau, method, R, seed);
+  } else {
+    const resid = Float64Array.from(yr, (v, i) => v - dotRow(Xr[i], coefficients));
+    const xxinv = inverse(crossProduct(Xr, new Float64Array(n).fill(1)));
+    let h = bandwidth(tau, n);
+    if (se === 'iid') {
+      // Sparsity from the slope of the ordered smallest residuals (Siddiqui difference quotient)
+      const small = Math.pow(2.220446e-16, 2 / 3);
+      const pz = resid.reduce((count, v) => count + (Math.abs(v) < small ? 1 : 0), 0);
+      const m = Math.max(p + 1, Math.ceil(n * h));
+      const byAbs = Array.from(resid).sort((a, b) => Math.abs(a) - Math.abs(b));
+      const ir = [];
+      for (let k = pz + 1; k <= Math.min(m + pz + 1, n); k++) ir.push(k);
+      const ordResid = ir.map(k => byAbs[k - 1]).sort((a, b) => a - b);
+      const xt = ir.map(k => k / (n - p));
+      const sparsity = simplex(xt.map(v => Float64Array.of(1, v)), Float64Array.from(ordResid), 0.5).coefficients[1];
+      cov = scaleMatrix(xxinv, sparsity * sparsity * tau * (1 - tau));
+    } else {
+      // 'nid': local densities from the difference quotient of fits at tau +/- h
+      while (tau - h < 0 || tau + h > 1) h /= 2;
+      const bhi = fitQuantile(Xr, yr, tau + h, 'br').coefficients;
+      const blo = fitQuantile(Xr, yr, tau - h, 'br').coefficients;
+      const small = Math.pow(2.220446e-16, 2 / 3);
+      const f = Xr.map(row => {
+        let dyhat = 0;
+        for (let j = 0; j < p; j++) dyhat += row[j] * (bhi[j] - blo[j]);
+        return Math.max(0, (2 * h) / (dyhat - small));
+      });
+      const fxxinv = inverse(crossProduct(Xr, Float64Array.from(f)));
+      const xx = crossProduct(Xr, new Float64Array(n).fill(1));
+      cov = scaleMatrix(fxxinv.multiply(xx).multiply(fxxinv), tau * (1 - tau));
+    }
+  }
+
+  const stdErrors = coefficients.map((_, j) => Math.sqrt(cov.get(j, j)));
+  const tValues = coefficients.map((b, j) => b / stdErrors[j]);
+  const pValues = tValues.map(t => 2 * pt(-Math.abs(t), rdf));
+  const crit = qt(1 - alpha / 2, rdf);
+  return {
+    std_errors: stdErrors,
+    t_values: tValues,
+    p_values: pValues,
+    conf_int: {
+      level: conf_level,
+      lower: coefficients.map((b, j) => b - crit * stdErrors[j]),
+      upper: coefficients.map((b, j) => b + crit * stdErrors[j])
+    },
+    vcov: cov
+  };
+}
+
+/**
+ * Hall-Sheather bandwidth for the sparsity estimate (as quantreg's bandwidth.rq)
+ */
+function bandwidth(tau, n, alpha = 0.05) {
+  const x0 = qnorm(tau);
+  const f0 = dnorm(x0);
+  return Math.pow(n, -1 / 3) * Math.pow(qnorm(1 - alpha / 2), 2 / 3) *
+    Math.pow((1.5 * f0 * f0) / (2 * x0 * x0 + 1), 1 / 3);
+}
+
+/**
+ * X' diag(q) X
+ */
+function crossProduct(Xr, q) {
+  const p = Xr[0].length;
+  const A = new Matrix(p, p);
+  for (let i = 0; i < Xr.length; i++) {
+    for (let j = 0; j < p; j++) {
+      for (let k = 0; k < p; k++) A.set(j, k, A.get(j, k) + q[i] * Xr[i][j] * Xr[i][k]);
+    }
+  }
+  return A;
+}
+
+function scaleMatrix(A, factor) {
+  const out = A.clone();
+  for (let j = 0; j < A.rows; j++) {
+    for (let k = 0; k < A.cols; k++) out.set(j, k, A.get(j, k) * factor);
+  }
+  return out;
+}
+
+/**
+ * Covariance of the coefficients over xy-pair bootstrap resamples
+ */
+function bootstrapCovariance(Xr, yr, tau, method, R, seed) {
+  const n = yr.length;
+  const p = Xr[0].length;
+  const rng = createRng(seed);
+  const draws = [];
+  for (let b = 0; b < R; b++) {
+    const sample = Array.from({ length: n }, () => Math.floor(rng() * n));
+    try {
+      draws.push(fitQuantile(sample.map(i => Xr[i]), Float64Array.from(sample, i => yr[i]), tau, method).coefficients);
+    } catch (e) {
+      // Resamples with a singular design are skipped
+    }
+  }
+  if (draws.length < 2) {
+    throw new Error('Too few bootstrap resamples could be fitted');
+  }
+
+  const means = Array.from({ length: p }, (_, j) => draws.reduce((s, d) => s + d[j], 0) / draws.length);
+  const cov = new Matrix(p, p);
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < p; k++) {
+      let s = 0;
+      for (const d of draws) s += (d[j] - means[j]) * (d[k] - means[k]);
+      cov.set(j, k, s / (draws.length - 1));
+    }
+  }
+  return cov;
+}
+
+/**
+ * Confidence interval for coefficient j by inverting the regression rank-score test
+ * (as quantreg's rq.fit.br with ci = TRUE, iid = TRUE, interp = TRUE, tcrit = TRUE)
+ *
+ * For a candidate value b the model without column j is fitted to y - b x_j;
+ * the test statistic sum(x_j * (a - (1 - tau))) / sqrt(tau (1 - tau) q_j), with
+ * a the regression rank scores (the dual solution) and q_j the residual sum of
+ * squares of x_j on the other columns, is constant between the values of b
+ * where the optimal basis changes. The path of bases is followed away from the
+ * estimate until the test rejects at qt(1 - alpha / 2, n - p); the end of the
+ * interval is interpolated between the last accepted breakpoint and the
+ * rejected one.
+ */
+function rankInterval(Xr, yr, coefficients, tau, j, alpha) {
+  const n = yr.length;
+  const p = Xr[0].length;
+  const xj = Xr.map(row => row[j]);
+  const others = Xr.map(row => Float64Array.from(row.filter((_, k) => k !== j)));
+
+  // q_j = 1 / [(X'X)^-1]_jj
+  const xxinv = inverse(crossProduct(Xr, new Float64Array(n).fill(1)));
+  const qn = 1 / xxinv.get(j, j);
+  const cutoff = qt(1 - alpha / 2, n - p);
+  const denom = Math.sqrt(tau * (1 - tau) * qn);
+
+  // Statistic on the segment of the path that contains b, and the segment's end in `direction`
+  const segment = (b, direction) => {
+    const target = Float64Array.from(yr, (v, i) => v - b * xj[i]);
+    const { basis, Binv } = p > 1 ? simplex(others, target, tau) : { basis: [], Binv: [] };
+    const inBasis = new Uint8Array(n);
+    for (const i of basis) inBasis[i] = 1;
+
+    // Along the segment the fit is Binv (y_B - b x_jB), so residuals are linear in b: u_i - b v_i
+    const fitAt = (values) => Array.from({ length: p - 1 }, (_, k) =>
+      basis.reduce((sum, i, m) => sum + Binv[k][m] * values[i], 0));
+    const gu = fitAt(yr);
+    const gv = fitAt(xj);
+
+    const scores = new Float64Array(n);
+    const rhs = new Float64Array(p - 1);
+    let end = direction * Infinity;
+    for (let i = 0; i < n; i++) {
+      for (let k = 0; k < p - 1; k++) rhs[k] += (1 - tau) * others[i][k];
+      if (inBasis[i]) continue;
+      const u = yr[i] - dotRow(others[i], gu);
+      const v = xj[i] - dotRow(others[i], gv);
+      scores[i] = u - b * v > 0 ? 1 : 0;
+      for (let k = 0; k < p - 1; k++) rhs[k] -= scores[i] * others[i][k];
+      if (v !== 0) {
+        const crossing = u / v;
+        if (direction * (crossing - b) > 0 && direction * (crossing - end) < 0) end = crossing;
+      }
+    }
+    // Basic observations: X_B' a_B = (1 - tau) X'1 - X_N' a_N
+    basis.forEach((i, m) => {
+      let a = 0;
+      for (let k = 0; k < p - 1; k++) a += Binv[k][m] * rhs[k];
+      scores[i] = a;
+    });
+
+    let t = 0;
+    for (let i = 0; i < n; i++) t += xj[i] * (scores[i] - (1 - tau));
+    return { t: t / denom, end };
+  };
+
+  const estimate = coefficients[j];
+  const delta = 1e-7 * (Math.max(Math.abs(estimate), 1) + Math.sqrt(1 / qn));
+  const bound = (direction) => {
+    const rejects = (t) => direction * t < -cutoff;
+    let vertex = estimate;
+    let current = segment(estimate + direction * delta, direction);
+    if (rejects(current.t)) return estimate;
+
+    for (let iter = 0; iter < 10 * n + 100; iter++) {
+      if (!Number.isFinite(current.end)) break;
+      // Next breakpoint, at least delta further out
+      const breakpoint = direction * Math.max(direction * current.end, direction * vertex + delta);
+      const next = segment(breakpoint + direction * delta, direction);
+      if (rejects(next.t)) {
+        const fraction = (cutoff - Math.abs(current.t)) / Math.abs(next.t - current.t);
+        return vertex + direction * Math.abs(breakpoint - vertex) * fraction;
+      }
+      vertex = breakpoint;
+      current = next;
+    }
+    return direction * Infinity;
+  };
+
+  return [bound(-1), bound(1)];
+}
@@ -0,0 +1,290 @@
+/**
+ * Coefficient covariance matrices for fitted models - model-based and
+ * heteroscedasticity-consistent (sandwich) estimators, as in R's sandwich package
+ *
+ * For lm and glm fits the sandwich estimator is
+ *   V = B M B,  B = (X'WX)^-1,  M = sum_i omega_i u_i u_i'
+ * where u_i = x_i * r_i is the score contribution of observation i
+ * (r_i = w_i e_i for lm, the working residual times the working weight for glm)
+ */
+
+import { Matrix, inverse } from '../math/matrix.js';
+import { naUnpad } from './na_action.js';
+
+const HC_TYPES = ['HC0', 'HC1', 'HC3', 'HC4'];
+
+/**
+ * Covariance matrix of the coefficients of a fitted lm() or glm() model
+ *
+ * @param {Object} model - Fitted model from lm() or glm() (or lmer(), 'const' only)
+ * @param {Object} options - Options
+ * @param {string} options.type - 'const' for the model-based covariance, or a
+ *   heteroscedasticity-consistent type 'HC0', 'HC1', 'HC3' or 'HC4' (default: 'const')
+ * @returns {Matrix} - p x p covariance matrix, in the order of model.coef_names
+ *
+ * @example
+ * const V = vcov(fit, { type: 'HC3' });
+ * const robustSE = vcovStdErrors(V);
+ */
+export function vcov(model, { type = 'const' } = {}) {
+  if (model.cov_fixed) {
+    // Mixed models carry the covariance of the fixed effects
+    if (type !== 'const') {
+      throw new Error('Sandwich covariance types are not available for mixed models');
+    }
+    return model.cov_fixed.clone();
+  }
+
+  const { X, w, scores } = scoreComponents(model);
+  const bread = invertBread(model, X, w);
+
+  if (type === 'const') {
+    return scaleMatrix(bread, modelDispersion(model));
+  }
+  if (!HC_TYPES.includes(type)) {
+    throw new Error(`Unknown covariance type: ${type}. Use 'const', ${HC_TYPES.map(t => `'${t}'`).join(', ')}.`);
+  }
+
+  const n = X.rows;
+  const p = X.cols;
+  const omega = new Float64Array(n).fill(1);
+
+  if (type === 'HC3' || type === 'HC4') {
+    const h = hatValues(X, w, bread);
+    for (let i = 0; i < n; i++) {
+      const exponent = type === 'HC3' ? 2 : Math.min(4, n * h[i] / p);
+      omega[i] = 1 / Math.pow(1 - h[i], exponent);
+    }
+  }
+
+  const meat = new Matrix(p, p);
+  for (let i = 0; i < n; i++) {
+    addOuter(meat, scoreRow(X, scores, i), omega[i]);
+  }
+
+  const V = sandwich(bread, meat);
+  return type === 'HC1' ? scaleMatrix(V, n / (n - p)) : V;
+}
+
+/**
+ * Cluster-robust covariance matrix of the coefficients
+ * Scores are summed within clusters before forming the meat of the sandwich
+ *
+ * @param {Object} model - Fitted model from lm() or glm()
+ * @param {Array} cluster - Cluster identifier per observation (the observations used in the
+ *   fit, or all original observations when rows were dropped for missing values)
+ * @param {Object} options - Options
+ * @param {string} options.type - 'HC0' (G/(G-1) adjustment) or 'HC1' (additionally (n-1)/(n-p)) (default: 'HC1')
+ * @returns {Matrix} - p x p covariance matrix
+ *
+ * @example
+ * const V = vcovCL(fit, df.col('firm').toArray());
+ */
+export function vcovCL(model, cluster, { type = 'HC1' } = {}) {
+  if (type !== 'HC0' && type !== 'HC1') {
+    throw new Error(`Unknown cluster covariance type: ${type}. Use 'HC0' or 'HC1'.`);
+  }
+
+  const { X, w, scores } = scoreComponents(model);
+  const n = X.rows;
+  const p = X.cols;
+  const ids = clusterIds(model, cluster, n);
+
+  // Sum the scores within each cluster
+  const sums = new Map();
+  for (let i = 0; i < n; i++) {
+    const u = scoreRow(X, scores, i);
+    const acc = sums.get(ids[i]);
+    if (acc) {
+      for (let j = 0; j < p; j++) acc[j] += u[j];
+    } else {
+      sums.set(ids[i], u);
+    }
+  }
+
+  const G = sums.size;
+  if (G < 2) {
+    throw new Error('At least 2 clusters are required');
+  }
+
+  const meat = new Matrix(p, p);
+  for (const u of sums.values()) {
+    addOuter(meat, u, 1);
+  }
+
+  const bread = invertBread(model, X, w);
+  let adjust = G / (G - 1);
+  if (type === 'HC1') {
+    adjust *= (n - 1) / (n - p);
+  }
+
+  return scaleMatrix(sandwich(bread, meat), adjust);
+}
+
+/**
+ * Standard errors from a covariance matrix
+ *
+ * @param {Matrix} V - Covariance matrix
+ * @returns {Array<number>} - Square roots of the diagonal
+ */
+export function vcovStdErrors(V) {
+  const se = [];
+  for (let j = 0; j < V.rows; j++) {
+    se.push(Math.sqrt(Math.max(0, V.get(j, j))));
+  }
+  return se;
+}
+
+/**
+ * Design matrix, fitting weights and score residuals of a model
+ * - lm: prior weights (1 when unweighted) and w_i * e_i
+ * - glm: working weights and prior weight * (y - mu) * dmu/deta / V(mu)
+ */
+function scoreComponents(model) {
+  const X = model._X;
+  if (!X) {
+    throw new Error('Model must contain design matrix (_X)');
+  }
+  const n = X.rows;
+  const residuals = naUnpad(model.residuals);
+  const prior = model.weights || new Array(n).fill(1);
+
+  const w = new Float64Array(n);
+  const scores = new Float64Array(n);
+
+  if (model._family) {
+    const family = model._family;
+    const eta = naUnpad(model.linear_predictors);
+    const mu = naUnpad(model.fitted_values);
+    for (let i = 0; i < n; i++) {
+      const muEta = family.mu_eta(eta[i]);
+      const variance = Math.max(family.variance(mu[i]), 1e-10);
+      w[i] = prior[i] * muEta * muEta / variance;
+      scores[i] = prior[i] * residuals[i] * muEta / variance;
+    }
+  } else {
+    for (let i = 0; i < n; i++) {
+      w[i] = prior[i];
+      scores[i] = prior[i] * residuals[i];
+    }
+  }
+
+  return { X, w, scores };
+}
+
+/**
+ * Dispersion that scales (X'WX)^-1 into the model-based covariance
+ */
+function modelDispersion(model) {
+  if (model._family) return model.dispersion;
+  return model.sigma * model.sigma;
+}
+
+/**
+ * Cluster identifiers aligned with the rows used in the fit
+ */
+function clusterIds(model, cluster, n) {
+  const ids = Array.from(cluster);
+  if (ids.length === n) return ids;
+
+  const omitted = model.na_action ? model.na_action.omitted : [];
+  if (ids.length === n + omitted.length) {
+    const drop = new Set(omitted);
+    return ids.filter((_, i) => !drop.has(i));
+  }
+
+  throw new Error(`cluster has length ${ids.length} but the model has ${n} observations`);
+}
+
+/**
+ * (X'WX)^-1, after checking that X has full column rank
+ * Aliased columns are found by a Cholesky factorization that flags pivots
+ * below 1e-7 (relative, on the scale of X as in lm.fit) of the column norm
+ */
+function invertBread(model, X, w) {
+  const XtWX = crossprodWeighted(X, w);
+  const p = XtWX.rows;
+  const L = new Matrix(p, p);
+  const aliased = [];
+
+  for (let j = 0; j < p; j++) {
+    let d = XtWX.get(j, j);
+    for (let k = 0; k < j; k++) d -= L.get(j, k) * L.get(j, k);
+    if (!(d > 1e-14 * XtWX.get(j, j))) {
+      aliased.push(model.coef_names ? model.coef_names[j] : `column ${j + 1}`);
+      continue;
+    }
+    const ljj = Math.sqrt(d);
+    L.set(j, j, ljj);
+    for (let i = j + 1; i < p; i++) {
+      let sum = XtWX.get(i, j);
+      for (let k = 0; k < j; k++) sum -= L.get(i, k) * L.get(j, k);
+      L.set(i, j, sum / ljj);
+    }
+  }
+
+  if (aliased.length > 0) {
+    throw new Error(`Design matrix is rank deficient (aliased: ${aliased.join(', ')}); drop collinear terms before computing the covariance`);
+  }
+  return inverse(XtWX);
+}
+
+function crossprodWeighted(X, w) {
+  const p = X.cols;
+  const out = new Matrix(p, p);
+  for (let j = 0; j < p; j++) {
+    for (let k = j; k < p; k++) {
+      let sum = 0;
+      for (let i = 0; i < X.rows; i++) {
+        sum += X.get(i, j) * w[i] * X.get(i, k);
+      }
+      out.set(j, k, sum);
+      out.set(k, j, sum);
+    }
+  }
+  return out;
+}
+
+function hatValues(X, w, bread) {
+  const n = X.rows;
+  const p = X.cols;
+  const h = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let hi = 0;
+    for (let j = 0; j < p; j++) {
+      for (let k = 0; k < p; k++) {
+        hi += X.get(i, j) * bread.get(j, k) * X.get(i, k);
+      }
+    }
+    h[i] = Math.min(w[i] * hi, 1 - 1e-12);
+  }
+  return h;
+}
+
+function scoreRow(X, scores, i) {
+  const u = new Float64Array(X.cols);
+  for (let j = 0; j < X.cols; j++) {
+    u[j] = X.get(i, j) * scores[i];
+  }
+  return u;
+}
+
+function addOuter(M, u, scale) {
+  for (let j = 0; j < u.length; j++) {
+    for (let k = 0; k < u.length; k++) {
+      M.set(j, k, M.get(j, k) + scale * u[j] * u[k]);
+    }
+  }
+}
+
+function sandwich(bread, meat) {
+  return bread.multiply(meat).multiply(bread);
+}
+
+function scaleMatrix(M, s) {
+  const out = M.clone();
+  for (let i = 0; i < out.data.length; i++) {
+    out.data[i] *= s;
+  }
+  return out;
+}
@@ -0,0 +1,429 @@
+/**
+ * Basis generators - orthogonal polynomials and regression splines
+ * Implements R's poly(), splines::bs() and splines::ns(). Each basis keeps the
+ * coefficients or knots computed from the fitting data in `spec`, so the same
+ * basis can be evaluated on new data for prediction.
+ */
+
+import { Matrix } from '../math/matrix.js';
+import { qr } from '../math/qr.js';
+
+/**
+ * Orthogonal (or raw) polynomial basis
+ *
+ * @param {Array<number>|Vector} x - Numeric values; missing values give NaN rows
+ * @param {number} degree - Polynomial degree (default: 1)
+ * @param {Object} options - Options
+ * @param {boolean} options.raw - Use raw powers x, x^2, ... instead of orthogonal polynomials (default: false)
+ * @returns {Object} - { columns, names, spec }; one column per degree named '1', '2', ...
+ *
+ * @example
+ * const basis = poly([1, 2, 3, 4, 5], 2);
+ * // basis.columns[0] => [-0.632, -0.316, 0, 0.316, 0.632]
+ */
+export function poly(x, degree = 1, { raw = false } = {}) {
+  const values = toNumbers(x);
+  if (!Number.isInteger(degree) || degree < 1) {
+    throw new Error("'degree' must be a positive integer");
+  }
+
+  const observed = values.filter(v => !Number.isNaN(v));
+  if (degree >= new Set(observed).size) {
+    throw new Error("'degree' must be less than number of unique points");
+  }
+
+  if (raw) {
+    return evaluateBasis({ type: 'poly', degree, raw: true }, values);
+  }
+
+  // Three-term recurrence for the orthogonal polynomials (as the QR construction in R's poly)
+  const n = observed.length;
+  const alpha = [];
+  const norm2 = [1, n];
+  let prev = observed.map(() => 0);
+  let curr = observed.map(() => 1);
+  for (let d = 0; d < degree; d++) {
+    let sxz = 0;
+    for (let i = 0; i < n; i++) sxz += observed[i] * curr[i] * curr[i];
+    alpha.push(sxz / norm2[d + 1]);
+
+    const ratio = norm2[d + 1] / norm2[d];
+    const next = observed.map((v, i) => (v - alpha[d]) * curr[i] - (d > 0 ? ratio * prev[i] : 0));
+    norm2.push(next.reduce((sum, z) => sum + z * z, 0));
+    prev = curr;
+    curr = next;
+  }
+
+  return evaluateBasis({ type: 'poly', degree, raw: false, alpha, norm2 }, values);
+}
+
+/**
+ * B-spline basis for polynomial regression splines
+ *
+ * Interior knots are placed at quantiles of x when only `df` is given.
+ * Values outside the boundary knots are extrapolated by continuing the
+ * polynomial pieces at each end.
+ *
+ * @param {Array<number>|Vector} x - Numeric values; missing values give NaN rows
+ * @param {Object} options - Options
+ * @param {number} options.df - Degrees of freedom (number of columns); sets the number of interior knots
+ * @param {Array<number>|number} options.knots - Interior knots (overrides df)
+ * @param {number} options.degree - Degree of the piecewise polynomials (default: 3, cubic)
+ * @param {boolean} options.intercept - Include the first basis function (default: false)
+ * @param {Array<number>} options.boundary_knots - Boundary knots (default: range of x)
+ * @returns {Object} - { columns, names, spec }; length(knots) + degree + intercept columns
+ *
+ * @example
+ * const basis = bs(age, { df: 5 });
+ */
+export function bs(x, { df = null, knots = null, degree = 3, intercept = false, boundary_knots = null } = {}) {
+  const values = toNumbers(x);
+  if (!Number.isInteger(degree) || degree < 1) {
+    throw new Error("'degree' must be a positive integer");
+  }
+  const order = degree + 1;
+  const boundary = boundaryKnots(values, boundary_knots);
+  const interior = interiorKnots(values, knots, df === null ? null : df - order + (intercept ? 0 : 1), boundary, 'bs');
+
+  return evaluateBasis({ type: 'bs', degree, knots: interior, boundary_knots: boundary, intercept }, values);
+}
+
+/**
+ * Natural cubic spline basis: cubic splines that are linear beyond the boundary knots
+ *
+ * @param {Array<number>|Vector} x - Numeric values; missing values give NaN rows
+ * @param {Object} options - Options
+ * @param {number} options.df - Degrees of freedom (number of columns); sets the number of interior knots
+ * @param {Array<number>|number} options.knots - Interior knots (overrides df)
+ * @param {boolean} options.intercept - Include an intercept in the basis (default: false)
+ * @param {Array<number>} options.boundary_knots - Boundary knots (default: range of x)
+ * @returns {Object} - { columns, names, spec }; length(knots) + 1 + intercept columns
+ *
+ * @example
+ * const basis = ns(age, { df: 4 });
+ */
+export function ns(x, { df = null, knots = null, intercept = false, boundary_knots = null } = {}) {
+  const values = toNumbers(x);
+  const boundary = boundaryKnots(values, boundary_knots);
+  const interior = interiorKnots(values, knots, df === null ? null : df - 1 - (intercept ? 1 : 0), boundary, 'ns');
+
+  return evaluateBasis({ type: 'ns', knots: interior, boundary_knots: boundary, intercept }, values);
+}
+
+/**
+ * Penalized cubic regression spline basis for the smooth terms of gam()
+ *
+ * A natural cubic spline with k knots spread evenly through the unique values
+ * of x, constrained to sum to zero over the data so that it is identifiable
+ * alongside an intercept. `spec.penalty` holds S with beta' S beta equal to the
+ * integrated squared second derivative of the smooth.
+ *
+ * @param {Array<number>|Vector} x - Numeric values; missing values give NaN rows
+ * @param {Object} options - Options
+ * @param {number} options.k - Basis dimension before the constraint (default: 10)
+ * @returns {Object} - { columns, names, spec }; k - 1 columns named '.1', '.2', ...
+ */
+export function smoothBasis(x, { k = 10 } = {}) {
+  const values = toNumbers(x);
+  if (!Number.isInteger(k) || k < 3) {
+    throw new Error('s(): k must be an integer of at least 3');
+  }
+  const unique = Array.from(new Set(values.filter(v => !Number.isNaN(v)))).sort((a, b) => a - b);
+  if (unique.length < k) {
+    throw new Error(`s(): k = ${k} is more than the ${unique.length} unique values of the variable`);
+  }
+
+  const knots = Array.from({ length: k }, (_, j) => quantile(unique, j / (k - 1)));
+  const natural = { type: 'ns', knots: knots.slice(1, -1), boundary_knots: [knots[0], knots[k - 1]], intercept: true };
+
+  // Absorb the sum-to-zero constraint: the basis is reparametrized on the
+  // orthogonal complement of the column sums
+  const sums = evaluateBasis(natural, values).columns
+    .map(col => col.reduce((sum, v) => (Number.isNaN(v) ? sum : sum + v), 0));
+  const { Q } = qr(Matrix.fromColumns([sums]));
+  const constraint = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k - 1 }, (_, j) => Q.get(i, j + 1))
+  );
+
+  const S = naturalPenalty(natural);
+  const penalty = Array.from({ length: k - 1 }, (_, a) =>
+    Array.from({ length: k - 1 }, (_, b) => {
+      let sum = 0;
+      for (let i = 0; i < k; i++) {
+        for (let j = 0; j < k; j++) sum += constraint[i][a] * S[i][j] * constraint[j][b];
+      }
+      return sum;
+    })
+  );
+
+  return evaluateBasis({
+    type: 'smooth',
+    k,
+    knots: natural.knots,
+    boundary_knots: natural.boundary_knots,
+    constraint,
+    penalty
+  }, values);
+}
+
+/**
+ * Evaluate a basis from poly(), bs(), ns() or smoothBasis() on new values,
+ * reusing the coefficients and knots of the original fit
+ *
+ * @param {Object} basis - Basis (or its spec) returned by poly(), bs(), ns() or smoothBasis()
+ * @param {Array<number>|Vector} newx - New numeric values
+ * @returns {Object} - { columns, names, spec }
+ */
+export function predictBasis(basis, newx) {
+  const spec = basis.spec || basis;
+  if (!['poly', 'bs', 'ns', 'smooth'].includes(spec.type)) {
+    throw new Error('Expected a basis from poly(), bs(), ns() or smoothBasis()');
+  }
+  return evaluateBasis(spec, toNumbers(newx));
+}
+
+function evaluateBasis(spec, values) {
+  let rows;
+  if (spec.type === 'poly') {
+    rows = values.map(v => polyRow(spec, v));
+  } else if (spec.type === 'smooth') {
+    rows = smoothRows(spec, values);
+  } else {
+    const evaluate = spec.type === 'bs' ? bsRows : nsRows;
+    rows = evaluate(spec, values);
+  }
+
+  const ncol = rows.find(row => row !== null)?.length ?? basisSize(spec);
+  const columns = Array.from({ length: ncol }, (_, j) =>
+    rows.map(row => (row === null ? NaN : row[j]))
+  );
+  return {
+    columns,
+    names: columns.map((_, j) => (spec.type === 'smooth' ? `.${j + 1}` : String(j + 1))),
+    spec
+  };
+}
+
+function basisSize(spec) {
+  if (spec.type === 'poly') return spec.degree;
+  if (spec.type === 'bs') return spec.knots.length + spec.degree + (spec.intercept ? 1 : 0);
+  if (spec.type === 'smooth') return spec.k - 1;
+  return spec.knots.length + 1 + (spec.intercept ? 1 : 0);
+}
+
+function polyRow({ degree, raw, alpha, norm2 }, v) {
+  if (Number.isNaN(v)) return null;
+  if (raw) {
+    return Array.from({ length: degree }, (_, d) => Math.pow(v, d + 1));
+  }
+
+  const z = [1, v - alpha[0]];
+  for (let d = 1; d < degree; d++) {
+    z.push((v - alpha[d]) * z[d] - (norm2[d + 1] / norm2[d]) * z[d - 1]);
+  }
+  return z.slice(1).map((zd, d) => zd / Math.sqrt(norm2[d + 2]));
+}
+
+function bsRows({ degree, knots, boundary_knots: boundary, intercept }, values) {
+  const order = degree + 1;
+  const t = allKnots(knots, boundary, order);
+  const [lo, hi] = boundary;
+
+  // Taylor expansion about a pivot inside the first/last polynomial piece (as R)
+  const extrapolate = (v, pivot) => {
+    const row = new Array(t.length - order).fill(0);
+    let factorial = 1;
+    for (let d = 0; d <= degree; d++) {
+      if (d > 0) factorial *= d;
+      const scale = Math.pow(v - pivot, d) / factorial;
+      const deriv = bsplineRow(t, pivot, order, d);
+      for (let j = 0; j < row.length; j++) row[j] += deriv[j] * scale;
+    }
+    return row;
+  };
+
+  return values.map(v => {
+    if (Number.isNaN(v)) return null;
+    let row;
+    if (v < lo) {
+      row = extrapolate(v, 0.75 * lo + 0.25 * t[order]);
+    } else if (v > hi) {
+      row = extrapolate(v, 0.75 * hi + 0.25 * t[t.length - order - 1]);
+    } else {
+      row = bsplineRow(t, v, order, 0);
+    }
+    return intercept ? row : row.slice(1);
+  });
+}
+
+function nsRows({ knots, boundary_knots: boundary, intercept }, values) {
+  const t = allKnots(knots, boundary, 4);
+  const [lo, hi] = boundary;
+  const project = naturalProjection(t, boundary, intercept);
+
+  // Linear beyond the boundary knots
+  const linear = (v, pivot) => {
+    const value = bsplineRow(t, pivot, 4, 0);
+    const slope = bsplineRow(t, pivot, 4, 1);
+    return value.map((b, j) => b + (v - pivot) * slope[j]);
+  };
+
+  return values.map(v => {
+    if (Number.isNaN(v)) return null;
+    if (v < lo) return project(linear(v, lo));
+    if (v > hi) return project(linear(v, hi));
+    return project(bsplineRow(t, v, 4, 0));
+  });
+}
+
+function smoothRows({ knots, boundary_knots, constraint }, values) {
+  const rows = nsRows({ knots, boundary_knots, intercept: true }, values);
+  return rows.map(row => row === null ? null : constraint[0].map((_, j) =>
+    row.reduce((sum, v, i) => sum + v * constraint[i][j], 0)
+  ));
+}
+
+/**
+ * Integrated squared second derivative penalty of the natural spline basis;
+ * the second derivatives are linear between knots, so two-point Gauss-Legendre
+ * quadrature on each interval is exact
+ */
+function naturalPenalty({ knots, boundary_knots: boundary }) {
+  const t = allKnots(knots, boundary, 4);
+  const project = naturalProjection(t, boundary, true);
+  const breaks = [boundary[0], ...knots, boundary[1]];
+  const m = knots.length + 2;
+  const S = Array.from({ length: m }, () => new Array(m).fill(0));
+
+  for (let r = 0; r < breaks.length - 1; r++) {
+    const h = breaks[r + 1] - breaks[r];
+    const mid = (breaks[r] + breaks[r + 1]) / 2;
+    for (const node of [mid - h / (2 * Math.sqrt(3)), mid + h / (2 * Math.sqrt(3))]) {
+      const d2 = project(bsplineRow(t, node, 4, 2));
+      for (let i = 0; i < m; i++) {
+        for (let j = 0; j < m; j++) S[i][j] += (h / 2) * d2[i] * d2[j];
+      }
+    }
+  }
+  return S;
+}
+
+/**
+ * Map a row of cubic B-spline values to the natural spline basis by projecting
+ * out the second derivatives at the boundary knots
+ */
+function naturalProjection(t, boundary, intercept) {
+  const dropFirst = row => (intercept ? row : row.slice(1));
+  const constraints = boundary.map(b => dropFirst(bsplineRow(t, b, 4, 2)));
+  const m = constraints[0].length;
+  const { Q } = qr(Matrix.fromColumns(constraints));
+
+  return row => {
+    const full = dropFirst(row);
+    const out = [];
+    for (let j = 2; j < m; j++) {
+      let s = 0;
+      for (let i = 0; i < m; i++) s += Q.get(i, j) * full[i];
+      out.push(s);
+    }
+    return out;
+  };
+}
+
+/**
+ * Values (or derivatives) of all B-splines of the given order at x
+ * by the Cox-de Boor recursion
+ */
+function bsplineRow(t, x, order, deriv) {
+  const nb = t.length - order;
+  if (deriv >= order) return new Array(nb).fill(0);
+
+  // Knot interval containing x; the right boundary belongs to the last interval
+  let mu = order - 1;
+  for (let i = order - 1; i < nb; i++) {
+    if (t[i] <= x && t[i] < t[i + 1]) mu = i;
+  }
+
+  let b = new Array(t.length - 1).fill(0);
+  b[mu] = 1;
+  const ratio = (num, den) => (den === 0 ? 0 : num / den);
+
+  for (let k = 2; k <= order - deriv; k++) {
+    const next = new Array(t.length - k).fill(0);
+    for (let i = 0; i < next.length; i++) {
+      next[i] = ratio(x - t[i], t[i + k - 1] - t[i]) * b[i] +
+        ratio(t[i + k] - x, t[i + k] - t[i + 1]) * b[i + 1];
+    }
+    b = next;
+  }
+
+  // Each derivative lowers the order by one
+  for (let k = order - deriv + 1; k <= order; k++) {
+    const next = new Array(t.length - k).fill(0);
+    for (let i = 0; i < next.length; i++) {
+      next[i] = (k - 1) * (ratio(b[i], t[i + k - 1] - t[i]) - ratio(b[i + 1], t[i + k] - t[i + 1]));
+    }
+    b = next;
+  }
+
+  return b;
+}
+
+function allKnots(knots, boundary, order) {
+  return [
+    ...new Array(order).fill(boundary[0]),
+    ...knots,
+    ...new Array(order).fill(boundary[1])
+  ];
+}
+
+function boundaryKnots(values, given) {
+  if (given !== null) {
+    if (given.length !== 2 || !(given[0] < given[1])) {
+      throw new Error('boundary_knots must be two increasing values');
+    }
+    return [given[0], given[1]];
+  }
+  const observed = values.filter(v => !Number.isNaN(v));
+  if (observed.length === 0) {
+    throw new Error('Cannot place knots without non-missing values');
+  }
+  return [Math.min(...observed), Math.max(...observed)];
+}
+
+/**
+ * Interior knots, either given or placed at quantiles of the values inside the boundary
+ */
+function interiorKnots(values, knots, count, boundary, fn) {
+  if (knots !== null) {
+    const sorted = (typeof knots === 'number' ? [knots] : Array.from(knots)).sort((a, b) => a - b);
+    if (sorted.some(k => !(k > boundary[0] && k < boundary[1]))) {
+      throw new Error(`${fn}(): interior knots must lie strictly inside the boundary knots`);
+    }
+    return sorted;
+  }
+  if (count === null || count <= 0) {
+    if (count !== null && count < 0) {
+      throw new Error(`${fn}(): 'df' is too small for the degree and intercept`);
+    }
+    return [];
+  }
+
+  const inside = values
+    .filter(v => v >= boundary[0] && v <= boundary[1])
+    .sort((a, b) => a - b);
+  return Array.from({ length: count }, (_, j) => quantile(inside, (j + 1) / (count + 1)));
+}
+
+// Type 7 sample quantile of sorted values
+function quantile(sorted, prob) {
+  const h = (sorted.length - 1) * prob;
+  const lo = Math.floor(h);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+}
+
+function toNumbers(x) {
+  const values = x && typeof x.toArray === 'function' ? x.toArray() : Array.from(x);
+  return values.map(v => (v === null || v === undefined ? NaN : v));
+}
@@ -0,0 +1,242 @@
+/**
+ * Stepwise model selection - R-style step()
+ * Adds and drops formula terms of an lm() or glm() fit by an information criterion
+ */
+
+import { lm } from './lm.js';
+import { glm, glm_nb } from './glm.js';
+import { parseFormula } from './formula.js';
+import { AIC } from './generics.js';
+
+/**
+ * Choose a model by AIC in a stepwise algorithm
+ *
+ * Each step fits every candidate model that drops one term of the current
+ * model (backward) and/or adds one term of the scope (forward), and moves to
+ * the candidate with the lowest criterion -2 * logLik + k * df. The search
+ * stops when no candidate improves on the current model. Terms are only
+ * dropped when no higher-order term of the model contains them, and only added
+ * when their lower-order terms are already in the model.
+ *
+ * The criterion is the full AIC() of each fit, so for lm() fits it differs from
+ * R's extractAIC() by a constant; the chosen models are the same.
+ *
+ * @param {Object} model - Starting model, fitted with a formula by lm(), glm() or glm_nb()
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data the model was fitted on
+ * @param {string|Array<string>|Object} options.scope - Upper model as a formula ('~ wt + hp + qsec')
+ *   or array of term labels, or { lower, upper } (default: the terms of the starting model)
+ * @param {string} options.direction - 'both', 'backward' or 'forward' (default: 'both')
+ * @param {number} options.k - Penalty per parameter; Math.log(n) gives BIC (default: 2)
+ * @param {number} options.steps - Maximum number of steps (default: 1000)
+ * @param {Object} options.fitOptions - Other options used to fit the model (weights, offset,
+ *   contrasts, na_action), passed to every refit. The contrasts and na_action of the
+ *   starting model are used unless given here
+ * @returns {Object} - { model, trace } where trace has one row per step:
+ *   { step, df, deviance, resid_df, resid_deviance, aic }
+ *
+ * @example
+ * const fit = lm('mpg ~ wt + hp + qsec + drat', { data: mtcars });
+ * const { model, trace } = step(fit, { data: mtcars });
+ *
+ * @example
+ * // Forward selection from the null model, by BIC
+ * const fit0 = lm('mpg ~ 1', { data: mtcars });
+ * step(fit0, { data: mtcars, scope: '~ wt + hp + qsec + drat', direction: 'forward', k: Math.log(32) });
+ */
+export function step(model, {
+  data,
+  scope = null,
+  direction = 'both',
+  k = 2,
+  steps = 1000,
+  fitOptions = {}
+} = {}) {
+  if (!model || !model.terms) {
+    throw new Error('step() requires a model fitted with a formula');
+  }
+  if (data === undefined) {
+    throw new Error('step() requires the data the model was fitted on');
+  }
+  if (!['both', 'backward', 'forward'].includes(direction)) {
+    throw new Error(`Unknown direction: ${direction}. Use 'both', 'backward' or 'forward'.`);
+  }
+  if (model.weights && model.weights.some(w => w !== 1) && !fitOptions.weights) {
+    throw new Error('Model was fitted with weights; pass them in fitOptions');
+  }
+  if (model.offset && !fitOptions.offset) {
+    throw new Error('Model was fitted with an offset; pass it in fitOptions');
+  }
+
+  const response = model.terms.response;
+  const intercept = model.terms.intercept;
+  const { lower, upper } = resolveScope(scope, model.terms);
+  const lowerKeys = new Set(lower.map(termKey));
+  const options = refitOptions(model, fitOptions);
+
+  const refit = (terms) => {
+    const fit = fitModel(model, buildFormula(response, terms, intercept), data, options);
+    if (fit.n !== model.n) {
+      throw new Error('Number of rows in use has changed: remove missing values from the data first');
+    }
+    return fit;
+  };
+  const criterion = (fit) => {
+    const value = AIC(fit, { k });
+    if (Number.isNaN(value)) {
+      throw new Error('AIC is not defined for this model (quasi families have no likelihood)');
+    }
+    return value;
+  };
+
+  let current = model.terms.terms.map(t => ({ label: t.label, variables: t.variables }));
+  let fit = model;
+  let aic = criterion(fit);
+
+  const trace = [traceRow('', null, fit, aic)];
+
+  for (let s = 0; s < steps; s++) {
+    const candidates = [];
+
+    if (direction !== 'forward') {
+      for (const term of droppable(current, lowerKeys)) {
+        const terms = current.filter(t => termKey(t) !== termKey(term));
+        candidates.push({ step: `- ${term.label}`, terms });
+      }
+    }
+    if (direction !== 'backward') {
+      for (const term of addable(current, upper)) {
+        candidates.push({ step: `+ ${term.label}`, terms: [...current, term] });
+      }
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+      const candidateFit = refit(candidate.terms);
+      const candidateAIC = criterion(candidateFit);
+      if (best === null || candidateAIC < best.aic) {
+        best = { ...candidate, fit: candidateFit, aic: candidateAIC };
+      }
+    }
+
+    if (best === null || best.aic >= aic - 1e-7) break;
+
+    trace.push(traceRow(best.step, fit, best.fit, best.aic));
+    current = best.terms;
+    fit = best.fit;
+    aic = best.aic;
+  }
+
+  return { model: fit, trace };
+}
+
+/**
+ * Refit a model of the same kind as `model` with a new formula
+ */
+function fitModel(model, formula, data, fitOptions) {
+  if (model.two_log_lik !== undefined) {
+    return glm_nb(formula, { ...fitOptions, data, link: model.link });
+  }
+  if (model._family) {
+    return glm(formula, { ...fitOptions, data, family: model._family });
+  }
+  return lm(formula, { ...fitOptions, data });
+}
+
+/**
+ * Fit options of the starting model (factor contrasts and missing value policy),
+ * overridden by those given to step()
+ */
+function refitOptions(model, fitOptions) {
+  const contrasts = {};
+  for (const [label, spec] of Object.entries(model.terms.specs || {})) {
+    if (spec && spec.type === 'factor' && spec.contrasts != null) {
+      contrasts[label] = spec.contrasts;
+    }
+  }
+
+  return {
+    ...(model.na_action ? { na_action: model.na_action.method } : {}),
+    ...fitOptions,
+    contrasts: { ...contrasts, ...fitOptions.contrasts }
+  };
+}
+
+function buildFormula(response, terms, intercept) {
+  const rhs = terms.length > 0 ? terms.map(t => t.label).join(' + ') : '1';
+  return `${response} ~ ${rhs}${intercept ? '' : ' - 1'}`;
+}
+
+/**
+ * Lower and upper sets of terms from the scope argument
+ */
+function resolveScope(scope, terms) {
+  const modelTerms = terms.terms;
+  if (scope === null) {
+    return { lower: [], upper: modelTerms };
+  }
+  if (typeof scope === 'string' || Array.isArray(scope)) {
+    return { lower: [], upper: parseTerms(scope, terms.response) };
+  }
+  return {
+    lower: scope.lower ? parseTerms(scope.lower, terms.response) : [],
+    upper: scope.upper ? parseTerms(scope.upper, terms.response) : modelTerms
+  };
+}
+
+function parseTerms(spec, response) {
+  if (Array.isArray(spec)) {
+    return spec.length === 0 ? [] : parseFormula(`${response} ~ ${spec.join(' + ')}`).terms;
+  }
+  const rhs = spec.includes('~') ? spec.slice(spec.indexOf('~') + 1) : spec;
+  return parseFormula(`${response} ~ ${rhs}`).terms;
+}
+
+/**
+ * Terms that can be dropped: not in the lower scope and not marginal to another term
+ */
+function droppable(current, lowerKeys) {
+  return current.filter(term =>
+    !lowerKeys.has(termKey(term)) &&
+    !current.some(other => other !== term && contains(other, term))
+  );
+}
+
+/**
+ * Terms of the upper scope that can be added: all their lower-order terms in the scope are present
+ */
+function addable(current, upper) {
+  const present = new Set(current.map(termKey));
+  return upper.filter(term =>
+    !present.has(termKey(term)) &&
+    upper.every(other => !contains(term, other) || present.has(termKey(other)))
+  );
+}
+
+/**
+ * Whether term `a` is a higher-order term containing term `b`
+ */
+function contains(a, b) {
+  return a.variables.length > b.variables.length && b.variables.every(v => a.variables.includes(v));
+}
+
+function termKey(term) {
+  return [...term.variables].sort().join(':');
+}
+
+function traceRow(stepLabel, previous, fit, aic) {
+  const residDf = fit.df.residual;
+  const residDev = fit.family ? fit.deviance : fit.rss;
+  if (previous === null) {
+    return { step: stepLabel, df: null, deviance: null, resid_df: residDf, resid_deviance: residDev, aic };
+  }
+  const previousDev = previous.family ? previous.deviance : previous.rss;
+  return {
+    step: stepLabel,
+    df: residDf - previous.df.residual,
+    deviance: residDev - previousDev,
+    resid_df: residDf,
+    resid_deviance: residDev,
+    aic
+  };
+}
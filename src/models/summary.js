@@ -5,33 +5,49 @@
 import { pt } from '../distributions/t.js';
 import { pf } from '../distributions/f.js';
 import { pchisq } from '../distributions/chisq.js';
+import { pnorm } from '../distributions/normal.js';
+import { naUnpad } from './na_action.js';
+import { vcov, vcovStdErrors } from './sandwich.js';
+import { Matrix } from '../math/matrix.js';
+import { p_adjust as adjustP } from '../stats/p_adjust.js';
 
 /**
  * Generate summary statistics for a fitted linear model
  * 
  * @param {Object} model - Fitted model from lm()
+ * @param {Object} options - Options
+ * @param {string|Matrix} options.vcov - Coefficient covariance used for the t tests: a type for
+ *   vcov() such as 'HC3', or a matrix from vcov()/vcovCL() (default: model-based)
+ * @param {string|Object} options.p_adjust - Adjust the coefficient p-values for multiplicity: a
+ *   p_adjust() method, or { method, n } (adds p_adj to each coefficient; stars use p_adj)
  * @returns {Object} - Summary statistics
  */
-export function summaryLM(model) {
+export function summaryLM(model, { vcov: vcovSpec = null, p_adjust = null } = {}) {
   const n = model.n;
   const p = model.p;
   const df_residual = model.df.residual;
   
   // Coefficient table
+  const robustSE = robustStdErrors(model, vcovSpec);
   const coef_table = [];
   for (let i = 0; i < p; i++) {
+    const se = robustSE ? robustSE[i] : model.std_errors[i];
+    const t_value = robustSE ? model.coefficients[i] / se : model.t_values[i];
+    const p_value = robustSE ? 2 * pt(-Math.abs(t_value), df_residual) : model.p_values[i];
     coef_table.push({
       term: model.coef_names[i],
       estimate: model.coefficients[i],
-      std_error: model.std_errors[i],
-      t_value: model.t_values[i],
-      p_value: model.p_values[i],
-      signif: getSignificance(model.p_values[i])
+      std_error: se,
+      t_value,
+      p_value,
+      signif: getSignificance(p_value)
     });
   }
+  const p_adjust_method = adjustCoefficients(coef_table, p_adjust);
   
-  // Residual statistics
-  const residuals = model.residuals;
+  // Residual statistics (weighted residuals sqrt(w) * e for weighted fits)
+  const weighted = Array.isArray(model.weights);
+  const residuals = naUnpad(model.residuals).map((r, i) => weighted ? r * Math.sqrt(model.weights[i]) : r);
   const sorted_res = residuals.slice().sort((a, b) => a - b);
   const res_quantiles = {
     min: sorted_res[0],
@@ -43,8 +59,12 @@ export function summaryLM(model) {
   
   return {
     call: 'lm',
+    formula: model.formula || null,
     residuals: res_quantiles,
+    weighted,
     coefficients: coef_table,
+    vcov_type: vcovLabel(vcovSpec),
+    p_adjust_method,
     
     // Model fit statistics
     residual_std_error: model.sigma,
@@ -69,40 +89,45 @@ export function summaryLM(model) {
  * Generate summary statistics for a fitted GLM
  * 
  * @param {Object} model - Fitted model from glm()
+ * @param {Object} options - Options
+ * @param {string|Matrix} options.vcov - Coefficient covariance used for the Wald tests: a type for
+ *   vcov() such as 'HC0', or a matrix from vcov()/vcovCL() (default: model-based)
+ * @param {string|Object} options.p_adjust - Adjust the coefficient p-values for multiplicity: a
+ *   p_adjust() method, or { method, n } (adds p_adj to each coefficient; stars use p_adj)
  * @returns {Object} - Summary statistics
  */
-export function summaryGLM(model) {
+export function summaryGLM(model, { vcov: vcovSpec = null, p_adjust = null } = {}) {
   const n = model.n;
   const p = model.p;
   const df_residual = model.df.residual;
   const df_null = model.df.null;
   
-  // Coefficient table with z-statistics (Wald tests)
+  // Coefficient table with Wald tests: z-statistics when the dispersion is
+  // fixed, t-statistics on the residual df when it is estimated
   const coef_table = [];
-  
-  // For GLM, we compute z-statistics and p-values
-  // Need to compute standard errors from the model
-  // For now, use approximate SEs based on Fisher information
+  const estimated = model.estimated_dispersion;
+  const robustSE = robustStdErrors(model, vcovSpec);
   
   for (let i = 0; i < p; i++) {
-    // Approximate SE (would need Fisher information for exact)
-    // For demonstration, use a simple approximation
-    const se = computeGLMStandardError(model, i);
-    const z_value = model.coefficients[i] / se;
-    const p_value = 2 * (1 - pnorm(Math.abs(z_value)));
+    const se = robustSE ? robustSE[i] : model.std_errors[i];
+    const statistic = model.coefficients[i] / se;
+    const p_value = estimated
+      ? 2 * pt(-Math.abs(statistic), df_residual)
+      : 2 * pnorm(-Math.abs(statistic));
     
     coef_table.push({
       term: model.coef_names[i],
       estimate: model.coefficients[i],
       std_error: se,
-      z_value: z_value,
+      [estimated ? 't_value' : 'z_value']: statistic,
       p_value: p_value,
       signif: getSignificance(p_value)
     });
   }
+  const p_adjust_method = adjustCoefficients(coef_table, p_adjust);
   
   // Deviance residual quantiles
-  const dev_res = model.deviance_residuals;
+  const dev_res = naUnpad(model.deviance_residuals);
   const sorted_res = dev_res.slice().sort((a, b) => a - b);
   const res_quantiles = {
     min: sorted_res[0],
@@ -119,11 +144,14 @@ export function summaryGLM(model) {
   
   return {
     call: 'glm',
+    formula: model.formula || null,
     family: model.family,
     link: model.link,
     
     deviance_residuals: res_quantiles,
     coefficients: coef_table,
+    vcov_type: vcovLabel(vcovSpec),
+    p_adjust_method,
     
     // Model fit statistics
     null_deviance: model.null_deviance,
@@ -140,6 +168,8 @@ export function summaryGLM(model) {
     
     aic: model.aic,
     dispersion: model.dispersion,
+    estimated_dispersion: estimated,
+    theta: model.theta ?? null,
     converged: model.converged,
     
     n: n,
@@ -148,28 +178,342 @@ export function summaryGLM(model) {
 }
 
 /**
- * Compute approximate standard errors for GLM coefficients
- * Using the observed Fisher information
+ * Generate summary statistics for a fitted linear mixed-effects model
+ * 
+ * @param {Object} model - Fitted model from lmer()
+ * @returns {Object} - Summary statistics
  */
-function computeGLMStandardError(model, coef_index) {
-  // This is a simplified approximation
-  // Proper implementation would use Fisher information matrix
-  const n = model.n;
-  const dispersion = model.dispersion;
+export function summaryLMER(model) {
+  const coef_table = model.coefficients.map((estimate, i) => ({
+    term: model.coef_names[i],
+    estimate,
+    std_error: model.std_errors[i],
+    t_value: model.t_values[i]
+  }));
+  
+  // Residuals scaled by the residual standard deviation
+  const scaled = naUnpad(model.residuals).map(r => r / model.sigma).sort((a, b) => a - b);
+  const n = scaled.length;
+  const res_quantiles = {
+    min: scaled[0],
+    q1: scaled[Math.floor(n * 0.25)],
+    median: scaled[Math.floor(n * 0.50)],
+    q3: scaled[Math.floor(n * 0.75)],
+    max: scaled[n - 1]
+  };
+  
+  const random_effects = [];
+  for (const vc of model.varcor) {
+    vc.names.forEach((name, r) => {
+      random_effects.push({
+        group: vc.group,
+        name,
+        variance: vc.variance[r],
+        sd: vc.sd[r],
+        corr: vc.corr[r].slice(0, r)
+      });
+    });
+  }
+  
+  return {
+    call: 'lmer',
+    formula: model.formula,
+    REML: model.REML,
+    criterion: model.deviance,
+    log_lik: model.log_lik,
+    aic: model.aic,
+    residuals: res_quantiles,
+    random_effects,
+    residual_variance: model.sigma * model.sigma,
+    residual_sd: model.sigma,
+    coefficients: coef_table,
+    ngroups: model.ngroups,
+    n: model.n
+  };
+}
+
+/**
+ * Generate summary statistics for a fitted multinomial logistic regression
+ * 
+ * @param {Object} model - Fitted model from multinom()
+ * @returns {Object} - Summary with one coefficient table per non-baseline level
+ */
+export function summaryMultinom(model) {
+  const tables = model.levels.slice(1).map((level, k) => ({
+    level,
+    coefficients: model.coefficients[k].map((estimate, j) => ({
+      term: model.coef_names[j],
+      estimate,
+      std_error: model.std_errors[k][j],
+      z_value: model.z_values[k][j],
+      p_value: model.p_values[k][j],
+      signif: getSignificance(model.p_values[k][j])
+    }))
+  }));
+  
+  return {
+    call: 'multinom',
+    formula: model.formula || null,
+    baseline: model.levels[0],
+    levels: model.levels.slice(),
+    tables,
+    deviance: model.deviance,
+    aic: model.aic,
+    edf: model.edf,
+    converged: model.converged,
+    iterations: model.iterations,
+    n: model.n
+  };
+}
+
+/**
+ * Generate summary statistics for a fitted proportional odds model
+ * 
+ * @param {Object} model - Fitted model from polr()
+ * @returns {Object} - Summary with coefficient and threshold (intercept) tables
+ */
+export function summaryPolr(model) {
+  const row = (term, estimate, std_error) => {
+    const t_value = estimate / std_error;
+    const p_value = 2 * pnorm(-Math.abs(t_value));
+    return { term, estimate, std_error, t_value, p_value, signif: getSignificance(p_value) };
+  };
+  
+  return {
+    call: 'polr',
+    formula: model.formula || null,
+    method: model.method,
+    levels: model.levels.slice(),
+    coefficients: model.coefficients.map((b, j) => row(model.coef_names[j], b, model.std_errors[j])),
+    intercepts: model.zeta.map((z, j) => row(model.zeta_names[j], z, model.zeta_std_errors[j])),
+    deviance: model.deviance,
+    aic: model.aic,
+    converged: model.converged,
+    iterations: model.iterations,
+    n: model.n
+  };
+}
+
+/**
+ * Generate summary statistics for a fitted Cox proportional hazards model
+ * 
+ * @param {Object} model - Fitted model from coxph()
+ * @returns {Object} - Summary with coefficient and hazard ratio tables and the global tests
+ */
+export function summaryCoxph(model) {
+  const coef_table = model.coefficients.map((estimate, i) => ({
+    term: model.coef_names[i],
+    estimate,
+    hazard_ratio: model.hazard_ratios[i],
+    std_error: model.std_errors[i],
+    z_value: model.z_values[i],
+    p_value: model.p_values[i],
+    signif: getSignificance(model.p_values[i])
+  }));
+  
+  const hazard_ratios = model.hazard_ratios.map((hr, i) => ({
+    term: model.coef_names[i],
+    hazard_ratio: hr,
+    inverse: 1 / hr,
+    lower: model.conf_int.lower[i],
+    upper: model.conf_int.upper[i]
+  }));
+  
+  return {
+    call: 'coxph',
+    formula: model.formula || null,
+    ties: model.ties,
+    n: model.n,
+    events: model.events,
+    coefficients: coef_table,
+    hazard_ratios,
+    conf_level: model.conf_int.level,
+    loglik: model.loglik,
+    likelihood_ratio: model.likelihood_ratio,
+    wald: model.wald,
+    score: model.score
+  };
+}
+
+/**
+ * Generate summary statistics for a fitted robust linear model
+ * 
+ * @param {Object} model - Fitted model from rlm()
+ * @returns {Object} - Summary with the coefficient table and the robust residual scale
+ */
+export function summaryRlm(model) {
+  const coef_table = model.coefficients.map((estimate, i) => ({
+    term: model.coef_names[i],
+    estimate,
+    std_error: model.std_errors[i],
+    t_value: model.t_values[i],
+    p_value: model.p_values[i],
+    signif: getSignificance(model.p_values[i])
+  }));
+  
+  return {
+    call: 'rlm',
+    formula: model.formula || null,
+    psi: model.psi,
+    scale_est: model.scale_est,
+    n: model.n,
+    coefficients: coef_table,
+    scale: model.scale,
+    df_residual: model.df.residual,
+    converged: model.converged,
+    iterations: model.iterations
+  };
+}
+
+/**
+ * Generate summary statistics for a fitted quantile regression model
+ * 
+ * With se = 'rank' the table holds the rank-inversion confidence bounds
+ * instead of standard errors (as R's summary.rq). Fits with several taus
+ * give one summary per tau.
+ * 
+ * @param {Object} model - Fitted model from rq()
+ * @returns {Object} - Summary with a coefficient table per tau
+ */
+export function summaryRq(model) {
+  if (model.fits) {
+    return {
+      call: 'rq',
+      formula: model.formula || null,
+      fits: model.fits.map(fit => summaryRq(fit))
+    };
+  }
+  
+  const rank = model.se === 'rank';
+  const coef_table = model.coefficients.map((estimate, i) => (rank ? {
+    term: model.coef_names[i],
+    estimate,
+    lower: model.conf_int.lower[i],
+    upper: model.conf_int.upper[i]
+  } : {
+    term: model.coef_names[i],
+    estimate,
+    std_error: model.std_errors[i],
+    t_value: model.t_values[i],
+    p_value: model.p_values[i],
+    signif: getSignificance(model.p_values[i])
+  }));
+  
+  return {
+    call: 'rq',
+    formula: model.formula || null,
+    tau: model.tau,
+    se: model.se,
+    conf_level: model.conf_int.level,
+    n: model.n,
+    df_residual: model.df.residual,
+    rho: model.rho,
+    coefficients: coef_table
+  };
+}
+
+/**
+ * Generate summary statistics for a fitted generalized additive model
+ * 
+ * Parametric coefficients get Wald tests from the Bayesian covariance (t tests
+ * on the residual df when the scale is estimated); smooth terms are reported
+ * with their effective degrees of freedom, as in mgcv's summary.gam.
+ * 
+ * @param {Object} model - Fitted model from gam()
+ * @returns {Object} - Summary with parametric coefficient and smooth term tables
+ */
+export function summaryGam(model) {
+  const estimated = model.estimated_scale;
+  const smoothLabels = model.smooths.map(sm => sm.label);
+  const df_residual = model.df.residual;
+  
+  const coef_table = [];
+  model.coefficients.forEach((estimate, j) => {
+    const a = model.assign[j];
+    if (a > 0 && smoothLabels.includes(model.term_labels[a - 1])) return;
+    const se = model.std_errors[j];
+    const statistic = estimate / se;
+    const p_value = estimated
+      ? 2 * pt(-Math.abs(statistic), df_residual)
+      : 2 * pnorm(-Math.abs(statistic));
+    coef_table.push({
+      term: model.coef_names[j],
+      estimate,
+      std_error: se,
+      [estimated ? 't_value' : 'z_value']: statistic,
+      p_value,
+      signif: getSignificance(p_value)
+    });
+  });
   
-  // Rough approximation based on dispersion
-  // Real implementation would compute (X'WX)^-1 where W is weight matrix
-  return Math.sqrt(dispersion / n) * 2; // Placeholder
+  const smooth_table = model.smooths.map(sm => ({ term: sm.label, edf: sm.edf, k: sm.k, sp: sm.sp }));
+  
+  // Adjusted R-squared on the response scale, as mgcv:
+  // 1 - var(sqrt(w) (y - mu)) (n - 1) / (var(sqrt(w) (y - mean(y))) * residual df)
+  const residuals = naUnpad(model.residuals);
+  const fitted = naUnpad(model.fitted_values);
+  const y = fitted.map((f, i) => f + residuals[i]);
+  const ybar = y.reduce((sum, v) => sum + v, 0) / y.length;
+  const variance = values => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1);
+  };
+  const sw = model.weights.map(Math.sqrt);
+  const r_squared_adj = 1 - variance(residuals.map((r, i) => sw[i] * r)) * (model.n - 1) /
+    (variance(y.map((v, i) => sw[i] * (v - ybar))) * df_residual);
+  
+  return {
+    call: 'gam',
+    formula: model.formula || null,
+    family: model.family,
+    link: model.link,
+    method: model.method,
+    
+    coefficients: coef_table,
+    smooths: smooth_table,
+    
+    edf_total: model.edf_total,
+    df_residual,
+    r_squared_adj,
+    dev_explained: model.dev_explained,
+    score: model.score,
+    scale: model.scale,
+    estimated_scale: estimated,
+    converged: model.converged,
+    n: model.n
+  };
 }
 
 /**
- * Normal CDF approximation for p-value calculation
+ * Standard errors from a user-supplied covariance (null for the model-based ones)
  */
-function pnorm(z) {
-  const t = 1 / (1 + 0.2316419 * Math.abs(z));
-  const d = 0.3989423 * Math.exp(-z * z / 2);
-  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  return z > 0 ? 1 - p : p;
+function robustStdErrors(model, vcovSpec) {
+  if (vcovSpec === null) return null;
+  const V = vcovSpec instanceof Matrix ? vcovSpec : vcov(model, { type: vcovSpec });
+  if (V.rows !== model.p || V.cols !== model.p) {
+    throw new Error(`vcov must be ${model.p} x ${model.p} to match the coefficients`);
+  }
+  return vcovStdErrors(V);
+}
+
+function vcovLabel(vcovSpec) {
+  if (vcovSpec === null) return null;
+  return typeof vcovSpec === 'string' ? vcovSpec : 'user-supplied';
+}
+
+/**
+ * Add adjusted p-values to a coefficient table and base the significance codes on them
+ * Returns the method name, or null when no adjustment was requested
+ */
+function adjustCoefficients(coef_table, p_adjust) {
+  if (p_adjust === null) return null;
+  const { method, n = null } = typeof p_adjust === 'string' ? { method: p_adjust } : p_adjust;
+  const adjusted = adjustP(coef_table.map(row => row.p_value), method, { n });
+  coef_table.forEach((row, i) => {
+    row.p_adj = adjusted[i];
+    row.signif = getSignificance(adjusted[i]);
+  });
+  return method;
 }
 
 /**
@@ -190,9 +534,9 @@ export function printSummaryLM(summary) {
   const lines = [];
   
   lines.push('\nCall:');
-  lines.push(`${summary.call}(y ~ x)\n`);
+  lines.push(`${summary.call}(${summary.formula || 'y ~ x'})\n`);
   
-  lines.push('Residuals:');
+  lines.push(summary.weighted ? 'Weighted Residuals:' : 'Residuals:');
   const res = summary.residuals;
   lines.push(`    Min       1Q   Median       3Q      Max`);
   lines.push(
@@ -210,6 +554,7 @@ export function printSummaryLM(summary) {
     'Std. Error'.padStart(12) +
     't value'.padStart(10) +
     'Pr(>|t|)'.padStart(12) +
+    (summary.p_adjust_method ? 'Adj. p'.padStart(12) : '') +
     '   '
   );
   
@@ -220,12 +565,19 @@ export function printSummaryLM(summary) {
       row.std_error.toFixed(6).padStart(12) +
       row.t_value.toFixed(3).padStart(10) +
       formatPValue(row.p_value).padStart(12) +
+      (summary.p_adjust_method ? formatPValue(row.p_adj).padStart(12) : '') +
       ' ' + row.signif.padEnd(3)
     );
   }
   
   lines.push('---');
-  lines.push('Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1\n');
+  lines.push('Signif. codes:  0 \'***\' 0.001 \'**\' 0.01 \'*\' 0.05 \'.\' 0.1 \' \' 1\n');
+  if (summary.vcov_type) {
+    lines.push(`Standard errors from ${summary.vcov_type} covariance matrix\n`);
+  }
+  if (summary.p_adjust_method) {
+    lines.push(`P-values adjusted by the ${summary.p_adjust_method} method\n`);
+  }
   
   lines.push(
     `Residual standard error: ${summary.residual_std_error.toFixed(4)} ` +
@@ -253,7 +605,7 @@ export function printSummaryGLM(summary) {
   const lines = [];
   
   lines.push('\nCall:');
-  lines.push(`${summary.call}(y ~ x, family = ${summary.family}(link = "${summary.link}"))\n`);
+  lines.push(`${summary.call}(${summary.formula || 'y ~ x'}, family = ${summary.family}(link = "${summary.link}"))\n`);
   
   lines.push('Deviance Residuals:');
   const res = summary.deviance_residuals;
@@ -266,13 +618,15 @@ export function printSummaryGLM(summary) {
     `${res.max.toFixed(4).padStart(8)}\n`
   );
   
+  const stat = summary.estimated_dispersion ? 't' : 'z';
   lines.push('Coefficients:');
   lines.push(
     'Term'.padEnd(15) +
     'Estimate'.padStart(12) +
     'Std. Error'.padStart(12) +
-    'z value'.padStart(10) +
-    'Pr(>|z|)'.padStart(12) +
+    `${stat} value`.padStart(10) +
+    `Pr(>|${stat}|)`.padStart(12) +
+    (summary.p_adjust_method ? 'Adj. p'.padStart(12) : '') +
     '   '
   );
   
@@ -281,14 +635,28 @@ export function printSummaryGLM(summary) {
       row.term.padEnd(15) +
       row.estimate.toFixed(6).padStart(12) +
       row.std_error.toFixed(6).padStart(12) +
-      row.z_value.toFixed(3).padStart(10) +
+      row[`${stat}_value`].toFixed(3).padStart(10) +
       formatPValue(row.p_value).padStart(12) +
+      (summary.p_adjust_method ? formatPValue(row.p_adj).padStart(12) : '') +
       ' ' + row.signif.padEnd(3)
     );
   }
   
   lines.push('---');
-  lines.push('Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1\n');
+  lines.push('Signif. codes:  0 \'***\' 0.001 \'**\' 0.01 \'*\' 0.05 \'.\' 0.1 \' \' 1\n');
+  if (summary.vcov_type) {
+    lines.push(`Standard errors from ${summary.vcov_type} covariance matrix\n`);
+  }
+  if (summary.p_adjust_method) {
+    lines.push(`P-values adjusted by the ${summary.p_adjust_method} method\n`);
+  }
+  
+  const familyName = summary.theta !== null
+    ? `Negative Binomial(${summary.theta.toFixed(4)})`
+    : summary.family;
+  lines.push(
+    `(Dispersion parameter for ${familyName} family taken to be ${Number(summary.dispersion.toFixed(6))})\n`
+  );
   
   lines.push(
     `    Null deviance: ${summary.null_deviance.toFixed(4)}  ` +
@@ -299,7 +667,7 @@ export function printSummaryGLM(summary) {
     `on ${summary.df_residual}  degrees of freedom`
   );
   
-  lines.push(`AIC: ${summary.aic.toFixed(2)}\n`);
+  lines.push(`AIC: ${Number.isNaN(summary.aic) ? 'NA' : summary.aic.toFixed(2)}\n`);
   
   const lr = summary.lr_test;
   lines.push(
@@ -307,8 +675,9 @@ export function printSummaryGLM(summary) {
     `(df = ${lr.df}), p-value = ${formatPValue(lr.p_value)}`
   );
   
-  if (summary.dispersion > 1.5) {
-    lines.push(`\nWarning: Dispersion parameter (${summary.dispersion.toFixed(4)}) suggests possible overdispersion`);
+  const devianceRatio = summary.residual_deviance / summary.df_residual;
+  if (!summary.estimated_dispersion && summary.theta === null && devianceRatio > 1.5) {
+    lines.push(`\nWarning: Residual deviance / df (${devianceRatio.toFixed(4)}) suggests possible overdispersion`);
   }
   
   if (!summary.converged) {
@@ -332,19 +701,367 @@ function formatPValue(p) {
   return p.toFixed(4);
 }
 
+/**
+ * Print summary for linear mixed-effects model (lmer)
+ */
+export function printSummaryLMER(summary) {
+  const lines = [];
+  
+  lines.push(`\nLinear mixed model fit by ${summary.REML ? 'REML' : 'maximum likelihood'}`);
+  lines.push(`Formula: ${summary.formula}\n`);
+  
+  if (summary.REML) {
+    lines.push(`REML criterion at convergence: ${summary.criterion.toFixed(1)}\n`);
+  } else {
+    lines.push(
+      `     AIC   logLik deviance\n` +
+      `${summary.aic.toFixed(1).padStart(8)} ${summary.log_lik.toFixed(1).padStart(8)} ${summary.criterion.toFixed(1).padStart(8)}\n`
+    );
+  }
+  
+  lines.push('Scaled residuals:');
+  const res = summary.residuals;
+  lines.push(`    Min       1Q   Median       3Q      Max`);
+  lines.push(
+    `${res.min.toFixed(4).padStart(7)} ` +
+    `${res.q1.toFixed(4).padStart(8)} ` +
+    `${res.median.toFixed(4).padStart(8)} ` +
+    `${res.q3.toFixed(4).padStart(8)} ` +
+    `${res.max.toFixed(4).padStart(8)}\n`
+  );
+  
+  lines.push('Random effects:');
+  lines.push(' ' + 'Groups'.padEnd(12) + 'Name'.padEnd(15) + 'Variance'.padStart(12) + 'Std.Dev.'.padStart(12) + '  Corr');
+  let lastGroup = null;
+  for (const row of summary.random_effects) {
+    lines.push(
+      ' ' + (row.group === lastGroup ? '' : row.group).padEnd(12) +
+      row.name.padEnd(15) +
+      row.variance.toFixed(4).padStart(12) +
+      row.sd.toFixed(4).padStart(12) +
+      (row.corr.length > 0 ? '  ' + row.corr.map(c => c.toFixed(2).padStart(5)).join(' ') : '')
+    );
+    lastGroup = row.group;
+  }
+  lines.push(
+    ' ' + 'Residual'.padEnd(12) + ''.padEnd(15) +
+    summary.residual_variance.toFixed(4).padStart(12) +
+    summary.residual_sd.toFixed(4).padStart(12)
+  );
+  const groups = Object.entries(summary.ngroups).map(([g, count]) => `${g}, ${count}`).join('; ');
+  lines.push(`Number of obs: ${summary.n}, groups:  ${groups}\n`);
+  
+  lines.push('Fixed effects:');
+  lines.push('Term'.padEnd(15) + 'Estimate'.padStart(12) + 'Std. Error'.padStart(12) + 't value'.padStart(10));
+  for (const row of summary.coefficients) {
+    lines.push(
+      row.term.padEnd(15) +
+      row.estimate.toFixed(6).padStart(12) +
+      row.std_error.toFixed(6).padStart(12) +
+      row.t_value.toFixed(3).padStart(10)
+    );
+  }
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Print summary for multinomial logistic regression (multinom)
+ */
+export function printSummaryMultinom(summary) {
+  const lines = [];
+  
+  lines.push('\nMultinomial logistic regression');
+  if (summary.formula) lines.push(`Formula: ${summary.formula}`);
+  lines.push(`Baseline level: ${summary.baseline}\n`);
+  
+  for (const table of summary.tables) {
+    lines.push(`${table.level} vs ${summary.baseline}:`);
+    lines.push('Term'.padEnd(15) + 'Estimate'.padStart(12) + 'Std. Error'.padStart(12) + 'z value'.padStart(10) + 'Pr(>|z|)'.padStart(12));
+    for (const row of table.coefficients) {
+      lines.push(
+        row.term.padEnd(15) +
+        row.estimate.toFixed(6).padStart(12) +
+        row.std_error.toFixed(6).padStart(12) +
+        row.z_value.toFixed(3).padStart(10) +
+        formatPValue(row.p_value).padStart(12) + ' ' +
+        row.signif
+      );
+    }
+    lines.push('');
+  }
+  
+  lines.push('---');
+  lines.push("Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1\n");
+  lines.push(`Residual Deviance: ${summary.deviance.toFixed(4)}`);
+  lines.push(`AIC: ${summary.aic.toFixed(4)}`);
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Print summary for proportional odds model (polr)
+ */
+export function printSummaryPolr(summary) {
+  const lines = [];
+  const header = 'Term'.padEnd(15) + 'Value'.padStart(12) + 'Std. Error'.padStart(12) + 't value'.padStart(10);
+  const format = row =>
+    row.term.padEnd(15) +
+    row.estimate.toFixed(6).padStart(12) +
+    row.std_error.toFixed(6).padStart(12) +
+    row.t_value.toFixed(3).padStart(10);
+  
+  lines.push(`\nProportional odds ${summary.method} regression`);
+  if (summary.formula) lines.push(`Formula: ${summary.formula}`);
+  lines.push('');
+  
+  lines.push('Coefficients:');
+  lines.push(header);
+  for (const row of summary.coefficients) {
+    lines.push(format(row));
+  }
+  lines.push('');
+  
+  lines.push('Intercepts:');
+  lines.push(header);
+  for (const row of summary.intercepts) {
+    lines.push(format(row));
+  }
+  lines.push('');
+  
+  lines.push(`Residual Deviance: ${summary.deviance.toFixed(4)}`);
+  lines.push(`AIC: ${summary.aic.toFixed(4)}`);
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Print summary for Cox proportional hazards model (coxph)
+ */
+export function printSummaryCoxph(summary) {
+  const lines = [];
+  const test = (label, t) =>
+    `${label.padEnd(26)}= ${t.statistic.toFixed(2)}  on ${t.df} df,   p=${formatPValue(t.p_value)}`;
+  
+  lines.push(`\nCox proportional hazards model (${summary.ties} ties)`);
+  if (summary.formula) lines.push(`Formula: ${summary.formula}`);
+  lines.push(`  n= ${summary.n}, number of events= ${summary.events}\n`);
+  
+  lines.push('Term'.padEnd(15) + 'coef'.padStart(10) + 'exp(coef)'.padStart(11) + 'se(coef)'.padStart(10) + 'z'.padStart(8) + 'Pr(>|z|)'.padStart(12));
+  for (const row of summary.coefficients) {
+    lines.push(
+      row.term.padEnd(15) +
+      row.estimate.toFixed(4).padStart(10) +
+      row.hazard_ratio.toFixed(4).padStart(11) +
+      row.std_error.toFixed(4).padStart(10) +
+      row.z_value.toFixed(3).padStart(8) +
+      formatPValue(row.p_value).padStart(12) + ' ' +
+      row.signif
+    );
+  }
+  lines.push('---');
+  lines.push("Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1\n");
+  
+  const level = Math.round(summary.conf_level * 100);
+  lines.push('Term'.padEnd(15) + 'exp(coef)'.padStart(11) + 'exp(-coef)'.padStart(12) + `lower .${level}`.padStart(11) + `upper .${level}`.padStart(11));
+  for (const row of summary.hazard_ratios) {
+    lines.push(
+      row.term.padEnd(15) +
+      row.hazard_ratio.toFixed(4).padStart(11) +
+      row.inverse.toFixed(4).padStart(12) +
+      row.lower.toFixed(4).padStart(11) +
+      row.upper.toFixed(4).padStart(11)
+    );
+  }
+  lines.push('');
+  
+  lines.push(test('Likelihood ratio test', summary.likelihood_ratio));
+  lines.push(test('Wald test', summary.wald));
+  lines.push(test('Score (logrank) test', summary.score));
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Print summary for robust linear model (rlm)
+ */
+export function printSummaryRlm(summary) {
+  const lines = [];
+  
+  lines.push(`\nRobust linear model (psi = ${summary.psi}, scale = ${summary.scale_est})`);
+  if (summary.formula) lines.push(`Formula: ${summary.formula}`);
+  lines.push('');
+  
+  lines.push('Coefficients:');
+  lines.push('Term'.padEnd(15) + 'Value'.padStart(12) + 'Std. Error'.padStart(12) + 't value'.padStart(10) + 'Pr(>|t|)'.padStart(12));
+  for (const row of summary.coefficients) {
+    lines.push(
+      row.term.padEnd(15) +
+      row.estimate.toFixed(4).padStart(12) +
+      row.std_error.toFixed(4).padStart(12) +
+      row.t_value.toFixed(3).padStart(10) +
+      formatPValue(row.p_value).padStart(12) + ' ' +
+      row.signif
+    );
+  }
+  lines.push('---');
+  lines.push("Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1\n");
+  
+  lines.push(`Residual standard error: ${summary.scale.toFixed(4)} on ${summary.df_residual} degrees of freedom`);
+  if (!summary.converged) {
+    lines.push(`Warning: IRLS did not converge in ${summary.iterations} iterations`);
+  }
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Print summary for quantile regression model (rq)
+ */
+export function printSummaryRq(summary) {
+  if (summary.fits) {
+    return summary.fits.map(fit => printSummaryRq(fit)).join('\n');
+  }
+  
+  const lines = [];
+  lines.push(`\nQuantile regression (tau = ${summary.tau}, se = '${summary.se}')`);
+  if (summary.formula) lines.push(`Formula: ${summary.formula}`);
+  lines.push('');
+  
+  lines.push('Coefficients:');
+  if (summary.se === 'rank') {
+    const level = Math.round(summary.conf_level * 100);
+    lines.push('Term'.padEnd(15) + 'Value'.padStart(12) + `lower ${level}%`.padStart(12) + `upper ${level}%`.padStart(12));
+    for (const row of summary.coefficients) {
+      lines.push(
+        row.term.padEnd(15) +
+        row.estimate.toFixed(5).padStart(12) +
+        row.lower.toFixed(5).padStart(12) +
+        row.upper.toFixed(5).padStart(12)
+      );
+    }
+  } else {
+    lines.push('Term'.padEnd(15) + 'Value'.padStart(12) + 'Std. Error'.padStart(12) + 't value'.padStart(10) + 'Pr(>|t|)'.padStart(12));
+    for (const row of summary.coefficients) {
+      lines.push(
+        row.term.padEnd(15) +
+        row.estimate.toFixed(5).padStart(12) +
+        row.std_error.toFixed(5).padStart(12) +
+        row.t_value.toFixed(3).padStart(10) +
+        formatPValue(row.p_value).padStart(12) + ' ' +
+        row.signif
+      );
+    }
+    lines.push('---');
+    lines.push("Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1");
+  }
+  lines.push('');
+  lines.push(`n = ${summary.n}, residual df = ${summary.df_residual}, objective = ${summary.rho.toFixed(4)}`);
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Print summary for generalized additive model (gam)
+ */
+export function printSummaryGam(summary) {
+  const lines = [];
+  
+  lines.push(`\nFamily: ${summary.family}`);
+  lines.push(`Link function: ${summary.link}\n`);
+  lines.push('Formula:');
+  lines.push(`${summary.formula || 'y ~ s(x)'}\n`);
+  
+  const stat = summary.estimated_scale ? 't' : 'z';
+  lines.push('Parametric coefficients:');
+  lines.push(
+    'Term'.padEnd(15) +
+    'Estimate'.padStart(12) +
+    'Std. Error'.padStart(12) +
+    `${stat} value`.padStart(10) +
+    `Pr(>|${stat}|)`.padStart(12)
+  );
+  for (const row of summary.coefficients) {
+    lines.push(
+      row.term.padEnd(15) +
+      row.estimate.toFixed(6).padStart(12) +
+      row.std_error.toFixed(6).padStart(12) +
+      row[`${stat}_value`].toFixed(3).padStart(10) +
+      formatPValue(row.p_value).padStart(12) + ' ' +
+      row.signif
+    );
+  }
+  lines.push('---');
+  lines.push("Signif. codes:  0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1\n");
+  
+  lines.push('Smooth terms:');
+  lines.push('Term'.padEnd(20) + 'edf'.padStart(8) + 'k'.padStart(6) + 'sp'.padStart(14));
+  for (const row of summary.smooths) {
+    lines.push(
+      row.term.padEnd(20) +
+      row.edf.toFixed(3).padStart(8) +
+      String(row.k).padStart(6) +
+      row.sp.toPrecision(4).padStart(14)
+    );
+  }
+  lines.push('');
+  
+  lines.push(
+    `R-sq.(adj) = ${summary.r_squared_adj.toFixed(3)}   ` +
+    `Deviance explained = ${(100 * summary.dev_explained).toFixed(1)}%`
+  );
+  lines.push(
+    `${summary.method} = ${summary.score.toFixed(4)}  Scale est. = ${summary.scale.toFixed(4)}  ` +
+    `n = ${summary.n}  Total edf = ${summary.edf_total.toFixed(2)}`
+  );
+  if (!summary.converged) {
+    lines.push('\nWarning: Algorithm did not converge');
+  }
+  lines.push('');
+  
+  return lines.join('\n');
+}
+
 /**
  * Generic summary function that dispatches to appropriate summary method
  */
-export function summarizeModel(model) {
-  if (model.family === 'gaussian' && !model.link) {
+export function summarizeModel(model, options = {}) {
+  if (model.varcor) {
+    // Linear mixed-effects model (lmer)
+    return summaryLMER(model);
+  } else if (model.smooths) {
+    // Generalized additive model (gam)
+    return summaryGam(model);
+  } else if (model.hazard_ratios) {
+    // Cox proportional hazards model (coxph)
+    return summaryCoxph(model);
+  } else if (model.psi) {
+    // Robust linear model (rlm)
+    return summaryRlm(model);
+  } else if (model.tau !== undefined) {
+    // Quantile regression (rq)
+    return summaryRq(model);
+  } else if (model.zeta) {
+    // Proportional odds model (polr)
+    return summaryPolr(model);
+  } else if (Array.isArray(model.levels) && Array.isArray(model.coefficients[0])) {
+    // Multinomial logistic regression (multinom)
+    return summaryMultinom(model);
+  } else if (model.family === 'gaussian' && !model.link) {
     // Linear model (lm)
-    return summaryLM(model);
+    return summaryLM(model, options);
   } else if (model.family) {
     // Generalized linear model (glm)
-    return summaryGLM(model);
+    return summaryGLM(model, options);
   } else if (model.coefficients && model.r_squared) {
     // Assume linear model if has R-squared
-    return summaryLM(model);
+    return summaryLM(model, options);
   } else {
     throw new Error('Unknown model type');
   }
@@ -358,6 +1075,20 @@ export function printModelSummary(summary) {
     return printSummaryLM(summary);
   } else if (summary.call === 'glm') {
     return printSummaryGLM(summary);
+  } else if (summary.call === 'lmer') {
+    return printSummaryLMER(summary);
+  } else if (summary.call === 'gam') {
+    return printSummaryGam(summary);
+  } else if (summary.call === 'coxph') {
+    return printSummaryCoxph(summary);
+  } else if (summary.call === 'multinom') {
+    return printSummaryMultinom(summary);
+  } else if (summary.call === 'polr') {
+    return printSummaryPolr(summary);
+  } else if (summary.call === 'rlm') {
+    return printSummaryRlm(summary);
+  } else if (summary.call === 'rq') {
+    return printSummaryRq(summary);
   } else {
     throw new Error('Unknown summary type');
   }
@@ -0,0 +1,1018 @@
+/**
+ * Survival analysis - R-style functions from the survival package
+ * - survfit(): Kaplan-Meier curves with Greenwood standard errors and confidence bands
+ * - survdiff(): log-rank (G-rho) test comparing survival curves
+ * - coxph(): Cox proportional hazards regression with Efron or Breslow ties
+ * - residualsCoxph(): martingale, deviance and Schoenfeld residuals
+ * - coxZph(): test of proportional hazards from scaled Schoenfeld residuals
+ *
+ * Right-censored responses are Surv objects (src/core/Surv.js); formulas take
+ * them as `Surv(time, status) ~ ...`.
+ */
+
+import Vector from '../core/Vector.js';
+import Factor from '../core/Factor.js';
+import Surv from '../core/Surv.js';
+import { Matrix, inverse } from '../math/matrix.js';
+import { pnorm, qnorm } from '../distributions/normal.js';
+import { pchisq } from '../distributions/chisq.js';
+import { modelMatrix, newModelMatrix, predictorColumns, evaluateFactor } from './formula.js';
+import { contrastNames } from './contrasts.js';
+import { completeRows, applyNaAction } from './na_action.js';
+
+const CONF_TYPES = ['log', 'log-log', 'plain'];
+const TIES = ['efron', 'breslow'];
+const ZPH_TRANSFORMS = ['km', 'rank', 'identity', 'log'];
+
+/**
+ * Kaplan-Meier estimate of the survival function
+ *
+ * @param {Surv|string} y - Survival response, or a formula such as 'Surv(time, status) ~ sex' (use '~ 1' for one curve)
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @param {Factor|Array} options.groups - Grouping variable, one curve per level (non-formula interface)
+ * @param {number} options.conf_int - Confidence level of the pointwise bands (default: 0.95)
+ * @param {string} options.conf_type - 'log', 'log-log' or 'plain' (default: 'log', as R)
+ * @param {string} options.na_action - 'na.omit' or 'na.fail' (default: 'na.omit')
+ * @returns {Object} - { strata, conf_int, conf_type, n, events }; each stratum has the
+ *   distinct times with n_risk, n_event, n_censor, surv, std_err (of surv, Greenwood),
+ *   cumhaz (Nelson-Aalen), lower, upper and the median survival with its confidence limits
+ *
+ * @example
+ * const fit = survfit('Surv(time, status) ~ x', { data: aml });
+ * fit.strata[0].surv;   // survival after each distinct time
+ * fit.strata[0].median; // median survival time
+ */
+export function survfit(y, {
+  data,
+  groups = null,
+  conf_int = 0.95,
+  conf_type = 'log',
+  na_action = 'na.omit'
+} = {}) {
+  if (!CONF_TYPES.includes(conf_type)) {
+    throw new Error(`Unknown conf_type: ${conf_type}. Use 'log', 'log-log' or 'plain'.`);
+  }
+  if (!(conf_int > 0 && conf_int < 1)) {
+    throw new Error('conf_int must be between 0 and 1');
+  }
+
+  const design = survivalGroups(y, groups, data, na_action);
+  const z = qnorm(1 - (1 - conf_int) / 2);
+  const strata = design.levels.map((name, g) => {
+    const rows = [];
+    for (let i = 0; i < design.surv.length; i++) {
+      if (design.codes[i] === g) rows.push(i);
+    }
+    return {
+      name,
+      ...kaplanMeier(rows.map(i => design.surv.time[i]), rows.map(i => design.surv.status[i]), z, conf_type)
+    };
+  });
+
+  return {
+    strata,
+    conf_int,
+    conf_type,
+    n: design.surv.length,
+    events: design.surv.events(),
+    formula: design.formula,
+    na_action: design.na_action
+  };
+}
+
+/**
+ * Test for differences between survival curves (R's survdiff)
+ *
+ * The G-rho family weights each event time by S(t-)^rho of the pooled
+ * Kaplan-Meier curve: rho = 0 is the log-rank test, rho = 1 the
+ * Peto & Peto modification of the Gehan-Wilcoxon test.
+ *
+ * @param {Surv|string} y - Survival response, or a formula such as 'Surv(time, status) ~ group'
+ * @param {Factor|Array|Object} groups - Grouping variable (options when y is a formula)
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @param {number} options.rho - Weight exponent (default: 0)
+ * @param {string} options.na_action - 'na.omit' or 'na.fail' (default: 'na.omit')
+ * @returns {Object} - { groups, n, observed, expected, variance, statistic, df, p_value, rho }
+ *
+ * @example
+ * const test = survdiff('Surv(time, status) ~ x', { data: aml });
+ * console.log(test.statistic, test.p_value);
+ */
+export function survdiff(y, groups, options = {}) {
+  const opts = typeof y === 'string' ? (groups || {}) : options;
+  const { data, rho = 0, na_action = 'na.omit' } = opts;
+  const design = survivalGroups(y, typeof y === 'string' ? null : groups, data, na_action);
+  const K = design.levels.length;
+  if (K < 2) {
+    throw new Error('survdiff() needs at least 2 groups');
+  }
+
+  const { time, status } = design.surv;
+  const n = time.length;
+  const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => time[a] - time[b]);
+  const atRisk = new Array(K).fill(0);
+  for (let i = 0; i < n; i++) atRisk[design.codes[i]]++;
+
+  const observed = new Array(K).fill(0);
+  const expected = new Array(K).fill(0);
+  const variance = Array.from({ length: K }, () => new Array(K).fill(0));
+  let km = 1;
+
+  for (let start = 0; start < n;) {
+    let end = start;
+    const deaths = new Array(K).fill(0);
+    const leaving = new Array(K).fill(0);
+    while (end < n && time[order[end]] === time[order[start]]) {
+      const i = order[end];
+      leaving[design.codes[i]]++;
+      if (status[i] === 1) deaths[design.codes[i]]++;
+      end++;
+    }
+
+    const nRisk = atRisk.reduce((a, b) => a + b, 0);
+    const d = deaths.reduce((a, b) => a + b, 0);
+    if (d > 0) {
+      const w = Math.pow(km, rho);
+      for (let k = 0; k < K; k++) {
+        observed[k] += w * deaths[k];
+        expected[k] += w * d * atRisk[k] / nRisk;
+      }
+      if (nRisk > 1) {
+        const factor = w * w * d * (nRisk - d) / (nRisk * nRisk * (nRisk - 1));
+        for (let k = 0; k < K; k++) {
+          for (let l = 0; l < K; l++) {
+            variance[k][l] += factor * atRisk[k] * ((k === l ? nRisk : 0) - atRisk[l]);
+          }
+        }
+      }
+      km *= 1 - d / nRisk;
+    }
+
+    for (let k = 0; k < K; k++) atRisk[k] -= leaving[k];
+    start = end;
+  }
+
+  // Chi-square on the first K - 1 groups (the differences sum to zero)
+  const diff = observed.slice(0, K - 1).map((o, k) => o - expected[k]);
+  const V = new Matrix(K - 1, K - 1);
+  for (let k = 0; k < K - 1; k++) {
+    for (let l = 0; l < K - 1; l++) V.set(k, l, variance[k][l]);
+  }
+  let statistic;
+  try {
+    const Vinv = inverse(V);
+    statistic = 0;
+    for (let k = 0; k < K - 1; k++) {
+      for (let l = 0; l < K - 1; l++) statistic += diff[k] * Vinv.get(k, l) * diff[l];
+    }
+  } catch (e) {
+    throw new Error('Variance of the observed minus expected events is singular');
+  }
+
+  const counts = new Array(K).fill(0);
+  for (let i = 0; i < n; i++) counts[design.codes[i]]++;
+
+  return {
+    groups: design.levels,
+    n: counts,
+    observed,
+    expected,
+    variance,
+    statistic,
+    df: K - 1,
+    p_value: 1 - pchisq(statistic, K - 1),
+    rho,
+    formula: design.formula,
+    na_action: design.na_action
+  };
+}
+
+/**
+ * Fit a Cox proportional hazards model by maximizing the partial likelihood
+ *
+ * @param {Surv|string} y - Survival response, or a formula such as 'Surv(time, status) ~ age + sex'
+ * @param {Matrix|Array<Vector|Array>|Object} X - Design matrix or array of predictors (options when y is a formula)
+ * @param {Object} options - Options
+ * @param {DataFrame|Object} options.data - Data for formula variables
+ * @param {string} options.ties - 'efron' or 'breslow' handling of tied event times (default: 'efron', as R)
+ * @param {Array<number>} options.weights - Case weights (default: all 1s)
+ * @param {Object} options.contrasts - Contrasts per factor predictor
+ * @param {string} options.na_action - 'na.omit', 'na.exclude' or 'na.fail' (default: 'na.omit')
+ * @param {number} options.maxit - Maximum Newton-Raphson iterations (default: 20)
+ * @param {number} options.eps - Relative convergence tolerance on the log partial likelihood (default: 1e-9)
+ * @param {number} options.conf_int - Confidence level for the hazard ratios (default: 0.95)
+ * @returns {Object} - Fitted model { coefficients, hazard_ratios, std_errors, z_values, p_values,
+ *   conf_int, loglik, likelihood_ratio, wald, score, linear_predictors, ... }
+ *
+ * @example
+ * const fit = coxph('Surv(time, status) ~ age + factor(sex)', { data: lung });
+ * fit.hazard_ratios;          // exp(coef)
+ * fit.likelihood_ratio.p_value;
+ */
+export function coxph(y, X, options = {}) {
+  const opts = typeof y === 'string' ? (X || {}) : options;
+  const { ties = 'efron', maxit = 20, eps = 1e-9, conf_int = 0.95 } = opts;
+  if (!TIES.includes(ties)) {
+    throw new Error(`Unknown ties method: ${ties}. Use 'efron' or 'breslow'.`);
+  }
+
+  const design = coxDesign(y, X, opts);
+  const { surv, weights } = design;
+  const n = surv.length;
+  const p = design.X.cols;
+  if (surv.events() === 0) {
+    throw new Error('No events in the data');
+  }
+
+  // Centering the covariates leaves the partial likelihood unchanged and keeps exp() in range
+  const means = Array.from({ length: p }, (_, j) => {
+    let s = 0;
+    for (let i = 0; i < n; i++) s += design.X.get(i, j);
+    return s / n;
+  });
+  const Z = Array.from({ length: n }, (_, i) => Float64Array.from(means, (m, j) => design.X.get(i, j) - m));
+  const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => surv.time[b] - surv.time[a]);
+  const partial = (beta) => coxDerivatives(Z, surv, weights, order, beta, ties);
+
+  let beta = new Float64Array(p);
+  const initial = partial(beta);
+  let current = initial;
+  let converged = false;
+  let iterations = 0;
+
+  for (let iter = 0; iter < maxit; iter++) {
+    iterations++;
+    const step = solveInformation(current.imat, current.u);
+    let candidate = beta.map((b, j) => b + step[j]);
+    let next = partial(candidate);
+
+    // Step halving when the log partial likelihood decreases (as R's coxph.fit)
+    for (let halving = 0; halving < 30 && !(next.loglik >= current.loglik); halving++) {
+      candidate = candidate.map((b, j) => (b + beta[j]) / 2);
+      next = partial(candidate);
+    }
+
+    const change = Math.abs(1 - current.loglik / next.loglik);
+    beta = candidate;
+    current = next;
+    if (change <= eps) {
+      converged = true;
+      break;
+    }
+  }
+
+  let cov;
+  try {
+    cov = inverse(current.imat);
+  } catch (e) {
+    throw new Error('Information matrix is singular; check for collinear predictors or predictors without variation');
+  }
+
+  const coefficients = Array.from(beta);
+  const stdErrors = coefficients.map((_, j) => Math.sqrt(Math.abs(cov.get(j, j))));
+  const zValues = coefficients.map((b, j) => b / stdErrors[j]);
+  const zc = qnorm(1 - (1 - conf_int) / 2);
+
+  const loglik = [initial.loglik, current.loglik];
+  const lr = 2 * (current.loglik - initial.loglik);
+  let wald = 0;
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < p; k++) wald += beta[j] * current.imat.get(j, k) * beta[k];
+  }
+  const scoreStep = solveInformation(initial.imat, initial.u);
+  const score = initial.u.reduce((s, u, j) => s + u * scoreStep[j], 0);
+
+  const linear = Z.map(z => z.reduce((s, v, j) => s + v * beta[j], 0));
+
+  const model = {
+    coefficients,
+    coef_names: design.coef_names,
+    hazard_ratios: coefficients.map(b => Math.exp(b)),
+    std_errors: stdErrors,
+    z_values: zValues,
+    p_values: zValues.map(z => 2 * pnorm(-Math.abs(z))),
+    conf_int: {
+      level: conf_int,
+      lower: coefficients.map((b, j) => Math.exp(b - zc * stdErrors[j])),
+      upper: coefficients.map((b, j) => Math.exp(b + zc * stdErrors[j]))
+    },
+    vcov: cov,
+    loglik,
+    likelihood_ratio: { statistic: lr, df: p, p_value: 1 - pchisq(lr, p) },
+    wald: { statistic: wald, df: p, p_value: 1 - pchisq(wald, p) },
+    score: { statistic: score, df: p, p_value: 1 - pchisq(score, p) },
+    linear_predictors: linear,
+    means,
+    ties,
+    converged,
+    iterations,
+    n,
+    events: surv.events(),
+    p,
+    weights: Array.from(weights),
+    ...design.meta,
+    _X: design.X,
+    _y: surv
+  };
+
+  return applyNaAction(model, design.rows, design.n_total, design.na_action);
+}
+
+/**
+ * Predictions from a fitted Cox model, relative to the covariate means (as R)
+ *
+ * @param {Object} model - Fitted model from coxph()
+ * @param {Array<Vector|Array>|DataFrame|Matrix} newX - New predictor values (default: the fitted data)
+ * @param {Object} options - Options
+ * @param {string} options.type - 'lp' for the linear predictor or 'risk' for exp(lp) (default: 'lp')
+ * @returns {Array<number>} - Predictions
+ */
+export function predictCoxph(model, newX = null, { type = 'lp' } = {}) {
+  if (type !== 'lp' && type !== 'risk') {
+    throw new Error(`Unknown prediction type: ${type}. Use 'lp' or 'risk'.`);
+  }
+
+  let lp;
+  if (newX === null) {
+    lp = model.linear_predictors.slice();
+  } else {
+    let X;
+    if (newX instanceof Matrix) {
+      X = newX;
+    } else if (model.terms && !Array.isArray(newX)) {
+      X = dropIntercept(newModelMatrix(model, newX), model.terms.intercept);
+    } else {
+      X = Matrix.fromColumns(predictorColumns(newX, null, { intercept: true, specs: model._specs || {} }).columns.slice(1));
+    }
+    lp = Array.from({ length: X.rows }, (_, i) => {
+      let s = 0;
+      for (let j = 0; j < X.cols; j++) s += (X.get(i, j) - model.means[j]) * model.coefficients[j];
+      return s;
+    });
+  }
+
+  return type === 'risk' ? lp.map(v => (v === null ? null : Math.exp(v))) : lp;
+}
+
+/**
+ * Residuals of a fitted Cox model
+ *
+ * Martingale and deviance residuals have one value per observation. Schoenfeld
+ * residuals have one row per event, ordered by event time, with a column per
+ * coefficient; 'scaledsch' rescales them by the covariance (adding the
+ * coefficients) so that their smooth over time estimates beta(t).
+ *
+ * @param {Object} model - Fitted model from coxph()
+ * @param {Object} options - Options
+ * @param {string} options.type - 'martingale', 'deviance', 'schoenfeld' or 'scaledsch' (default: 'martingale')
+ * @returns {Array<number>|Array<Array<number>>} - Residuals
+ */
+export function residualsCoxph(model, { type = 'martingale' } = {}) {
+  if (type === 'schoenfeld') {
+    return schoenfeldResiduals(model).residuals;
+  }
+  if (type === 'scaledsch') {
+    return scaledSchoenfeld(model, schoenfeldResiduals(model).residuals);
+  }
+  if (type !== 'martingale' && type !== 'deviance') {
+    throw new Error(`Unknown residual type: ${type}. Use 'martingale', 'deviance', 'schoenfeld' or 'scaledsch'.`);
+  }
+
+  const martingale = martingaleResiduals(model);
+  if (type === 'martingale') return martingale;
+
+  const status = model._y.status;
+  return martingale.map((m, i) => {
+    const inner = status[i] === 1 ? m + Math.log(1 - m) : m;
+    return Math.sign(m) * Math.sqrt(-2 * inner);
+  });
+}
+
+/**
+ * Test the proportional hazards assumption (Grambsch & Therneau)
+ *
+ * Correlates the scaled Schoenfeld residuals of each coefficient with a
+ * transform of the event times; a significant trend means the effect
+ * changes over time. The statistics are the score-test approximation used
+ * by R's cox.zph() before survival 3.0.
+ *
+ * @param {Object} model - Fitted model from coxph()
+ * @param {Object} options - Options
+ * @param {string} options.transform - Time scale: 'km' (1 - left-continuous Kaplan-Meier), 'rank',
+ *   'identity' or 'log' (default: 'km')
+ * @returns {Object} - { table: [{ term, rho, chisq, df, p_value }], global, time, x, y, transform };
+ *   y holds the scaled Schoenfeld residuals against the transformed times x
+ */
+export function coxZph(model, { transform = 'km' } = {}) {
+  if (!ZPH_TRANSFORMS.includes(transform)) {
+    throw new Error(`Unknown transform: ${transform}. Use 'km', 'rank', 'identity' or 'log'.`);
+  }
+
+  const { time, residuals } = schoenfeldResiduals(model);
+  const d = time.length;
+  const p = model.p;
+  const V = model.vcov;
+  const x = transformTimes(time, model._y, transform);
+  const meanX = x.reduce((a, b) => a + b, 0) / d;
+  const xx = x.map(v => v - meanX);
+  const sumXX = xx.reduce((s, v) => s + v * v, 0);
+  if (!(sumXX > 0)) {
+    throw new Error('At least two distinct event times are needed to test proportional hazards');
+  }
+
+  // Scaled residuals without the coefficients, d * r V
+  const r2 = residuals.map(row =>
+    Array.from({ length: p }, (_, j) => d * row.reduce((s, v, k) => s + v * V.get(k, j), 0))
+  );
+
+  const table = model.coef_names.map((term, j) => {
+    const test = xx.reduce((s, v, i) => s + v * r2[i][j], 0);
+    const chisq = test * test / (V.get(j, j) * d * sumXX);
+    return {
+      term,
+      rho: correlation(xx, r2.map(row => row[j])),
+      chisq,
+      df: 1,
+      p_value: 1 - pchisq(chisq, 1)
+    };
+  });
+
+  const test = Array.from({ length: p }, (_, j) => xx.reduce((s, v, i) => s + v * residuals[i][j], 0));
+  let global = 0;
+  for (let j = 0; j < p; j++) {
+    for (let k = 0; k < p; k++) global += test[j] * V.get(j, k) * test[k];
+  }
+  global *= d / sumXX;
+
+  return {
+    table,
+    global: { chisq: global, df: p, p_value: 1 - pchisq(global, p) },
+    time,
+    x,
+    y: r2.map(row => row.map((v, j) => v + model.coefficients[j])),
+    transform
+  };
+}
+
+/**
+ * Kaplan-Meier curve of one group at its distinct times
+ */
+function kaplanMeier(time, status, z, confType) {
+  const n = time.length;
+  const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => time[a] - time[b]);
+  const out = {
+    n,
+    events: status.reduce((a, b) => a + b, 0),
+    time: [],
+    n_risk: [],
+    n_event: [],
+    n_censor: [],
+    surv: [],
+    std_err: [],
+    cumhaz: [],
+    lower: [],
+    upper: []
+  };
+
+  let nRisk = n;
+  let surv = 1;
+  let greenwood = 0;
+  let cumhaz = 0;
+  for (let start = 0; start < n;) {
+    const t = time[order[start]];
+    let end = start;
+    let d = 0;
+    while (end < n && time[order[end]] === t) {
+      d += status[order[end]];
+      end++;
+    }
+    const leaving = end - start;
+
+    if (d > 0) {
+      surv *= 1 - d / nRisk;
+      greenwood += d < nRisk ? d / (nRisk * (nRisk - d)) : Infinity;
+      cumhaz += d / nRisk;
+    }
+    const sigma = Math.sqrt(greenwood);
+    const [lower, upper] = confidenceLimits(surv, sigma, z, confType);
+
+    out.time.push(t);
+    out.n_risk.push(nRisk);
+    out.n_event.push(d);
+    out.n_censor.push(leaving - d);
+    out.surv.push(surv);
+    out.std_err.push(Number.isFinite(sigma) ? surv * sigma : null);
+    out.cumhaz.push(cumhaz);
+    out.lower.push(lower);
+    out.upper.push(upper);
+
+    nRisk -= leaving;
+    start = end;
+  }
+
+  out.median = survivalQuantile(out.surv, out.time);
+  out.median_lower = survivalQuantile(out.lower, out.time);
+  out.median_upper = survivalQuantile(out.upper, out.time);
+  return out;
+}
+
+/**
+ * Pointwise confidence limits for S from sigma, the standard error of -log S
+ */
+function confidenceLimits(surv, sigma, z, confType) {
+  if (surv === 0 || !Number.isFinite(sigma)) return [null, null];
+  if (sigma === 0) {
+    return confType === 'log-log' ? [null, null] : [surv, surv];
+  }
+  if (confType === 'log') {
+    return [surv * Math.exp(-z * sigma), Math.min(1, surv * Math.exp(z * sigma))];
+  }
+  if (confType === 'log-log') {
+    const eta = Math.log(-Math.log(surv));
+    const se = sigma / Math.abs(Math.log(surv));
+    return [Math.exp(-Math.exp(eta + z * se)), Math.exp(-Math.exp(eta - z * se))];
+  }
+  const se = surv * sigma;
+  return [Math.max(0, surv - z * se), Math.min(1, surv + z * se)];
+}
+
+/**
+ * First time the curve drops to 0.5 or below; when it sits at exactly 0.5
+ * the midpoint to the next drop is used (as R's print.survfit)
+ */
+function survivalQuantile(values, time) {
+  const tolerance = Math.sqrt(Number.EPSILON);
+  const keep = [];
+  values.forEach((v, i) => {
+    if (v !== null && v < 0.5 + tolerance) keep.push(i);
+  });
+  if (keep.length === 0) return null;
+
+  const first = keep[0];
+  if (Math.abs(values[first] - 0.5) < tolerance) {
+    const next = keep.find(i => values[i] < values[first]);
+    if (next !== undefined) return (time[first] + time[next]) / 2;
+  }
+  return time[first];
+}
+
+/**
+ * Log partial likelihood, score and information of a Cox model; order sorts
+ * the observations by decreasing time so risk sets accumulate
+ */
+function coxDerivatives(Z, surv, weights, order, beta, ties) {
+  const n = Z.length;
+  const p = beta.length;
+  const eta = Z.map(z => z.reduce((s, v, j) => s + v * beta[j], 0));
+
+  let loglik = 0;
+  const u = new Float64Array(p);
+  const imat = new Matrix(p, p);
+
+  let denom = 0;
+  const a = new Float64Array(p);
+  const cmat = new Float64Array(p * p);
+
+  for (let start = 0; start < n;) {
+    const t = surv.time[order[start]];
+    let end = start;
+    let deathWeight = 0;
+    let denom2 = 0;
+    const a2 = new Float64Array(p);
+    const cmat2 = new Float64Array(p * p);
+    let d = 0;
+
+    while (end < n && surv.time[order[end]] === t) {
+      const i = order[end];
+      const risk = weights[i] * Math.exp(eta[i]);
+      denom += risk;
+      for (let j = 0; j < p; j++) {
+        a[j] += risk * Z[i][j];
+        for (let k = 0; k <= j; k++) cmat[j * p + k] += risk * Z[i][j] * Z[i][k];
+      }
+      if (surv.status[i] === 1) {
+        d++;
+        deathWeight += weights[i];
+        loglik += weights[i] * eta[i];
+        denom2 += risk;
+        for (let j = 0; j < p; j++) {
+          u[j] += weights[i] * Z[i][j];
+          a2[j] += risk * Z[i][j];
+          for (let k = 0; k <= j; k++) cmat2[j * p + k] += risk * Z[i][j] * Z[i][k];
+        }
+      }
+      end++;
+    }
+
+    if (d > 0) {
+      const meanWeight = deathWeight / d;
+      // Breslow uses the full risk set for every tied death; Efron removes
+      // an increasing share of the tied deaths from it
+      const steps = ties === 'efron' ? d : 1;
+      const scale = ties === 'efron' ? meanWeight : meanWeight * d;
+      for (let k = 0; k < steps; k++) {
+        const frac = ties === 'efron' ? k / d : 0;
+        const d2 = denom - frac * denom2;
+        loglik -= scale * Math.log(d2);
+        const xbar = Float64Array.from({ length: p }, (_, j) => (a[j] - frac * a2[j]) / d2);
+        for (let j = 0; j < p; j++) {
+          u[j] -= scale * xbar[j];
+          for (let l = 0; l <= j; l++) {
+            const value = scale * ((cmat[j * p + l] - frac * cmat2[j * p + l]) / d2 - xbar[j] * xbar[l]);
+            imat.set(j, l, imat.get(j, l) + value);
+          }
+        }
+      }
+    }
+    start = end;
+  }
+
+  for (let j = 0; j < p; j++) {
+    for (let l = 0; l < j; l++) imat.set(l, j, imat.get(j, l));
+  }
+  return { loglik, u, imat };
+}
+
+/**
+ * Hazard increments at each event time, for subjects still at risk and for
+ * the subjects who have the event (these differ under Efron ties), in
+ * increasing order of time
+ */
+function hazardIncrements(model) {
+  const surv = model._y;
+  const n = surv.length;
+  const w = model.weights;
+  const risk = model.linear_predictors.filter(v => v !== null).map(v => Math.exp(v));
+  const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => surv.time[b] - surv.time[a]);
+
+  const steps = [];
+  let denom = 0;
+  for (let start = 0; start < n;) {
+    const t = surv.time[order[start]];
+    let end = start;
+    let denom2 = 0;
+    let deathWeight = 0;
+    let d = 0;
+    while (end < n && surv.time[order[end]] === t) {
+      const i = order[end];
+      denom += w[i] * risk[i];
+      if (surv.status[i] === 1) {
+        d++;
+        deathWeight += w[i];
+        denom2 += w[i] * risk[i];
+      }
+      end++;
+    }
+    if (d > 0) {
+      if (model.ties === 'efron') {
+        const meanWeight = deathWeight / d;
+        let atRisk = 0;
+        let dying = 0;
+        for (let k = 0; k < d; k++) {
+          const h = meanWeight / (denom - (k / d) * denom2);
+          atRisk += h;
+          dying += (1 - k / d) * h;
+        }
+        steps.push({ time: t, atRisk, dying });
+      } else {
+        const h = deathWeight / denom;
+        steps.push({ time: t, atRisk: h, dying: h });
+      }
+    }
+    start = end;
+  }
+  return { steps: steps.reverse(), risk };
+}
+
+function martingaleResiduals(model) {
+  const surv = model._y;
+  const { steps, risk } = hazardIncrements(model);
+
+  // Cumulative hazard up to and including each event time
+  const cumulative = [];
+  let total = 0;
+  for (const step of steps) {
+    total += step.atRisk;
+    cumulative.push(total);
+  }
+
+  const residuals = Array.from({ length: surv.length }, (_, i) => {
+    const t = surv.time[i];
+    // Number of event times <= t
+    let lo = 0;
+    let hi = steps.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (steps[mid].time <= t) lo = mid + 1;
+      else hi = mid;
+    }
+    let hazard = lo > 0 ? cumulative[lo - 1] : 0;
+    if (surv.status[i] === 1 && lo > 0 && steps[lo - 1].time === t) {
+      hazard += steps[lo - 1].dying - steps[lo - 1].atRisk;
+    }
+    return surv.status[i] - risk[i] * hazard;
+  });
+
+  return model.na_action && model.na_action.method === 'na.exclude' && model.na_action.omitted.length > 0
+    ? padRows(residuals, model)
+    : residuals;
+}
+
+/**
+ * Schoenfeld residuals x_i - xbar(t_i) of each event, in increasing order of time;
+ * under Efron ties xbar averages over the stepwise-reduced risk sets
+ */
+function schoenfeldResiduals(model) {
+  const surv = model._y;
+  const X = model._X;
+  const n = surv.length;
+  const p = model.p;
+  const w = model.weights;
+  const risk = model.linear_predictors.filter(v => v !== null).map(v => Math.exp(v));
+  const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => surv.time[b] - surv.time[a]);
+
+  const rows = [];
+  let denom = 0;
+  const a = new Float64Array(p);
+  for (let start = 0; start < n;) {
+    const t = surv.time[order[start]];
+    let end = start;
+    let denom2 = 0;
+    const a2 = new Float64Array(p);
+    const deaths = [];
+    while (end < n && surv.time[order[end]] === t) {
+      const i = order[end];
+      const r = w[i] * risk[i];
+      denom += r;
+      for (let j = 0; j < p; j++) a[j] += r * (X.get(i, j) - model.means[j]);
+      if (surv.status[i] === 1) {
+        deaths.push(i);
+        denom2 += r;
+        for (let j = 0; j < p; j++) a2[j] += r * (X.get(i, j) - model.means[j]);
+      }
+      end++;
+    }
+
+    const d = deaths.length;
+    if (d > 0) {
+      const xbar = new Float64Array(p);
+      const steps = model.ties === 'efron' ? d : 1;
+      for (let k = 0; k < steps; k++) {
+        const frac = model.ties === 'efron' ? k / d : 0;
+        for (let j = 0; j < p; j++) {
+          xbar[j] += (a[j] - frac * a2[j]) / (denom - frac * denom2) / steps;
+        }
+      }
+      for (const i of deaths.sort((x, y) => x - y).reverse()) {
+        rows.push({ time: t, values: Array.from({ length: p }, (_, j) => X.get(i, j) - model.means[j] - xbar[j]) });
+      }
+    }
+    start = end;
+  }
+
+  rows.reverse();
+  return { time: rows.map(r => r.time), residuals: rows.map(r => r.values) };
+}
+
+function scaledSchoenfeld(model, residuals) {
+  const d = residuals.length;
+  const V = model.vcov;
+  return residuals.map(row =>
+    model.coefficients.map((b, j) => b + d * row.reduce((s, v, k) => s + v * V.get(k, j), 0))
+  );
+}
+
+/**
+ * Event times on the scale used by coxZph()
+ */
+function transformTimes(time, surv, transform) {
+  if (transform === 'identity') return time.slice();
+  if (transform === 'log') return time.map(t => Math.log(t));
+  if (transform === 'rank') {
+    // Average ranks for tied times
+    return time.map(t => {
+      const below = time.filter(s => s < t).length;
+      const equal = time.filter(s => s === t).length;
+      return below + (equal + 1) / 2;
+    });
+  }
+
+  // 1 - Kaplan-Meier just before each event time, from the data the model was fitted to
+  const km = kaplanMeier(surv.time, surv.status, 0, 'plain');
+  return time.map(t => {
+    let before = 1;
+    for (let k = 0; k < km.time.length && km.time[k] < t; k++) before = km.surv[k];
+    return 1 - before;
+  });
+}
+
+function correlation(x, y) {
+  const n = x.length;
+  const mx = x.reduce((a, b) => a + b, 0) / n;
+  const my = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) * (x[i] - mx);
+    syy += (y[i] - my) * (y[i] - my);
+  }
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * Solve info * step = u, for Newton steps and the score test
+ */
+function solveInformation(info, u) {
+  let inv;
+  try {
+    inv = inverse(info);
+  } catch (e) {
+    throw new Error('Information matrix is singular; check for collinear predictors or predictors without variation');
+  }
+  return Float64Array.from(u, (_, j) => u.reduce((s, v, k) => s + inv.get(j, k) * v, 0));
+}
+
+/**
+ * Survival response and group codes for survfit() and survdiff(), from a
+ * formula (strata are the combinations of the right-hand side variables) or
+ * from a Surv object and an optional grouping variable
+ */
+function survivalGroups(y, groups, data, na_action) {
+  if (typeof y === 'string') {
+    const mm = modelMatrix(y, data, { na_action });
+    const surv = survResponse(mm.y);
+    const variables = mm.terms.variables;
+    if (variables.length === 0) {
+      return { surv, codes: new Int32Array(surv.length), levels: ['all'], formula: mm.terms.formula, na_action: naInfo(mm.rows, mm.n_total, na_action) };
+    }
+
+    const factors = variables.map(label => evaluateFactor(label, data));
+    const keys = mm.rows.map(i => factors.map(f => f.codes[i]));
+    const unique = Array.from(new Map(keys.map(k => [k.join(','), k])).values());
+    unique.sort((a, b) => {
+      for (let j = 0; j < a.length; j++) {
+        if (a[j] !== b[j]) return a[j] - b[j];
+      }
+      return 0;
+    });
+    const index = new Map(unique.map((k, g) => [k.join(','), g]));
+    return {
+      surv,
+      codes: Int32Array.from(keys, k => index.get(k.join(','))),
+      levels: unique.map(k => k.map((code, j) => `${variables[j]}=${factors[j].levels[code]}`).join(', ')),
+      formula: mm.terms.formula,
+      na_action: naInfo(mm.rows, mm.n_total, na_action)
+    };
+  }
+
+  const full = survResponse(y);
+  const factor = groups === null ? null : groupFactor(groups);
+  if (factor !== null && factor.length !== full.length) {
+    throw new Error(`groups has ${factor.length} values but the response has ${full.length}`);
+  }
+  const rows = completeRows(full.length, [full, factor], na_action);
+  if (rows.length === 0) {
+    throw new Error('No complete observations');
+  }
+  const surv = rows.length < full.length ? full.subset(rows) : full;
+  if (factor === null) {
+    return { surv, codes: new Int32Array(surv.length), levels: ['all'], formula: null, na_action: naInfo(rows, full.length, na_action) };
+  }
+
+  const used = factor.levels.map((_, code) => code).filter(code => rows.some(i => factor.codes[i] === code));
+  const recode = new Map(used.map((code, g) => [code, g]));
+  return {
+    surv,
+    codes: Int32Array.from(rows, i => recode.get(factor.codes[i])),
+    levels: used.map(code => factor.levels[code]),
+    formula: null,
+    na_action: naInfo(rows, full.length, na_action)
+  };
+}
+
+/**
+ * Response, design matrix (no intercept) and weights for coxph()
+ */
+function coxDesign(y, X, {
+  data,
+  weights = null,
+  contrasts = {},
+  na_action = 'na.omit'
+}) {
+  if (typeof y === 'string') {
+    const mm = modelMatrix(y, data, { contrasts, na_action, extra: weights ? { weights } : {} });
+    const surv = survResponse(mm.y);
+    const design = dropIntercept(mm.X, mm.intercept);
+    if (design.cols === 0) {
+      throw new Error('coxph() needs at least one predictor');
+    }
+    return {
+      surv,
+      X: design,
+      coef_names: mm.intercept ? mm.coef_names.slice(1) : mm.coef_names,
+      weights: weights ? Float64Array.from(mm.extra.weights) : new Float64Array(surv.length).fill(1),
+      rows: mm.rows,
+      n_total: mm.n_total,
+      na_action,
+      meta: {
+        formula: mm.terms.formula,
+        terms: mm.terms,
+        term_labels: mm.terms.term_labels,
+        assign: mm.intercept ? mm.assign.slice(1) : mm.assign,
+        xlevels: mm.xlevels,
+        contrasts: contrastNames(mm.terms.specs)
+      }
+    };
+  }
+
+  const full = survResponse(y);
+  const n = full.length;
+  if (X instanceof Matrix && X.rows !== n) {
+    throw new Error(`Design matrix has ${X.rows} rows but response has ${n} observations`);
+  }
+  const rows = completeRows(n, [full, weights, ...(Array.isArray(X) ? X : [X])], na_action);
+  if (rows.length === 0) {
+    throw new Error('No complete observations in response and predictors');
+  }
+
+  let design;
+  let coefNames;
+  let meta = { _specs: null };
+  if (X instanceof Matrix) {
+    design = rows.length < n ? X.subsetRows(rows) : X;
+    coefNames = Array.from({ length: design.cols }, (_, j) => `x${j + 1}`);
+  } else if (Array.isArray(X)) {
+    // Factors are coded as in a model with an intercept, which the baseline hazard absorbs
+    const cols = predictorColumns(X, rows, { intercept: true, contrasts });
+    design = Matrix.fromColumns(cols.columns.slice(1));
+    coefNames = cols.coef_names.slice(1);
+    meta = {
+      term_labels: cols.term_labels,
+      assign: cols.assign.slice(1),
+      xlevels: cols.xlevels,
+      contrasts: contrastNames(cols.specs),
+      _specs: cols.specs
+    };
+  } else {
+    throw new Error('X must be a Matrix or array of predictors');
+  }
+
+  return {
+    surv: rows.length < n ? full.subset(rows) : full,
+    X: design,
+    coef_names: coefNames,
+    weights: Float64Array.from(rows, i => (weights === null ? 1 : weights[i])),
+    rows,
+    n_total: n,
+    na_action,
+    meta
+  };
+}
+
+function dropIntercept(X, intercept) {
+  if (!intercept) return X;
+  return Matrix.fromColumns(Array.from({ length: X.cols - 1 }, (_, j) => X.getColumn(j + 1)));
+}
+
+function survResponse(y) {
+  if (!(y instanceof Surv)) {
+    throw new Error('Response must be a Surv object, e.g. Surv(time, status)');
+  }
+  return y;
+}
+
+/**
+ * Factor for a grouping variable; numbers and strings get sorted levels
+ */
+function groupFactor(groups) {
+  if (groups instanceof Factor) return groups;
+  const values = groups instanceof Vector ? groups.toArray() : Array.from(groups);
+  const observed = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+  const unique = Array.from(new Set(observed));
+  unique.sort(observed.every(v => typeof v === 'number') ? (a, b) => a - b : undefined);
+  return new Factor(values.map(v => (v === undefined || Number.isNaN(v) ? null : v)), { levels: unique.map(String) });
+}
+
+function naInfo(rows, n, method) {
+  const used = new Set(rows);
+  const omitted = [];
+  for (let i = 0; i < n; i++) {
+    if (!used.has(i)) omitted.push(i);
+  }
+  return { method, omitted };
+}
+
+function padRows(values, model) {
+  const n = model.na_action.omitted.length + values.length;
+  const omitted = new Set(model.na_action.omitted);
+  const out = new Array(n).fill(null);
+  let k = 0;
+  for (let i = 0; i < n; i++) {
+    if (!omitted.has(i)) out[i] = values[k++];
+  }
+  return out;
+}
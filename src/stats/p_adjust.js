@@ -0,0 +1,128 @@
+// Multiple testing corrections, as R's p.adjust()
+import Vector from '../core/Vector.js';
+
+const METHODS = ['holm', 'hochberg', 'hommel', 'bonferroni', 'BH', 'BY', 'fdr', 'none'];
+
+/**
+ * Adjust p-values for multiple comparisons
+ *
+ * Family-wise error rate: "bonferroni", "holm" (step-down), "hochberg" (step-up)
+ * and "hommel" (closed Simes tests). False discovery rate: "BH" (Benjamini &
+ * Hochberg; alias "fdr") and "BY" (Benjamini & Yekutieli, valid under any
+ * dependence). Missing values are kept in place and not counted in n.
+ *
+ * @param {number|number[]|Vector} p - p-values
+ * @param {string} method - correction method (default "holm")
+ * @param {Object} options
+ * @param {number} options.n - number of tests in the family (default: number of non-missing p-values)
+ * @returns {number|number[]} adjusted p-value(s)
+ *
+ * @example
+ * p_adjust([0.01, 0.02, 0.03, 0.04, 0.05], 'BH');
+ * // [0.05, 0.05, 0.05, 0.05, 0.05]
+ */
+export function p_adjust(p, method = 'holm', { n = null } = {}) {
+  const scalar = typeof p === 'number';
+  const values = scalar ? [p] : p instanceof Vector ? p.data : p;
+
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown p-value adjustment method: ${method}. Use one of ${METHODS.join(', ')}`);
+  }
+
+  const present = [];
+  values.forEach((v, i) => {
+    if (v != null && !Number.isNaN(v)) present.push(i);
+  });
+  const lp = present.length;
+  const m = n === null ? lp : n;
+  if (m < lp) {
+    throw new Error('n must be at least the number of non-missing p-values');
+  }
+
+  const result = values.map(v => (v == null || Number.isNaN(v) ? NaN : v));
+  if (m > 1 && lp > 0 && method !== 'none') {
+    const adjusted = adjust(present.map(i => values[i]), method === 'fdr' ? 'BH' : method, m);
+    present.forEach((idx, k) => { result[idx] = adjusted[k]; });
+  }
+
+  return scalar ? result[0] : result;
+}
+
+/**
+ * Adjusted values for the non-missing p-values with family size n
+ */
+function adjust(p, method, n) {
+  const lp = p.length;
+  if (method === 'hommel' && n === 2) method = 'hochberg';
+
+  // Positions of p in increasing order
+  const order = p.map((_, i) => i).sort((a, b) => p[a] - p[b]);
+  const out = new Array(lp);
+
+  switch (method) {
+    case 'bonferroni':
+      return p.map(v => Math.min(1, n * v));
+
+    case 'holm': {
+      let running = 0;
+      order.forEach((idx, k) => {
+        running = Math.max(running, (n - k) * p[idx]);
+        out[idx] = Math.min(1, running);
+      });
+      return out;
+    }
+
+    case 'hochberg':
+    case 'BH':
+    case 'BY': {
+      const q = method === 'BY' ? harmonic(n) : 1;
+      let running = Infinity;
+      for (let k = lp - 1; k >= 0; k--) {
+        const idx = order[k];
+        const factor = method === 'hochberg' ? n - k : q * n / (k + 1);
+        running = Math.min(running, factor * p[idx]);
+        out[idx] = Math.min(1, running);
+      }
+      return out;
+    }
+
+    case 'hommel':
+      return hommel(p, order, n);
+  }
+}
+
+/**
+ * Hommel's procedure; untested hypotheses up to n are padded with p = 1
+ */
+function hommel(p, order, n) {
+  const sorted = order.map(i => p[i]);
+  while (sorted.length < n) sorted.push(1);
+
+  let start = Infinity;
+  for (let i = 0; i < n; i++) start = Math.min(start, n * sorted[i] / (i + 1));
+  const q = new Array(n).fill(start);
+  const pa = new Array(n).fill(start);
+
+  for (let m = n - 1; m >= 2; m--) {
+    // Simes tests on the m largest p-values
+    let q1 = Infinity;
+    for (let k = 2; k <= m; k++) {
+      q1 = Math.min(q1, m * sorted[n - m + k - 1] / k);
+    }
+    for (let i = 0; i <= n - m; i++) q[i] = Math.min(m * sorted[i], q1);
+    for (let i = n - m + 1; i < n; i++) q[i] = q[n - m];
+    for (let i = 0; i < n; i++) pa[i] = Math.max(pa[i], q[i]);
+  }
+
+  const out = new Array(p.length);
+  order.forEach((idx, k) => { out[idx] = Math.max(pa[k], sorted[k]); });
+  return out;
+}
+
+function harmonic(n) {
+  let sum = 0;
+  for (let i = 1; i <= n; i++) sum += 1 / i;
+  return sum;
+}
+
+export default { p_adjust };
@@ -0,0 +1,374 @@
+// Post-hoc multiple comparisons after an ANOVA: Tukey HSD, Dunnett and Games-Howell
+import Vector from '../core/Vector.js';
+import { ptukey, qtukey } from '../distributions/tukey.js';
+import { pnorm } from '../distributions/normal.js';
+import { lgamma } from '../math/special.js';
+import { termVariables } from '../models/formula.js';
+
+// 16-point Gauss-Legendre nodes and weights on [-1, 1]
+const GL_NODES = [
+  -0.989400934991649932596, -0.944575023073232576078, -0.865631202387831743880, -0.755404408355003033895,
+  -0.617876244402643748447, -0.458016777657227386342, -0.281603550779258913230, -0.095012509837637440185,
+  0.095012509837637440185, 0.281603550779258913230, 0.458016777657227386342, 0.617876244402643748447,
+  0.755404408355003033895, 0.865631202387831743880, 0.944575023073232576078, 0.989400934991649932596
+];
+const GL_WEIGHTS = [
+  0.027152459411754094852, 0.062253523938647892863, 0.095158511682492784810, 0.124628971255533872052,
+  0.149595988816576732082, 0.169156519395002538189, 0.182603415044923588867, 0.189450610455068496285,
+  0.189450610455068496285, 0.182603415044923588867, 0.169156519395002538189, 0.149595988816576732082,
+  0.124628971255533872052, 0.095158511682492784810, 0.062253523938647892863, 0.027152459411754094852
+];
+
+/**
+ * Tukey honest significant differences between the levels of the factors of an aov() fit
+ * All pairwise differences of means with simultaneous confidence intervals and
+ * p-values from the studentized range distribution (Tukey-Kramer for unequal group sizes)
+ *
+ * Means are computed from the projections of the fit, as R's model.tables(fit, 'means'),
+ * so each term is adjusted for the terms before it in the formula.
+ *
+ * @param {Object} fit - Result of aov() without Error() strata
+ * @param {Object} options
+ * @param {string|string[]} options.which - Terms to compare (default: every term made only of factors)
+ * @param {number} options.conf_level - family-wise confidence level (default 0.95)
+ * @returns {Object} - { method, conf_level, comparisons: { term: [{ comparison, diff, lower, upper, p_adj }] } }
+ *
+ * @example
+ * const fit = aov('breaks ~ wool + tension', { data: warpbreaks });
+ * TukeyHSD(fit, { which: 'tension' }).comparisons.tension;
+ * // [{ comparison: 'M-L', diff: -10, lower: -19.35, upper: -0.65, p_adj: 0.0336 }, ...]
+ */
+export function TukeyHSD(fit, { which = null, conf_level = 0.95 } = {}) {
+  if (!fit || !fit._projections) {
+    throw new Error('TukeyHSD() needs an aov() fit without Error() strata');
+  }
+
+  const factorTerms = fit.table
+    .map(row => row.term)
+    .filter(term => term !== 'Residuals' && termVariables(term).every(v => v in fit._levels));
+  const terms = which === null ? factorTerms : [].concat(which);
+  for (const term of terms) {
+    if (!factorTerms.includes(term)) {
+      throw new Error(`'${term}' is not a factor term of the model`);
+    }
+  }
+
+  const residual = fit.table.find(row => row.term === 'Residuals');
+  if (!residual) {
+    throw new Error('No residual degrees of freedom to estimate the error variance');
+  }
+  const mse = residual.mean_sq;
+  const df = residual.df;
+
+  const comparisons = {};
+  for (const term of terms) {
+    const cells = termMeans(fit, term);
+    const k = cells.length;
+    const crit = qtukey(conf_level, k, df);
+    const rows = [];
+    for (let i = 0; i < k; i++) {
+      for (let j = i + 1; j < k; j++) {
+        const diff = cells[j].mean - cells[i].mean;
+        const se = Math.sqrt(mse / 2 * (1 / cells[i].n + 1 / cells[j].n));
+        rows.push({
+          comparison: `${cells[j].level}-${cells[i].level}`,
+          diff,
+          lower: diff - crit * se,
+          upper: diff + crit * se,
+          p_adj: ptukey(Math.abs(diff) / se, k, df, { lower_tail: false })
+        });
+      }
+    }
+    comparisons[term] = rows;
+  }
+
+  return {
+    method: 'Tukey multiple comparisons of means',
+    conf_level,
+    comparisons
+  };
+}
+
+/**
+ * Dunnett's many-to-one comparisons of each treatment group with a control
+ * Single-step adjusted p-values and simultaneous confidence intervals from the
+ * multivariate t distribution of the comparisons, with the pooled variance
+ *
+ * @param {Object} groups - Samples by group name, e.g. { placebo: [...], low: [...], high: [...] }
+ * @param {string} control - Name of the control group (default: the first group)
+ * @param {Object} options
+ * @param {string} options.alternative - "two.sided", "less", or "greater" (default "two.sided")
+ * @param {number} options.conf_level - family-wise confidence level (default 0.95)
+ * @returns {Object} - { method, control, alternative, conf_level, df, critical_value,
+ *   comparisons: [{ comparison, diff, lower, upper, statistic, p_adj }] }
+ */
+export function dunnett(groups, control = null, { alternative = 'two.sided', conf_level = 0.95 } = {}) {
+  const summaries = groupSummaries(groups);
+  const ref = control === null ? summaries[0] : summaries.find(g => g.name === control);
+  if (!ref) {
+    throw new Error(`Control group '${control}' not found`);
+  }
+  if (!['two.sided', 'less', 'greater'].includes(alternative)) {
+    throw new Error(`Unknown alternative: ${alternative}`);
+  }
+
+  const treatments = summaries.filter(g => g !== ref);
+  const N = summaries.reduce((acc, g) => acc + g.n, 0);
+  const df = N - summaries.length;
+  const pooled = summaries.reduce((acc, g) => acc + (g.n - 1) * g.variance, 0) / df;
+
+  // Correlations between the comparisons are lambda_i * lambda_j
+  const lambdas = treatments.map(g => Math.sqrt(g.n / (g.n + ref.n)));
+  const twoSided = alternative === 'two.sided';
+  const nodes = integrationNodes(df);
+  const cdf = c => maxTProbability(c, lambdas, twoSided, nodes);
+  const crit = solveCritical(cdf, conf_level);
+
+  const comparisons = treatments.map(g => {
+    const diff = g.mean - ref.mean;
+    const se = Math.sqrt(pooled * (1 / g.n + 1 / ref.n));
+    const statistic = diff / se;
+    let p_adj;
+    if (twoSided) {
+      p_adj = 1 - cdf(Math.abs(statistic));
+    } else {
+      p_adj = 1 - cdf(alternative === 'greater' ? statistic : -statistic);
+    }
+    return {
+      comparison: `${g.name}-${ref.name}`,
+      diff,
+      lower: alternative === 'less' ? -Infinity : diff - crit * se,
+      upper: alternative === 'greater' ? Infinity : diff + crit * se,
+      statistic,
+      p_adj: Math.min(1, Math.max(0, p_adj))
+    };
+  });
+
+  return {
+    method: "Dunnett's many-to-one comparisons",
+    control: ref.name,
+    alternative,
+    conf_level,
+    df,
+    critical_value: crit,
+    comparisons
+  };
+}
+
+/**
+ * Games-Howell pairwise comparisons for groups with unequal variances
+ * Each pair uses its own Welch standard error and degrees of freedom with the
+ * studentized range distribution, so no pooled variance is assumed
+ *
+ * @param {Object} groups - Samples by group name
+ * @param {Object} options
+ * @param {number} options.conf_level - family-wise confidence level (default 0.95)
+ * @returns {Object} - { method, conf_level, comparisons: [{ comparison, diff, lower, upper, statistic, df, p_adj }] }
+ */
+export function gamesHowell(groups, { conf_level = 0.95 } = {}) {
+  const summaries = groupSummaries(groups);
+  const k = summaries.length;
+
+  const comparisons = [];
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      const a = summaries[i];
+      const b = summaries[j];
+      const va = a.variance / a.n;
+      const vb = b.variance / b.n;
+      const se = Math.sqrt(va + vb);
+      const df = (va + vb) ** 2 / (va * va / (a.n - 1) + vb * vb / (b.n - 1));
+      const diff = b.mean - a.mean;
+      const statistic = diff / se;
+      const crit = qtukey(conf_level, k, df) / Math.SQRT2;
+      comparisons.push({
+        comparison: `${b.name}-${a.name}`,
+        diff,
+        lower: diff - crit * se,
+        upper: diff + crit * se,
+        statistic,
+        df,
+        p_adj: ptukey(Math.abs(statistic) * Math.SQRT2, k, df, { lower_tail: false })
+      });
+    }
+  }
+
+  return {
+    method: 'Games-Howell pairwise comparisons',
+    conf_level,
+    comparisons
+  };
+}
+
+/**
+ * Means and replications of the cells of a term, from the projections of an aov() fit:
+ * the grand mean plus the effects of the term and every term marginal to it
+ */
+function termMeans(fit, term) {
+  const vars = termVariables(term);
+  const n = fit._levels[vars[0]].length;
+  const grand = fit._projections['(Intercept)'] || new Array(n).fill(0);
+  const marginal = Object.keys(fit._projections)
+    .filter(t => t !== '(Intercept)' && termVariables(t).every(v => vars.includes(v)));
+
+  const cellOf = (variables, i) => variables.map(v => fit._levels[v][i]).join(':');
+
+  // Effects tables: mean projection per cell of each marginal term
+  const effects = marginal.map(t => {
+    const tVars = termVariables(t);
+    const sums = new Map();
+    for (let i = 0; i < n; i++) {
+      const key = cellOf(tVars, i);
+      const entry = sums.get(key) || { sum: 0, n: 0 };
+      entry.sum += fit._projections[t][i];
+      entry.n += 1;
+      sums.set(key, entry);
+    }
+    return { vars: tVars, sums };
+  });
+
+  // Cells in R's order: the first factor varies fastest
+  let cells = [[]];
+  for (const v of vars) {
+    const next = [];
+    for (const level of fit.xlevels[v]) {
+      for (const cell of cells) next.push([...cell, level]);
+    }
+    cells = next;
+  }
+
+  const counts = new Map();
+  for (let i = 0; i < n; i++) {
+    const key = cellOf(vars, i);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return cells
+    .map(levels => {
+      const level = levels.join(':');
+      let mean = grand[0];
+      for (const { vars: tVars, sums } of effects) {
+        const entry = sums.get(tVars.map(v => levels[vars.indexOf(v)]).join(':'));
+        mean += entry.sum / entry.n;
+      }
+      return { level, mean, n: counts.get(level) || 0 };
+    })
+    .filter(cell => cell.n > 0);
+}
+
+/**
+ * Size, mean and variance of each group, ignoring missing values
+ */
+function groupSummaries(groups) {
+  if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+    throw new Error('groups must be an object of samples by group name');
+  }
+  const summaries = Object.entries(groups).map(([name, values]) => {
+    const v = (values instanceof Vector ? values : new Vector(values)).naOmit();
+    if (v.length < 2) {
+      throw new Error(`Group '${name}' needs at least 2 observations`);
+    }
+    return { name, n: v.length, mean: v.mean(), variance: v.variance() };
+  });
+  if (summaries.length < 2) {
+    throw new Error('At least 2 groups are required');
+  }
+  return summaries;
+}
+
+/**
+ * Quadrature nodes for the Dunnett probability: the distribution of s / sigma
+ * (a chi variate over sqrt(df)) and the standard normal
+ */
+function integrationNodes(df) {
+  const chi = [];
+  if (!Number.isFinite(df)) {
+    chi.push({ s: 1, w: 1 });
+  } else {
+    // s / sigma has density proportional to s^(df - 1) exp(-df s^2 / 2), concentrated around 1
+    const lo = Math.max(0, 1 - 6 / Math.sqrt(df));
+    const hi = 1 + 8 / Math.sqrt(df);
+    const logConst = Math.LN2 + df / 2 * Math.log(df / 2) - lgamma(df / 2);
+    for (const { x, w } of legendreNodes(lo, hi, 8)) {
+      chi.push({ s: x, w: w * Math.exp(logConst + (df - 1) * Math.log(x) - df * x * x / 2) });
+    }
+  }
+
+  const normal = legendreNodes(-8, 8, 8).map(({ x, w }) => ({
+    z: x,
+    w: w * Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI)
+  }));
+
+  return { chi, normal };
+}
+
+/**
+ * Composite Gauss-Legendre nodes and weights on [a, b]
+ */
+function legendreNodes(a, b, panels) {
+  const width = (b - a) / panels;
+  const nodes = [];
+  for (let p = 0; p < panels; p++) {
+    for (let g = 0; g < GL_NODES.length; g++) {
+      nodes.push({ x: a + (p + (GL_NODES[g] + 1) / 2) * width, w: GL_WEIGHTS[g] * width / 2 });
+    }
+  }
+  return nodes;
+}
+
+/**
+ * P(max T_i <= c), or P(max |T_i| <= c) when two-sided, for t statistics with
+ * correlations lambda_i * lambda_j: conditional on the shared normal component
+ * and the variance estimate the comparisons are independent
+ */
+function maxTProbability(c, lambdas, twoSided, { chi, normal }) {
+  if (c <= 0 && twoSided) return 0;
+  const scales = lambdas.map(l => Math.sqrt(1 - l * l));
+  let total = 0;
+  for (const { s, w: ws } of chi) {
+    const h = c * s;
+    let inner = 0;
+    for (const { z, w: wz } of normal) {
+      let prod = 1;
+      for (let i = 0; i < lambdas.length; i++) {
+        const upper = pnorm((h - lambdas[i] * z) / scales[i]);
+        prod *= twoSided ? upper - pnorm((-h - lambdas[i] * z) / scales[i]) : upper;
+      }
+      inner += wz * prod;
+    }
+    total += ws * inner;
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+/**
+ * Critical value c with cdf(c) = conf_level, by regula falsi (Illinois variant)
+ */
+function solveCritical(cdf, conf_level) {
+  let lo = 0;
+  let hi = 2;
+  while (cdf(hi) < conf_level) hi *= 2;
+  let flo = cdf(lo) - conf_level;
+  let fhi = cdf(hi) - conf_level;
+  let side = 0;
+  let c = hi;
+  for (let iter = 0; iter < 100; iter++) {
+    c = (lo * fhi - hi * flo) / (fhi - flo);
+    const fc = cdf(c) - conf_level;
+    if (Math.abs(fc) < 1e-12 || hi - lo < 1e-10) break;
+    if (fc * fhi > 0) {
+      hi = c;
+      fhi = fc;
+      if (side === 1) flo /= 2;
+      side = 1;
+    } else {
+      lo = c;
+      flo = fc;
+      if (side === -1) fhi /= 2;
+      side = -1;
+    }
+  }
+  return c;
+}
+
+export default { TukeyHSD, dunnett, gamesHowell };
@@ -1,6 +1,7 @@
 // Student's t-test implementation
 import Vector from '../core/Vector.js';
 import { pt, qt } from '../distributions/t.js';
+import { p_adjust as adjustP } from './p_adjust.js';
 
 /**
  * Student's t-test
@@ -12,6 +13,8 @@ import { pt, qt } from '../distributions/t.js';
  * @param {boolean} options.paired - paired t-test (default false)
  * @param {boolean} options.var_equal - assume equal variances (default false)
  * @param {number} options.conf_level - confidence level (default 0.95)
+ * @param {string|Object} options.p_adjust - adjust the p-value as one of a family of tests: a
+ *   p_adjust() method, or { method, n } with n the number of tests (adds p_adj to the result)
  * @returns {Object} test result object
  */
 export function t_test(x, y = null, {
@@ -19,31 +22,119 @@ export function t_test(x, y = null, {
   alternative = 'two.sided',
   paired = false,
   var_equal = false,
-  conf_level = 0.95
+  conf_level = 0.95,
+  p_adjust = null
 } = {}) {
   
   const vx = x instanceof Vector ? x : new Vector(x);
   const cleanX = vx.naOmit();
   
-  // One-sample t-test
+  let result;
   if (y === null) {
-    return oneSampleT(cleanX, mu, alternative, conf_level);
+    // One-sample t-test
+    result = oneSampleT(cleanX, mu, alternative, conf_level);
+  } else {
+    // Two-sample t-test
+    const vy = y instanceof Vector ? y : new Vector(y);
+    const cleanY = vy.naOmit();
+    
+    if (paired) {
+      if (cleanX.length !== cleanY.length) {
+        throw new Error('Paired test requires equal length vectors');
+      }
+      // Paired t-test reduces to one-sample on differences
+      const diffs = cleanX.data.map((xi, i) => xi - cleanY.data[i]);
+      result = oneSampleT(new Vector(diffs), mu, alternative, conf_level);
+    } else {
+      result = twoSampleT(cleanX, cleanY, mu, alternative, var_equal, conf_level);
+    }
   }
   
-  // Two-sample t-test
-  const vy = y instanceof Vector ? y : new Vector(y);
-  const cleanY = vy.naOmit();
+  if (p_adjust !== null) {
+    const { method, n = null } = typeof p_adjust === 'string' ? { method: p_adjust } : p_adjust;
+    result.p_adj = adjustP(result.p_value, method, { n });
+    result.p_adjust_method = method;
+  }
   
-  if (paired) {
-    if (cleanX.length !== cleanY.length) {
-      throw new Error('Paired test requires equal length vectors');
+  return result;
+}
+
+/**
+ * Pairwise t-tests between groups with adjusted p-values, as R's pairwise.t.test()
+ * @param {Object} groups - Samples by group name, e.g. { a: [...], b: [...], c: [...] }
+ * @param {Object} options
+ * @param {string} options.p_adjust - p_adjust() method (default "holm")
+ * @param {boolean} options.pool_sd - use the standard deviation pooled over all groups
+ *   (default true unless paired)
+ * @param {boolean} options.paired - paired t-tests (default false)
+ * @param {string} options.alternative - "two.sided", "less", or "greater" (default "two.sided")
+ * @returns {Object} - { method, p_adjust_method, comparisons: [{ comparison, statistic, df, p_value, p_adj }] }
+ */
+export function pairwise_t_test(groups, {
+  p_adjust = 'holm',
+  pool_sd = null,
+  paired = false,
+  alternative = 'two.sided'
+} = {}) {
+  if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+    throw new Error('groups must be an object of samples by group name');
+  }
+  const pooled = pool_sd === null ? !paired : pool_sd;
+  if (pooled && paired) {
+    throw new Error('Pooling of SD is incompatible with paired tests');
+  }
+  
+  const names = Object.keys(groups);
+  if (names.length < 2) {
+    throw new Error('At least 2 groups are required');
+  }
+  const samples = names.map(name => {
+    const v = groups[name] instanceof Vector ? groups[name] : new Vector(groups[name]);
+    return paired ? v : v.naOmit();
+  });
+  
+  // Pooled standard deviation over all groups
+  let sd = null;
+  let df_pooled = null;
+  if (pooled) {
+    let ss = 0;
+    df_pooled = 0;
+    for (const v of samples) {
+      ss += (v.length - 1) * v.variance();
+      df_pooled += v.length - 1;
     }
-    // Paired t-test reduces to one-sample on differences
-    const diffs = cleanX.data.map((xi, i) => xi - cleanY.data[i]);
-    return oneSampleT(new Vector(diffs), mu, alternative, conf_level);
+    sd = Math.sqrt(ss / df_pooled);
   }
   
-  return twoSampleT(cleanX, cleanY, mu, alternative, var_equal, conf_level);
+  const comparisons = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      let statistic;
+      let df;
+      let p_value;
+      if (pooled) {
+        const se = sd * Math.sqrt(1 / samples[i].length + 1 / samples[j].length);
+        statistic = (samples[j].mean() - samples[i].mean()) / se;
+        df = df_pooled;
+        p_value = calculatePValue(statistic, df, alternative);
+      } else {
+        const test = t_test(samples[j], samples[i], { paired, alternative });
+        statistic = test.statistic.t;
+        df = test.parameter.df;
+        p_value = test.p_value;
+      }
+      comparisons.push({ comparison: `${names[j]}-${names[i]}`, statistic, df, p_value });
+    }
+  }
+  
+  const adjusted = adjustP(comparisons.map(c => c.p_value), p_adjust);
+  comparisons.forEach((c, k) => { c.p_adj = adjusted[k]; });
+  
+  return {
+    method: pooled ? 't tests with pooled SD' : paired ? 'paired t tests' : 't tests with non-pooled SD',
+    p_adjust_method: p_adjust,
+    comparisons
+  };
 }
 
 /**
@@ -8,6 +8,7 @@ import { createHistogram, createDensityPlot, createQQPlot, createDistributionPlo
 import { createScatterPlot, createResidualsPlot, createFittedPlot, createLeveragePlot } from './plots/regression.js';
 import { createBoxPlot, createViolinPlot, createBarPlot } from './plots/categorical.js';
 import { createHeatmap, createCorrelationMatrix } from './plots/matrix.js';
+import { createSurvivalPlot } from './plots/survival.js';
 import { createTheme, applyTheme } from './themes.js';
 import { PlotConfig } from './config.js';
 
@@ -34,6 +35,9 @@ export {
   createHeatmap,
   createCorrelationMatrix,
   
+  // Survival plots
+  createSurvivalPlot,
+  
   // Theming
   createTheme,
   applyTheme,
@@ -52,6 +56,9 @@ export function visualize(data, options = {}) {
   // Auto-detect data type and create appropriate visualization
   if (data.constructor.name === 'Vector') {
     return createHistogram(data, config);
+  } else if (data.strata && data.conf_type) {
+    // Survival curves from survfit()
+    return createSurvivalPlot(data, config);
   } else if (data.residuals && data.fitted_values) {
     // Linear model object
     return createResidualsPlot(data, config);
@@ -0,0 +1,104 @@
+/**
+ * @module vis/plots/survival
+ * @description Survival analysis plots
+ */
+
+const STRATA_COLORS = ['primary', 'secondary', 'tertiary', 'quaternary'];
+
+/**
+ * Create Kaplan-Meier survival curve plot
+ * @param {Object} fit - Survival curves from survfit()
+ * @param {PlotConfig} config - Plot configuration
+ * @param {Object} options - Additional options
+ * @param {boolean} options.showConfidence - Draw the pointwise confidence bands (default: true)
+ * @param {boolean} options.showCensored - Mark censored times with '+' (default: true)
+ * @returns {Object} Plotly figure specification
+ */
+export function createSurvivalPlot(fit, config, options = {}) {
+  const showConfidence = options.showConfidence !== false;
+  const showCensored = options.showCensored !== false;
+  const traces = [];
+  
+  fit.strata.forEach((stratum, i) => {
+    const color = config.colors[STRATA_COLORS[i % STRATA_COLORS.length]];
+    const name = fit.strata.length > 1 ? stratum.name : 'Survival';
+    
+    // Curves start at S(0) = 1 and step down after each event time
+    const x = [0, ...stratum.time];
+    
+    if (showConfidence) {
+      const lastBand = stratum.lower.findLastIndex(v => v !== null);
+      const bandX = x.slice(0, lastBand + 2);
+      traces.push({
+        x: bandX,
+        y: [1, ...stratum.upper.slice(0, lastBand + 1)],
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: 'transparent', shape: 'hv' },
+        showlegend: false,
+        hoverinfo: 'skip',
+        legendgroup: name
+      });
+      traces.push({
+        x: bandX,
+        y: [1, ...stratum.lower.slice(0, lastBand + 1)],
+        type: 'scatter',
+        mode: 'lines',
+        fill: 'tonexty',
+        fillcolor: withAlpha(color, 0.2),
+        line: { color: 'transparent', shape: 'hv' },
+        name: `${Math.round(fit.conf_int * 100)}% CI`,
+        showlegend: false,
+        hoverinfo: 'skip',
+        legendgroup: name
+      });
+    }
+    
+    traces.push({
+      x,
+      y: [1, ...stratum.surv],
+      type: 'scatter',
+      mode: 'lines',
+      name,
+      line: { color, width: config.lineWidth, shape: 'hv' },
+      legendgroup: name
+    });
+    
+    if (showCensored) {
+      const censored = stratum.time.map((_, k) => k).filter(k => stratum.n_censor[k] > 0);
+      traces.push({
+        x: censored.map(k => stratum.time[k]),
+        y: censored.map(k => stratum.surv[k]),
+        type: 'scatter',
+        mode: 'markers',
+        name: 'Censored',
+        marker: {
+          color,
+          size: config.markerSize + 2,
+          symbol: 'cross-thin-open',
+          line: { color, width: 1.5 }
+        },
+        showlegend: false,
+        legendgroup: name
+      });
+    }
+  });
+  
+  const layout = config.toPlotlyLayout(
+    options.title || 'Kaplan-Meier Survival Curve',
+    { title: options.xlab || 'Time' },
+    { title: options.ylab || 'Survival probability', range: [0, 1.05] }
+  );
+  
+  return { data: traces, layout };
+}
+
+/**
+ * Convert a '#RRGGBB' color to rgba with the given opacity
+ */
+function withAlpha(hex, alpha) {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
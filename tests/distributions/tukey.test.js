@@ -0,0 +1,56 @@
+// Golden-fixture tests for the studentized range distribution
+// Reference values from R 4.3.0
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ptukey, qtukey } from '../../src/distributions/tukey.js';
+import { pt, qt } from '../../src/distributions/t.js';
+
+const TOLERANCE = 1e-5;
+
+function assertClose(actual, expected, tol = TOLERANCE, message = '') {
+  assert.ok(
+    Math.abs(actual - expected) < tol,
+    `${message}Expected ${expected}, got ${actual} (diff: ${Math.abs(actual - expected)})`
+  );
+}
+
+test('qtukey - critical values', () => {
+  // Studentized range tables (Harter, 1960): q(0.95; 3, 10), q(0.95; 4, 20), q(0.95; 5, 30), q(0.99; 3, 10)
+  assertClose(qtukey(0.95, 3, 10), 3.877, 1e-3);
+  assertClose(qtukey(0.95, 4, 20), 3.958, 1e-3);
+  assertClose(qtukey(0.95, 5, 30), 4.102, 1e-3);
+  assertClose(qtukey(0.99, 3, 10), 5.270, 1e-3);
+  assertClose(qtukey(0.95, 3, Infinity), 3.314, 1e-3);
+});
+
+test('ptukey - two means reduce to the t distribution', () => {
+  // The range of two means over s is sqrt(2) |t|
+  for (const [q, df] of [[1, 5], [2.5, 10], [4, 30]]) {
+    const expected = 2 * pt(q / Math.SQRT2, df) - 1;
+    assertClose(ptukey(q, 2, df), expected, 1e-6, `q=${q}, df=${df}: `);
+  }
+  assertClose(qtukey(0.95, 2, 15), Math.SQRT2 * qt(0.975, 15), 1e-5);
+});
+
+test('ptukey - inverts qtukey', () => {
+  const q = qtukey(0.95, 4, 12);
+  assertClose(ptukey(q, 4, 12), 0.95, 1e-7);
+  assertClose(ptukey(q, 4, 12, { lower_tail: false }), 0.05, 1e-7);
+  assertClose(ptukey(q, 4, 12, { log_p: true }), Math.log(0.95), 1e-7);
+  assertClose(qtukey(0.05, 4, 12, { lower_tail: false }), q, 1e-6);
+});
+
+test('ptukey - vector input and edge cases', () => {
+  const result = ptukey([0, 3, Infinity], 3, 10);
+  assert.equal(result.length, 3);
+  assert.equal(result[0], 0);
+  assert.equal(result[2], 1);
+  assert.ok(result[1] > 0 && result[1] < 1);
+
+  assert.equal(qtukey(0, 3, 10), 0);
+  assert.equal(qtukey(1, 3, 10), Infinity);
+  assert.ok(Number.isNaN(qtukey(1.5, 3, 10)));
+
+  assert.throws(() => ptukey(1, 1, 10), /nmeans/);
+  assert.throws(() => qtukey(0.5, 3, 1), /df/);
+});
@@ -5,7 +5,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { Matrix, dot, norm, scale, add, subtract } from '../../src/math/matrix.js';
+import { Matrix, dot, norm, scale, add, subtract, inverse, cholesky } from '../../src/math/matrix.js';
 
 const TOL = 1e-10;
 
@@ -199,4 +199,40 @@ describe('Vector Operations', () => {
       assert.equal(c[2], 6);
     });
   });
+  
+  describe('inverse', () => {
+    it('inverts a square matrix', () => {
+      const A = new Matrix(3, 3, [4, 7, 2, 3, 6, 1, 2, 5, 3]);
+      const I = A.multiply(inverse(A));
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          assert.ok(Math.abs(I.get(i, j) - (i === j ? 1 : 0)) < TOL);
+        }
+      }
+    });
+    
+    it('throws for singular matrices', () => {
+      const A = new Matrix(2, 2, [1, 2, 2, 4]);
+      assert.throws(() => inverse(A), /singular/);
+    });
+  });
+  
+  describe('cholesky', () => {
+    it('factors a positive definite matrix as L L\'', () => {
+      const A = new Matrix(3, 3, [4, 2, 0.4, 2, 5, 1, 0.4, 1, 3]);
+      const L = cholesky(A);
+      const LLt = L.multiply(L.transpose());
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          assert.ok(Math.abs(LLt.get(i, j) - A.get(i, j)) < TOL);
+          if (j > i) assert.equal(L.get(i, j), 0);
+        }
+      }
+    });
+    
+    it('throws for matrices that are not positive definite', () => {
+      const A = new Matrix(2, 2, [1, 2, 2, 1]);
+      assert.throws(() => cholesky(A), /not positive definite/);
+    });
+  });
 });
@@ -0,0 +1,28 @@
+/**
+ * Tests for numerical optimization
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nelderMead } from '../../src/math/optimize.js';
+
+describe('nelderMead', () => {
+  it('minimizes a quadratic', () => {
+    const result = nelderMead(([a, b]) => (a - 3) * (a - 3) + 2 * (b + 1) * (b + 1), [0, 0]);
+    assert.ok(result.converged);
+    assert.ok(Math.abs(result.x[0] - 3) < 1e-4);
+    assert.ok(Math.abs(result.x[1] + 1) < 1e-4);
+  });
+
+  it('minimizes the Rosenbrock function', () => {
+    const rosenbrock = ([a, b]) => 100 * (b - a * a) * (b - a * a) + (1 - a) * (1 - a);
+    const result = nelderMead(rosenbrock, [-1.2, 1], { maxit: 5000, tol: 1e-14 });
+    assert.ok(Math.abs(result.x[0] - 1) < 1e-3);
+    assert.ok(Math.abs(result.x[1] - 1) < 1e-3);
+  });
+
+  it('treats NaN values as infinitely bad', () => {
+    const result = nelderMead(([a]) => (a < 0 ? NaN : (a - 2) * (a - 2)), [1]);
+    assert.ok(Math.abs(result.x[0] - 2) < 1e-4);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for seedable random numbers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, shuffle } from '../../src/math/random.js';
+
+describe('Random numbers', () => {
+  it('createRng() is reproducible for a seed', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng(43);
+    const seqA = Array.from({ length: 5 }, a);
+    assert.deepEqual(seqA, Array.from({ length: 5 }, b));
+    assert.notDeepEqual(seqA, Array.from({ length: 5 }, c));
+  });
+
+  it('createRng() draws from [0, 1)', () => {
+    const rng = createRng(1);
+    let sum = 0;
+    for (let i = 0; i < 10000; i++) {
+      const u = rng();
+      assert.ok(u >= 0 && u < 1);
+      sum += u;
+    }
+    assert.ok(Math.abs(sum / 10000 - 0.5) < 0.02);
+  });
+
+  it('shuffle() permutes the array in place', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const result = shuffle(values, createRng(3));
+    assert.equal(result, values);
+    assert.deepEqual([...values].sort((x, y) => x - y), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  it('rejects non-finite seeds', () => {
+    assert.throws(() => createRng(NaN), /seed must be a finite number/);
+  });
+});
@@ -6,7 +6,10 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { lm } from '../../src/models/lm.js';
+import { glm, binomial, quasipoisson } from '../../src/models/glm.js';
 import { anova, printAnova } from '../../src/models/anova.js';
+import { pchisq } from '../../src/distributions/chisq.js';
+import { pf } from '../../src/distributions/f.js';
 
 const TOL = 1e-6;
 const FTOL = 1e-2; // Slightly looser tolerance for F-statistics
@@ -140,6 +143,22 @@ describe('anova() - Analysis of Variance', () => {
       // This should either throw or handle gracefully
       // For now, we'll just ensure it doesn't crash unexpectedly
     });
+    
+    it('decomposes the weighted sum of squares for weighted fits', () => {
+      // Integer weights give the same table as replicated observations,
+      // apart from the residual degrees of freedom
+      const x1 = [1, 2, 3, 4, 5, 6, 7];
+      const x2 = [2, 1, 4, 3, 6, 5, 8];
+      const y = [3.1, 3.9, 7.2, 7.1, 11.3, 10.8, 15.2];
+      const weights = [1, 2, 1, 1, 3, 1, 1];
+      const table = anova(lm(y, [x1, x2], { weights })).table;
+      
+      const rep = (v) => v.flatMap((vi, i) => Array(weights[i]).fill(vi));
+      const repTable = anova(lm(rep(y), [rep(x1), rep(x2)])).table;
+      
+      assertArrayClose(table.map(r => r.sum_sq), repTable.map(r => r.sum_sq), 1e-10, 'sum_sq');
+      assert.deepEqual(table.map(r => r.df), [1, 1, 4]);
+    });
   });
   
   describe('Model Comparison with ANOVA', () => {
@@ -341,4 +360,160 @@ describe('anova() - Analysis of Variance', () => {
       );
     });
   });
+  
+  describe('Type II and Type III Sums of Squares', () => {
+    // Unbalanced two-way layout
+    const unbalanced = {
+      a: ['a1', 'a1', 'a1', 'a1', 'a1', 'a2', 'a2', 'a2', 'a2', 'a3', 'a3', 'a3', 'a3', 'a3', 'a3', 'a1', 'a2', 'a3'],
+      b: ['b1', 'b2', 'b1', 'b2', 'b1', 'b1', 'b2', 'b2', 'b2', 'b1', 'b1', 'b2', 'b1', 'b2', 'b1', 'b2', 'b1', 'b1'],
+      y: [5.1, 6.3, 4.8, 6.9, 5.5, 7.2, 8.8, 9.1, 8.4, 6.0, 6.4, 9.9, 5.7, 10.2, 6.1, 6.6, 7.5, 6.3]
+    };
+    const sumOf = (aov, term) => aov.table.find(row => row.term === term).sum_sq;
+    
+    it('Type II adjusts each main effect for the other, whatever the term order', () => {
+      const fit = lm('y ~ a * b', { data: unbalanced });
+      const typeII = anova(fit, { type: 'II' });
+      const aLast = anova(lm('y ~ b + a', { data: unbalanced }));
+      const bLast = anova(lm('y ~ a + b', { data: unbalanced }));
+      
+      assert.equal(typeII.type, 'II');
+      assertClose(sumOf(typeII, 'a'), sumOf(aLast, 'a'), TOL, 'SS(a | b)');
+      assertClose(sumOf(typeII, 'b'), sumOf(bLast, 'b'), TOL, 'SS(b | a)');
+      assert.ok(Math.abs(sumOf(typeII, 'a') - sumOf(anova(fit), 'a')) > TOL, 'Type I SS(a) is unadjusted');
+      
+      // The highest-order term is the same under every type
+      const typeI = anova(fit);
+      const typeIII = anova(fit, { type: 'III' });
+      assertClose(sumOf(typeII, 'a:b'), sumOf(typeI, 'a:b'), TOL, 'II a:b');
+      assertClose(sumOf(typeIII, 'a:b'), sumOf(typeI, 'a:b'), TOL, 'III a:b');
+      assertClose(typeII.residual_ss, fit.rss, TOL, 'RSS');
+    });
+    
+    it('Type III tests every term, including the intercept, against the full model', () => {
+      const fit = lm('y ~ a * b', { data: unbalanced, contrasts: { a: 'sum', b: 'sum' } });
+      const aov = anova(fit, { type: 'III' });
+      assert.deepEqual(aov.table.map(row => row.term), ['(Intercept)', 'a', 'b', 'a:b', 'Residuals']);
+      
+      // With sum contrasts, SS(b) is the RSS increase from dropping the b column
+      const code = (values, level, last) => values.map(v => (v === level ? 1 : v === last ? -1 : 0));
+      const a1 = code(unbalanced.a, 'a1', 'a3');
+      const a2 = code(unbalanced.a, 'a2', 'a3');
+      const b1 = code(unbalanced.b, 'b1', 'b2');
+      const reduced = lm(unbalanced.y, [a1, a2, a1.map((v, i) => v * b1[i]), a2.map((v, i) => v * b1[i])]);
+      assertClose(sumOf(aov, 'b'), reduced.rss - fit.rss, TOL, 'SS(b)');
+      const bIndex = fit.coef_names.indexOf('b1');
+      
+      // The 1-df F-tests equal the squared t-statistics of the fit
+      assertClose(aov.table[2].f_value, fit.t_values[bIndex] ** 2, TOL, 'F = t^2');
+      assertClose(aov.table[0].f_value, fit.t_values[0] ** 2, TOL, 'intercept F = t^2');
+    });
+    
+    it('agrees with Type I for a balanced design with sum contrasts', () => {
+      const balanced = {
+        a: ['a1', 'a1', 'a1', 'a1', 'a2', 'a2', 'a2', 'a2', 'a3', 'a3', 'a3', 'a3'],
+        b: ['b1', 'b1', 'b2', 'b2', 'b1', 'b1', 'b2', 'b2', 'b1', 'b1', 'b2', 'b2'],
+        y: [4.2, 4.8, 6.1, 5.7, 5.0, 5.6, 7.9, 8.3, 6.2, 5.8, 9.4, 10.0]
+      };
+      const fit = lm('y ~ a * b', { data: balanced, contrasts: { a: 'sum', b: 'sum' } });
+      const typeI = anova(fit).table.map(row => row.sum_sq);
+      assertArrayClose(anova(fit, { type: 'II' }).table.map(row => row.sum_sq), typeI, TOL, 'II');
+      assertArrayClose(anova(fit, { type: 'III' }).table.slice(1).map(row => row.sum_sq), typeI, TOL, 'III');
+    });
+    
+    it('labels the printed table and rejects unknown types', () => {
+      const fit = lm('y ~ a + b', { data: unbalanced });
+      assert.ok(printAnova(anova(fit, { type: 'II' })).includes('Anova Table (Type II tests)'));
+      assert.ok(printAnova(anova(fit)).includes('Analysis of Variance Table'));
+      assert.throws(() => anova(fit, { type: 'IV' }), /Unknown sums of squares type/);
+    });
+  });
+});
+
+describe('anova() - Analysis of Deviance', () => {
+  const x = [1.2, 2.3, 0.7, 3.1, 2.8, 1.9, 4.0, 0.5, 3.6, 2.2, 1.4, 2.9, 3.3, 0.9, 4.4, 1.7, 2.6, 3.9, 0.3, 2.0];
+  const g = ['a', 'b', 'b', 'b', 'a', 'a', 'b', 'a', 'b', 'b', 'a', 'a', 'b', 'a', 'b', 'a', 'a', 'b', 'a', 'a'];
+  const am = [0, 1, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1, 0, 1, 0, 0, 1, 1, 0];
+  const count = [2, 5, 1, 9, 6, 3, 12, 1, 8, 4, 2, 7, 10, 1, 15, 3, 4, 11, 0, 6];
+  const data = { x, g, am, count };
+  const family = binomial();
+  
+  it('builds a sequential table from the null deviance to the model deviance', () => {
+    const fit = glm('am ~ x + g', { data, family });
+    const aov = anova(fit);
+    
+    assert.equal(aov.test, 'Chisq', 'binomial defaults to the chi-square test');
+    assert.deepEqual(aov.table.map(row => row.term), ['NULL', 'x', 'g']);
+    assertClose(aov.table[0].resid_dev, fit.null_deviance, TOL, 'null deviance');
+    assertClose(aov.table[2].resid_dev, fit.deviance, TOL, 'residual deviance');
+    
+    // Each row is the likelihood ratio test against the fit without the term
+    const xOnly = glm('am ~ x', { data, family });
+    assertClose(aov.table[1].resid_dev, xOnly.deviance, TOL, 'x deviance');
+    assertClose(aov.table[2].deviance, xOnly.deviance - fit.deviance, TOL, 'g deviance');
+    assert.equal(aov.table[2].df, 1);
+    assertClose(aov.table[2].p_value, pchisq(aov.table[2].deviance, 1, { lower_tail: false }), TOL, 'p-value');
+  });
+  
+  it('compares nested models with likelihood ratio tests', () => {
+    const small = glm('am ~ x', { data, family });
+    const big = glm('am ~ x + g', { data, family });
+    const comparison = anova(small, big, { test: 'LRT' });
+    const sequential = anova(big, { test: 'Chisq' });
+    
+    assert.equal(comparison.comparison, 'sequential');
+    assert.equal(comparison.table[1].res_df, big.df.residual);
+    assertClose(comparison.table[1].deviance, sequential.table[2].deviance, TOL, 'deviance');
+    assertClose(comparison.table[1].p_value, sequential.table[2].p_value, TOL, 'p-value');
+    
+    assert.equal(anova(small, big, { test: false }).table[1].p_value, null);
+    assert.throws(() => anova(big, small), /nested/);
+  });
+  
+  it('computes Rao score tests', () => {
+    const fit = glm('am ~ x + g', { data, family });
+    const aov = anova(fit, { test: 'Rao' });
+    
+    // Against the intercept-only logistic model the score test is n * r^2
+    const n = x.length;
+    const mx = x.reduce((a, b) => a + b, 0) / n;
+    const my = am.reduce((a, b) => a + b, 0) / n;
+    const sxy = x.reduce((acc, xi, i) => acc + (xi - mx) * (am[i] - my), 0);
+    const sxx = x.reduce((acc, xi) => acc + (xi - mx) ** 2, 0);
+    const syy = am.reduce((acc, yi) => acc + (yi - my) ** 2, 0);
+    assertClose(aov.table[1].rao, n * sxy * sxy / (sxx * syy), 1e-6, 'Rao');
+    assertClose(aov.table[1].p_value, pchisq(aov.table[1].rao, 1, { lower_tail: false }), TOL, 'p-value');
+    
+    const comparison = anova(glm('am ~ x', { data, family }), fit, { test: 'Rao' });
+    assertClose(comparison.table[1].rao, aov.table[2].rao, 1e-6, 'comparison Rao');
+  });
+  
+  it('uses F tests with the estimated dispersion', () => {
+    const fit = glm('count ~ x + g', { data, family: quasipoisson() });
+    const aov = anova(fit);
+    assert.equal(aov.test, 'F', 'estimated dispersion defaults to the F test');
+    
+    const row = aov.table[1];
+    assertClose(row.f_value, row.deviance / row.df / fit.dispersion, TOL, 'F');
+    assertClose(row.p_value, pf(row.f_value, 1, fit.df.residual, { lower_tail: false }), TOL, 'p-value');
+    
+    // A gaussian glm reproduces the lm ANOVA table
+    const y = x.map((v, i) => 2 + v + (i % 3) - 1);
+    const glmTable = anova(glm('y ~ g + x', { data: { ...data, y } })).table;
+    const lmTable = anova(lm('y ~ g + x', { data: { ...data, y } })).table;
+    assertArrayClose(glmTable.slice(1).map(r => r.f_value), lmTable.slice(0, 2).map(r => r.f_value), TOL, 'F');
+  });
+  
+  it('prints analysis of deviance tables and validates options', () => {
+    const small = glm('am ~ x', { data, family });
+    const big = glm('am ~ x + g', { data, family });
+    const output = printAnova(anova(big, { test: 'Rao' }));
+    assert.ok(output.includes('Analysis of Deviance Table'));
+    assert.ok(output.includes('Model: binomial, link: logit'));
+    assert.ok(output.includes('Rao'));
+    assert.ok(printAnova(anova(small, big)).includes('Resid. Dev'));
+    
+    assert.throws(() => anova(big, { test: 'Wald' }), /Unknown test/);
+    assert.throws(() => anova(big, { type: 'II' }), /only available for lm\(\) fits/);
+    assert.throws(() => anova(lm('am ~ x', { data }), big), /not a valid fitted model from glm\(\)/);
+  });
 });
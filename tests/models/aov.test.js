@@ -0,0 +1,151 @@
+/**
+ * Tests for aov() - Analysis of variance for designed experiments
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aov, printAov } from '../../src/models/aov.js';
+import { lm } from '../../src/models/lm.js';
+import { anova } from '../../src/models/anova.js';
+import Factor from '../../src/core/Factor.js';
+import DataFrame from '../../src/data/DataFrame.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: datasets::npk
+const npk = {
+  block: ['1', '1', '1', '1', '2', '2', '2', '2', '3', '3', '3', '3', '4', '4', '4', '4', '5', '5', '5', '5', '6', '6', '6', '6'],
+  N: [0, 1, 0, 1, 1, 1, 0, 0, 0, 1, 1, 0, 1, 1, 0, 0, 1, 0, 1, 0, 1, 1, 0, 0].map(String),
+  P: [1, 1, 0, 0, 0, 1, 0, 1, 1, 1, 0, 0, 0, 1, 0, 1, 1, 0, 0, 1, 0, 1, 1, 0].map(String),
+  K: [1, 0, 0, 1, 0, 1, 1, 0, 0, 1, 0, 1, 0, 1, 1, 0, 0, 0, 1, 1, 1, 0, 1, 0].map(String),
+  yield: [49.5, 62.8, 46.8, 57.0, 59.8, 58.5, 55.5, 56.0, 62.8, 55.8, 69.5, 55.0,
+    62.0, 48.8, 45.5, 44.2, 52.0, 51.5, 49.8, 48.8, 57.2, 59.0, 53.2, 56.0]
+};
+
+// Five subjects measured at three times
+const subject = [1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4, 5, 5, 5];
+const time = ['t1', 't2', 't3', 't1', 't2', 't3', 't1', 't2', 't3', 't1', 't2', 't3', 't1', 't2', 't3'];
+const score = [10, 12, 15, 8, 11, 13, 9, 9, 14, 12, 15, 16, 7, 10, 12];
+
+describe('aov() - Analysis of variance', () => {
+  it('should match R for a randomized block factorial design', () => {
+    const fit = aov('yield ~ block + N * P * K', { data: npk });
+
+    // R: summary(aov(yield ~ block + N * P * K, npk)); N:P:K is confounded with blocks
+    assert.deepEqual(fit.table.map(row => row.term), ['block', 'N', 'P', 'K', 'N:P', 'N:K', 'P:K', 'Residuals']);
+    assert.deepEqual(fit.table.map(row => row.df), [5, 1, 1, 1, 1, 1, 1, 12]);
+    assertArrayClose(fit.table.map(row => row.sum_sq), [343.295, 189.28167, 8.40167, 95.20167, 21.28167, 33.135, 0.48167, 185.28667], 1e-4, 'SS');
+    assertArrayClose(fit.table.slice(0, 4).map(row => row.f_value), [4.447, 12.259, 0.544, 6.166], 1e-3, 'F');
+    assertArrayClose(fit.table.slice(0, 4).map(row => row.p_value), [0.01594, 0.00437, 0.47490, 0.02880], 1e-5, 'p');
+    assert.equal(fit.df_residual, 12);
+    assert.ok(Math.abs(fit.total_ss - fit.table.reduce((acc, row) => acc + row.sum_sq, 0)) < 1e-8);
+  });
+
+  it('should test treatments in their error strata', () => {
+    const fit = aov('yield ~ N * P * K + Error(block)', { data: npk });
+
+    // R: summary(aov(yield ~ N * P * K + Error(block), npk))
+    assert.equal(fit.table, null);
+    assert.deepEqual(fit.strata.map(s => s.name), ['block', 'Within']);
+    const [between, within] = fit.strata;
+    assert.deepEqual(between.table.map(row => row.term), ['N:P:K', 'Residuals']);
+    assertArrayClose(between.table.map(row => row.sum_sq), [37.00167, 306.29333], 1e-4, 'block SS');
+    assertArrayClose([between.table[0].f_value, between.table[0].p_value], [0.4832, 0.5252], 1e-4, 'N:P:K');
+    assert.equal(within.df, 18);
+    assertArrayClose(within.table.map(row => row.f_value).slice(0, 3), [12.259, 0.544, 6.166], 1e-3, 'within F');
+    assert.equal(within.table[within.table.length - 1].df, 12);
+  });
+
+  it('should split a one-way design into between and within groups with effect sizes', () => {
+    const fit = aov(npk.yield, npk.N);
+    const [between, within] = fit.table;
+    const reference = lm('yield ~ N', { data: npk });
+
+    assert.equal(between.term, 'group');
+    assert.ok(Math.abs(between.sum_sq + within.sum_sq - fit.total_ss) < 1e-8);
+    assert.ok(Math.abs(between.f_value - anova(reference).table[0].f_value) < 1e-8);
+    assert.ok(Math.abs(between.eta_sq - reference.r_squared) < 1e-10, 'eta² is R² for one factor');
+    assert.ok(Math.abs(between.partial_eta_sq - between.eta_sq) < 1e-12);
+    const omega = (between.sum_sq - between.df * within.mean_sq) / (fit.total_ss + within.mean_sq);
+    assert.ok(Math.abs(between.omega_sq - omega) < 1e-12);
+    assertArrayClose(fit.residuals, reference.residuals, 1e-10, 'residuals');
+  });
+
+  it('should cross the factors of the factor interface', () => {
+    const coded = { ...npk, N: npk.N.map(Number), P: npk.P.map(Number) };
+    const fit = aov('yield', ['N', 'P'], { data: new DataFrame(coded) });
+    const formula = aov('yield ~ N * P', { data: npk });
+    assert.deepEqual(fit.table.map(row => row.term), ['N', 'P', 'N:P', 'Residuals']);
+    assertArrayClose(fit.table.map(row => row.sum_sq), formula.table.map(row => row.sum_sq), 1e-10, 'SS');
+
+    // Factors can also be given directly
+    const direct = aov(npk.yield, { N: new Factor(npk.N), P: npk.P });
+    assertArrayClose(direct.table.map(row => row.f_value ?? 0), fit.table.map(row => row.f_value ?? 0), 1e-10, 'F');
+  });
+
+  it('should analyse repeated measures with Error(subject/time)', () => {
+    const data = new DataFrame({ subject, time, score });
+    const fit = aov('score ~ time + Error(subject/time)', { data });
+    assert.deepEqual(fit.strata.map(s => [s.name, s.df]), [['subject', 4], ['subject:time', 10]]);
+
+    // Classic repeated measures decomposition from subject and time means
+    const mean = score.reduce((a, b) => a + b, 0) / 15;
+    const meanOf = (key, value) => {
+      const values = score.filter((_, i) => key[i] === value);
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    };
+    const ssSubject = [1, 2, 3, 4, 5].reduce((acc, s) => acc + 3 * (meanOf(subject, s) - mean) ** 2, 0);
+    const ssTime = ['t1', 't2', 't3'].reduce((acc, t) => acc + 5 * (meanOf(time, t) - mean) ** 2, 0);
+    const ssError = fit.total_ss - ssSubject - ssTime;
+
+    const [between, within] = fit.strata;
+    assertArrayClose([between.table[0].sum_sq], [ssSubject], 1e-10, 'SS subject');
+    assert.equal(within.table[0].term, 'time');
+    assertArrayClose([within.table[0].f_value], [(ssTime / 2) / (ssError / 8)], 1e-10, 'F time');
+    assertArrayClose([within.table[0].partial_eta_sq], [ssTime / (ssTime + ssError)], 1e-10, 'partial eta²');
+
+    // The factor interface gives the same test with a residual Within stratum
+    const byName = aov('score', 'time', { data, error: 'subject' });
+    assert.deepEqual(byName.strata.map(s => s.name), ['subject', 'Within']);
+    assertArrayClose([byName.strata[1].table[0].f_value], [within.table[0].f_value], 1e-10, 'F');
+  });
+
+  it('should drop incomplete observations', () => {
+    const incomplete = [...score];
+    incomplete[4] = null;
+    const fit = aov('score ~ time + Error(subject)', { data: { subject, time, score: incomplete } });
+    assert.equal(fit.n, 14);
+    // The unbalanced subject is no longer orthogonal to time, which then appears in both strata
+    assert.deepEqual(fit.strata[0].table.map(row => row.term), ['time', 'Residuals']);
+    assert.equal(fit.strata[1].table[0].df, 2);
+  });
+
+  it('should print the tables in the layout of summary.aov()', () => {
+    const text = printAov(aov('yield ~ N * P * K + Error(block)', { data: npk }));
+    assert.ok(text.includes('Error: block'));
+    assert.ok(text.includes('Error: Within'));
+    assert.ok(text.includes('omega²'));
+    const plain = printAov(aov('yield ~ N', { data: npk }), { effect_sizes: false });
+    assert.ok(plain.includes('Total'));
+    assert.ok(!plain.includes('eta²'));
+  });
+
+  it('should validate inputs', () => {
+    assert.throws(() => aov('yield ~ N'), /A data argument is required/);
+    assert.throws(() => aov('N ~ P', { data: npk }), /numeric response is required/);
+    assert.throws(() => aov('yield', [], { data: npk }), /factors must be a column name/);
+    assert.throws(() => aov([1, 2, 3], ['N'], { data: npk }), /With data, the response must be a column name/);
+    assert.throws(() => aov('yield ~ N + Error(block', { data: npk }), /Unbalanced parentheses/);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests for multinom() and polr() - Categorical response regression
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Factor from '../../src/core/Factor.js';
+import { multinom, polr, predictCategorical } from '../../src/models/categorical.js';
+import { glm, binomial } from '../../src/models/glm.js';
+import { summarizeModel, printModelSummary } from '../../src/models/summary.js';
+import { logLik } from '../../src/models/generics.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: MASS::housing (Sat varies fastest, then Infl, Type and Cont)
+const SAT = ['Low', 'Medium', 'High'];
+const INFL = ['Low', 'Medium', 'High'];
+const TYPE = ['Tower', 'Apartment', 'Atrium', 'Terrace'];
+const CONT = ['Low', 'High'];
+const FREQ = [
+  21, 21, 28, 34, 22, 36, 10, 11, 36, 61, 23, 17, 43, 35, 40, 26, 18, 54,
+  13, 9, 10, 8, 8, 12, 6, 7, 9, 18, 6, 7, 15, 13, 13, 7, 5, 11,
+  14, 19, 37, 17, 23, 40, 3, 5, 23, 78, 46, 43, 48, 45, 86, 15, 25, 62,
+  20, 23, 20, 10, 22, 24, 7, 10, 21, 57, 23, 13, 31, 21, 13, 5, 6, 13
+];
+
+function housingData() {
+  const columns = { Sat: [], Infl: [], Type: [], Cont: [] };
+  for (const cont of CONT) {
+    for (const type of TYPE) {
+      for (const infl of INFL) {
+        for (const sat of SAT) {
+          columns.Sat.push(sat);
+          columns.Infl.push(infl);
+          columns.Type.push(type);
+          columns.Cont.push(cont);
+        }
+      }
+    }
+  }
+  return {
+    Sat: new Factor(columns.Sat, { levels: SAT, ordered: true }),
+    Infl: new Factor(columns.Infl, { levels: INFL }),
+    Type: new Factor(columns.Type, { levels: TYPE }),
+    Cont: new Factor(columns.Cont, { levels: CONT })
+  };
+}
+
+describe('polr() - Proportional odds regression', () => {
+  it('should match MASS::polr on the housing data', () => {
+    const fit = polr('Sat ~ Infl + Type + Cont', { data: housingData(), weights: FREQ });
+
+    // R: polr(Sat ~ Infl + Type + Cont, weights = Freq, data = housing)
+    assert.deepEqual(fit.coef_names, ['InflMedium', 'InflHigh', 'TypeApartment', 'TypeAtrium', 'TypeTerrace', 'ContHigh']);
+    assertArrayClose(fit.coefficients, [0.5664, 1.2888, -0.5724, -0.3662, -1.0910, 0.3603], 1e-4, 'coef');
+    assertArrayClose(fit.std_errors, [0.1047, 0.1272, 0.1192, 0.1552, 0.1515, 0.0955], 1e-3, 'se');
+    assert.deepEqual(fit.zeta_names, ['Low|Medium', 'Medium|High']);
+    assertArrayClose(fit.zeta, [-0.4961, 0.6907], 1e-4, 'zeta');
+    assertArrayClose(fit.zeta_std_errors, [0.1248, 0.1255], 1e-3, 'zeta se');
+    assert.ok(Math.abs(fit.deviance - 3479.149) < 1e-2);
+    assert.ok(Math.abs(fit.aic - 3495.149) < 1e-2);
+    assert.ok(fit.converged);
+  });
+
+  it('should fit numeric responses through the array interface', () => {
+    const x = [0.2, 0.5, 0.9, 1.3, 1.8, 2.1, 2.6, 3.0, 3.4, 3.9, 4.1, 4.8];
+    const y = [1, 1, 2, 1, 1, 3, 2, 2, 3, 2, 3, 3];
+    const fit = polr(y, [x]);
+
+    // Fitted probabilities are a distribution over the ordered levels
+    for (const probs of fit.fitted_values) {
+      assert.ok(Math.abs(probs.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+    }
+    assert.deepEqual(fit.levels, ['1', '2', '3']);
+    assert.ok(fit.zeta[0] < fit.zeta[1]);
+
+    // The common slope agrees in sign with a logistic fit of any split of the levels
+    const binary = glm(y.map(v => (v > 1 ? 1 : 0)), [x], { family: binomial() });
+    assert.ok(Math.sign(binary.coefficients[1]) === Math.sign(fit.coefficients[0]));
+  });
+
+  it('should code factor predictors as with an intercept in the array interface', () => {
+    const x = [0.2, 0.5, 0.9, 1.3, 1.8, 2.1, 2.6, 3.0, 3.4, 3.9, 4.1, 4.8];
+    const g = ['a', 'b', 'a', 'b', 'a', 'b', 'a', 'b', 'b', 'a', 'b', 'a'];
+    const y = [1, 1, 2, 1, 1, 3, 2, 2, 3, 2, 3, 3];
+    const fit = polr(y, [x, g]);
+    const formulaFit = polr('y ~ x + g', { data: { y: y.map(String), x, g } });
+
+    assert.deepEqual(fit.coef_names, ['x1', 'x2b']);
+    assertArrayClose(fit.coefficients, formulaFit.coefficients, 1e-8, 'coef');
+    assertArrayClose(fit.zeta, formulaFit.zeta, 1e-8, 'zeta');
+    assertArrayClose(predictCategorical(fit, [[x[4]], [g[4]]])[0], fit.fitted_values[4], 1e-12, 'predict');
+  });
+
+  it('should fit probit links and predict probabilities and classes', () => {
+    const data = housingData();
+    const fit = polr('Sat ~ Infl + Type + Cont', { data, weights: FREQ, method: 'probit' });
+    assert.equal(fit.method, 'probit');
+    // Probit coefficients are roughly the logit ones scaled by 1/1.6-1.8
+    assert.ok(fit.coefficients[1] > 0.6 && fit.coefficients[1] < 0.9);
+    assert.ok(fit.deviance > 3479 && fit.deviance < 3481);
+
+    const newdata = {
+      Infl: new Factor(['High', 'Low'], { levels: INFL }),
+      Type: new Factor(['Tower', 'Terrace'], { levels: TYPE }),
+      Cont: new Factor(['High', 'Low'], { levels: CONT })
+    };
+    const probs = predictCategorical(fit, newdata);
+    assert.equal(probs.length, 2);
+    assertArrayClose(probs.map(p => p.reduce((a, b) => a + b, 0)), [1, 1], 1e-12, 'sum');
+    assert.deepEqual(predictCategorical(fit, newdata, { type: 'class' }), ['High', 'Low']);
+
+    // Predictions for the training rows reproduce the fitted probabilities
+    assertArrayClose(predictCategorical(fit, data)[5], fit.fitted_values[5], 1e-12, 'fitted');
+  });
+
+  it('should summarize with coefficient and intercept tables', () => {
+    const fit = polr('Sat ~ Infl + Type + Cont', { data: housingData(), weights: FREQ });
+    const summary = summarizeModel(fit);
+    assert.equal(summary.call, 'polr');
+    assert.equal(summary.intercepts[1].term, 'Medium|High');
+    assert.ok(Math.abs(summary.coefficients[1].t_value - 10.13) < 0.01);
+    const text = printModelSummary(summary);
+    assert.ok(text.includes('Intercepts:'));
+    assert.ok(text.includes('Residual Deviance: 3479.149'));
+    assert.equal(logLik(fit).df, 8);
+  });
+
+  it('should validate inputs', () => {
+    assert.throws(() => polr([1, 2, 1, 2], [[1, 2, 3, 4]]), /3 or more levels/);
+    assert.throws(() => polr([1, 2, 3, 1], [[1, 2, 3, 4]], { method: 'cloglog' }), /Unknown method/);
+  });
+});
+
+describe('multinom() - Multinomial logistic regression', () => {
+  it('should match nnet::multinom on the housing data', () => {
+    const fit = multinom('Sat ~ Infl + Type + Cont', { data: housingData(), weights: FREQ });
+
+    // R: multinom(Sat ~ Infl + Type + Cont, weights = Freq, data = housing)
+    assert.deepEqual(fit.levels, SAT);
+    assertArrayClose(fit.coefficients[0], [-0.4192, 0.4464, 0.6649, -0.4357, 0.1314, -0.6666, 0.3609], 1e-3, 'Medium');
+    assertArrayClose(fit.coefficients[1], [-0.1387, 0.7349, 1.6126, -0.7356, -0.4080, -1.4123, 0.4818], 1e-3, 'High');
+    assert.ok(Math.abs(fit.deviance - 3470.10) < 0.05);
+    assert.ok(Math.abs(fit.aic - 3498.10) < 0.05);
+    assert.equal(fit.edf, 14);
+  });
+
+  it('should reduce to binomial glm with two levels', () => {
+    const x = [1.2, 2.3, 0.7, 3.1, 2.8, 1.9, 4.0, 0.5, 3.6, 2.2, 1.4, 2.9];
+    const y = ['no', 'no', 'no', 'yes', 'yes', 'no', 'yes', 'no', 'yes', 'yes', 'yes', 'no'];
+    const fit = multinom(y, [x]);
+    const ref = glm(y.map(v => (v === 'yes' ? 1 : 0)), [x], { family: binomial() });
+
+    assertArrayClose(fit.coefficients[0], ref.coefficients, 1e-6, 'coef');
+    assertArrayClose(fit.std_errors[0], ref.std_errors, 1e-5, 'se');
+    assert.ok(Math.abs(fit.deviance - ref.deviance) < 1e-8);
+  });
+
+  it('should give class probabilities that sum to one and match the observed margins', () => {
+    const x = [0.1, 0.4, 0.5, 0.9, 1.1, 1.5, 1.7, 2.0, 2.4, 2.6, 3.0, 3.3, 3.5, 3.9, 4.2];
+    const g = ['a', 'b', 'a', 'c', 'a', 'b', 'c', 'b', 'a', 'c', 'b', 'c', 'c', 'b', 'c'];
+    const fit = multinom(g, [x]);
+
+    // With an intercept the fitted probabilities reproduce the class frequencies
+    const totals = [0, 0, 0];
+    for (const probs of fit.fitted_values) {
+      assert.ok(Math.abs(probs.reduce((a, b) => a + b, 0) - 1) < 1e-12);
+      probs.forEach((p, k) => { totals[k] += p; });
+    }
+    assertArrayClose(totals, [4, 5, 6], 1e-6, 'margins');
+
+    const classes = predictCategorical(fit, [[0, 5]], { type: 'class' });
+    assert.equal(classes.length, 2);
+    assert.equal(classes[1], 'c');
+  });
+
+  it('should handle missing values with na_action', () => {
+    const x = [1.2, 2.3, null, 3.1, 2.8, 1.9, 4.0, 0.5, 3.6, 2.2, 1.4, 2.9, 3.3];
+    const y = ['a', 'b', 'c', 'a', 'b', 'c', 'c', 'a', 'b', 'b', 'a', 'c', null];
+    const fit = multinom(y, [x], { na_action: 'na.exclude' });
+    assert.equal(fit.n, 11);
+    assert.deepEqual(fit.na_action.omitted, [2, 12]);
+    assert.equal(fit.fitted_values.length, 13);
+    assert.equal(fit.fitted_values[2], null);
+  });
+
+  it('should summarize one coefficient table per non-baseline level', () => {
+    const fit = multinom('Sat ~ Infl + Type + Cont', { data: housingData(), weights: FREQ });
+    const summary = summarizeModel(fit);
+    assert.equal(summary.call, 'multinom');
+    assert.equal(summary.baseline, 'Low');
+    assert.deepEqual(summary.tables.map(t => t.level), ['Medium', 'High']);
+    assert.equal(summary.tables[1].coefficients[2].term, 'InflHigh');
+    assert.ok(summary.tables[1].coefficients[2].p_value < 1e-10);
+    assert.ok(printModelSummary(summary).includes('High vs Low:'));
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for contrasts - coding of Factor predictors in model design matrices
+ * Golden fixtures computed using R 4.3.0
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contr_treatment,
+  contr_sum,
+  contr_helmert,
+  contr_poly,
+  contrastColumns
+} from '../../src/models/contrasts.js';
+import { lm, predict } from '../../src/models/lm.js';
+import { glm, predictGlm, binomial } from '../../src/models/glm.js';
+import { anova } from '../../src/models/anova.js';
+import Factor from '../../src/core/Factor.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+
+const mtcars = await RDatasets.mtcars();
+const TOL = 1e-6;
+
+/**
+ * Helper: matrix as array of rows
+ */
+function rows(m) {
+  return Array.from({ length: m.rows }, (_, i) => Array.from(m.getRow(i)));
+}
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = TOL, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+describe('Contrasts', () => {
+  describe('Contrast matrices', () => {
+    it('contr_treatment() with default and custom reference level', () => {
+      const c = contr_treatment(['a', 'b', 'c']);
+      assert.deepEqual(c.colnames, ['b', 'c']);
+      assert.deepEqual(rows(c.matrix), [[0, 0], [1, 0], [0, 1]]);
+
+      const c2 = contr_treatment(['a', 'b', 'c'], { base: 'b' });
+      assert.deepEqual(c2.colnames, ['a', 'c']);
+      assert.deepEqual(rows(c2.matrix), [[1, 0], [0, 0], [0, 1]]);
+
+      // R: contr.treatment(3, base = 3)
+      assert.deepEqual(contr_treatment(3, { base: 3 }).colnames, ['1', '2']);
+      assert.throws(() => contr_treatment(['a', 'b'], { base: 'z' }), /not one of the factor levels/);
+    });
+
+    it('contr_sum() matches R', () => {
+      // R: contr.sum(3)
+      const c = contr_sum(3);
+      assert.deepEqual(rows(c.matrix), [[1, 0], [0, 1], [-1, -1]]);
+      assert.deepEqual(c.colnames, ['1', '2']);
+    });
+
+    it('contr_helmert() matches R', () => {
+      // R: contr.helmert(4)
+      const c = contr_helmert(4);
+      assert.deepEqual(rows(c.matrix), [
+        [-1, -1, -1],
+        [1, -1, -1],
+        [0, 2, -1],
+        [0, 0, 3]
+      ]);
+    });
+
+    it('contr_poly() matches R', () => {
+      // R: contr.poly(4)
+      //              .L   .Q         .C
+      // [1,] -0.6708204  0.5 -0.2236068
+      // [2,] -0.2236068 -0.5  0.6708204
+      // [3,]  0.2236068 -0.5 -0.6708204
+      // [4,]  0.6708204  0.5  0.2236068
+      const c = contr_poly(4);
+      assert.deepEqual(c.colnames, ['.L', '.Q', '.C']);
+      const expected = [
+        [-0.6708204, 0.5, -0.2236068],
+        [-0.2236068, -0.5, 0.6708204],
+        [0.2236068, -0.5, -0.6708204],
+        [0.6708204, 0.5, 0.2236068]
+      ];
+      rows(c.matrix).forEach((row, i) => assertArrayClose(row, expected[i], 1e-6, `row ${i}`));
+    });
+
+    it('contrastColumns() names columns after the variable and level', () => {
+      const cylinder = new Factor(['4', '6', '8', '6', null], { levels: ['4', '6', '8'] });
+      const cols = contrastColumns(cylinder, 'cylinder');
+      assert.deepEqual(cols.map(c => c.name), ['cylinder6', 'cylinder8']);
+      assert.deepEqual(cols[0].values.slice(0, 4), [0, 1, 0, 1]);
+      assert.ok(Number.isNaN(cols[0].values[4]));
+    });
+  });
+
+  describe('Factor predictors in lm() and glm()', () => {
+    const cyl = new Factor(mtcars.colArray('cyl'), { levels: ['4', '6', '8'] });
+
+    it('expands a Factor predictor with treatment contrasts', () => {
+      // R: coef(lm(mpg ~ wt + factor(cyl), mtcars))
+      const fit = lm(mtcars.colArray('mpg'), [mtcars.colArray('wt'), cyl]);
+      assert.deepEqual(fit.coef_names, ['(Intercept)', 'x1', 'x26', 'x28']);
+      assertArrayClose(fit.coefficients, [33.990794, -3.205613, -4.255582, -6.070860], 1e-5, 'coefficients');
+      assert.deepEqual(fit.xlevels, { x2: ['4', '6', '8'] });
+
+      const table = anova(fit).table;
+      assert.equal(table[1].term, 'x2');
+      assert.equal(table[1].df, 2);
+    });
+
+    it('predicts with factor levels coded as in the fit', () => {
+      const fit = lm(mtcars.colArray('mpg'), [mtcars.colArray('wt'), cyl]);
+      const pred = predict(fit, [[3, 3], ['8', '4']]);
+      assertArrayClose(pred, [
+        33.990794 - 3.205613 * 3 - 6.070860,
+        33.990794 - 3.205613 * 3
+      ], 1e-5, 'predictions');
+    });
+
+    it('supports sum contrasts and a reference level via the contrasts option', () => {
+      // R: coef(lm(mpg ~ wt + factor(cyl), mtcars, contrasts = list(`factor(cyl)` = "contr.sum")))
+      //  (Intercept)            wt factor(cyl)1 factor(cyl)2
+      //   30.5486466    -3.2056133    3.4421474   -0.8134350
+      const fit = lm('mpg ~ wt + factor(cyl)', { data: mtcars, contrasts: { 'factor(cyl)': 'sum' } });
+      assert.deepEqual(fit.coef_names, ['(Intercept)', 'wt', 'factor(cyl)1', 'factor(cyl)2']);
+      assertArrayClose(fit.coefficients, [30.5486466, -3.2056133, 3.4421474, -0.8134350], 1e-6, 'coefficients');
+      assert.deepEqual(fit.contrasts, { 'factor(cyl)': 'sum' });
+
+      const fit2 = lm('mpg ~ wt + factor(cyl)', {
+        data: mtcars,
+        contrasts: { 'factor(cyl)': { type: 'treatment', base: '8' } }
+      });
+      assert.deepEqual(fit2.coef_names, ['(Intercept)', 'wt', 'factor(cyl)4', 'factor(cyl)6']);
+      assertArrayClose(fit2.coefficients.slice(2), [6.070860, 1.815277], 1e-5, 'coefficients');
+    });
+
+    it('supports polynomial contrasts', () => {
+      // R: coef(lm(mpg ~ factor(cyl), mtcars, contrasts = list(`factor(cyl)` = "contr.poly")))
+      // (Intercept) factor(cyl).L factor(cyl).Q
+      //  20.5021645    -8.1767257     0.9299578
+      const fit = lm('mpg ~ factor(cyl)', { data: mtcars, contrasts: { 'factor(cyl)': 'poly' } });
+      assertArrayClose(fit.coefficients, [20.5021645, -8.1767257, 0.9299578], 1e-6, 'coefficients');
+    });
+
+    it('expands Factor predictors in glm()', () => {
+      const fit = glm(mtcars.colArray('vs'), [cyl.toArray().map(String)], { family: binomial() });
+      assert.deepEqual(fit.coef_names, ['(Intercept)', 'x16', 'x18']);
+      const pred = predictGlm(fit, [['4']]);
+      assert.ok(pred[0] > 0.8);
+    });
+
+    it('rejects contrasts for non-factor variables', () => {
+      assert.throws(
+        () => lm('mpg ~ wt', { data: mtcars, contrasts: { wt: 'sum' } }),
+        /not a factor/
+      );
+      assert.throws(
+        () => lm('mpg ~ factor(cyl)', { data: mtcars, contrasts: { 'factor(cyl)': 'bogus' } }),
+        /Unknown contrast type/
+      );
+    });
+  });
+});
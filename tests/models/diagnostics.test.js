@@ -145,6 +145,25 @@ describe('Model Diagnostics', () => {
         assert.ok(inf.observation > 0, 'observation number should be positive');
       }
     });
+
+    
+    it('computes weighted leverage and Cook\'s distance', () => {
+      // An integer weight of 2 is equivalent to duplicating the observation:
+      // its hat value is the sum of the hat values of the two copies
+      const x = [1, 2, 3, 4, 5, 6];
+      const y = [1.8, 4.3, 5.7, 8.4, 9.9, 12.6];
+      const weights = [1, 1, 2, 1, 1, 1];
+      const diag = diagnostics(lm(y, [x], { weights }));
+      const dup = diagnostics(lm([...y, y[2]], [[...x, x[2]]]));
+      
+      assertClose(diag.leverage[2], dup.leverage[2] + dup.leverage[6], 1e-10, 'weighted leverage');
+      assertClose(diag.leverage.reduce((a, b) => a + b, 0), 2, 1e-10, 'sum of hat values');
+      
+      // Zero-weight observations have no leverage or influence
+      const diag0 = diagnostics(lm(y, [x], { weights: [1, 1, 1, 1, 1, 0] }));
+      assert.equal(diag0.leverage[5], 0);
+      assert.equal(diag0.cooks_distance[5], 0);
+    });
   });
   
   describe('confint() - Confidence Intervals for Coefficients', () => {
@@ -0,0 +1,182 @@
+/**
+ * Tests for elasticNet() - penalized regression paths and cross-validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial } from '../../src/models/glm.js';
+import { elasticNet, coefElasticNet, predictElasticNet, cvElasticNet } from '../../src/models/elastic_net.js';
+import { inverse, Matrix } from '../../src/math/matrix.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// Orthogonal, centered predictors with mean square 1
+const x1 = [1, -1, 1, -1, 1, -1, 1, -1];
+const x2 = [1, 1, -1, -1, 1, 1, -1, -1];
+const y = [3.1, 0.9, 2.2, -0.4, 3.5, 1.2, 1.8, -0.1];
+
+describe('elasticNet() - Penalized regression', () => {
+  describe('Gaussian family', () => {
+    it('lasso soft-thresholds the least squares coefficients for orthogonal predictors', () => {
+      const lambda = 0.3;
+      const fit = elasticNet(y, [x1, x2], { lambda: [lambda], standardize: false, thresh: 1e-14 });
+      const coef = coefElasticNet(fit);
+
+      const n = y.length;
+      const yMean = y.reduce((a, b) => a + b, 0) / n;
+      const soft = (z) => Math.sign(z) * Math.max(0, Math.abs(z) - lambda);
+      const z1 = x1.reduce((s, x, i) => s + x * y[i], 0) / n;
+      const z2 = x2.reduce((s, x, i) => s + x * y[i], 0) / n;
+      assertArrayClose(coef, [yMean, soft(z1), soft(z2)], 1e-10, 'coef');
+    });
+
+    it('ridge matches the closed-form solution', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const cols = ['wt', 'hp', 'qsec'].map(name => mtcars.colArray(name));
+      const mpg = mtcars.colArray('mpg');
+      const n = mpg.length;
+      const lambda = 0.5;
+
+      const fit = elasticNet(mpg, cols, { alpha: 0, lambda: [lambda], standardize: false, thresh: 1e-16 });
+      const coef = coefElasticNet(fit);
+
+      // b = (Xc'Xc / n + lambda I)^-1 Xc'yc / n on centered data
+      const means = cols.map(col => col.reduce((a, b) => a + b, 0) / n);
+      const yMean = mpg.reduce((a, b) => a + b, 0) / n;
+      const A = new Matrix(3, 3);
+      const rhs = [0, 0, 0];
+      for (let j = 0; j < 3; j++) {
+        for (let k = 0; k < 3; k++) {
+          let s = 0;
+          for (let i = 0; i < n; i++) s += (cols[j][i] - means[j]) * (cols[k][i] - means[k]);
+          A.set(j, k, s / n + (j === k ? lambda : 0));
+        }
+        for (let i = 0; i < n; i++) rhs[j] += (cols[j][i] - means[j]) * (mpg[i] - yMean) / n;
+      }
+      const b = inverse(A).multiplyVector(rhs);
+      const a0 = yMean - b.reduce((s, bj, j) => s + bj * means[j], 0);
+      assertArrayClose(coef, [a0, ...b], 1e-6, 'coef');
+    });
+
+    it('the path starts with all coefficients at zero and approaches least squares', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const cols = ['cyl', 'disp', 'hp', 'wt'].map(name => mtcars.colArray(name));
+      const mpg = mtcars.colArray('mpg');
+      const fit = elasticNet(mpg, cols, { alpha: 0.5 });
+
+      assert.equal(fit.lambda.length, 100);
+      assert.equal(fit.df[0], 0);
+      assert.ok(fit.df[1] > 0);
+      for (let k = 1; k < fit.lambda.length; k++) {
+        assert.ok(fit.lambda[k] < fit.lambda[k - 1]);
+        assert.ok(fit.dev_ratio[k] >= fit.dev_ratio[k - 1] - 1e-10);
+      }
+      const ols = lm(mpg, cols);
+      assert.ok(Math.abs(fit.dev_ratio[fit.dev_ratio.length - 1] - ols.r_squared) < 1e-4);
+    });
+
+    it('interpolates coefficients between path lambdas', () => {
+      const fit = elasticNet(y, [x1, x2], { lambda: [0.4, 0.2] });
+      const mid = coefElasticNet(fit, { s: 0.3 });
+      const a = coefElasticNet(fit, { s: 0.4 });
+      const b = coefElasticNet(fit, { s: 0.2 });
+      assertArrayClose(mid, a.map((v, j) => (v + b[j]) / 2), 1e-12, 'coef');
+    });
+
+    it('predicts with the coefficients at s', () => {
+      const fit = elasticNet(y, [x1, x2]);
+      const s = fit.lambda[10];
+      const coef = coefElasticNet(fit, { s });
+      const pred = predictElasticNet(fit, [x1, x2], { s });
+      assertArrayClose(pred, x1.map((v, i) => coef[0] + coef[1] * v + coef[2] * x2[i]), 1e-12, 'pred');
+    });
+  });
+
+  describe('Binomial family', () => {
+    it('satisfies the lasso optimality conditions', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const cols = ['mpg', 'wt', 'disp'].map(name => mtcars.colArray(name));
+      const vs = mtcars.colArray('vs');
+      const n = vs.length;
+      const fit = elasticNet(vs, cols, { family: 'binomial', thresh: 1e-12 });
+      const l = 20;
+      const lambda = fit.lambda[l];
+      const prob = predictElasticNet(fit, cols, { s: lambda, type: 'response' });
+
+      // Gradient of the log-likelihood / n on the standardized scale
+      for (let j = 0; j < cols.length; j++) {
+        const m = cols[j].reduce((a, b) => a + b, 0) / n;
+        const sd = Math.sqrt(cols[j].reduce((s, x) => s + (x - m) * (x - m), 0) / n);
+        const g = cols[j].reduce((s, x, i) => s + (x - m) / sd * (vs[i] - prob[i]), 0) / n;
+        if (fit.beta[l][j] === 0) {
+          assert.ok(Math.abs(g) <= lambda + 1e-6);
+        } else {
+          assert.ok(Math.abs(Math.abs(g) - lambda) < 1e-4, `gradient ${g} vs lambda ${lambda}`);
+        }
+      }
+    });
+
+    it('approaches glm() as lambda goes to zero', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const cols = [mtcars.colArray('mpg'), mtcars.colArray('wt')];
+      const vs = mtcars.colArray('vs');
+      const fit = elasticNet(vs, cols, { family: 'binomial', lambda: [1e-7], thresh: 1e-14 });
+      const unpenalized = glm(vs, cols, { family: binomial() });
+      assertArrayClose(coefElasticNet(fit), unpenalized.coefficients, 1e-3, 'coef');
+    });
+
+    it('predicts classes', () => {
+      const labels = [0, 0, 0, 1, 0, 1, 1, 1];
+      const fit = elasticNet(labels, [[1, 2, 3, 4, 5, 6, 7, 8]], { family: 'binomial' });
+      const classes = predictElasticNet(fit, [[0, 10]], { type: 'class' });
+      assert.deepEqual(classes, [0, 1]);
+    });
+  });
+
+  describe('cvElasticNet()', () => {
+    it('selects lambda_min and lambda_1se on the path', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const cols = ['cyl', 'disp', 'hp', 'drat', 'wt', 'qsec'].map(name => mtcars.colArray(name));
+      const mpg = mtcars.colArray('mpg');
+      const cv = cvElasticNet(mpg, cols, { nfolds: 5, seed: 7 });
+
+      assert.equal(cv.cvm.length, cv.lambda.length);
+      assert.equal(cv.lambda_min, cv.lambda[cv.index_min]);
+      assert.ok(cv.lambda_1se >= cv.lambda_min);
+      assert.ok(cv.cvm[cv.index_1se] <= cv.cvm[cv.index_min] + cv.cvsd[cv.index_min]);
+      for (const m of cv.cvm) assert.ok(cv.cvm[cv.index_min] <= m);
+
+      const again = cvElasticNet(mpg, cols, { nfolds: 5, seed: 7 });
+      assert.deepEqual(again.cvm, cv.cvm);
+    });
+
+    it('uses the given fold assignment', () => {
+      const foldid = [1, 2, 3, 1, 2, 3, 1, 2];
+      const cv = cvElasticNet(y, [x1, x2], { foldid, nlambda: 10 });
+      assert.deepEqual(cv.foldid, foldid);
+      assert.equal(cv.type_measure, 'mse');
+    });
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => elasticNet(y, [x1], { family: 'poisson' }), /Unknown family/);
+    assert.throws(() => elasticNet(y, [x1], { alpha: 2 }), /alpha must be between 0 and 1/);
+    assert.throws(() => elasticNet(y, [x1], { family: 'binomial' }), /must be 0\/1/);
+    assert.throws(() => elasticNet(y, [[1, 2]]), /Predictor has length/);
+    assert.throws(() => elasticNet([1, 2, NaN], [[1, 2, 3]]), /missing or non-finite/);
+    assert.throws(() => cvElasticNet(y, [x1], { type_measure: 'class' }), /not available for the gaussian family/);
+  });
+});
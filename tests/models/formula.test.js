@@ -0,0 +1,184 @@
+/**
+ * Tests for model formulas - parseFormula(), modelMatrix() and the formula interface of lm()/glm()
+ * Golden fixtures computed using R 4.3.0
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFormula, modelMatrix, termVariables } from '../../src/models/formula.js';
+import { lm, predict } from '../../src/models/lm.js';
+import { glm, predictGlm, binomial } from '../../src/models/glm.js';
+import { anova } from '../../src/models/anova.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+import DataFrame from '../../src/data/DataFrame.js';
+
+const mtcars = await RDatasets.mtcars();
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-4, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+describe('Model formulas', () => {
+  describe('parseFormula()', () => {
+    it('parses response and additive terms', () => {
+      const f = parseFormula('mpg ~ hp + wt');
+      assert.equal(f.response, 'mpg');
+      assert.equal(f.intercept, true);
+      assert.deepEqual(f.term_labels, ['hp', 'wt']);
+    });
+
+    it('expands crossing and orders terms by interaction order', () => {
+      // R: attr(terms(y ~ a:b + a*c), "term.labels")
+      assert.deepEqual(parseFormula('y ~ a:b + a*c').term_labels, ['a', 'c', 'a:b', 'a:c']);
+      assert.deepEqual(parseFormula('y ~ (a + b + c)^2').term_labels, ['a', 'b', 'c', 'a:b', 'a:c', 'b:c']);
+    });
+
+    it('removes terms and the intercept', () => {
+      const f = parseFormula('y ~ a*b - a:b - 1');
+      assert.deepEqual(f.term_labels, ['a', 'b']);
+      assert.equal(f.intercept, false);
+      assert.equal(parseFormula('y ~ 0 + a').intercept, false);
+    });
+
+    it('keeps function calls as single variables', () => {
+      const f = parseFormula('log(mpg) ~ factor(cyl) + sqrt( disp )');
+      assert.equal(f.response, 'log(mpg)');
+      assert.deepEqual(f.variables, ['factor(cyl)', 'sqrt(disp)']);
+    });
+
+    it('expands . to all columns except the response', () => {
+      const f = parseFormula('y ~ .', { names: ['y', 'a', 'b'] });
+      assert.deepEqual(f.term_labels, ['a', 'b']);
+      assert.throws(() => parseFormula('y ~ .'), /requires data/);
+    });
+
+    it('rejects malformed formulas', () => {
+      assert.throws(() => parseFormula('y + x'), /must contain '~'/);
+      assert.throws(() => parseFormula('y ~ (a + b'), /Expected '\)'/);
+      assert.throws(() => parseFormula('y ~ a $ b'), /Unexpected character/);
+    });
+  });
+
+  describe('modelMatrix()', () => {
+    it('treatment-codes factors with named columns', () => {
+      const mm = modelMatrix('mpg ~ wt + factor(cyl)', mtcars);
+      assert.deepEqual(mm.coef_names, ['(Intercept)', 'wt', 'factor(cyl)6', 'factor(cyl)8']);
+      assert.deepEqual(mm.assign, [0, 1, 2, 2]);
+      assert.deepEqual(mm.xlevels['factor(cyl)'], ['4', '6', '8']);
+      assert.equal(mm.X.rows, 32);
+    });
+
+    it('codes all levels of a factor when there is no intercept', () => {
+      const mm = modelMatrix('mpg ~ factor(cyl) - 1', mtcars);
+      assert.deepEqual(mm.coef_names, ['factor(cyl)4', 'factor(cyl)6', 'factor(cyl)8']);
+    });
+
+    it('drops rows with missing values and unused levels', () => {
+      const df = new DataFrame({
+        y: [1, 2, 3, 4, 5, 6],
+        x: [1, null, 3, 4, 5, 6],
+        g: ['a', 'b', 'a', 'c', 'c', 'a']
+      });
+      const mm = modelMatrix('y ~ x + g', df);
+      assert.deepEqual(mm.rows, [0, 2, 3, 4, 5]);
+      assert.deepEqual(mm.coef_names, ['(Intercept)', 'x', 'gc']);
+    });
+
+    it('accepts a plain object of columns', () => {
+      const mm = modelMatrix('y ~ x', { y: [1, 2, 3], x: [4, 5, 6] });
+      assert.deepEqual(mm.y, [1, 2, 3]);
+      assert.deepEqual(Array.from(mm.X.getColumn(1)), [4, 5, 6]);
+    });
+  });
+
+  describe('lm() with a formula', () => {
+    it('fits mpg ~ hp + wt on mtcars', () => {
+      // R: coef(lm(mpg ~ hp + wt, mtcars))
+      // (Intercept)          hp          wt
+      // 37.22727012 -0.03177295 -3.87783074
+      const fit = lm('mpg ~ hp + wt', { data: mtcars });
+      assert.deepEqual(fit.coef_names, ['(Intercept)', 'hp', 'wt']);
+      assertArrayClose(fit.coefficients, [37.22727012, -0.03177295, -3.87783074], 1e-6, 'coefficients');
+      assert.equal(fit.formula, 'mpg ~ hp + wt');
+    });
+
+    it('fits factor and interaction terms', () => {
+      // R: coef(lm(mpg ~ wt + factor(cyl), mtcars))
+      //  (Intercept)           wt factor(cyl)6 factor(cyl)8
+      //    33.990794    -3.205613    -4.255582    -6.070860
+      const fit = lm('mpg ~ wt + factor(cyl)', { data: mtcars });
+      assertArrayClose(fit.coefficients, [33.990794, -3.205613, -4.255582, -6.070860], 1e-5, 'coefficients');
+
+      const fit2 = lm('mpg ~ hp + wt + factor(cyl) + hp:wt', { data: mtcars });
+      assert.deepEqual(fit2.coef_names, ['(Intercept)', 'hp', 'wt', 'factor(cyl)6', 'factor(cyl)8', 'hp:wt']);
+    });
+
+    it('predicts on new data', () => {
+      const fit = lm('mpg ~ wt + factor(cyl)', { data: mtcars });
+      const newdata = new DataFrame({ wt: [2.5, 3.5], cyl: [6, 8] });
+      const pred = predict(fit, newdata);
+      assertArrayClose(pred, [
+        33.990794 - 3.205613 * 2.5 - 4.255582,
+        33.990794 - 3.205613 * 3.5 - 6.070860
+      ], 1e-5, 'predictions');
+    });
+
+    it('rejects factor levels not seen when fitting', () => {
+      const fit = lm('mpg ~ wt + factor(cyl)', { data: mtcars });
+      assert.throws(
+        () => predict(fit, new DataFrame({ wt: [2.5, 3.5], cyl: [5, 8] })),
+        /factor factor\(cyl\) has new level\(s\) 5/
+      );
+
+      const data = { y: [1, 2, 3, 4, 5, 6], g: ['a', 'b', 'c', 'a', 'b', 'c'] };
+      const byGroup = lm('y ~ g', { data });
+      assert.throws(() => predict(byGroup, { g: ['a', 'd', 'e'] }), /factor g has new level\(s\) d, e/);
+      assert.equal(predict(byGroup, { g: ['c'] })[0], 4.5);
+    });
+
+    it('produces term-level ANOVA rows', () => {
+      // R: anova(lm(mpg ~ wt + factor(cyl), mtcars))
+      //             Df Sum Sq Mean Sq  F value    Pr(>F)
+      // wt           1 847.73  847.73 129.6650 5.079e-12
+      // factor(cyl)  2  95.26   47.63   7.2856  0.002835
+      // Residuals   28 183.06    6.54
+      const result = anova(lm('mpg ~ wt + factor(cyl)', { data: mtcars }));
+      assert.deepEqual(result.table.map(r => r.term), ['wt', 'factor(cyl)', 'Residuals']);
+      assert.deepEqual(result.table.map(r => r.df), [1, 2, 28]);
+      assertArrayClose(result.table.map(r => r.sum_sq), [847.7252, 95.2633, 183.0586], 1e-3, 'sum_sq');
+      assert.ok(Math.abs(result.table[1].p_value - 0.002835) < 1e-5);
+      assert.equal(result.response, 'mpg');
+    });
+  });
+
+  describe('glm() with a formula', () => {
+    it('fits logistic regression am ~ hp + wt', () => {
+      // R: coef(glm(am ~ hp + wt, binomial, mtcars))
+      // (Intercept)          hp          wt
+      // 18.86629772  0.03625816 -8.08347530
+      const fit = glm('am ~ hp + wt', { data: mtcars, family: binomial() });
+      assert.deepEqual(fit.coef_names, ['(Intercept)', 'hp', 'wt']);
+      assertArrayClose(fit.coefficients, [18.86629772, 0.03625816, -8.08347530], 1e-3, 'coefficients');
+
+      const pred = predictGlm(fit, mtcars.head(2));
+      assertArrayClose(pred, fit.fitted_values.slice(0, 2), 1e-10, 'predictions');
+    });
+  });
+});
+
+describe('termVariables()', () => {
+  it('splits interaction labels at colons outside parentheses', () => {
+    assert.deepEqual(termVariables('a'), ['a']);
+    assert.deepEqual(termVariables('wool:factor(t)'), ['wool', 'factor(t)']);
+    assert.deepEqual(termVariables('a:interaction(b, c, sep = ":")'), ['a', 'interaction(b, c, sep = ":")']);
+  });
+});
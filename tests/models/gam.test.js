@@ -0,0 +1,154 @@
+/**
+ * Tests for gam() - Generalized additive models with penalized smooths
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gam, predictGam } from '../../src/models/gam.js';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial } from '../../src/models/glm.js';
+import { createRng } from '../../src/math/random.js';
+import { summarizeModel, printModelSummary } from '../../src/models/summary.js';
+import { logLik, AIC } from '../../src/models/generics.js';
+import { anova } from '../../src/models/anova.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// Simulated additive data: a sine effect of x and a linear effect of z
+const rng = createRng(42);
+const normal = () => Math.sqrt(-2 * Math.log(rng())) * Math.cos(2 * Math.PI * rng());
+const n = 150;
+const x = Array.from({ length: n }, () => rng());
+const z = Array.from({ length: n }, () => rng());
+const y = x.map((v, i) => Math.sin(2 * Math.PI * v) + 0.5 * z[i] + 0.3 * normal());
+const success = x.map(v => (rng() < 1 / (1 + Math.exp(-3 * Math.sin(2 * Math.PI * v))) ? 1 : 0));
+const data = { x, z, y, success };
+
+describe('gam() - Generalized additive models', () => {
+  it('reduces to the linear fit for a very large smoothing parameter', () => {
+    const fit = gam('y ~ s(x) + z', { data, sp: [1e10] });
+    const linear = lm('y ~ x + z', { data });
+    assertArrayClose(fit.fitted_values, linear.fitted_values, 1e-3, 'fitted');
+    assert.ok(Math.abs(fit.smooths[0].edf - 1) < 1e-3);
+  });
+
+  it('reduces to the unpenalized regression spline for sp = 0', () => {
+    const fit = gam('y ~ s(x, k = 6)', { data, sp: [0] });
+    const spline = lm('y ~ s(x, k = 6)', { data });
+    assertArrayClose(fit.fitted_values, spline.fitted_values, 1e-8, 'fitted');
+    assert.ok(Math.abs(fit.edf_total - 6) < 1e-8);
+    assert.deepEqual(fit.coef_names, ['(Intercept)', 's(x, k = 6).1', 's(x, k = 6).2',
+      's(x, k = 6).3', 's(x, k = 6).4', 's(x, k = 6).5']);
+  });
+
+  for (const method of ['GCV', 'REML']) {
+    it(`chooses smoothing parameters that minimize ${method}`, () => {
+      const fit = gam('y ~ s(x) + s(z)', { data, method });
+      assert.equal(fit.method, method);
+      assert.ok(fit.converged);
+      for (const factor of [0.5, 2]) {
+        const sp = [fit.sp[0] * factor, fit.sp[1]];
+        const other = gam('y ~ s(x) + s(z)', { data, method, sp });
+        assert.ok(fit.score <= other.score + 1e-8, `score at sp x ${factor}`);
+      }
+
+      // The sine needs several degrees of freedom; the linear effect about one
+      assert.ok(fit.smooths[0].edf > 3 && fit.smooths[0].edf < 9);
+      assert.ok(fit.smooths[1].edf < 1.5);
+      assert.ok(Math.abs(fit.edf_total - fit.edf.reduce((a, b) => a + b, 0)) < 1e-10);
+      assert.ok(Math.abs(Math.sqrt(fit.scale) - 0.3) < 0.06);
+    });
+  }
+
+  it('fits non-Gaussian families through IRLS', () => {
+    const fit = gam('success ~ s(x)', { data, family: binomial() });
+    assert.ok(fit.converged);
+    assert.ok(fit.smooths[0].edf > 2);
+    assert.equal(fit.scale, 1);
+    assert.ok(fit.fitted_values.every(p => p > 0 && p < 1));
+
+    const linear = gam('success ~ s(x)', { data, family: binomial(), sp: [1e10] });
+    const logistic = glm('success ~ x', { data, family: binomial() });
+    assert.ok(Math.abs(linear.deviance - logistic.deviance) < 1e-4);
+    assert.ok(fit.deviance < logistic.deviance);
+  });
+
+  it('predicts on new data with standard errors', () => {
+    const fit = gam('success ~ s(x)', { data, family: binomial() });
+    const rows = [3, 10, 42];
+    const newdata = { x: rows.map(i => x[i]) };
+    assertArrayClose(predictGam(fit, newdata), rows.map(i => fit.fitted_values[i]), 1e-10, 'response');
+    assertArrayClose(predictGam(fit, newdata, { type: 'link' }), rows.map(i => fit.linear_predictors[i]), 1e-10, 'link');
+
+    const link = predictGam(fit, newdata, { type: 'link', se_fit: true });
+    const response = predictGam(fit, newdata, { se_fit: true });
+    for (let i = 0; i < rows.length; i++) {
+      const p = response.fit[i];
+      assert.ok(link.se_fit[i] > 0);
+      assert.ok(Math.abs(response.se_fit[i] - p * (1 - p) * link.se_fit[i]) < 1e-10);
+    }
+  });
+
+  it('drops incomplete rows', () => {
+    const withNA = { ...data, y: [null, ...y.slice(1)] };
+    const fit = gam('y ~ s(x)', { data: withNA });
+    assert.equal(fit.n, n - 1);
+    assert.deepEqual(fit.na_action.omitted, [0]);
+  });
+
+  it('summarizes parametric and smooth terms', () => {
+    const fit = gam('y ~ s(x) + z', { data });
+    const summary = summarizeModel(fit);
+
+    assert.equal(summary.call, 'gam');
+    assert.deepEqual(summary.coefficients.map(row => row.term), ['(Intercept)', 'z']);
+    const z = summary.coefficients[1];
+    const j = fit.coef_names.indexOf('z');
+    assert.equal(z.t_value, fit.coefficients[j] / fit.std_errors[j]);
+    assert.ok(z.p_value < 0.05 && z.signif !== '');
+    assert.deepEqual(summary.smooths.map(row => row.term), ['s(x)']);
+    assert.equal(summary.smooths[0].edf, fit.smooths[0].edf);
+    assert.ok(summary.r_squared_adj > 0.5 && summary.r_squared_adj < summary.dev_explained);
+
+    const text = printModelSummary(summary);
+    assert.match(text, /Parametric coefficients:/);
+    assert.match(text, /Smooth terms:[\s\S]*s\(x\)/);
+    assert.match(text, /GCV = /);
+  });
+
+  it('counts the effective degrees of freedom in logLik', () => {
+    const fit = gam('y ~ s(x) + z', { data });
+    const ll = logLik(fit);
+    // Gaussian log-likelihood at the ML variance, with the edf plus the scale as df
+    const expected = -n / 2 * (Math.log(2 * Math.PI * fit.deviance / n) + 1);
+    assert.ok(Math.abs(ll.value - expected) < 1e-8);
+    assert.ok(Math.abs(ll.df - (fit.edf_total + 1)) < 1e-12);
+    assert.ok(Math.abs(AIC(fit) - fit.aic) < 1e-8);
+
+    const binary = gam('success ~ s(x)', { data, family: binomial() });
+    assert.equal(logLik(binary).df, binary.edf_total);
+  });
+
+  it('is rejected by anova()', () => {
+    const fit = gam('y ~ s(x) + z', { data });
+    assert.throws(() => anova(fit), /does not support gam\(\) fits/);
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => gam('y ~ s(x)', { data, method: 'ML' }), /Unknown method/);
+    assert.throws(() => gam('y ~ s(x)', { data, sp: [1, 2] }), /sp has length 2/);
+    assert.throws(() => gam('y ~ s(x):z', { data }), /cannot be used in an interaction/);
+    assert.throws(() => gam('y ~ s(x, k = 2)', { data }), /k must be an integer of at least 3/);
+  });
+});
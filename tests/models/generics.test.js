@@ -0,0 +1,93 @@
+/**
+ * Tests for model generics - logLik(), AIC(), BIC() and nobs()
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial, Gamma, gaussian, quasipoisson, glm_nb } from '../../src/models/glm.js';
+import { logLik, AIC, BIC, nobs } from '../../src/models/generics.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+
+/**
+ * Helper: assert numbers are approximately equal
+ */
+function assertClose(actual, expected, tol = 1e-6, label = '') {
+  assert.ok(
+    Math.abs(actual - expected) < tol,
+    `${label}: expected ${expected}, got ${actual} (diff: ${Math.abs(actual - expected)})`
+  );
+}
+
+describe('Model generics', () => {
+  describe('lm()', () => {
+    it('matches R for mpg ~ wt + hp', async () => {
+      // R: fit <- lm(mpg ~ wt + hp, data = mtcars)
+      // logLik(fit)  # -74.32617 (df=4)
+      // AIC(fit)     # 156.6523
+      // BIC(fit)     # 162.5153
+      const mtcars = await RDatasets.mtcars();
+      const fit = lm('mpg ~ wt + hp', { data: mtcars });
+      const ll = logLik(fit);
+      assertClose(ll.value, -74.32617, 1e-4, 'logLik');
+      assert.equal(ll.df, 4);
+      assert.equal(nobs(fit), 32);
+      assertClose(AIC(fit), 156.6523, 1e-3, 'AIC');
+      assertClose(BIC(fit), 162.5153, 1e-3, 'BIC');
+      assertClose(AIC(fit, { k: Math.log(32) }), BIC(fit), 1e-10, 'AIC(k = log(n))');
+    });
+
+    it('drops zero-weight observations like a fit without them', () => {
+      const x = [1, 2, 3, 4, 5, 6, 7, 8];
+      const y = [1.2, 2.3, 2.9, 4.1, 5.2, 5.8, 7.1, 9.5];
+      const weighted = lm(y, [x], { weights: [1, 1, 1, 1, 1, 1, 1, 0] });
+      const dropped = lm(y.slice(0, 7), [x.slice(0, 7)]);
+      assert.equal(nobs(weighted), 7);
+      assertClose(logLik(weighted).value, logLik(dropped).value, 1e-10, 'logLik');
+    });
+  });
+
+  describe('glm()', () => {
+    it('matches R for a logistic regression', async () => {
+      // R: fit <- glm(am ~ hp + wt, data = mtcars, family = binomial)
+      // AIC(fit)  # 16.059 (residual deviance 10.059 on 29 df)
+      const mtcars = await RDatasets.mtcars();
+      const fit = glm('am ~ hp + wt', { data: mtcars, family: binomial() });
+      const ll = logLik(fit);
+      assert.equal(ll.df, 3);
+      assertClose(ll.value, -fit.deviance / 2, 1e-10, 'logLik');
+      assertClose(AIC(fit), 16.059, 1e-3, 'AIC');
+    });
+
+    it('gaussian glm agrees with lm', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const fitLm = lm('mpg ~ wt + hp', { data: mtcars });
+      const fitGlm = glm('mpg ~ wt + hp', { data: mtcars, family: gaussian() });
+      assert.deepEqual(logLik(fitGlm).df, logLik(fitLm).df);
+      assertClose(logLik(fitGlm).value, logLik(fitLm).value, 1e-8, 'logLik');
+      assertClose(BIC(fitGlm), BIC(fitLm), 1e-8, 'BIC');
+    });
+
+    it('counts the dispersion for Gamma and theta for glm_nb', async () => {
+      const mtcars = await RDatasets.mtcars();
+      const gamma = glm('mpg ~ wt', { data: mtcars, family: Gamma('log') });
+      assert.equal(logLik(gamma).df, 3);
+      assertClose(AIC(gamma), gamma.aic, 1e-10, 'Gamma AIC');
+
+      const nb = glm_nb('carb ~ wt', { data: mtcars });
+      const ll = logLik(nb);
+      assert.equal(ll.df, 3);
+      assertClose(ll.value, nb.two_log_lik / 2, 1e-10, 'negative binomial logLik');
+    });
+
+    it('has no likelihood for quasi families', () => {
+      const fit = glm([1, 3, 2, 6, 8, 7], [[1, 2, 3, 4, 5, 6]], { family: quasipoisson() });
+      assert.ok(Number.isNaN(logLik(fit).value));
+      assert.ok(Number.isNaN(AIC(fit)));
+    });
+  });
+
+  it('rejects objects that are not fitted models', () => {
+    assert.throws(() => logLik({}), /Expected a fitted model/);
+  });
+});
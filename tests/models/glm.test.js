@@ -5,9 +5,25 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { glm, predictGlm, gaussian, binomial, poisson, Gamma } from '../../src/models/glm.js';
+import {
+  glm,
+  glm_nb,
+  predictGlm,
+  gaussian,
+  binomial,
+  poisson,
+  Gamma,
+  quasibinomial,
+  quasipoisson,
+  inverse_gaussian,
+  negative_binomial
+} from '../../src/models/glm.js';
+import { summaryGLM } from '../../src/models/summary.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
 import Vector from '../../src/core/Vector.js';
 
+const mtcars = await RDatasets.mtcars();
+
 const TOL = 1e-4;
 const COEF_TOL = 1e-3;
 
@@ -435,6 +451,33 @@ describe('glm() - Generalized Linear Models', () => {
       assert.ok(fit.converged, 'should converge with weights');
     });
     
+    it('uses the weighted mean for the null deviance', () => {
+      // Null deviance as R's glm(y ~ x, poisson, weights = w)$null.deviance:
+      // 2 * sum(w * (y * log(y / mu0) - (y - mu0))) with mu0 = sum(w * y) / sum(w)
+      const x = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+      const y = [2, 3, 6, 7, 8, 9, 10, 12, 15];
+      const weights = [1, 2, 1, 3, 1, 2, 1, 1, 2];
+      const fit = glm(y, [x], { family: poisson(), weights });
+      assertClose(fit.null_deviance, 27.76620851328319, 1e-10, 'null deviance');
+      
+      // Integer weights are equivalent to replicated observations
+      const rep = (values) => values.flatMap((v, i) => Array(weights[i]).fill(v));
+      const replicated = glm(rep(y), [rep(x)], { family: poisson() });
+      assertClose(fit.null_deviance, replicated.null_deviance, 1e-10, 'replicated null deviance');
+      assertClose(fit.deviance, replicated.deviance, 1e-8, 'replicated deviance');
+      
+      // Without an intercept the null model is eta = 0, i.e. mu = 1 for the log link
+      const noIntercept = glm(y, [x], { family: poisson(), weights, intercept: false });
+      assertClose(noIntercept.null_deviance, 301.72889904922374, 1e-10, 'null deviance without intercept');
+    });
+    
+    it('rejects weights of the wrong length', () => {
+      assert.throws(
+        () => glm([1, 2, 3], [[1, 2, 3]], { family: poisson(), weights: [1, 2] }),
+        /weights has length 2 but there are 3 observations/
+      );
+    });
+    
     it('respects maximum iterations', () => {
       const x = [1, 2, 3, 4, 5];
       const y = [0, 0, 1, 1, 1];
@@ -494,4 +537,135 @@ describe('glm() - Generalized Linear Models', () => {
       assertClose(fit.coefficients[0], 2.0, COEF_TOL, 'slope coefficient');
     });
   });
+  
+  describe('Offsets', () => {
+    // Event counts y over exposure t in two groups; the Poisson rate model
+    // log(mu) = log(t) + b0 + b1 * g has closed-form estimates (group rates)
+    const y = [2, 3, 6, 7, 8, 9, 10, 12, 15];
+    const t = [10, 17, 21, 28, 30, 33, 35, 40, 45];
+    const g = [0, 0, 0, 0, 1, 1, 1, 1, 1];
+    const offset = t.map(Math.log);
+    const rate0 = 18 / 76;
+    const rate1 = 54 / 183;
+    
+    it('fits a Poisson rate model with log(exposure) offset', () => {
+      const fit = glm(y, [g], { family: poisson(), offset });
+      assertArrayClose(fit.coefficients, [Math.log(rate0), Math.log(rate1 / rate0)], 1e-8, 'coefficients');
+      assertClose(fit.fitted_values[0], 10 * rate0, 1e-8, 'fitted count');
+      assertClose(fit.linear_predictors[0], Math.log(10 * rate0), 1e-8, 'linear predictor includes offset');
+      assert.deepEqual(fit.offset, offset);
+      
+      const formulaFit = glm('y ~ g', { data: { y, g }, family: poisson(), offset });
+      assertArrayClose(formulaFit.coefficients, fit.coefficients, 1e-10, 'formula coefficients');
+    });
+    
+    it('computes the null deviance of the intercept-only model with offset', () => {
+      const fit = glm(y, [g], { family: poisson(), offset });
+      const rate = 72 / 259;
+      let nullDeviance = 0;
+      for (let i = 0; i < y.length; i++) {
+        const mu = t[i] * rate;
+        nullDeviance += 2 * (y[i] * Math.log(y[i] / mu) - (y[i] - mu));
+      }
+      assertClose(fit.null_deviance, nullDeviance, 1e-8, 'null deviance');
+      assert.ok(fit.deviance < fit.null_deviance);
+    });
+    
+    it('predicts with newOffset', () => {
+      const fit = glm(y, [g], { family: poisson(), offset });
+      const pred = predictGlm(fit, [[0, 1]], 'response', [Math.log(100), Math.log(100)]);
+      assertArrayClose(pred, [100 * rate0, 100 * rate1], 1e-8, 'expected counts');
+      
+      const eta = predictGlm(fit, [[1]], 'link');
+      assertClose(eta[0], Math.log(rate1), 1e-8, 'rate without offset');
+      assert.throws(() => predictGlm(fit, [[1]], 'response', [0, 0]), /newOffset has length 2/);
+    });
+  });
+  
+  describe('Standard Errors and Dispersion', () => {
+    it('computes standard errors from the Fisher information', () => {
+      // R: summary(glm(am ~ hp + wt, binomial, mtcars))$coefficients[, 2]
+      // (Intercept)          hp          wt
+      //  7.44356    0.01773     3.06868
+      const fit = glm('am ~ hp + wt', { data: mtcars, family: binomial() });
+      assertArrayClose(fit.std_errors, [7.44356, 0.01773, 3.06868], 1e-4, 'std_errors');
+      assert.equal(fit.dispersion, 1);
+      assert.ok('z_value' in summaryGLM(fit).coefficients[0]);
+    });
+    
+    it('quasipoisson() scales Poisson standard errors by the estimated dispersion', () => {
+      const pois = glm('carb ~ hp', { data: mtcars, family: poisson() });
+      const quasi = glm('carb ~ hp', { data: mtcars, family: quasipoisson() });
+      
+      const pearson = pois.pearson_residuals.reduce((acc, r) => acc + r * r, 0);
+      assertClose(quasi.dispersion, pearson / 30, 1e-10, 'dispersion');
+      assertArrayClose(quasi.coefficients, pois.coefficients, 1e-10, 'coefficients');
+      assertArrayClose(
+        quasi.std_errors,
+        pois.std_errors.map(se => se * Math.sqrt(quasi.dispersion)),
+        1e-10,
+        'std_errors'
+      );
+      assert.ok(Number.isNaN(quasi.aic));
+      
+      // Estimated dispersion gives t tests on the residual df
+      const row = summaryGLM(quasi).coefficients[1];
+      assertClose(row.t_value, quasi.coefficients[1] / quasi.std_errors[1], 1e-10, 't value');
+    });
+    
+    it('quasibinomial() matches binomial estimates', () => {
+      const bin = glm('vs ~ mpg', { data: mtcars, family: binomial() });
+      const quasi = glm('vs ~ mpg', { data: mtcars, family: quasibinomial() });
+      assertArrayClose(quasi.coefficients, bin.coefficients, 1e-8, 'coefficients');
+      assert.equal(quasi.estimated_dispersion, true);
+    });
+    
+    it('fits the inverse Gaussian family', () => {
+      // Intercept-only: mu is the mean and the Pearson dispersion is sum((y - mu)^2 / mu^3) / (n - 1)
+      const y = [1.2, 0.8, 2.5, 1.9, 3.1, 0.6, 1.4];
+      const fit = glm(y, [], { family: inverse_gaussian() });
+      const mean = y.reduce((a, b) => a + b, 0) / y.length;
+      assert.ok(fit.converged);
+      assertClose(fit.fitted_values[0], mean, 1e-8, 'fitted mean');
+      assertClose(fit.coefficients[0], 1 / (mean * mean), 1e-8, '1/mu^2 link');
+      const disp = y.reduce((acc, yi) => acc + (yi - mean) ** 2 / mean ** 3, 0) / (y.length - 1);
+      assertClose(fit.dispersion, disp, 1e-8, 'dispersion');
+    });
+  });
+  
+  describe('Negative Binomial Family', () => {
+    const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20];
+    const y = [0, 3, 1, 0, 6, 2, 9, 1, 4, 12, 3, 0, 15, 7, 2, 20, 5, 11, 30, 8];
+    
+    it('negative_binomial() validates theta', () => {
+      assert.throws(() => negative_binomial(0), /theta must be a positive number/);
+      assert.equal(negative_binomial(2).variance(4), 12);
+    });
+    
+    it('glm_nb() estimates theta by maximum likelihood', () => {
+      const fit = glm_nb(y, [x]);
+      assert.ok(fit.converged);
+      assert.ok(fit.theta > 0 && fit.se_theta > 0);
+      
+      // The likelihood at the estimate beats nearby values of theta
+      const aicAt = (theta) => glm(y, [x], { family: negative_binomial(theta) }).aic;
+      assert.ok(aicAt(fit.theta) < aicAt(fit.theta * 1.05));
+      assert.ok(aicAt(fit.theta) < aicAt(fit.theta / 1.05));
+      
+      // AIC counts theta as a parameter
+      assertClose(fit.aic, -fit.two_log_lik + 2 * 3, 1e-10, 'aic');
+      assertClose(fit.aic, aicAt(fit.theta) + 2, 1e-6, 'aic vs fixed theta');
+    });
+    
+    it('gives larger standard errors than Poisson for overdispersed counts', () => {
+      const nb = glm_nb(y, [x]);
+      const pois = glm(y, [x], { family: poisson() });
+      assert.ok(nb.std_errors[1] > pois.std_errors[1]);
+      assert.equal(nb.dispersion, 1);
+      
+      const formulaFit = glm_nb('y ~ x', { data: { x, y } });
+      assertArrayClose(formulaFit.coefficients, nb.coefficients, 1e-8, 'formula coefficients');
+      assert.deepEqual(formulaFit.coef_names, ['(Intercept)', 'x']);
+    });
+  });
 });
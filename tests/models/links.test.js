@@ -0,0 +1,121 @@
+/**
+ * Tests for GLM link functions - makeLink(), power() and family/link validation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeLink, power } from '../../src/models/links.js';
+import { glm, gaussian, binomial, poisson, Gamma, inverse_gaussian, quasipoisson } from '../../src/models/glm.js';
+import { qnorm } from '../../src/distributions/normal.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+describe('GLM link functions', () => {
+  describe('Link objects', () => {
+    const probabilities = ['logit', 'probit', 'cauchit', 'cloglog', 'log'];
+    const positive = ['identity', 'log', 'inverse', 'sqrt', '1/mu^2'];
+
+    it('linkinv() inverts linkfun()', () => {
+      for (const name of probabilities) {
+        const link = makeLink(name);
+        for (const mu of [0.05, 0.3, 0.5, 0.8]) {
+          assert.ok(Math.abs(link.linkinv(link.linkfun(mu)) - mu) < 1e-7, `${name} at ${mu}`);
+        }
+      }
+      for (const name of positive) {
+        const link = makeLink(name);
+        for (const mu of [0.2, 1, 3.5, 12]) {
+          assert.ok(Math.abs(link.linkinv(link.linkfun(mu)) - mu) < 1e-8 * mu, `${name} at ${mu}`);
+        }
+      }
+    });
+
+    it('mu_eta() is the derivative of linkinv()', () => {
+      const h = 1e-6;
+      for (const name of [...probabilities, ...positive]) {
+        const link = makeLink(name);
+        const eta = link.linkfun(0.4);
+        const numeric = (link.linkinv(eta + h) - link.linkinv(eta - h)) / (2 * h);
+        assert.ok(Math.abs(link.mu_eta(eta) - numeric) < 1e-6, `${name}: ${link.mu_eta(eta)} vs ${numeric}`);
+      }
+    });
+
+    it('power() creates mu^lambda links', () => {
+      const cubeRoot = power(1 / 3);
+      assert.equal(cubeRoot.name, 'mu^0.333333');
+      assert.ok(Math.abs(cubeRoot.linkfun(8) - 2) < 1e-12);
+      assert.ok(Math.abs(cubeRoot.linkinv(2) - 8) < 1e-12);
+      assert.ok(Math.abs(cubeRoot.mu_eta(2) - 12) < 1e-9);
+      assert.equal(power(0).name, 'log');
+      assert.equal(power(1).name, 'identity');
+      assert.throws(() => power('a'), /finite numeric lambda/);
+    });
+
+    it('rejects unknown links and unsupported family/link combinations', () => {
+      assert.throws(() => makeLink('bogus'), /Unknown link: bogus/);
+      assert.throws(() => poisson('logit'), /Link 'logit' is not available for the poisson family/);
+      assert.throws(() => binomial('sqrt'), /not available for the binomial family/);
+      assert.throws(() => binomial(power(0.5)), /not available for the binomial family/);
+      assert.throws(() => poisson(makeLink('logit')), /Link 'logit' is not available for the poisson family/);
+      assert.throws(() => Gamma(makeLink('probit')), /not available for the Gamma family/);
+      assert.throws(() => gaussian({ ...power(0.5) }), /Link 'mu\^0.5' is not available for the gaussian family/);
+      assert.throws(() => Gamma('probit'), /not available for the Gamma family/);
+      assert.throws(() => quasipoisson('cloglog'), /not available/);
+      assert.throws(() => gaussian(42), /link must be a link name or a link object/);
+    });
+  });
+
+  describe('Fitting with alternative links', () => {
+    // Two groups with observed proportions 3/10 and 7/10: a saturated model
+    // reproduces the proportions whatever the link
+    const group = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1];
+    const y = [1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0];
+
+    it('fits probit, cloglog and cauchit binomial models', () => {
+      const probit = glm(y, [group], { family: binomial('probit') });
+      assertArrayClose(probit.coefficients, [qnorm(0.3), qnorm(0.7) - qnorm(0.3)], 1e-6, 'probit');
+
+      const cloglog = glm(y, [group], { family: binomial('cloglog') });
+      const cll = (p) => Math.log(-Math.log(1 - p));
+      assertArrayClose(cloglog.coefficients, [cll(0.3), cll(0.7) - cll(0.3)], 1e-6, 'cloglog');
+
+      const cauchit = glm(y, [group], { family: binomial('cauchit') });
+      assertArrayClose(cauchit.fitted_values.slice(9, 11), [0.3, 0.7], 1e-6, 'cauchit fitted');
+      assert.equal(cauchit.link, 'cauchit');
+    });
+
+    it('fits identity and sqrt Poisson links and identity/log Gamma links', () => {
+      const counts = [2, 3, 1, 4, 8, 9, 7, 10];
+      const g = [0, 0, 0, 0, 1, 1, 1, 1];
+      const sqrtFit = glm(counts, [g], { family: poisson('sqrt') });
+      assertArrayClose(sqrtFit.coefficients, [Math.sqrt(2.5), Math.sqrt(8.5) - Math.sqrt(2.5)], 1e-6, 'sqrt');
+
+      const identityFit = glm(counts, [g], { family: poisson('identity') });
+      assertArrayClose(identityFit.coefficients, [2.5, 6], 1e-6, 'identity');
+
+      const gammaIdentity = glm(counts, [g], { family: Gamma('identity') });
+      const gammaLog = glm(counts, [g], { family: Gamma('log') });
+      assertArrayClose(gammaIdentity.fitted_values, gammaLog.fitted_values, 1e-6, 'Gamma fitted');
+    });
+
+    it('fits power links', () => {
+      const values = [1.2, 0.8, 2.5, 1.9, 3.1, 0.6, 1.4, 2.2];
+      const g = [0, 0, 0, 0, 1, 1, 1, 1];
+      const fit = glm(values, [g], { family: inverse_gaussian(power(-2)) });
+      const ref = glm(values, [g], { family: inverse_gaussian('1/mu^2') });
+      assertArrayClose(fit.fitted_values, ref.fitted_values, 1e-8, 'fitted');
+      assert.equal(fit.link, 'mu^-2');
+    });
+  });
+});
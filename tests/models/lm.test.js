@@ -252,4 +252,65 @@ describe('lm() - Linear Models', () => {
       );
     });
   });
+  
+  describe('Weights and Offsets', () => {
+    const x = [1, 2, 3, 4, 5, 6];
+    const y = [1.8, 4.3, 5.7, 8.4, 9.9, 12.6];
+    
+    it('matches ordinary least squares with unit weights', () => {
+      const fit = lm(y, [x], { weights: [1, 1, 1, 1, 1, 1] });
+      const ols = lm(y, [x]);
+      assertArrayClose(fit.coefficients, ols.coefficients, 1e-12, 'coefficients');
+      assertArrayClose(fit.std_errors, ols.std_errors, 1e-12, 'std_errors');
+      assert.ok(Math.abs(fit.r_squared - ols.r_squared) < 1e-12);
+    });
+    
+    it('integer weights give the same estimates as replicated observations', () => {
+      const weights = [1, 2, 1, 3, 1, 1];
+      const fit = lm(y, [x], { weights });
+      const xRep = x.flatMap((v, i) => Array(weights[i]).fill(v));
+      const yRep = y.flatMap((v, i) => Array(weights[i]).fill(v));
+      const rep = lm(yRep, [xRep]);
+      
+      assertArrayClose(fit.coefficients, rep.coefficients, 1e-10, 'coefficients');
+      assert.ok(Math.abs(fit.rss - rep.rss) < 1e-10, 'weighted RSS');
+      assert.ok(Math.abs(fit.r_squared - rep.r_squared) < 1e-10, 'R-squared');
+      assert.equal(fit.df.residual, 4);
+      assert.deepEqual(fit.weights, weights);
+      
+      // Residuals are on the response scale, not weighted
+      for (let i = 0; i < y.length; i++) {
+        assert.ok(Math.abs(fit.fitted_values[i] + fit.residuals[i] - y[i]) < 1e-10);
+      }
+    });
+    
+    it('zero weights drop observations from the fit and degrees of freedom', () => {
+      const fit = lm(y, [x], { weights: [1, 1, 1, 1, 1, 0] });
+      const sub = lm(y.slice(0, 5), [x.slice(0, 5)]);
+      assertArrayClose(fit.coefficients, sub.coefficients, 1e-10, 'coefficients');
+      assertArrayClose(fit.std_errors, sub.std_errors, 1e-10, 'std_errors');
+      assert.equal(fit.df.residual, 3);
+      assert.equal(fit.residuals.length, 6);
+    });
+    
+    it('fits an offset as a known part of the linear predictor', () => {
+      const offset = x.map(v => 2 * v);
+      const fit = lm(y, [x], { offset });
+      const shifted = lm(y.map((v, i) => v - offset[i]), [x]);
+      
+      assertArrayClose(fit.coefficients, shifted.coefficients, 1e-12, 'coefficients');
+      assertArrayClose(fit.std_errors, shifted.std_errors, 1e-12, 'std_errors');
+      assert.ok(Math.abs(fit.r_squared - shifted.r_squared) < 1e-12);
+      assert.ok(Math.abs(fit.fitted_values[0] - (shifted.fitted_values[0] + offset[0])) < 1e-12);
+      
+      const pred = predict(fit, [[7]], [14]);
+      assertArrayClose(pred, [fit.coefficients[0] + 7 * fit.coefficients[1] + 14], 1e-12, 'prediction');
+    });
+    
+    it('validates weights and offset', () => {
+      assert.throws(() => lm(y, [x], { weights: [1, 2] }), /weights has length 2/);
+      assert.throws(() => lm(y, [x], { weights: [1, 1, -1, 1, 1, 1] }), /Negative weights/);
+      assert.throws(() => lm(y, [x], { offset: [0] }), /offset has length 1/);
+    });
+  });
 });
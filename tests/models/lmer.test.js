@@ -0,0 +1,210 @@
+/**
+ * Tests for lmer() - Linear mixed-effects models
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lmer } from '../../src/models/lmer.js';
+import { summaryLMER, summarizeModel, printModelSummary } from '../../src/models/summary.js';
+import { logLik, AIC, vcov } from '../../src/models/generics.js';
+import { Matrix, cholesky, inverse } from '../../src/math/matrix.js';
+import { createRng } from '../../src/math/random.js';
+
+/**
+ * Helper: assert numbers are approximately equal (relative tolerance)
+ */
+function assertClose(actual, expected, tol = 1e-5, label = '') {
+  assert.ok(
+    Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+    `${label}: expected ${expected}, got ${actual} (diff: ${Math.abs(actual - expected)})`
+  );
+}
+
+/**
+ * Balanced longitudinal data: G subjects measured at times 0..m-1
+ * with subject-specific intercepts and slopes
+ */
+function simulate(G = 8, m = 5, seed = 11) {
+  const rng = createRng(seed);
+  const normal = () => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+  const data = { y: [], time: [], subject: [] };
+  for (let g = 0; g < G; g++) {
+    const b0 = 3 * normal();
+    const b1 = 0.8 * normal();
+    for (let j = 0; j < m; j++) {
+      data.subject.push(`s${g}`);
+      data.time.push(j);
+      data.y.push(10 + b0 + (2 + b1) * j + 1.5 * normal());
+    }
+  }
+  return data;
+}
+
+/**
+ * Marginal covariance V = sigma^2 I + Z G Z' of a fitted random intercept/slope model
+ */
+function marginalCovariance(fit, data) {
+  const n = data.y.length;
+  const vc = fit.varcor[0];
+  const z = (i) => vc.names.map(name => (name === '(Intercept)' ? 1 : data.time[i]));
+  const V = new Matrix(n, n);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < n; k++) {
+      let v = i === k ? fit.sigma * fit.sigma : 0;
+      if (data.subject[i] === data.subject[k]) {
+        const zi = z(i);
+        const zk = z(k);
+        for (let a = 0; a < zi.length; a++) {
+          for (let b = 0; b < zk.length; b++) v += zi[a] * vc.cov.get(a, b) * zk[b];
+        }
+      }
+      V.set(i, k, v);
+    }
+  }
+  return V;
+}
+
+describe('lmer() - Linear mixed-effects models', () => {
+  const data = simulate();
+  const G = 8;
+  const m = 5;
+
+  // One-way ANOVA quantities for y ~ 1 + (1 | subject)
+  const N = G * m;
+  const grand = data.y.reduce((a, b) => a + b, 0) / N;
+  const groupMeans = [];
+  let ssw = 0;
+  let ssb = 0;
+  for (let g = 0; g < G; g++) {
+    const yg = data.y.slice(g * m, (g + 1) * m);
+    const mean = yg.reduce((a, b) => a + b, 0) / m;
+    groupMeans.push(mean);
+    ssb += m * (mean - grand) * (mean - grand);
+    ssw += yg.reduce((s, v) => s + (v - mean) * (v - mean), 0);
+  }
+  const msw = ssw / (N - G);
+  const msb = ssb / (G - 1);
+
+  describe('Random intercepts', () => {
+    it('REML matches the ANOVA estimators for balanced data', () => {
+      const fit = lmer('y ~ 1 + (1 | subject)', { data });
+      assertClose(fit.coefficients[0], grand, 1e-8, 'intercept');
+      assertClose(fit.sigma * fit.sigma, msw, 1e-5, 'residual variance');
+      assertClose(fit.varcor[0].variance[0], (msb - msw) / m, 1e-5, 'subject variance');
+      assertClose(fit.std_errors[0], Math.sqrt(msb / N), 1e-5, 'standard error');
+      assert.deepEqual(fit.ngroups, { subject: G });
+    });
+
+    it('ML matches the closed-form estimators for balanced data', () => {
+      const fit = lmer('y ~ 1 + (1 | subject)', { data, REML: false });
+      assertClose(fit.sigma * fit.sigma, msw, 1e-5, 'residual variance');
+      assertClose(fit.varcor[0].variance[0], (ssb / G - msw) / m, 1e-5, 'subject variance');
+    });
+
+    it('BLUPs shrink the group means towards the grand mean', () => {
+      const fit = lmer('y ~ 1 + (1 | subject)', { data });
+      const s2b = fit.varcor[0].variance[0];
+      const shrink = s2b / (s2b + fit.sigma * fit.sigma / m);
+      const blups = fit.ranef.subject.values.map(v => v[0]);
+      assert.deepEqual(fit.ranef.subject.levels, data.subject.filter((_, i) => i % m === 0));
+      blups.forEach((b, g) => assertClose(b, shrink * (groupMeans[g] - grand), 1e-6, `BLUP ${g}`));
+    });
+  });
+
+  describe('Random slopes', () => {
+    it('ML log-likelihood equals the marginal normal density', () => {
+      const fit = lmer('y ~ time + (time | subject)', { data, REML: false });
+      const V = marginalCovariance(fit, data);
+      const L = cholesky(V);
+      const Vinv = inverse(V);
+
+      const resid = data.y.map((y, i) => y - fit.coefficients[0] - fit.coefficients[1] * data.time[i]);
+      let quad = 0;
+      for (let i = 0; i < N; i++) {
+        for (let k = 0; k < N; k++) quad += resid[i] * Vinv.get(i, k) * resid[k];
+      }
+      let logDet = 0;
+      for (let i = 0; i < N; i++) logDet += 2 * Math.log(L.get(i, i));
+
+      const expected = -0.5 * (N * Math.log(2 * Math.PI) + logDet + quad);
+      assertClose(fit.log_lik, expected, 1e-8, 'logLik');
+      assertClose(logLik(fit).value, expected, 1e-8, 'logLik()');
+      assert.equal(logLik(fit).df, 6);
+      assertClose(AIC(fit), -2 * expected + 12, 1e-8, 'AIC');
+    });
+
+    it('REML fixed effects are the GLS estimates under the fitted covariance', () => {
+      const fit = lmer('y ~ time + (time | subject)', { data });
+      const Vinv = inverse(marginalCovariance(fit, data));
+      const X = new Matrix(N, 2, data.time.flatMap(t => [1, t]));
+      const XtVinv = X.transpose().multiply(Vinv);
+      const covBeta = inverse(XtVinv.multiply(X));
+      const beta = covBeta.multiplyVector(XtVinv.multiplyVector(data.y));
+
+      assertClose(fit.coefficients[0], beta[0], 1e-8, 'intercept');
+      assertClose(fit.coefficients[1], beta[1], 1e-8, 'slope');
+      assertClose(fit.std_errors[0], Math.sqrt(covBeta.get(0, 0)), 1e-6, 'SE intercept');
+      assertClose(fit.std_errors[1], Math.sqrt(covBeta.get(1, 1)), 1e-6, 'SE slope');
+      assertClose(vcov(fit).get(0, 1), covBeta.get(0, 1), 1e-6, 'vcov');
+
+      const corr = fit.varcor[0].corr;
+      assert.ok(Math.abs(corr[0][1]) <= 1);
+      assert.equal(corr[0][1], corr[1][0]);
+    });
+
+    it('fits uncorrelated terms for the same grouping factor', () => {
+      const fit = lmer('y ~ time + (1 | subject) + (0 + time | subject)', { data });
+      assert.equal(fit.varcor.length, 2);
+      assert.deepEqual(fit.ranef.subject.names, ['(Intercept)', 'time']);
+      assert.equal(fit.ranef.subject.values[0].length, 2);
+      assert.equal(fit.npar, 2 + 2 + 1);
+    });
+
+    it('fitted values add the BLUPs to the fixed effects', () => {
+      const fit = lmer('y ~ time + (time | subject)', { data });
+      const re = fit.ranef.subject.values;
+      for (let i = 0; i < N; i++) {
+        const g = Math.floor(i / m);
+        const expected = fit.coefficients[0] + re[g][0] + (fit.coefficients[1] + re[g][1]) * data.time[i];
+        assertClose(fit.fitted_values[i], expected, 1e-10, `fitted ${i}`);
+      }
+    });
+  });
+
+  describe('Summaries and missing values', () => {
+    it('prints an lme4-style summary', () => {
+      const fit = lmer('y ~ time + (time | subject)', { data });
+      const summary = summarizeModel(fit);
+      assert.equal(summary.call, 'lmer');
+      assert.deepEqual(summary, summaryLMER(fit));
+      assert.equal(summary.random_effects.length, 2);
+      const text = printModelSummary(summary);
+      assert.match(text, /Linear mixed model fit by REML/);
+      assert.match(text, /Random effects:/);
+      assert.match(text, /Number of obs: 40, groups: {2}subject, 8/);
+    });
+
+    it('drops incomplete rows', () => {
+      const withNA = { y: data.y.slice(), time: data.time.slice(), subject: data.subject.slice() };
+      withNA.y[3] = null;
+      withNA.subject[7] = null;
+      const fit = lmer('y ~ time + (1 | subject)', { data: withNA });
+      assert.equal(fit.n, N - 2);
+      assert.deepEqual(fit.na_action.omitted, [3, 7]);
+    });
+
+    it('validates the formula', () => {
+      assert.throws(() => lmer('y ~ time', { data }), /No random effects terms/);
+      assert.throws(() => lmer('y ~ time + (time || subject)', { data }), /Double-bar terms/);
+      assert.throws(() => lmer('y ~ time + (1 | subject)'), /data argument is required/);
+    });
+
+    it('rejects collinear fixed effects', () => {
+      const collinear = { ...data, time2: data.time.map(t => 2 * t) };
+      assert.throws(
+        () => lmer('y ~ time + time2 + (1 | subject)', { data: collinear }),
+        /not positive definite \(fixed effects may be collinear\)/
+      );
+    });
+  });
+});
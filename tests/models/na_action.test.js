@@ -0,0 +1,88 @@
+/**
+ * Tests for missing value policies (na_action) in lm() and glm()
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial } from '../../src/models/glm.js';
+import { modelMatrix } from '../../src/models/formula.js';
+import { summaryLM } from '../../src/models/summary.js';
+import { diagnostics } from '../../src/models/diagnostics.js';
+import { completeRows } from '../../src/models/na_action.js';
+import DataFrame from '../../src/data/DataFrame.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-10, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+const y = [1.2, 2.3, 2.9, 4.1, 5.2, 5.8, 7.1, 8.3];
+const x = [1, 2, null, 4, 5, 6, 7, 8];
+const complete = [0, 1, 3, 4, 5, 6, 7];
+
+describe('Missing value policies', () => {
+  it('completeRows() finds complete observations across variables', () => {
+    assert.deepEqual(completeRows(4, [[1, NaN, 3, 4], [1, 2, 3, null]]), [0, 2]);
+    assert.deepEqual(completeRows(3, [[1, 2, 3], null]), [0, 1, 2]);
+    assert.throws(() => completeRows(2, [[1, 2]], 'na.drop'), /Unknown na_action/);
+  });
+
+  it('na.omit drops incomplete rows and records them', () => {
+    const fit = lm(y, [x]);
+    const ref = lm(complete.map(i => y[i]), [complete.map(i => x[i])]);
+    assertArrayClose(fit.coefficients, ref.coefficients, 1e-10, 'coefficients');
+    assert.equal(fit.n, 7);
+    assert.equal(fit.residuals.length, 7);
+    assert.deepEqual(fit.na_action, { method: 'na.omit', omitted: [2] });
+  });
+
+  it('na.exclude pads residuals and fitted values with null', () => {
+    const fit = lm(y, [x], { na_action: 'na.exclude' });
+    const ref = lm(y, [x]);
+    assert.equal(fit.residuals.length, 8);
+    assert.equal(fit.residuals[2], null);
+    assert.equal(fit.fitted_values[2], null);
+    assertArrayClose(fit.residuals.filter(r => r !== null), ref.residuals, 1e-10, 'residuals');
+
+    // Consumers work on the rows used in the fit
+    assert.equal(diagnostics(fit).leverage.length, 7);
+    assert.equal(summaryLM(fit).residuals.max, Math.max(...ref.residuals));
+  });
+
+  it('na.fail throws on incomplete data', () => {
+    assert.throws(() => lm(y, [x], { na_action: 'na.fail' }), /Missing values in 1 observation/);
+    assert.doesNotThrow(() => lm(y.slice(0, 3), [[1, 2, 4]], { na_action: 'na.fail' }));
+  });
+
+  it('applies the policy through the formula interface', () => {
+    const df = new DataFrame({ y, x });
+    const fit = lm('y ~ x', { data: df, na_action: 'na.exclude' });
+    assert.equal(fit.fitted_values.length, 8);
+    assert.deepEqual(fit.na_action.omitted, [2]);
+    assert.throws(() => modelMatrix('y ~ x', df, { na_action: 'na.fail' }), /na\.fail/);
+  });
+
+  it('treats missing weights in glm() as incomplete observations', () => {
+    const yb = [0, 1, 0, 1, 1, 0, 1, 1];
+    const xb = [1, 2, 3, 4, 5, 6, 7, 8];
+    const weights = [1, 1, null, 1, 1, 1, 1, 1];
+    const fit = glm(yb, [xb], { family: binomial(), weights });
+    const ref = glm(complete.map(i => yb[i]), [complete.map(i => xb[i])], { family: binomial() });
+    assertArrayClose(fit.coefficients, ref.coefficients, 1e-8, 'coefficients');
+    assert.deepEqual(fit.na_action.omitted, [2]);
+
+    const df = new DataFrame({ yb, xb });
+    const fit2 = glm('yb ~ xb', { data: df, family: binomial(), weights, na_action: 'na.exclude' });
+    assert.equal(fit2.fitted_values[2], null);
+    assertArrayClose(fit2.coefficients, ref.coefficients, 1e-8, 'formula coefficients');
+  });
+});
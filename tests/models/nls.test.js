@@ -0,0 +1,111 @@
+/**
+ * Tests for nls() - Nonlinear least squares
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nls, predictNls } from '../../src/models/nls.js';
+import { lm } from '../../src/models/lm.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: Puromycin[Puromycin$state == "treated", ]
+const puromycin = {
+  conc: [0.02, 0.02, 0.06, 0.06, 0.11, 0.11, 0.22, 0.22, 0.56, 0.56, 1.10, 1.10],
+  rate: [76, 47, 97, 107, 123, 139, 159, 152, 191, 201, 207, 200]
+};
+const michaelisMenten = (p, row) => p.Vm * row.conc / (p.K + row.conc);
+
+describe('nls() - Nonlinear least squares', () => {
+  it('matches R for the Michaelis-Menten model', () => {
+    // R: fit <- nls(rate ~ Vm * conc / (K + conc), data = treated, start = list(Vm = 200, K = 0.1))
+    //             Estimate Std. Error
+    // Vm         2.127e+02  6.947e+00
+    // K          6.412e-02  8.281e-03
+    // Residual standard error: 10.93 on 10 degrees of freedom
+    const fit = nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, { response: 'rate' });
+    assert.ok(fit.converged);
+    assert.deepEqual(fit.coef_names, ['Vm', 'K']);
+    assertArrayClose(fit.coefficients, [212.6837, 0.06412], 1e-4, 'coef');
+    assertArrayClose(fit.std_errors, [6.947, 0.008281], 1e-3, 'se');
+    assert.ok(Math.abs(fit.sigma - 10.93) < 0.005);
+    assert.equal(fit.df.residual, 10);
+  });
+
+  it('Gauss-Newton and an analytic gradient reach the same estimates', () => {
+    const lmFit = nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, { response: 'rate' });
+    const gnFit = nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, {
+      response: 'rate',
+      algorithm: 'gauss-newton'
+    });
+    const gradFit = nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, {
+      response: 'rate',
+      gradient: (p, row) => ({
+        Vm: row.conc / (p.K + row.conc),
+        K: -p.Vm * row.conc / ((p.K + row.conc) * (p.K + row.conc))
+      })
+    });
+    assertArrayClose(gnFit.coefficients, lmFit.coefficients, 1e-5, 'gauss-newton');
+    assertArrayClose(gradFit.coefficients, lmFit.coefficients, 1e-5, 'gradient');
+    assertArrayClose(gradFit.std_errors, lmFit.std_errors, 1e-5, 'se');
+  });
+
+  it('reproduces lm() for a model linear in the parameters', () => {
+    const data = { x: [1, 2, 3, 4, 5, 6], y: [2.3, 4.1, 6.2, 7.9, 10.2, 11.8] };
+    const fit = nls((p, row) => p.a + p.b * row.x, data, { a: 0, b: 1 });
+    const linear = lm(data.y, [data.x]);
+    assertArrayClose(fit.coefficients, linear.coefficients, 1e-8, 'coef');
+    assertArrayClose(fit.std_errors, linear.std_errors, 1e-6, 'se');
+    assertArrayClose(fit.p_values, linear.p_values, 1e-6, 'p');
+  });
+
+  it('predicts for new data', () => {
+    const fit = nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, { response: 'rate' });
+    const [Vm, K] = fit.coefficients;
+    assertArrayClose(predictNls(fit, { conc: [0.5, 2] }), [Vm * 0.5 / (K + 0.5), Vm * 2 / (K + 2)], 1e-10, 'pred');
+    assert.deepEqual(predictNls(fit), fit.fitted_values);
+  });
+
+  it('omits rows with a missing response', () => {
+    const data = { conc: [...puromycin.conc, 0.3], rate: [...puromycin.rate, null] };
+    const fit = nls(michaelisMenten, data, { Vm: 200, K: 0.1 }, { response: 'rate' });
+    assert.equal(fit.n, 12);
+    assert.deepEqual(fit.na_action, { method: 'na.omit', omitted: [12] });
+
+    const complete = nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, { response: 'rate' });
+    assert.deepEqual(complete.na_action, { method: 'na.omit', omitted: [] });
+
+    const excluded = nls(michaelisMenten, data, { Vm: 200, K: 0.1 }, { response: 'rate', na_action: 'na.exclude' });
+    assert.equal(excluded.residuals.length, 13);
+    assert.equal(excluded.residuals[12], null);
+    assert.throws(
+      () => nls(michaelisMenten, data, { Vm: 200, K: 0.1 }, { response: 'rate', na_action: 'na.fail' }),
+      /Missing values/
+    );
+  });
+
+  it('validates its arguments', () => {
+    assert.throws(() => nls('rate ~ Vm', puromycin, { Vm: 1 }), /requires a model function/);
+    assert.throws(() => nls(michaelisMenten, puromycin, [200, 0.1], { response: 'rate' }), /start must be an object/);
+    assert.throws(() => nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }), /Response column 'y' not found/);
+    assert.throws(
+      () => nls(michaelisMenten, puromycin, { Vm: 200, K: 0.1 }, { response: 'rate', algorithm: 'newton' }),
+      /Unknown algorithm/
+    );
+    assert.throws(
+      () => nls((p, row) => p.a * Math.log(row.conc - 1), puromycin, { a: 1 }, { response: 'rate' }),
+      /Missing value or an infinity/
+    );
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for crossValidate() and bootstrap() - Resampling for model evaluation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { crossValidate, bootstrap } from '../../src/models/resampling.js';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial } from '../../src/models/glm.js';
+import { diagnostics } from '../../src/models/diagnostics.js';
+import DataFrame from '../../src/data/DataFrame.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+const x = [1.2, 2.3, 0.7, 3.1, 2.8, 1.9, 4.0, 0.5, 3.6, 2.2, 1.4, 2.9, 3.3, 0.9, 4.4, 1.7, 2.6, 3.9, 0.3, 2.0];
+const y = [3.9, 6.1, 2.2, 7.9, 7.0, 5.3, 9.8, 1.6, 8.5, 5.9, 4.2, 7.4, 8.3, 2.6, 10.9, 4.8, 6.6, 9.4, 1.3, 5.4];
+const am = [0, 1, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1, 0, 1, 0, 0, 1, 1, 0];
+
+describe('crossValidate() - k-fold cross-validation', () => {
+  it('should reproduce the PRESS residuals with leave-one-out folds', () => {
+    const data = { x, y };
+    const cv = crossValidate(train => lm('y ~ x', { data: train }), data, { folds: x.length });
+    const fit = lm(y, [x]);
+    const { leverage } = diagnostics(fit);
+
+    // Leave-one-out residuals of a linear model are e_i / (1 - h_ii)
+    const press = fit.residuals.map((e, i) => e / (1 - leverage[i]));
+    assertArrayClose(cv.predictions.map((p, i) => y[i] - p), press, 1e-10, 'press');
+    assert.equal(cv.folds.length, x.length);
+    assertArrayClose([cv.metrics.mae.mean], [press.reduce((s, e) => s + Math.abs(e), 0) / x.length], 1e-10, 'mae');
+  });
+
+  it('should assign balanced, reproducible folds and repeat them', () => {
+    const data = new DataFrame({ x, y });
+    const fitFn = train => lm('y ~ x', { data: train });
+    const cv = crossValidate(fitFn, data, { folds: 4, repeats: 3, seed: 7 });
+
+    assert.equal(cv.folds.length, 12);
+    assert.equal(cv.foldid.length, 3);
+    for (const assignment of cv.foldid) {
+      const sizes = [1, 2, 3, 4].map(k => assignment.filter(f => f === k).length);
+      assert.deepEqual(sizes, [5, 5, 5, 5]);
+    }
+    assert.notDeepEqual(cv.foldid[0], cv.foldid[1]);
+    assert.deepEqual(cv.metrics, crossValidate(fitFn, data, { folds: 4, repeats: 3, seed: 7 }).metrics);
+    assert.ok(cv.metrics.rmse.mean >= cv.metrics.mae.mean);
+    assert.equal(cv.folds[5].n_train, 15);
+  });
+
+  it('should stratify binomial glm folds and score log-loss and AUC', () => {
+    const data = { x, am };
+    const cv = crossValidate(train => glm('am ~ x', { data: train, family: binomial() }), data, {
+      folds: 5, stratify: true, seed: 3
+    });
+    assert.deepEqual(Object.keys(cv.metrics), ['logloss', 'auc']);
+
+    // Each fold holds two of the ten 1s and two of the ten 0s
+    for (let k = 1; k <= 5; k++) {
+      const rows = cv.foldid.map((f, i) => (f === k ? i : -1)).filter(i => i >= 0);
+      assert.equal(rows.filter(i => am[i] === 1).length, 2);
+    }
+    // Out-of-fold predictions are probabilities
+    assert.ok(cv.predictions.every(p => p > 0 && p < 1));
+    assert.ok(cv.metrics.auc.mean > 0.5);
+  });
+
+  it('should accept custom predict functions, responses and metrics', () => {
+    const score = [0.1, 0.4, 0.35, 0.8, 0.2, 0.9, 0.6, 0.3];
+    const label = [0, 0, 1, 1, 0, 1, 1, 0];
+    const cv = crossValidate(() => ({}), { score, label }, {
+      folds: 2,
+      seed: 1,
+      predict: (model, test) => test.score,
+      response: 'label',
+      metric: ['auc', function accuracy(obs, pred) {
+        return obs.filter((v, i) => v === (pred[i] > 0.5 ? 1 : 0)).length / obs.length;
+      }]
+    });
+
+    // AUC by counting correctly ordered (positive, negative) pairs
+    for (const { fold, metrics } of cv.folds) {
+      const rows = cv.foldid.map((f, i) => (f === fold ? i : -1)).filter(i => i >= 0);
+      const pos = rows.filter(i => label[i] === 1);
+      const neg = rows.filter(i => label[i] === 0);
+      let wins = 0;
+      for (const i of pos) {
+        for (const j of neg) wins += score[i] > score[j] ? 1 : (score[i] === score[j] ? 0.5 : 0);
+      }
+      const expected = pos.length && neg.length ? wins / (pos.length * neg.length) : NaN;
+      assert.ok(Object.is(metrics.auc, expected) || Math.abs(metrics.auc - expected) < 1e-12);
+      assert.ok(metrics.accuracy >= 0 && metrics.accuracy <= 1);
+    }
+  });
+
+  it('should validate inputs', () => {
+    const fitFn = train => lm('y ~ x', { data: train });
+    assert.throws(() => crossValidate(fitFn, { x, y }, { folds: 1 }), /folds must be an integer between 2 and 20/);
+    assert.throws(() => crossValidate(fitFn, { x, y }, { metric: 'r2' }), /Unknown metric/);
+    assert.throws(() => crossValidate(fitFn, { x, y }, { metric: 'auc' }), /auc needs a 0\/1 response/);
+    assert.throws(() => crossValidate(null, { x, y }), /fitFn must be a function/);
+  });
+});
+
+describe('bootstrap() - Nonparametric bootstrap', () => {
+  const meanOf = values => values.reduce((s, v) => s + v, 0) / values.length;
+
+  it('should bootstrap a scalar statistic with percentile and BCa intervals', () => {
+    const b = bootstrap(y, meanOf, { R: 999, seed: 42 });
+    assert.equal(b.t0, meanOf(y));
+    assert.equal(b.t.length, 999);
+    assert.ok(Math.abs(b.bias - (meanOf(b.t) - b.t0)) < 1e-12);
+
+    // With R = 999 the 2.5% and 97.5% points are the 25th and 975th order statistics
+    const sorted = [...b.t].sort((a, c) => a - c);
+    assert.equal(b.conf_int.percentile.lower, sorted[24]);
+    assert.equal(b.conf_int.percentile.upper, sorted[974]);
+
+    // The standard error is close to the plug-in sd / sqrt(n)
+    const sd = Math.sqrt(y.reduce((s, v) => s + (v - b.t0) ** 2, 0) / y.length);
+    assert.ok(Math.abs(b.std_error - sd / Math.sqrt(y.length)) < 0.1 * sd / Math.sqrt(y.length));
+    assert.ok(b.conf_int.bca.lower < b.t0 && b.t0 < b.conf_int.bca.upper);
+    assert.ok(Math.abs(b.conf_int.bca.lower - b.conf_int.percentile.lower) < 0.3);
+  });
+
+  it('should resample data frame rows for vector statistics', () => {
+    const data = { x, y };
+    const stat = (d, indices) => {
+      assert.equal(indices.length, x.length);
+      return lm('y ~ x', { data: d }).coefficients;
+    };
+    const b = bootstrap(data, stat, { R: 100, seed: 1, type: 'percentile' });
+    assertArrayClose(b.t0, lm(y, [x]).coefficients, 1e-12, 't0');
+    assert.equal(b.t[0].length, 2);
+    assert.equal(b.std_error.length, 2);
+    assert.ok(b.conf_int.percentile.lower[1] < b.t0[1] && b.t0[1] < b.conf_int.percentile.upper[1]);
+    assert.equal(b.conf_int.bca, undefined);
+
+    assert.deepEqual(bootstrap(data, stat, { R: 100, seed: 1, type: 'percentile' }).t, b.t);
+  });
+
+  it('should validate inputs', () => {
+    assert.throws(() => bootstrap(y, meanOf, { R: 1 }), /R must be an integer/);
+    assert.throws(() => bootstrap(y, meanOf, { type: 'basic' }), /Unknown interval type/);
+    assert.throws(() => bootstrap(y, null), /statFn must be a function/);
+  });
+});
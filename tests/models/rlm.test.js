@@ -0,0 +1,151 @@
+/**
+ * Tests for rlm() - Robust regression with M-estimators
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rlm } from '../../src/models/rlm.js';
+import { lm, predict } from '../../src/models/lm.js';
+import { diagnostics, confint } from '../../src/models/diagnostics.js';
+import { summarizeModel, printModelSummary } from '../../src/models/summary.js';
+import { logLik, AIC, nobs } from '../../src/models/generics.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: datasets::stackloss
+const stackloss = {
+  Air: [80, 80, 75, 62, 62, 62, 62, 62, 58, 58, 58, 58, 58, 58, 50, 50, 50, 50, 50, 56, 70],
+  Water: [27, 27, 25, 24, 22, 23, 24, 24, 23, 18, 18, 17, 18, 19, 18, 18, 19, 19, 20, 20, 20],
+  Acid: [89, 88, 90, 87, 87, 87, 93, 93, 87, 80, 89, 88, 82, 93, 89, 86, 72, 79, 80, 82, 91],
+  loss: [42, 37, 37, 28, 18, 18, 19, 20, 15, 14, 14, 13, 11, 12, 8, 7, 8, 8, 9, 15, 15]
+};
+
+const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const clean = [2.9, 5.2, 7.1, 8.8, 11.2, 13.1, 14.8, 17.1, 19.0, 20.9, 23.2, 24.8];
+const contaminated = clean.map((v, i) => (i === 9 ? 45 : v));
+
+describe('rlm() - Robust regression', () => {
+  it('should match MASS::rlm with the Huber psi on the stackloss data', () => {
+    const fit = rlm('loss ~ Air + Water + Acid', { data: stackloss });
+
+    // R: summary(rlm(stack.loss ~ ., data = stackloss))
+    assertArrayClose(fit.coefficients, [-41.0265, 0.8294, 0.9261, -0.1278], 1e-4, 'coef');
+    assertArrayClose(fit.std_errors, [9.8073, 0.1112, 0.3034, 0.1289], 1e-4, 'se');
+    assert.ok(Math.abs(fit.scale - 2.441) < 1e-3);
+    assert.equal(fit.df.residual, 17);
+    assert.ok(fit.converged);
+    // Observation 21 is the most down-weighted
+    assert.equal(fit.w.indexOf(Math.min(...fit.w)), 20);
+    assert.equal(fit.weights, null);
+  });
+
+  it('should match MASS::rlm with the bisquare psi', () => {
+    const fit = rlm('loss ~ Air + Water + Acid', { data: stackloss, psi: 'bisquare' });
+
+    // R: rlm(stack.loss ~ ., data = stackloss, psi = psi.bisquare)
+    assertArrayClose(fit.coefficients, [-42.2853, 0.9275, 0.6507, -0.1123], 1e-4, 'coef');
+    assert.ok(fit.w[20] < 0.01);
+  });
+
+  it('should resist an outlier that pulls least squares', () => {
+    const ols = lm(contaminated, [x]);
+    const reference = lm(clean, [x]);
+    for (const psi of ['huber', 'bisquare', 'hampel']) {
+      const fit = rlm(contaminated, [x], { psi });
+      assert.ok(Math.abs(fit.coefficients[1] - reference.coefficients[1]) < Math.abs(ols.coefficients[1] - reference.coefficients[1]), psi);
+      assert.ok(fit.w[9] < 0.5, psi);
+    }
+    assert.equal(rlm(contaminated, [x], { psi: 'bisquare' }).w[9], 0);
+  });
+
+  it('should reduce to least squares when no residual is down-weighted', () => {
+    const fit = rlm(clean, [x], { k: 100 });
+    const ols = lm(clean, [x]);
+    assertArrayClose(fit.coefficients, ols.coefficients, 1e-10, 'coef');
+    assert.ok(fit.w.every(w => w === 1));
+  });
+
+  it('should support Huber proposal 2 scale and prior weights', () => {
+    const fit = rlm('loss ~ Air + Water + Acid', { data: stackloss, scale_est: 'Huber' });
+    assert.equal(fit.scale_est, 'Huber');
+    assert.ok(fit.converged);
+    assert.ok(fit.scale > 1 && fit.scale < 4);
+
+    // Doubling every prior weight leaves the M-estimate unchanged
+    const single = rlm(contaminated, [x]);
+    const doubled = rlm(contaminated, [x], { weights: x.map(() => 2) });
+    assertArrayClose(doubled.coefficients, single.coefficients, 1e-8, 'coef');
+    assert.deepEqual(doubled.weights, x.map(() => 2));
+  });
+
+  it('should work with diagnostics(), confint() and predict()', () => {
+    const fit = rlm(contaminated, [x]);
+    const diag = diagnostics(fit);
+    assert.equal(diag.leverage.length, 12);
+    // Leverage is computed on the reweighted design, so the outlier's row carries less
+    const unweighted = diagnostics(lm(contaminated, [x]));
+    assert.ok(diag.leverage[9] < unweighted.leverage[9]);
+
+    const ci = confint(fit);
+    assert.ok(ci[1].lower < fit.coefficients[1] && fit.coefficients[1] < ci[1].upper);
+    assertArrayClose(predict(fit, [[13]]), [fit.coefficients[0] + 13 * fit.coefficients[1]], 1e-12, 'predict');
+  });
+
+  it('should use the Gaussian log-likelihood of the residuals, as logLik.lm', () => {
+    // R: logLik(rlm(...)) is logLik.lm on the robust residuals with the prior weights,
+    // 0.5 * (sum(log(w)) - n * (log(2 * pi) + 1 - log(n) + log(sum(w * e^2)))), df = p + 1
+    const loglik = (fit, w) => {
+      const n = fit.residuals.length;
+      const rss = fit.residuals.reduce((sum, e, i) => sum + w[i] * e * e, 0);
+      const logW = w.reduce((sum, v) => sum + Math.log(v), 0);
+      return 0.5 * (logW - n * (Math.log(2 * Math.PI) + 1 - Math.log(n) + Math.log(rss)));
+    };
+
+    const fit = rlm(contaminated, [x]);
+    const ll = logLik(fit);
+    assert.ok(Math.abs(ll.value - loglik(fit, x.map(() => 1))) < 1e-10);
+    assert.equal(ll.df, 3);
+    assert.equal(nobs(fit), 12);
+    assert.ok(Math.abs(AIC(fit) - (-2 * ll.value + 6)) < 1e-10);
+
+    const prior = x.map((_, i) => (i % 2 === 0 ? 1 : 2));
+    const weighted = rlm(contaminated, [x], { weights: prior });
+    assert.ok(Math.abs(logLik(weighted).value - loglik(weighted, prior)) < 1e-10);
+  });
+
+  it('should handle missing values with na_action', () => {
+    const y = [...contaminated];
+    y[2] = null;
+    const fit = rlm(y, [x], { na_action: 'na.exclude' });
+    assert.equal(fit.n, 11);
+    assert.equal(fit.residuals.length, 12);
+    assert.equal(fit.residuals[2], null);
+  });
+
+  it('should summarize with the robust residual scale', () => {
+    const fit = rlm('loss ~ Air + Water + Acid', { data: stackloss });
+    const summary = summarizeModel(fit);
+    assert.equal(summary.call, 'rlm');
+    assert.ok(Math.abs(summary.coefficients[1].t_value - 7.4597) < 1e-3);
+    const text = printModelSummary(summary);
+    assert.ok(text.includes('Residual standard error: 2.4407 on 17 degrees of freedom'));
+  });
+
+  it('should validate inputs', () => {
+    assert.throws(() => rlm(clean, [x], { psi: 'cauchy' }), /Unknown psi function/);
+    assert.throws(() => rlm(clean, [x], { scale_est: 'proposal 2' }), /Unknown scale estimate/);
+    assert.throws(() => rlm(clean, [x], { psi: 'hampel', k: 2 }), /\[a, b, c\]/);
+    assert.throws(() => rlm(clean, [x], { weights: x.map(() => 0) }), /weights must be positive/);
+  });
+});
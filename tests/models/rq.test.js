@@ -0,0 +1,188 @@
+/**
+ * Tests for rq() - Quantile regression
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rq, predictRq } from '../../src/models/rq.js';
+import { summarizeModel, printModelSummary } from '../../src/models/summary.js';
+import { logLik, AIC } from '../../src/models/generics.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: datasets::stackloss
+const stackloss = {
+  Air: [80, 80, 75, 62, 62, 62, 62, 62, 58, 58, 58, 58, 58, 58, 50, 50, 50, 50, 50, 56, 70],
+  Water: [27, 27, 25, 24, 22, 23, 24, 24, 23, 18, 18, 17, 18, 19, 18, 18, 19, 19, 20, 20, 20],
+  Acid: [89, 88, 90, 87, 87, 87, 93, 93, 87, 80, 89, 88, 82, 93, 89, 86, 72, 79, 80, 82, 91],
+  loss: [42, 37, 37, 28, 18, 18, 19, 20, 15, 14, 14, 13, 11, 12, 8, 7, 8, 8, 9, 15, 15]
+};
+
+const x = [1.2, 2.5, 3.1, 4.8, 5.0, 6.3, 7.7, 8.1, 9.4, 10.2, 11.5, 12.0, 13.3, 14.1, 15.6];
+const y = [3.1, 4.0, 6.8, 7.5, 9.9, 8.7, 13.2, 12.1, 16.5, 14.9, 20.3, 18.2, 24.0, 21.7, 27.9];
+
+describe('rq() - Quantile regression', () => {
+  it('should match quantreg::rq on the stackloss data', () => {
+    // R: rq(stack.loss ~ ., data = stackloss)
+    const expected = [-39.68985507, 0.83188406, 0.57391304, -0.06086957];
+    const br = rq('loss ~ Air + Water + Acid', { data: stackloss });
+    assert.deepEqual(br.coef_names, ['(Intercept)', 'Air', 'Water', 'Acid']);
+    assertArrayClose(br.coefficients, expected, 1e-7, 'br');
+    assert.ok(Math.abs(br.rho - 21.04058) < 1e-4);
+
+    const fn = rq('loss ~ Air + Water + Acid', { data: stackloss, method: 'fn' });
+    assertArrayClose(fn.coefficients, expected, 1e-5, 'fn');
+  });
+
+  it('should match the rank inversion intervals of summary.rq on the stackloss data', () => {
+    // R: summary(rq(stack.loss ~ ., data = stackloss)), 90% intervals (alpha = 0.1 in rq.fit.br)
+    //   lower bd: -41.61973 0.51278 0.32182 -0.21348
+    //   upper bd: -29.67754 1.14117 1.41090 -0.02891
+    const fit = rq('loss ~ Air + Water + Acid', { data: stackloss, conf_level: 0.9 });
+    const { lower, upper } = fit.conf_int;
+    assertArrayClose(upper, [-29.67754, 1.14117, 1.41090, -0.02891], 1e-5, 'upper');
+    assertArrayClose([lower[0], lower[2], lower[3]], [-41.61973, 0.32182, -0.21348], 1e-5, 'lower');
+    // Air.Flow has many ties, and the path of bases through them differs from
+    // rq.fit.br's pivots at the last breakpoint (0.52307 here)
+    assert.ok(Math.abs(lower[1] - 0.51278) < 0.011);
+  });
+
+  it('should give the sample median for an intercept-only model', () => {
+    const fit = rq(y, []);
+    const sorted = [...y].sort((a, b) => a - b);
+    assertArrayClose(fit.coefficients, [sorted[7]], 1e-10, 'median');
+
+    const q = rq(y, [], { tau: 0.25, se: 'iid' });
+    assertArrayClose(q.coefficients, [sorted[3]], 1e-10, 'quantile');
+  });
+
+  it('should interpolate p observations and satisfy the optimality conditions', () => {
+    const tau = 0.3;
+    const fit = rq(y, [x], { tau, se: 'iid' });
+    const zeros = fit.residuals.filter(r => Math.abs(r) < 1e-9).length;
+    const below = fit.residuals.filter(r => r < -1e-9).length;
+    assert.ok(zeros >= 2);
+    // With an intercept the share of negative residuals brackets tau
+    assert.ok(below / fit.n <= tau && tau <= (below + zeros) / fit.n);
+
+    // The objective is not improved by nearby coefficients
+    const objective = (b) => y.reduce((s, yi, i) => {
+      const u = yi - b[0] - b[1] * x[i];
+      return s + u * (u < 0 ? tau - 1 : tau);
+    }, 0);
+    assert.ok(Math.abs(objective(fit.coefficients) - fit.rho) < 1e-10);
+    for (const [d0, d1] of [[0.01, 0], [-0.01, 0], [0, 0.001], [0, -0.001], [0.05, -0.01]]) {
+      assert.ok(objective([fit.coefficients[0] + d0, fit.coefficients[1] + d1]) >= fit.rho - 1e-12);
+    }
+
+    // The interior point method finds the same solution
+    const fn = rq(y, [x], { tau, method: 'fn', se: 'iid' });
+    assertArrayClose(fn.coefficients, fit.coefficients, 1e-5, 'fn');
+  });
+
+  it('should fit a vector of taus and predict each quantile', () => {
+    const taus = [0.25, 0.5, 0.75];
+    const fits = rq(y, [x], { tau: taus, se: 'nid' });
+    assert.deepEqual(fits.tau, taus);
+    assert.equal(fits.coefficients.length, 3);
+    assert.deepEqual(fits.coefficients[1], rq(y, [x], { se: 'nid' }).coefficients);
+
+    const pred = predictRq(fits, [[2, 8]]);
+    assert.equal(pred.length, 3);
+    for (let k = 0; k < 3; k++) {
+      assertArrayClose(pred[k], [2, 8].map(v => fits.coefficients[k][0] + fits.coefficients[k][1] * v), 1e-12, `tau ${taus[k]}`);
+    }
+    assertArrayClose(predictRq(fits.fits[0], [x]), fits.fits[0].fitted_values, 1e-12, 'fitted');
+  });
+
+  it('should compute rank, iid, nid and bootstrap inference', () => {
+    const rank = rq(y, [x]);
+    assert.equal(rank.se, 'rank');
+    assert.equal(rank.std_errors, null);
+    for (let j = 0; j < 2; j++) {
+      assert.ok(rank.conf_int.lower[j] <= rank.coefficients[j] && rank.coefficients[j] <= rank.conf_int.upper[j]);
+    }
+
+    for (const se of ['iid', 'nid']) {
+      const fit = rq(y, [x], { se });
+      assert.ok(fit.std_errors.every(s => s > 0), se);
+      assert.ok(fit.p_values[1] < 0.001, se);
+      assert.equal(fit.vcov.rows, 2);
+    }
+
+    const boot = rq(y, [x], { se: 'boot', R: 50, seed: 11 });
+    assert.deepEqual(boot.std_errors, rq(y, [x], { se: 'boot', R: 50, seed: 11 }).std_errors);
+    assert.notDeepEqual(boot.std_errors, rq(y, [x], { se: 'boot', R: 50, seed: 12 }).std_errors);
+    assert.ok(boot.std_errors[1] > 0 && boot.std_errors[1] < 1);
+  });
+
+  it('should treat integer weights as replicated observations', () => {
+    const weights = x.map((_, i) => (i % 3 === 0 ? 2 : 1));
+    const fit = rq(y, [x], { weights, tau: 0.4, se: 'iid' });
+    const xr = x.flatMap((v, i) => (weights[i] === 2 ? [v, v] : [v]));
+    const yr = y.flatMap((v, i) => (weights[i] === 2 ? [v, v] : [v]));
+    const ref = rq(yr, [xr], { tau: 0.4, se: 'iid' });
+    assertArrayClose(fit.coefficients, ref.coefficients, 1e-8, 'coef');
+    assert.ok(Math.abs(fit.rho - ref.rho) < 1e-8);
+  });
+
+  it('should handle missing values and predict from formula fits', () => {
+    const data = {
+      y: [...y.slice(0, 14), null],
+      x: [...x.slice(0, 3), null, ...x.slice(4)]
+    };
+    const fit = rq('y ~ x', { data, na_action: 'na.exclude', se: 'iid' });
+    assert.equal(fit.n, 13);
+    assert.deepEqual(fit.na_action.omitted, [3, 14]);
+    assert.equal(fit.residuals.length, 15);
+    assert.equal(fit.residuals[3], null);
+
+    const pred = predictRq(fit, { x: [0, 10] });
+    assertArrayClose(pred, [fit.coefficients[0], fit.coefficients[0] + 10 * fit.coefficients[1]], 1e-12, 'pred');
+  });
+
+  it('should summarize standard errors or rank confidence bounds', () => {
+    const fit = rq('loss ~ Air + Water + Acid', { data: stackloss, se: 'nid' });
+    const summary = summarizeModel(fit);
+    assert.equal(summary.call, 'rq');
+    assert.equal(summary.coefficients[1].term, 'Air');
+    assert.ok(printModelSummary(summary).includes('Pr(>|t|)'));
+
+    const rankText = printModelSummary(summarizeModel(rq(y, [x], { tau: [0.25, 0.75] })));
+    assert.ok(rankText.includes('tau = 0.25'));
+    assert.ok(rankText.includes('lower 95%'));
+  });
+
+  it('should use the asymmetric Laplace log-likelihood', () => {
+    // R: logLik(rq(stack.loss ~ ., data = stackloss)) is n * (log(tau (1 - tau)) - 1 - log(rho / n))
+    // with rho = 21.04058, i.e. -50.15272 (df=4)
+    const fit = rq('loss ~ Air + Water + Acid', { data: stackloss });
+    const ll = logLik(fit);
+    assert.ok(Math.abs(ll.value - -50.15272) < 1e-4, `logLik ${ll.value}`);
+    assert.equal(ll.df, 4);
+    assert.equal(ll.nobs, 21);
+    assert.ok(Math.abs(AIC(fit) - (2 * 50.15272 + 8)) < 1e-3);
+
+    const q = rq('loss ~ Air + Water + Acid', { data: stackloss, tau: 0.25, se: 'iid' });
+    assert.ok(Math.abs(logLik(q).value - 21 * (Math.log(0.1875) - 1 - Math.log(q.rho / 21))) < 1e-10);
+  });
+
+  it('should validate inputs', () => {
+    assert.throws(() => rq(y, [x], { tau: 1.2 }), /tau must be between 0 and 1/);
+    assert.throws(() => rq(y, [x], { method: 'pfn' }), /Unknown method/);
+    assert.throws(() => rq(y, [x], { se: 'ker' }), /Unknown se type/);
+    assert.throws(() => rq(y, [x, x]), /singular/);
+    assert.throws(() => rq(y, [x], { weights: [1, 2] }), /weights has length 2/);
+  });
+});
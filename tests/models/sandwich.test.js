@@ -0,0 +1,140 @@
+/**
+ * Tests for coefficient covariance estimators - vcov() and vcovCL()
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial, poisson } from '../../src/models/glm.js';
+import { vcov, vcovCL, vcovStdErrors } from '../../src/models/sandwich.js';
+import { summaryLM, summaryGLM } from '../../src/models/summary.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-8, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+const x = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const y = [2.1, 3.9, 6.3, 7.8, 10.4, 11.7, 14.6, 15.8, 18.9, 19.6];
+
+describe('Sandwich covariance estimators', () => {
+  describe('vcov()', () => {
+    it('const matches the model-based standard errors of lm()', () => {
+      const fit = lm(y, [x]);
+      assertArrayClose(vcovStdErrors(vcov(fit)), fit.std_errors, 1e-10, 'se');
+    });
+
+    it('const matches the model-based standard errors of glm()', () => {
+      const counts = [2, 3, 6, 7, 8, 9, 10, 12, 15, 20];
+      const fit = glm(counts, [x], { family: poisson() });
+      assertArrayClose(vcovStdErrors(vcov(fit)), fit.std_errors, 1e-8, 'se');
+    });
+
+    it('HC0 has the closed form for regression through the origin', () => {
+      // Var(b) = sum(x^2 e^2) / (sum(x^2))^2
+      const fit = lm(y, [x], { intercept: false });
+      let sxx = 0;
+      let meat = 0;
+      for (let i = 0; i < x.length; i++) {
+        sxx += x[i] * x[i];
+        meat += x[i] * x[i] * fit.residuals[i] * fit.residuals[i];
+      }
+      const V = vcov(fit, { type: 'HC0' });
+      assert.ok(Math.abs(V.get(0, 0) - meat / (sxx * sxx)) < 1e-12);
+    });
+
+    it('HC1 rescales HC0 by n / (n - p)', () => {
+      const fit = lm(y, [x]);
+      const hc0 = vcov(fit, { type: 'HC0' });
+      const hc1 = vcov(fit, { type: 'HC1' });
+      const scale = 10 / 8;
+      for (let j = 0; j < 2; j++) {
+        for (let k = 0; k < 2; k++) {
+          assert.ok(Math.abs(hc1.get(j, k) - scale * hc0.get(j, k)) < 1e-12);
+        }
+      }
+    });
+
+    it('HC3 and HC4 inflate HC0 for high-leverage observations', () => {
+      const fit = lm(y, [x]);
+      const hc0 = vcovStdErrors(vcov(fit, { type: 'HC0' }));
+      const hc3 = vcovStdErrors(vcov(fit, { type: 'HC3' }));
+      const hc4 = vcovStdErrors(vcov(fit, { type: 'HC4' }));
+      for (let j = 0; j < 2; j++) {
+        assert.ok(hc3[j] > hc0[j]);
+        assert.ok(hc4[j] > hc0[j]);
+      }
+    });
+
+    it('HC0 is unchanged by constant weights', () => {
+      // Each weighted observation contributes one score, so rescaling all weights cancels
+      const weights = new Array(x.length).fill(2);
+      const weighted = vcov(lm(y, [x], { weights }), { type: 'HC0' });
+      const unweighted = vcov(lm(y, [x]), { type: 'HC0' });
+      assertArrayClose(Array.from(weighted.data), Array.from(unweighted.data), 1e-10, 'HC0');
+    });
+
+    it('rejects unknown types', () => {
+      const fit = lm(y, [x]);
+      assert.throws(() => vcov(fit, { type: 'HC9' }), /Unknown covariance type/);
+    });
+
+    it('rejects rank-deficient designs', () => {
+      const fit = lm(y, [x, x.map(v => 2 * v)]);
+      assert.throws(() => vcov(fit), /rank deficient \(aliased: x2\)/);
+      assert.throws(() => vcov(fit, { type: 'HC3' }), /rank deficient/);
+      assert.throws(() => vcovCL(fit, [1, 1, 2, 2, 3, 3, 4, 4, 5, 5]), /rank deficient/);
+    });
+  });
+
+  describe('vcovCL()', () => {
+    it('singleton clusters reduce to HC0 scaled by n / (n - 1)', () => {
+      const fit = lm(y, [x]);
+      const hc0 = vcov(fit, { type: 'HC0' });
+      const cl = vcovCL(fit, x.map((_, i) => i), { type: 'HC0' });
+      const scale = 10 / 9;
+      for (let j = 0; j < 2; j++) {
+        for (let k = 0; k < 2; k++) {
+          assert.ok(Math.abs(cl.get(j, k) - scale * hc0.get(j, k)) < 1e-12);
+        }
+      }
+    });
+
+    it('requires at least two clusters and a matching length', () => {
+      const fit = lm(y, [x]);
+      assert.throws(() => vcovCL(fit, new Array(10).fill('a')), /At least 2 clusters/);
+      assert.throws(() => vcovCL(fit, [1, 2, 3]), /cluster has length/);
+    });
+  });
+
+  describe('Robust summaries', () => {
+    it('summaryLM() uses the requested covariance', () => {
+      const fit = lm(y, [x]);
+      const se = vcovStdErrors(vcov(fit, { type: 'HC3' }));
+      const summary = summaryLM(fit, { vcov: 'HC3' });
+      assert.equal(summary.vcov_type, 'HC3');
+      for (let j = 0; j < 2; j++) {
+        const row = summary.coefficients[j];
+        assert.ok(Math.abs(row.std_error - se[j]) < 1e-12);
+        assert.ok(Math.abs(row.t_value - fit.coefficients[j] / se[j]) < 1e-10);
+      }
+    });
+
+    it('summaryGLM() accepts a covariance matrix', () => {
+      const am = [0, 0, 1, 0, 1, 1, 0, 1, 1, 1];
+      const fit = glm(am, [x], { family: binomial() });
+      const V = vcovCL(fit, [1, 1, 2, 2, 3, 3, 4, 4, 5, 5]);
+      const summary = summaryGLM(fit, { vcov: V });
+      assertArrayClose(summary.coefficients.map(r => r.std_error), vcovStdErrors(V), 1e-12, 'se');
+      assert.equal(summary.vcov_type, 'user-supplied');
+    });
+  });
+});
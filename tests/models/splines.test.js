@@ -0,0 +1,208 @@
+/**
+ * Tests for basis generators - poly(), bs(), ns(), smoothBasis() and their use in model formulas
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { poly, bs, ns, smoothBasis, predictBasis } from '../../src/models/splines.js';
+import { lm, predict } from '../../src/models/lm.js';
+import { glm, predictGlm, poisson } from '../../src/models/glm.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+
+const mtcars = await RDatasets.mtcars();
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-8, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+const pos3 = v => (v > 0 ? v * v * v : 0);
+
+describe('poly()', () => {
+  it('matches R for poly(1:5, 2)', () => {
+    // R: poly(1:5, 2)
+    const basis = poly([1, 2, 3, 4, 5], 2);
+    assert.deepEqual(basis.names, ['1', '2']);
+    assertArrayClose(basis.columns[0], [-0.6324555, -0.3162278, 0, 0.3162278, 0.6324555], 1e-7, 'degree 1');
+    assertArrayClose(basis.columns[1], [0.5345225, -0.2672612, -0.5345225, -0.2672612, 0.5345225], 1e-7, 'degree 2');
+  });
+
+  it('gives orthonormal columns orthogonal to the constant', () => {
+    const x = mtcars.colArray('hp');
+    const { columns } = poly(x, 3);
+    for (let j = 0; j < 3; j++) {
+      assert.ok(Math.abs(columns[j].reduce((a, b) => a + b, 0)) < 1e-10);
+      for (let k = 0; k < 3; k++) {
+        assert.ok(Math.abs(dot(columns[j], columns[k]) - (j === k ? 1 : 0)) < 1e-10);
+      }
+    }
+  });
+
+  it('reproduces the basis on the fitting data with predictBasis()', () => {
+    const x = mtcars.colArray('wt');
+    const basis = poly(x, 3);
+    const again = predictBasis(basis, x.slice(5, 10));
+    for (let j = 0; j < 3; j++) {
+      assertArrayClose(again.columns[j], basis.columns[j].slice(5, 10), 1e-12, `column ${j}`);
+    }
+  });
+
+  it('returns raw powers with raw = true', () => {
+    assert.deepEqual(poly([1, 2, 3], 2, { raw: true }).columns, [[1, 2, 3], [1, 4, 9]]);
+  });
+
+  it('rejects a degree that is too high', () => {
+    assert.throws(() => poly([1, 2, 2], 2), /must be less than number of unique points/);
+  });
+});
+
+describe('bs()', () => {
+  const x = Array.from({ length: 21 }, (_, i) => i / 2);
+
+  it('places df - degree interior knots at quantiles', () => {
+    const basis = bs(x, { df: 5 });
+    assert.equal(basis.columns.length, 5);
+    assertArrayClose(basis.spec.knots, [10 / 3, 20 / 3], 1e-12, 'knots');
+    assert.deepEqual(basis.spec.boundary_knots, [0, 10]);
+  });
+
+  it('forms a partition of unity with the intercept column', () => {
+    const basis = bs(x, { knots: [2, 5, 7], intercept: true });
+    assert.equal(basis.columns.length, 7);
+    const sums = x.map((_, i) => basis.columns.reduce((sum, col) => sum + col[i], 0));
+    assertArrayClose(sums, x.map(() => 1), 1e-12, 'sum');
+  });
+
+  it('gives hat functions for degree 1', () => {
+    const basis = bs(x, { knots: [4], degree: 1 });
+    assertArrayClose(basis.columns[0], x.map(v => (v <= 4 ? v / 4 : (10 - v) / 6)), 1e-12, 'hat');
+    assertArrayClose(basis.columns[1], x.map(v => (v <= 4 ? 0 : (v - 4) / 6)), 1e-12, 'ramp');
+  });
+
+  it('spans the truncated power basis', () => {
+    // Powers of hp / 100 keep the manual design well conditioned
+    const u = mtcars.colArray('hp').map(v => v / 100);
+    const fit = lm('mpg ~ bs(hp, knots = 150)', { data: mtcars });
+    const powers = lm(mtcars.colArray('mpg'), [u, u.map(v => v * v), u.map(v => v * v * v), u.map(v => pos3(v - 1.5))]);
+    assertArrayClose(fit.fitted_values, powers.fitted_values, 1e-6, 'fitted');
+  });
+
+  it('extrapolates with the end polynomial pieces', () => {
+    const basis = bs(x, { knots: [5] });
+    const fit = lm(x.map(v => 1 + v), basis.columns);
+    const outside = predictBasis(basis, [-2, 12]);
+    assertArrayClose(predict(fit, outside.columns), [-1, 13], 1e-8, 'linear trend');
+  });
+});
+
+describe('ns()', () => {
+  it('spans the natural cubic spline basis', () => {
+    // Truncated power construction of a natural spline with knots 52 < 120 < 200 < 335
+    const hp = mtcars.colArray('hp');
+    const knots = [52, 120, 200, 335];
+    const d = k => hp.map(v => (pos3(v - knots[k]) - pos3(v - knots[3])) / (knots[3] - knots[k]));
+    const last = d(2);
+    const columns = [hp, ...[0, 1].map(k => d(k).map((v, i) => v - last[i]))];
+
+    const fit = lm('mpg ~ ns(hp, knots = c(120, 200))', { data: mtcars });
+    const manual = lm(mtcars.colArray('mpg'), columns);
+    assertArrayClose(fit.fitted_values, manual.fitted_values, 1e-6, 'fitted');
+  });
+
+  it('is zero at the lower boundary and linear beyond the boundary knots', () => {
+    const x = Array.from({ length: 11 }, (_, i) => i);
+    const basis = ns(x, { df: 3 });
+    assert.equal(basis.columns.length, 3);
+    assertArrayClose(basis.columns.map(col => col[0]), [0, 0, 0], 1e-12, 'lower');
+
+    const outside = predictBasis(basis, [11, 12, 13]);
+    for (const col of outside.columns) {
+      assert.ok(Math.abs(col[0] - 2 * col[1] + col[2]) < 1e-10);
+    }
+  });
+});
+
+describe('Basis functions in formulas', () => {
+  it('names columns like R and matches R for poly(hp, 2)', () => {
+    // R: coef(lm(mpg ~ poly(hp, 2), mtcars))
+    // (Intercept) poly(hp, 2)1 poly(hp, 2)2
+    //    20.09062    -26.04559     13.15457
+    const fit = lm('mpg ~ poly(hp, 2)', { data: mtcars });
+    assert.deepEqual(fit.coef_names, ['(Intercept)', 'poly(hp, 2)1', 'poly(hp, 2)2']);
+    assertArrayClose(fit.coefficients, [20.09062, -26.04559, 13.15457], 1e-4, 'coef');
+
+    const raw = lm('mpg ~ poly(hp, degree = 2, raw = TRUE)', { data: mtcars });
+    assertArrayClose(raw.fitted_values, fit.fitted_values, 1e-8, 'raw');
+  });
+
+  it('re-uses the fitted basis when predicting on new data', () => {
+    const fit = lm('mpg ~ poly(hp, 2) + ns(wt, df = 3) + bs(disp, df = 4)', { data: mtcars });
+    const rows = [0, 7, 15];
+    const newdata = {
+      hp: rows.map(i => mtcars.colArray('hp')[i]),
+      wt: rows.map(i => mtcars.colArray('wt')[i]),
+      disp: rows.map(i => mtcars.colArray('disp')[i])
+    };
+    assertArrayClose(predict(fit, newdata), rows.map(i => fit.fitted_values[i]), 1e-8, 'lm');
+
+    const gfit = glm('carb ~ ns(hp, df = 2)', { data: mtcars, family: poisson() });
+    assertArrayClose(
+      predictGlm(gfit, { hp: newdata.hp }),
+      rows.map(i => gfit.fitted_values[i]),
+      1e-8,
+      'glm'
+    );
+  });
+
+  it('rejects unknown arguments', () => {
+    assert.throws(() => lm('mpg ~ bs(hp, nknots = 3)', { data: mtcars }), /Unknown argument 'nknots' to bs\(\)/);
+    assert.throws(() => lm('mpg ~ poly(factor(cyl), 2)', { data: mtcars }), /basis expansion of factor/);
+  });
+});
+
+describe('smoothBasis()', () => {
+  const x = Array.from({ length: 40 }, (_, i) => (i / 39) * 3);
+
+  it('is centered and leaves linear functions unpenalized', () => {
+    const basis = smoothBasis(x, { k: 6 });
+    assert.deepEqual(basis.names, ['.1', '.2', '.3', '.4', '.5']);
+    for (const col of basis.columns) {
+      assert.ok(Math.abs(col.reduce((a, b) => a + b, 0)) < 1e-10);
+    }
+
+    // Coefficients of the centered identity function have zero penalty
+    const mean = x.reduce((a, b) => a + b, 0) / x.length;
+    const beta = lm(x.map(v => v - mean), basis.columns, { intercept: false }).coefficients;
+    const S = basis.spec.penalty;
+    const quad = beta.reduce((sum, b, i) => sum + beta.reduce((s, c, j) => s + b * S[i][j] * c, 0), 0);
+    assert.ok(Math.abs(quad) < 1e-8);
+  });
+
+  it('penalizes the integrated squared second derivative', () => {
+    const basis = smoothBasis(x, { k: 6 });
+    const beta = [0.3, -1, 0.5, 2, -0.7];
+    const f = v => predictBasis(basis, [v]).columns.reduce((sum, col, j) => sum + col[0] * beta[j], 0);
+
+    // Midpoint rule on a central second difference
+    const m = 600;
+    const h = 1e-3;
+    let integral = 0;
+    for (let i = 0; i < m; i++) {
+      const v = ((i + 0.5) / m) * 3;
+      const d2 = (f(v + h) - 2 * f(v) + f(v - h)) / (h * h);
+      integral += (d2 * d2 * 3) / m;
+    }
+    const S = basis.spec.penalty;
+    const quad = beta.reduce((sum, b, i) => sum + beta.reduce((s, c, j) => s + b * S[i][j] * c, 0), 0);
+    assert.ok(Math.abs(integral - quad) / quad < 1e-3);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for step() - stepwise model selection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lm } from '../../src/models/lm.js';
+import { glm, poisson, quasipoisson } from '../../src/models/glm.js';
+import { step } from '../../src/models/step.js';
+import { AIC, BIC } from '../../src/models/generics.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+
+/**
+ * Helper: assert numbers are approximately equal
+ */
+function assertClose(actual, expected, tol = 1e-6, label = '') {
+  assert.ok(
+    Math.abs(actual - expected) < tol,
+    `${label}: expected ${expected}, got ${actual} (diff: ${Math.abs(actual - expected)})`
+  );
+}
+
+describe('step() - Stepwise model selection', () => {
+  it('backward elimination matches R for mtcars', async () => {
+    // R: step(lm(mpg ~ ., data = mtcars))
+    // Steps: - cyl, - vs, - carb, - gear, - drat, - disp, - hp
+    // Final model: mpg ~ wt + qsec + am, extractAIC 70.90 -> 61.31
+    const mtcars = await RDatasets.mtcars();
+    const fit = lm('mpg ~ cyl + disp + hp + drat + wt + qsec + vs + am + gear + carb', { data: mtcars });
+    const { model, trace } = step(fit, { data: mtcars });
+
+    assert.deepEqual(model.term_labels, ['wt', 'qsec', 'am']);
+    assert.deepEqual(
+      trace.map(row => row.step),
+      ['', '- cyl', '- vs', '- carb', '- gear', '- drat', '- disp', '- hp']
+    );
+
+    // AIC() differs from R's extractAIC() for lm by n * (log(2 * pi) + 1) + 2
+    const constant = 32 * (Math.log(2 * Math.PI) + 1) + 2;
+    assertClose(trace[0].aic - constant, 70.90, 0.01, 'start AIC');
+    assertClose(trace[trace.length - 1].aic - constant, 61.31, 0.01, 'final AIC');
+    assertClose(trace[trace.length - 1].resid_deviance, model.rss, 1e-10, 'RSS');
+    assert.equal(trace[1].df, 1);
+    assertClose(trace[1].deviance, trace[1].resid_deviance - trace[0].resid_deviance, 1e-10, 'deviance change');
+  });
+
+  it('forward selection respects marginality', async () => {
+    const mtcars = await RDatasets.mtcars();
+    const fit0 = lm('mpg ~ 1', { data: mtcars });
+    const { model, trace } = step(fit0, {
+      data: mtcars,
+      scope: '~ wt + hp + am + wt:am',
+      direction: 'forward'
+    });
+
+    const steps = trace.map(row => row.step);
+    const interaction = steps.indexOf('+ wt:am');
+    assert.ok(interaction !== -1);
+    assert.ok(steps.indexOf('+ wt') < interaction);
+    assert.ok(steps.indexOf('+ am') < interaction);
+    for (let i = 1; i < trace.length; i++) {
+      assert.ok(trace[i].aic < trace[i - 1].aic);
+    }
+    assertClose(trace[trace.length - 1].aic, AIC(model), 1e-10, 'AIC');
+  });
+
+  it('never drops terms in the lower scope', async () => {
+    const mtcars = await RDatasets.mtcars();
+    const fit = lm('mpg ~ wt + hp + qsec + drat', { data: mtcars });
+    const { model } = step(fit, { data: mtcars, scope: { lower: '~ drat' }, direction: 'backward' });
+    assert.ok(model.term_labels.includes('drat'));
+  });
+
+  it('uses BIC with k = log(n) for glm fits', async () => {
+    const mtcars = await RDatasets.mtcars();
+    const fit = glm('carb ~ wt + hp + qsec + disp', { data: mtcars, family: poisson() });
+    const { model, trace } = step(fit, { data: mtcars, k: Math.log(32) });
+    assert.equal(model.family, 'poisson');
+    assertClose(trace[trace.length - 1].aic, BIC(model), 1e-10, 'BIC');
+    assertClose(trace[0].resid_deviance, fit.deviance, 1e-10, 'deviance');
+  });
+
+  it('refits with the contrasts and missing value policy of the starting model', async () => {
+    const mtcars = await RDatasets.mtcars();
+    const data = {
+      mpg: mtcars.col('mpg').toArray().map((v, i) => (i === 0 ? null : v)),
+      wt: mtcars.col('wt').toArray(),
+      qsec: mtcars.col('qsec').toArray(),
+      drat: mtcars.col('drat').toArray(),
+      cyl: mtcars.col('cyl').toArray()
+    };
+    const options = { data, contrasts: { 'factor(cyl)': 'sum' }, na_action: 'na.exclude' };
+    const fit = lm('mpg ~ factor(cyl) + wt + qsec + drat', options);
+    const { model, trace } = step(fit, { data, scope: { lower: '~ factor(cyl)' }, direction: 'backward' });
+
+    assert.ok(trace.length > 1);
+    const direct = lm(`mpg ~ ${model.term_labels.join(' + ')}`, options);
+    assert.deepEqual(model.contrasts, { 'factor(cyl)': 'sum' });
+    assert.deepEqual(model.coef_names, direct.coef_names);
+    model.coefficients.forEach((b, j) => assertClose(b, direct.coefficients[j], 1e-10, model.coef_names[j]));
+    assert.equal(model.na_action.method, 'na.exclude');
+    assert.equal(model.residuals.length, 32);
+    assert.equal(model.residuals[0], null);
+  });
+
+  it('validates its arguments', async () => {
+    const mtcars = await RDatasets.mtcars();
+    const fit = lm('mpg ~ wt + hp', { data: mtcars });
+    assert.throws(() => step(fit), /requires the data/);
+    assert.throws(() => step(fit, { data: mtcars, direction: 'sideways' }), /Unknown direction/);
+    assert.throws(() => step(lm([1, 2, 3, 5], [[1, 2, 3, 4]]), { data: mtcars }), /fitted with a formula/);
+
+    const quasi = glm('carb ~ wt + hp', { data: mtcars, family: quasipoisson() });
+    assert.throws(() => step(quasi, { data: mtcars }), /AIC is not defined/);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Tests for survival analysis - Surv, survfit(), survdiff(), coxph() and coxZph()
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Surv from '../../src/core/Surv.js';
+import Factor from '../../src/core/Factor.js';
+import {
+  survfit,
+  survdiff,
+  coxph,
+  predictCoxph,
+  residualsCoxph,
+  coxZph
+} from '../../src/models/survival.js';
+import { summarizeModel, printModelSummary } from '../../src/models/summary.js';
+import { logLik, nobs } from '../../src/models/generics.js';
+import { lm } from '../../src/models/lm.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: survival::aml (acute myelogenous leukemia, maintenance chemotherapy)
+const aml = {
+  time: [9, 13, 13, 18, 23, 28, 31, 34, 45, 48, 161, 5, 5, 8, 8, 12, 16, 23, 27, 30, 33, 43, 45],
+  status: [1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 0, 1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1],
+  x: [...new Array(11).fill('Maintained'), ...new Array(12).fill('Nonmaintained')]
+};
+
+// Untied times with a continuous covariate
+const untied = {
+  time: [2.1, 3.4, 4.0, 5.2, 6.8, 7.1, 8.3, 9.9, 10.4, 12.0, 13.5, 15.2, 17.8, 19.1, 22.4, 25.0],
+  status: [1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 0, 1],
+  age: [71, 65, 58, 69, 62, 60, 55, 66, 51, 57, 63, 48, 52, 59, 45, 50],
+  group: ['b', 'b', 'a', 'b', 'a', 'b', 'a', 'b', 'a', 'a', 'b', 'a', 'b', 'a', 'a', 'b']
+};
+
+describe('Surv - Survival response', () => {
+  it('should store times and event indicators with censoring marks', () => {
+    const y = new Surv([5, 8, 12], [1, 0, true]);
+    assert.deepEqual(y.status, [1, 0, 1]);
+    assert.deepEqual(y.toArray(), ['5', '8+', '12']);
+    assert.equal(y.events(), 2);
+    assert.equal(y.toString(), 'Surv(3) with 2 events');
+  });
+
+  it('should accept R 1/2 status coding and missing values', () => {
+    const y = new Surv([5, null, 12, 7], [2, 1, 1, null]);
+    assert.deepEqual(y.status, [1, 0, 0, null]);
+    assert.ok(y.isNA(1));
+    assert.ok(y.isNA(3));
+    assert.deepEqual(y.subset([0, 2]).toArray(), ['5', '12+']);
+  });
+
+  it('should reject invalid input', () => {
+    assert.throws(() => new Surv([1, 2], [1]), /status has 1/);
+    assert.throws(() => new Surv([1, 2], [0, 3]), /status must be/);
+    assert.throws(() => new Surv([-1, 2], [1, 1]), /non-negative/);
+  });
+});
+
+describe('survfit() - Kaplan-Meier estimator', () => {
+  it('should match R survfit(Surv(time, status) ~ x, data = aml)', () => {
+    const fit = survfit('Surv(time, status) ~ x', { data: aml });
+    assert.deepEqual(fit.strata.map(s => s.name), ['x=Maintained', 'x=Nonmaintained']);
+
+    // R: summary(fit)$table and summary(fit, censored = TRUE)
+    const [maintained, nonmaintained] = fit.strata;
+    assert.equal(maintained.n, 11);
+    assert.equal(maintained.events, 7);
+    assert.deepEqual(maintained.time, [9, 13, 18, 23, 28, 31, 34, 45, 48, 161]);
+    assert.deepEqual(maintained.n_risk, [11, 10, 8, 7, 6, 5, 4, 3, 2, 1]);
+    assertArrayClose(maintained.surv, [0.9091, 0.8182, 0.7159, 0.6136, 0.6136, 0.4909, 0.3682, 0.3682, 0.1841, 0.1841], 1e-4, 'surv');
+    assertArrayClose(maintained.std_err.slice(0, 4), [0.0867, 0.1163, 0.1397, 0.1526], 1e-4, 'std.err');
+    assertArrayClose(maintained.lower.slice(0, 4), [0.7541, 0.6192, 0.4884, 0.3769], 1e-4, 'lower');
+    assertArrayClose(maintained.upper.slice(2, 4), [1, 0.9992], 1e-4, 'upper');
+
+    assert.equal(maintained.median, 31);
+    assert.equal(maintained.median_lower, 18);
+    assert.equal(maintained.median_upper, null);
+    assert.equal(nonmaintained.median, 23);
+    assert.equal(nonmaintained.median_lower, 8);
+
+    // The curve reaches zero at the last event; its standard error is undefined
+    assert.equal(nonmaintained.surv[nonmaintained.surv.length - 1], 0);
+    assert.equal(nonmaintained.std_err[nonmaintained.std_err.length - 1], null);
+  });
+
+  it('should give one curve without groups and take the midpoint for a median at exactly 0.5', () => {
+    const fit = survfit(new Surv([1, 2, 3, 4], [1, 1, 1, 1]));
+    assert.equal(fit.strata.length, 1);
+    assertArrayClose(fit.strata[0].surv, [0.75, 0.5, 0.25, 0], 1e-12, 'surv');
+    assert.equal(fit.strata[0].median, 2.5);
+
+    // Nelson-Aalen cumulative hazard
+    assertArrayClose(fit.strata[0].cumhaz, [1 / 4, 1 / 4 + 1 / 3, 1 / 4 + 1 / 3 + 1 / 2, 1 / 4 + 1 / 3 + 1 / 2 + 1], 1e-12, 'cumhaz');
+  });
+
+  it('should support grouping arrays and other confidence interval types', () => {
+    const y = new Surv(aml.time, aml.status);
+    const logFit = survfit(y, { groups: aml.x });
+    assert.deepEqual(logFit.strata.map(s => s.name), ['Maintained', 'Nonmaintained']);
+
+    for (const conf_type of ['log-log', 'plain']) {
+      const fit = survfit(y, { groups: aml.x, conf_type, conf_int: 0.9 });
+      const s = fit.strata[0];
+      assertArrayClose(s.surv, logFit.strata[0].surv, 1e-12, conf_type);
+      s.surv.forEach((v, k) => {
+        assert.ok(s.lower[k] <= v && v <= s.upper[k], `${conf_type} band at ${s.time[k]}`);
+        assert.ok(s.lower[k] >= 0 && s.upper[k] <= 1);
+      });
+    }
+
+    assert.throws(() => survfit(y, { conf_type: 'arcsin' }), /Unknown conf_type/);
+  });
+});
+
+describe('survdiff() - Log-rank test', () => {
+  it('should match R survdiff(Surv(time, status) ~ x, data = aml)', () => {
+    const test = survdiff('Surv(time, status) ~ x', { data: aml });
+    assert.deepEqual(test.n, [11, 12]);
+    assertArrayClose(test.observed, [7, 11], 1e-12, 'observed');
+    assertArrayClose(test.expected, [10.69, 7.31], 5e-3, 'expected');
+    assert.ok(Math.abs(test.statistic - 3.4) < 5e-3);
+    assert.equal(test.df, 1);
+    assert.ok(Math.abs(test.p_value - 0.0653) < 1e-4);
+  });
+
+  it('should weight early events more with rho = 1', () => {
+    const y = new Surv(aml.time, aml.status);
+    const logrank = survdiff(y, aml.x);
+    const peto = survdiff(y, aml.x, { rho: 1 });
+    assert.ok(peto.statistic > 0 && peto.statistic !== logrank.statistic);
+
+    // Observed minus expected sums to zero over the groups
+    const diff = peto.observed.map((o, k) => o - peto.expected[k]);
+    assert.ok(Math.abs(diff[0] + diff[1]) < 1e-12);
+  });
+});
+
+describe('coxph() - Cox proportional hazards', () => {
+  it('should match R coxph(Surv(time, status) ~ x, data = aml)', () => {
+    const fit = coxph('Surv(time, status) ~ x', { data: aml });
+
+    assert.deepEqual(fit.coef_names, ['xNonmaintained']);
+    assertArrayClose(fit.coefficients, [0.9155], 1e-4, 'coef');
+    assertArrayClose(fit.hazard_ratios, [2.498], 1e-3, 'exp(coef)');
+    assertArrayClose(fit.std_errors, [0.5119], 1e-4, 'se');
+    assertArrayClose(fit.p_values, [0.0737], 1e-4, 'p');
+    assertArrayClose(fit.conf_int.lower, [0.9159], 1e-3, 'lower .95');
+    assertArrayClose(fit.conf_int.upper, [6.813], 1e-3, 'upper .95');
+    assert.ok(Math.abs(fit.likelihood_ratio.statistic - 3.38) < 5e-3);
+    assert.ok(Math.abs(fit.wald.statistic - 3.2) < 5e-3);
+    assert.ok(Math.abs(fit.score.statistic - 3.42) < 5e-3);
+    assert.equal(fit.events, 18);
+    assert.ok(fit.converged);
+  });
+
+  it('should agree for Efron and Breslow ties when no times are tied, with the score test equal to log-rank', () => {
+    const y = new Surv(untied.time, untied.status);
+    const efron = coxph(y, [untied.group]);
+    const breslow = coxph(y, [untied.group], { ties: 'breslow' });
+    assertArrayClose(efron.coefficients, breslow.coefficients, 1e-10, 'coef');
+    assertArrayClose(efron.std_errors, breslow.std_errors, 1e-10, 'se');
+
+    const logrank = survdiff(y, untied.group);
+    assert.ok(Math.abs(breslow.score.statistic - logrank.statistic) < 1e-10);
+  });
+
+  it('should fit formulas and arrays alike, with predictions relative to the means', () => {
+    const formulaFit = coxph('Surv(time, status) ~ age + group', { data: untied });
+    const arrayFit = coxph(new Surv(untied.time, untied.status), [untied.age, untied.group]);
+    assertArrayClose(formulaFit.coefficients, arrayFit.coefficients, 1e-10, 'coef');
+    assert.deepEqual(formulaFit.coef_names, ['age', 'groupb']);
+
+    const lp = predictCoxph(formulaFit, {
+      age: [untied.age[0], 60],
+      group: new Factor(['b', 'a'], { levels: ['a', 'b'] })
+    });
+    assert.ok(Math.abs(lp[0] - formulaFit.linear_predictors[0]) < 1e-10);
+    const risk = predictCoxph(formulaFit, null, { type: 'risk' });
+    assert.ok(Math.abs(risk[3] - Math.exp(formulaFit.linear_predictors[3])) < 1e-12);
+
+    // Log partial likelihood gains match the likelihood ratio test
+    assert.ok(Math.abs(2 * (formulaFit.loglik[1] - formulaFit.loglik[0]) - formulaFit.likelihood_ratio.statistic) < 1e-12);
+    assert.equal(logLik(formulaFit).df, 2);
+    assert.equal(nobs(formulaFit), 11);
+  });
+
+  it('should drop incomplete observations', () => {
+    const data = { ...untied, age: untied.age.map((a, i) => (i === 2 ? null : a)) };
+    const fit = coxph('Surv(time, status) ~ age', { data, na_action: 'na.exclude' });
+    assert.equal(fit.n, 15);
+    assert.deepEqual(fit.na_action.omitted, [2]);
+    assert.equal(fit.linear_predictors[2], null);
+    assert.equal(residualsCoxph(fit).length, 16);
+  });
+
+  it('should summarize hazard ratios and global tests', () => {
+    const fit = coxph('Surv(time, status) ~ x', { data: aml });
+    const summary = summarizeModel(fit);
+    assert.equal(summary.call, 'coxph');
+    assert.equal(summary.coefficients[0].term, 'xNonmaintained');
+    assert.ok(Math.abs(summary.hazard_ratios[0].inverse - 0.4003) < 1e-3);
+    const text = printModelSummary(summary);
+    assert.ok(text.includes('number of events= 18'));
+    assert.ok(text.includes('Score (logrank) test'));
+  });
+
+  it('should validate inputs', () => {
+    assert.throws(() => coxph([1, 2, 3], [[1, 2, 3]]), /Surv object/);
+    assert.throws(() => coxph(new Surv([1, 2, 3], [0, 0, 0]), [[1, 2, 3]]), /No events/);
+    assert.throws(() => coxph(new Surv([1, 2, 3]), [[1, 2, 3]], { ties: 'exact' }), /Unknown ties/);
+    assert.throws(() => lm('Surv(time, status) ~ x', { data: aml }), /survival object/);
+    assert.throws(() => coxph('time ~ Surv(time, status)', { data: aml }), /only be used as the response/);
+  });
+});
+
+describe('Cox model residuals and coxZph()', () => {
+  it('should give martingale and Schoenfeld residuals that sum to zero at the estimates', () => {
+    for (const ties of ['efron', 'breslow']) {
+      const fit = coxph('Surv(time, status) ~ x', { data: aml, ties });
+      const martingale = residualsCoxph(fit);
+      assert.equal(martingale.length, 23);
+      assert.ok(Math.abs(martingale.reduce((a, b) => a + b, 0)) < 1e-10, `${ties} martingale`);
+      martingale.forEach((m, i) => assert.ok(m <= aml.status[i]));
+
+      const schoenfeld = residualsCoxph(fit, { type: 'schoenfeld' });
+      assert.equal(schoenfeld.length, 18);
+      assert.ok(Math.abs(schoenfeld.reduce((s, row) => s + row[0], 0)) < 1e-8, `${ties} schoenfeld`);
+    }
+  });
+
+  it('should give deviance residuals with the sign of the martingale residuals', () => {
+    const fit = coxph('Surv(time, status) ~ age', { data: untied });
+    const martingale = residualsCoxph(fit);
+    const deviance = residualsCoxph(fit, { type: 'deviance' });
+    deviance.forEach((d, i) => assert.equal(Math.sign(d), Math.sign(martingale[i])));
+  });
+
+  it('should test proportional hazards from scaled Schoenfeld residuals', () => {
+    const fit = coxph('Surv(time, status) ~ age + group', { data: untied });
+    const zph = coxZph(fit);
+    assert.deepEqual(zph.table.map(r => r.term), ['age', 'groupb']);
+    assert.equal(zph.x.length, 11);
+    assert.equal(zph.global.df, 2);
+
+    // Scaled residuals average to the coefficients
+    const scaled = residualsCoxph(fit, { type: 'scaledsch' });
+    assertArrayClose(scaled[0], zph.y[0], 1e-12, 'scaledsch');
+    const mean = [0, 1].map(j => scaled.reduce((s, row) => s + row[j], 0) / scaled.length);
+    assertArrayClose(mean, fit.coefficients, 1e-8, 'mean');
+
+    // With one covariate the global test is the covariate's test
+    const single = coxZph(coxph('Surv(time, status) ~ age', { data: untied }), { transform: 'rank' });
+    assert.ok(Math.abs(single.global.chisq - single.table[0].chisq) < 1e-10);
+    assert.ok(single.table[0].p_value > 0 && single.table[0].p_value <= 1);
+
+    assert.throws(() => coxZph(fit, { transform: 'sqrt' }), /Unknown transform/);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for p_adjust() and the p_adjust option of tests and model summaries
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { p_adjust } from '../../src/stats/p_adjust.js';
+import { t_test } from '../../src/stats/t_test.js';
+import { lm } from '../../src/models/lm.js';
+import { glm, binomial } from '../../src/models/glm.js';
+import { summaryLM, summaryGLM, printSummaryLM } from '../../src/models/summary.js';
+import { RDatasets } from '../../src/data/r_datasets.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-10, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+const mtcars = await RDatasets.mtcars();
+
+const p = [0.01, 0.02, 0.03, 0.04, 0.05];
+// Unsorted, with ties and a value that adjusts above 1
+const q = [0.04, 0.001, 0.3, 0.04, 0.012, 0.6];
+
+describe('p_adjust()', () => {
+  it('should match R for each method', () => {
+    // R: p.adjust(c(0.01, 0.02, 0.03, 0.04, 0.05), method)
+    assertArrayClose(p_adjust(p, 'bonferroni'), [0.05, 0.1, 0.15, 0.2, 0.25], 1e-12, 'bonferroni');
+    assertArrayClose(p_adjust(p, 'holm'), [0.05, 0.08, 0.09, 0.09, 0.09], 1e-12, 'holm');
+    assertArrayClose(p_adjust(p, 'hochberg'), [0.05, 0.05, 0.05, 0.05, 0.05], 1e-12, 'hochberg');
+    assertArrayClose(p_adjust(p, 'hommel'), [0.05, 0.05, 0.05, 0.05, 0.05], 1e-12, 'hommel');
+    assertArrayClose(p_adjust(p, 'BH'), [0.05, 0.05, 0.05, 0.05, 0.05], 1e-12, 'BH');
+    assertArrayClose(p_adjust(p, 'BY'), Array(5).fill(0.05 * 137 / 60), 1e-12, 'BY');
+    assert.deepEqual(p_adjust(p, 'none'), p);
+    assert.deepEqual(p_adjust(p, 'fdr'), p_adjust(p, 'BH'));
+  });
+
+  it('should default to holm and keep the input order', () => {
+    // R: p.adjust(c(0.04, 0.001, 0.3, 0.04, 0.012, 0.6))
+    assertArrayClose(p_adjust(q), [0.16, 0.006, 0.6, 0.16, 0.06, 0.6], 1e-12, 'holm');
+    // R: p.adjust(c(0.04, 0.001, 0.3, 0.04, 0.012, 0.6), 'BH')
+    assertArrayClose(p_adjust(q, 'BH'), [0.06, 0.006, 0.36, 0.06, 0.036, 0.6], 1e-12, 'BH');
+    // R: p.adjust(c(0.04, 0.001, 0.3, 0.04, 0.012, 0.6), 'hochberg')
+    assertArrayClose(p_adjust(q, 'hochberg'), [0.12, 0.006, 0.6, 0.12, 0.06, 0.6], 1e-12, 'hochberg');
+  });
+
+  it('should agree with closed Simes testing for hommel', () => {
+    const simes = ps => {
+      const sorted = [...ps].sort((a, b) => a - b);
+      return Math.min(...sorted.map((v, i) => sorted.length * v / (i + 1)));
+    };
+    // Adjusted p-value: largest Simes p over the intersections containing the hypothesis
+    const expected = q.map((_, i) => {
+      let worst = 0;
+      for (let mask = 0; mask < 1 << q.length; mask++) {
+        if (!(mask >> i & 1)) continue;
+        worst = Math.max(worst, simes(q.filter((__, j) => mask >> j & 1)));
+      }
+      return worst;
+    });
+    assertArrayClose(p_adjust(q, 'hommel'), expected, 1e-12, 'hommel');
+  });
+
+  it('should keep missing values and size the family with n', () => {
+    const adjusted = p_adjust([0.01, NaN, 0.04, null], 'bonferroni');
+    assertArrayClose([adjusted[0], adjusted[2]], [0.02, 0.08], 1e-12);
+    assert.ok(Number.isNaN(adjusted[1]) && Number.isNaN(adjusted[3]));
+
+    assert.equal(p_adjust(0.001, 'bonferroni', { n: 200 }), 0.2);
+    // R: p.adjust(0.01, 'BY', n = 4)
+    assertArrayClose([p_adjust(0.01, 'BY', { n: 4 })], [0.01 * 4 * 25 / 12], 1e-12);
+    assert.equal(p_adjust(0.03, 'holm'), 0.03);
+  });
+
+  it('should validate its arguments', () => {
+    assert.throws(() => p_adjust(p, 'sidak'), /Unknown p-value adjustment method/);
+    assert.throws(() => p_adjust(p, 'holm', { n: 3 }), /n must be at least/);
+  });
+});
+
+describe('p_adjust option', () => {
+  it('should adjust a t_test within a family of tests', () => {
+    const x = [5.1, 4.9, 6.2, 5.8, 6.0, 5.5, 5.3];
+    const raw = t_test(x, null, { mu: 5 });
+    const adjusted = t_test(x, null, { mu: 5, p_adjust: { method: 'bonferroni', n: 50 } });
+
+    assert.equal(adjusted.p_value, raw.p_value);
+    assert.equal(adjusted.p_adj, Math.min(1, 50 * raw.p_value));
+    assert.equal(adjusted.p_adjust_method, 'bonferroni');
+    assert.ok(!('p_adj' in raw));
+  });
+
+  it('should adjust the coefficient tables of summaryLM() and summaryGLM()', () => {
+    const fit = lm('mpg ~ wt + hp + qsec', { data: mtcars });
+    const summary = summaryLM(fit, { p_adjust: 'holm' });
+    const raw = summaryLM(fit).coefficients.map(row => row.p_value);
+
+    assert.equal(summary.p_adjust_method, 'holm');
+    assertArrayClose(summary.coefficients.map(row => row.p_adj), p_adjust(raw, 'holm'), 1e-15);
+    assert.ok(summary.coefficients.every(row => row.p_adj >= row.p_value));
+    assert.match(printSummaryLM(summary), /Adj\. p[\s\S]*adjusted by the holm method/);
+    assert.equal(summaryLM(fit).p_adjust_method, null);
+
+    const gfit = glm('am ~ hp + wt', { data: mtcars, family: binomial() });
+    const gsummary = summaryGLM(gfit, { p_adjust: { method: 'BH', n: 10 } });
+    const graw = summaryGLM(gfit).coefficients.map(row => row.p_value);
+    assertArrayClose(gsummary.coefficients.map(row => row.p_adj), p_adjust(graw, 'BH', { n: 10 }), 1e-15);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for post-hoc multiple comparisons: TukeyHSD(), dunnett() and gamesHowell()
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TukeyHSD, dunnett, gamesHowell } from '../../src/stats/posthoc.js';
+import { aov } from '../../src/models/aov.js';
+import { t_test } from '../../src/stats/t_test.js';
+import { pt } from '../../src/distributions/t.js';
+import Factor from '../../src/core/Factor.js';
+
+/**
+ * Helper: assert arrays are approximately equal
+ */
+function assertArrayClose(actual, expected, tol = 1e-6, label = '') {
+  assert.equal(actual.length, expected.length, `${label} length mismatch`);
+  for (let i = 0; i < actual.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < tol,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (diff: ${Math.abs(actual[i] - expected[i])})`
+    );
+  }
+}
+
+// R: datasets::warpbreaks, by wool and tension
+const cells = {
+  AL: [26, 30, 54, 25, 70, 52, 51, 26, 67],
+  AM: [18, 21, 29, 17, 12, 18, 35, 30, 36],
+  AH: [36, 21, 24, 18, 10, 43, 28, 15, 26],
+  BL: [27, 14, 29, 19, 29, 31, 41, 20, 44],
+  BM: [42, 26, 19, 16, 39, 28, 21, 39, 29],
+  BH: [20, 21, 24, 17, 13, 15, 15, 16, 28]
+};
+const warpbreaks = {
+  breaks: Object.values(cells).flat(),
+  wool: Object.keys(cells).flatMap(key => Array(9).fill(key[0])),
+  tension: new Factor(Object.keys(cells).flatMap(key => Array(9).fill(key[1])), { levels: ['L', 'M', 'H'] })
+};
+
+const byTension = {
+  L: [...cells.AL, ...cells.BL],
+  M: [...cells.AM, ...cells.BM],
+  H: [...cells.AH, ...cells.BH]
+};
+
+describe('TukeyHSD()', () => {
+  it('should match R for an additive two-way model', () => {
+    // R: TukeyHSD(aov(breaks ~ wool + tension, data = warpbreaks))
+    const fit = aov('breaks ~ wool + tension', { data: warpbreaks });
+    const result = TukeyHSD(fit);
+
+    assert.deepEqual(Object.keys(result.comparisons), ['wool', 'tension']);
+    assert.equal(result.conf_level, 0.95);
+
+    const wool = result.comparisons.wool;
+    assert.equal(wool[0].comparison, 'B-A');
+    assertArrayClose([wool[0].diff, wool[0].lower, wool[0].upper, wool[0].p_adj],
+      [-5.777778, -12.12841, 0.5728505, 0.0736137], 1e-5, 'wool');
+
+    const tension = result.comparisons.tension;
+    assert.deepEqual(tension.map(r => r.comparison), ['M-L', 'H-L', 'H-M']);
+    assertArrayClose(tension.map(r => r.diff), [-10, -14.722222, -4.722222], 1e-5, 'diff');
+    assertArrayClose(tension.map(r => r.lower), [-19.35342, -24.07564, -14.07564], 1e-4, 'lower');
+    assertArrayClose(tension.map(r => r.upper), [-0.6465793, -5.3688015, 4.6311985], 1e-4, 'upper');
+    assertArrayClose(tension.map(r => r.p_adj), [0.0336262, 0.0011218, 0.4474210], 1e-5, 'p adj');
+  });
+
+  it('should compare cell means of an interaction term', () => {
+    const fit = aov('breaks ~ wool * tension', { data: warpbreaks });
+    const result = TukeyHSD(fit, { which: 'wool:tension' });
+
+    assert.deepEqual(Object.keys(result.comparisons), ['wool:tension']);
+    const rows = result.comparisons['wool:tension'];
+    assert.equal(rows.length, 15);
+    assert.equal(rows[0].comparison, 'B:L-A:L');
+
+    // Balanced design: the fitted cell means are the sample means
+    const mean = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+    assertArrayClose([rows[0].diff], [mean(cells.BL) - mean(cells.AL)], 1e-10);
+  });
+
+  it('should compare levels of factor() terms', () => {
+    const data = { ...warpbreaks, t: warpbreaks.tension.toArray().map(level => ['L', 'M', 'H'].indexOf(level) + 1) };
+    const fit = aov('breaks ~ wool * factor(t)', { data });
+    const result = TukeyHSD(fit);
+    assert.deepEqual(Object.keys(result.comparisons), ['wool', 'factor(t)', 'wool:factor(t)']);
+    assert.equal(result.comparisons['wool:factor(t)'][0].comparison, 'B:1-A:1');
+  });
+
+  it('should honour conf_level', () => {
+    const fit = aov('breaks ~ wool + tension', { data: warpbreaks });
+    const narrow = TukeyHSD(fit, { which: 'tension', conf_level: 0.9 }).comparisons.tension[0];
+    const wide = TukeyHSD(fit, { which: 'tension', conf_level: 0.99 }).comparisons.tension[0];
+    assert.ok(wide.lower < narrow.lower && wide.upper > narrow.upper);
+    assert.equal(wide.p_adj, narrow.p_adj);
+  });
+
+  it('should reject fits and terms it cannot compare', () => {
+    const fit = aov('breaks ~ wool + tension', { data: warpbreaks });
+    assert.throws(() => TukeyHSD(fit, { which: 'feed' }), /not a factor term/);
+    assert.throws(() => TukeyHSD({ table: [] }), /aov\(\) fit/);
+  });
+});
+
+describe('dunnett()', () => {
+  it('should reduce to the pooled t-test for a single comparison', () => {
+    const result = dunnett({ control: cells.AL, treated: cells.AM }, 'control');
+    const t = t_test(cells.AM, cells.AL, { var_equal: true });
+    const row = result.comparisons[0];
+
+    assert.equal(row.comparison, 'treated-control');
+    assert.equal(result.df, 16);
+    assertArrayClose([row.statistic], [t.statistic.t], 1e-10);
+    assertArrayClose([row.p_adj], [t.p_value], 1e-6, 'p');
+    assertArrayClose([row.lower, row.upper], t.conf_int, 1e-5, 'conf_int');
+  });
+
+  it('should match tabulated critical values', () => {
+    // Dunnett's tables: two-sided 95% with 3 treatments on 24 df, 2 treatments on 12 df;
+    // one-sided 95% with 2 treatments on 12 df
+    const seq = m => [m - 3, m - 2, m - 1, m, m + 1, m + 2, m + 3];
+    const three = dunnett({ c: seq(0), a: seq(1), b: seq(2), d: seq(3) });
+    assert.equal(three.df, 24);
+    assertArrayClose([three.critical_value], [2.51], 0.005);
+
+    const two = { c: [1, 2, 3, 4, 5], a: [2, 3, 4, 5, 6], b: [3, 4, 5, 6, 7] };
+    assertArrayClose([dunnett(two, 'c').critical_value], [2.50], 0.005);
+    const greater = dunnett(two, 'c', { alternative: 'greater' });
+    assertArrayClose([greater.critical_value], [2.11], 0.005);
+    assert.equal(greater.comparisons[0].upper, Infinity);
+  });
+
+  it('should adjust p-values beyond the unadjusted t-test', () => {
+    const result = dunnett(byTension, 'L');
+    assert.equal(result.control, 'L');
+    assert.deepEqual(result.comparisons.map(r => r.comparison), ['M-L', 'H-L']);
+    for (const row of result.comparisons) {
+      const unadjusted = 2 * pt(-Math.abs(row.statistic), result.df);
+      assert.ok(row.p_adj > unadjusted && row.p_adj < 2 * unadjusted);
+    }
+    assert.ok(result.comparisons.every(r => r.lower < r.diff && r.diff < r.upper));
+  });
+
+  it('should validate its arguments', () => {
+    assert.throws(() => dunnett(byTension, 'X'), /not found/);
+    assert.throws(() => dunnett(byTension, 'L', { alternative: 'both' }), /alternative/);
+    assert.throws(() => dunnett({ L: byTension.L }), /At least 2 groups/);
+    assert.throws(() => dunnett({ L: byTension.L, M: [1] }), /at least 2 observations/);
+  });
+});
+
+describe('gamesHowell()', () => {
+  it('should reduce to the Welch t-test for two groups', () => {
+    const result = gamesHowell({ A: cells.AL, B: cells.BH });
+    const t = t_test(cells.BH, cells.AL);
+    const row = result.comparisons[0];
+
+    assert.equal(row.comparison, 'B-A');
+    assertArrayClose([row.df], [t.parameter.df], 1e-10);
+    assertArrayClose([row.p_adj], [t.p_value], 1e-6, 'p');
+    assertArrayClose([row.lower, row.upper], t.conf_int, 1e-4, 'conf_int');
+  });
+
+  it('should compare every pair of groups', () => {
+    const result = gamesHowell(byTension);
+    assert.deepEqual(result.comparisons.map(r => r.comparison), ['M-L', 'H-L', 'H-M']);
+    for (const row of result.comparisons) {
+      assert.ok(row.p_adj > 0 && row.p_adj <= 1);
+      assert.ok(row.lower < row.diff && row.diff < row.upper);
+    }
+  });
+});
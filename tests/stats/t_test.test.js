@@ -2,7 +2,9 @@
 // Reference values from R 4.3.0
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { t_test } from '../../src/stats/t_test.js';
+import { t_test, pairwise_t_test } from '../../src/stats/t_test.js';
+import { pt } from '../../src/distributions/t.js';
+import { p_adjust } from '../../src/stats/p_adjust.js';
 import Vector from '../../src/core/Vector.js';
 
 const TOLERANCE = 1e-5; // Now we can use tighter tolerance!
@@ -168,3 +170,46 @@ test('t_test - result structure', () => {
   assert.ok(result.hasOwnProperty('method'));
   assert.ok(result.hasOwnProperty('data_name'));
 });
+
+const groups = {
+  a: [4.2, 5.1, 4.8, 5.5, 4.9, 5.0],
+  b: [5.9, 6.3, 5.4, 6.8, 6.1, 5.7],
+  c: [5.2, 4.7, 5.6, 6.0, 5.3, 4.9]
+};
+
+test('pairwise_t_test - pooled SD with holm adjustment', () => {
+  const result = pairwise_t_test(groups);
+  
+  assert.equal(result.method, 't tests with pooled SD');
+  assert.equal(result.p_adjust_method, 'holm');
+  assert.deepEqual(result.comparisons.map(c => c.comparison), ['b-a', 'c-a', 'c-b']);
+  
+  // Pooled SD over all three groups on 15 df
+  const mean = xs => xs.reduce((acc, v) => acc + v, 0) / xs.length;
+  const ss = xs => xs.reduce((acc, v) => acc + (v - mean(xs)) ** 2, 0);
+  const sd = Math.sqrt((ss(groups.a) + ss(groups.b) + ss(groups.c)) / 15);
+  const t = (mean(groups.b) - mean(groups.a)) / (sd * Math.sqrt(1 / 3));
+  const first = result.comparisons[0];
+  assertClose(first.statistic, t, 1e-10);
+  assert.equal(first.df, 15);
+  assertClose(first.p_value, 2 * pt(-Math.abs(t), 15), 1e-12);
+  
+  const raw = result.comparisons.map(c => c.p_value);
+  const adjusted = p_adjust(raw, 'holm');
+  result.comparisons.forEach((c, i) => assertClose(c.p_adj, adjusted[i], 1e-15));
+});
+
+test('pairwise_t_test - non-pooled and paired tests', () => {
+  const welch = pairwise_t_test(groups, { pool_sd: false, p_adjust: 'bonferroni' });
+  assert.equal(welch.method, 't tests with non-pooled SD');
+  const single = t_test(groups.c, groups.b);
+  assertClose(welch.comparisons[2].p_value, single.p_value, 1e-15);
+  assertClose(welch.comparisons[2].p_adj, Math.min(1, 3 * single.p_value), 1e-15);
+  
+  const paired = pairwise_t_test(groups, { paired: true, p_adjust: 'none' });
+  assert.equal(paired.method, 'paired t tests');
+  assertClose(paired.comparisons[0].p_value, t_test(groups.b, groups.a, { paired: true }).p_value, 1e-15);
+  
+  assert.throws(() => pairwise_t_test(groups, { paired: true, pool_sd: true }), /incompatible/);
+  assert.throws(() => pairwise_t_test({ a: groups.a }), /At least 2 groups/);
+});